@@ -0,0 +1,509 @@
+/**
+ * Backfill Module
+ * 
+ * Reprocesses historical emails in a date range, e.g. after adding a new pattern.
+ * Progress is saved as a cursor in Script Properties so long backfills can continue
+ * across executions. The cursor is a date, not an offset into the search results, so
+ * new mail arriving between executions can't make a resumed backfill skip or repeat a thread.
+ */
+
+// Backfill configuration
+const BACKFILL_CONFIG = {
+  STATE_PROPERTY: 'BACKFILL_STATE',
+  PAGE_SIZE: 50,  // Threads fetched per GmailApp.search call (max 500)
+  RESUME_DELAY_MS: 60 * 1000,  // Delay before the automatic resume trigger fires
+  RESUME_FUNCTION: 'resumeBackfill'
+};
+
+/**
+ * Start a backfill for a date range
+ * 指定期間のメールを再処理（バックフィル）開始
+ * 
+ * @param {Date|string} fromDate - First day to include (Date or 'YYYY-MM-DD')
+ * @param {Date|string} toDate - Last day to include (Date or 'YYYY-MM-DD')
+ * @param {Object} options - Backfill options
+ * @param {Array} options.ruleNames - Only evaluate these routing rules (default: all rules)
+ * @param {boolean} options.force - Re-send messages that were already processed
+ * @returns {Object} - Backfill state after this execution
+ */
+function startBackfill(fromDate, toDate, options = {}) {
+  const from = parseBackfillDate(fromDate);
+  const to = parseBackfillDate(toDate);
+  
+  if (from > to) {
+    throw new Error(`Invalid backfill range: ${fromDate} is after ${toDate}`);
+  }
+  
+  const existingState = getBackfillState();
+  if (existingState && !existingState.completed) {
+    console.log(`⚠️ Replacing unfinished backfill (${existingState.from} - ${existingState.to}, ${describeBackfillCursor(existingState)})`);
+  }
+  
+  const state = {
+    from: formatDateInTimeZone(from, 'yyyy/MM/dd'),
+    to: formatDateInTimeZone(to, 'yyyy/MM/dd'),
+    // Gmail's before: is exclusive, so search up to the day after the last day
+    before: formatDateInTimeZone(new Date(to.getTime() + 24 * 60 * 60 * 1000), 'yyyy/MM/dd'),
+    ruleNames: options.ruleNames || [],
+    force: Boolean(options.force),
+    cursor: null,  // Epoch seconds: every thread with a message at or after it is finished
+    doneThreads: {},  // Finished threads that can still match the search: thread ID -> first message (epoch seconds)
+    partialThreads: {},  // Threads stopped by the time budget: thread ID -> IDs of its finished messages
+    nextStart: 0,  // Offset into the results for the current cursor
+    processedCount: 0,
+    skippedCount: 0,
+    errorCount: 0,
+    completed: false,
+    startedAt: new Date().toISOString(),
+    updatedAt: null
+  };
+  
+  console.log(`=== Starting Backfill: ${state.from} - ${state.to} ===`);
+  console.log(`Rules: ${state.ruleNames.length > 0 ? state.ruleNames.join(', ') : 'all'}, Force re-send: ${state.force}`);
+  
+  saveBackfillState(state);
+  return runBackfill(state);
+}
+
+/**
+ * Resume a backfill from the saved cursor - called by the resume trigger
+ * 保存されたカーソルからバックフィルを再開 - 再開トリガーから呼び出される
+ * 
+ * @returns {Object|null} - Backfill state after this execution, or null if none is pending
+ */
+function resumeBackfill() {
+  deleteBackfillResumeTriggers();
+  
+  const state = getBackfillState();
+  if (!state || state.completed) {
+    console.log('No pending backfill to resume');
+    return null;
+  }
+  
+  console.log(`=== Resuming Backfill: ${state.from} - ${state.to} from ${describeBackfillCursor(state)} ===`);
+  return runBackfill(state);
+}
+
+/**
+ * Run the backfill until it completes or the time budget is used up
+ * 完了または実行時間の上限までバックフィルを実行
+ * 
+ * Gmail returns threads newest message first, so once a thread is finished every thread with a
+ * newer message is too: the search is narrowed with before: to that thread's newest message and
+ * started again from the top. A reply that arrives meanwhile only moves its thread up within the
+ * narrowed results, where it is still found, and finished threads that come back because of their
+ * older messages are skipped, so every thread is backfilled exactly once (also with force).
+ * 
+ * @param {Object} state - Backfill state (updated in place and saved after every message)
+ * @returns {Object} - Updated backfill state
+ */
+function runBackfill(state) {
+  const startTime = new Date().getTime();
+  
+  // Share the processing lock with processEmails so the two never post the same email
+  const lock = acquireProcessingLock('backfill');
+  if (!lock.acquired) {
+    console.log('Another run holds the processing lock, retrying backfill later');
+    scheduleBackfillResume();
+    return state;
+  }
+  
+  try {
+    const sheetPatterns = loadPatternRulesFromSheet();
+    const routingRules = filterBackfillRules(getRoutingRules(sheetPatterns), state.ruleNames);
+    const senderQuery = buildSenderSearchQuery(routingRules);
+    state.doneThreads = state.doneThreads || {};
+    state.partialThreads = state.partialThreads || {};
+    
+    while (true) {
+      const query = `${senderQuery} after:${state.from} before:${state.cursor || state.before}`;
+      const cursor = state.cursor;
+      const threads = GmailApp.search(query, state.nextStart, BACKFILL_CONFIG.PAGE_SIZE);
+      console.log(`Fetched ${threads.length} thread(s) for "${query}" starting at ${state.nextStart}`);
+      
+      if (threads.length === 0) {
+        state.completed = true;
+        break;
+      }
+      
+      for (let i = 0; i < threads.length; i++) {
+        // Finished threads come back while they have messages older than the cursor
+        if (state.doneThreads.hasOwnProperty(threads[i].getId())) {
+          continue;
+        }
+        
+        if (!hasExecutionTimeLeft(startTime) || !backfillThread(threads[i], routingRules, state, startTime)) {
+          console.log('⏱️ Time budget reached, saving cursor and scheduling resume...');
+          scheduleBackfillResume();
+          return state;
+        }
+        advanceBackfillCursor(threads[i], state);
+        saveBackfillState(state);
+      }
+      
+      if (threads.length < BACKFILL_CONFIG.PAGE_SIZE) {
+        state.completed = true;
+        break;
+      }
+      // A narrowed search starts again from the top; otherwise every thread of this page was finished
+      if (state.cursor === cursor) {
+        state.nextStart += threads.length;
+      }
+    }
+    
+    state.doneThreads = {};
+    state.partialThreads = {};
+    
+    const executionTime = new Date().getTime() - startTime;
+    console.log('=== Backfill Complete ===');
+    console.log(`Processed: ${state.processedCount}, Skipped: ${state.skippedCount}, Errors: ${state.errorCount}`);
+    
+    if (state.errorCount > 0) {
+      sendErrorSummary(state.processedCount, state.errorCount, executionTime);
+    }
+    
+    return state;
+    
+  } catch (error) {
+    console.error('Critical error in backfill:', error);
+    sendErrorNotification(`Backfill failed at ${describeBackfillCursor(state)}: ${error.message}`);
+    throw error;
+  } finally {
+    // Save the cursor on every way out, including errors, before another run can take the lock
+    try {
+      saveBackfillState(state);
+    } catch (error) {
+      console.error('Error saving backfill state:', error);
+      // Don't throw - the lock must still be released
+    }
+    releaseProcessingLock(lock);
+  }
+}
+
+/**
+ * Record a finished thread and narrow the search to the threads older than it
+ * 完了したスレッドを記録し、それより古いスレッドに検索を絞り込む
+ * 
+ * The cursor only moves down, and never past the end of the range: a thread whose newest message
+ * came after the range (e.g. a later reply) is recorded without narrowing the search.
+ * 
+ * @param {GmailThread} thread - Finished thread
+ * @param {Object} state - Backfill state (cursor, doneThreads and nextStart are updated in place)
+ */
+function advanceBackfillCursor(thread, state) {
+  const firstMessageDate = thread.getMessages()[0].getDate();
+  const lastMessageDate = thread.getLastMessageDate();
+  state.doneThreads[thread.getId()] = Math.floor(firstMessageDate.getTime() / 1000);
+  
+  // before: is exclusive, so keep the second of the newest message for threads that share it
+  const cursor = Math.floor(lastMessageDate.getTime() / 1000) + 1;
+  if (formatDateInTimeZone(lastMessageDate, 'yyyy/MM/dd') >= state.before || (state.cursor && cursor >= state.cursor)) {
+    return;
+  }
+  
+  state.cursor = cursor;
+  state.nextStart = 0;
+  
+  // Threads that start at or after the cursor no longer match the search
+  Object.keys(state.doneThreads).forEach(threadId => {
+    if (state.doneThreads[threadId] >= cursor) {
+      delete state.doneThreads[threadId];
+    }
+  });
+}
+
+/**
+ * Describe the progress cursor of a backfill for logs and notifications
+ * バックフィルの進捗カーソルをログ・通知用に表示
+ * 
+ * @param {Object} state - Backfill state
+ * @returns {string} - Cursor description
+ */
+function describeBackfillCursor(state) {
+  const before = state.cursor ? formatDateInTimeZone(new Date(state.cursor * 1000), 'yyyy/MM/dd HH:mm:ss') : state.before;
+  return `threads before ${before}, offset ${state.nextStart}`;
+}
+
+/**
+ * Backfill all messages of a single thread
+ * 1スレッド内の全メッセージをバックフィル
+ * 
+ * The time budget is checked before every message, like processEmails() does. A thread that
+ * is stopped midway keeps the IDs of its finished messages in state.partialThreads, so the
+ * resumed backfill continues with the next message instead of re-sending the finished ones.
+ * 
+ * @param {GmailThread} thread - Gmail thread
+ * @param {Array} routingRules - Routing rules to evaluate
+ * @param {Object} state - Backfill state (counters and partialThreads are updated in place)
+ * @param {number} startTime - Execution start time in ms
+ * @returns {boolean} - True if every message of the thread was backfilled
+ */
+function backfillThread(thread, routingRules, state, startTime) {
+  const threadId = thread.getId();
+  const finishedIds = state.partialThreads[threadId] || [];
+  let threadHasNewMessages = false;
+  let finished = true;
+  
+  const messages = thread.getMessages();
+  for (let i = 0; i < messages.length; i++) {
+    const messageId = messages[i].getId();
+    if (finishedIds.includes(messageId)) {
+      continue;
+    }
+    
+    // Stop at a message boundary so a message is never left half-processed
+    if (!hasExecutionTimeLeft(startTime)) {
+      console.log(`⏱️ Time budget reached in thread ${threadId}, deferring ${messages.length - i} message(s)`);
+      finished = false;
+      break;
+    }
+    
+    if (backfillMessage(messages[i], routingRules, state)) {
+      threadHasNewMessages = true;
+    }
+    finishedIds.push(messageId);
+    state.partialThreads[threadId] = finishedIds;
+    saveBackfillState(state);
+  }
+  
+  if (threadHasNewMessages) {
+    addProcessedLabel(thread);
+  }
+  if (finished) {
+    delete state.partialThreads[threadId];
+  }
+  return finished;
+}
+
+/**
+ * Backfill a single message
+ * 1件のメッセージをバックフィル
+ * 
+ * @param {GmailMessage} message - Gmail message
+ * @param {Array} routingRules - Routing rules to evaluate
+ * @param {Object} state - Backfill state (counters are updated in place)
+ * @returns {boolean} - True if the message was posted
+ */
+function backfillMessage(message, routingRules, state) {
+  try {
+    if (message.isInTrash()) {
+      return false;
+    }
+    
+    const alreadyProcessed = isMessageAlreadyProcessed(message);
+    if (alreadyProcessed && !state.force) {
+      state.skippedCount++;
+      return false;
+    }
+    
+    const result = processMessage(message, routingRules);
+    if (!result) {
+      state.skippedCount++;
+      return false;
+    }
+    
+    state.processedCount++;
+    
+    // A forced re-send of a tracked message doesn't need a second tracking row
+    if (!alreadyProcessed) {
+      markMessageProcessedInSheet(message, {
+        ruleNames: result.matchedRules,
+        metadata: result.metadata,
+        links: result.links,
+        fingerprint: result.fingerprint,
+        duplicateOf: result.duplicateOf
+      });
+    }
+    return true;
+    
+  } catch (error) {
+    console.error(`Error backfilling message ${message.getId()}:`, error);
+    state.errorCount++;
+    return false;
+  }
+}
+
+/**
+ * Reprocess a single message by its Gmail message ID (e.g. from the Slack "reprocess" command)
+ * GmailメッセージIDを指定して1件のメールを再処理
+ * 
+ * The message is re-sent even if it was already processed, like a forced backfill.
+ * 
+ * @param {string} messageId - Gmail message ID
+ * @returns {Object} - { status: 'processed'|'no-match'|'not-found'|'busy', subject, matchedRules, holder }
+ */
+function reprocessMessage(messageId) {
+  let message = null;
+  try {
+    message = GmailApp.getMessageById(messageId);
+  } catch (error) {
+    console.error(`Could not load message ${messageId}:`, error);
+  }
+  
+  if (!message) {
+    return { status: 'not-found', subject: null, matchedRules: [], holder: null };
+  }
+  
+  const lock = acquireProcessingLock('reprocess');
+  if (!lock.acquired) {
+    return { status: 'busy', subject: message.getSubject(), matchedRules: [], holder: lock.holder };
+  }
+  
+  try {
+    const alreadyProcessed = isMessageAlreadyProcessed(message);
+    const result = processMessage(message, getRoutingRules(loadPatternRulesFromSheet()));
+    if (!result) {
+      return { status: 'no-match', subject: message.getSubject(), matchedRules: [], holder: null };
+    }
+    
+    if (!alreadyProcessed) {
+      markMessageProcessedInSheet(message, {
+        ruleNames: result.matchedRules,
+        metadata: result.metadata,
+        links: result.links,
+        fingerprint: result.fingerprint,
+        duplicateOf: result.duplicateOf
+      });
+    }
+    addProcessedLabel(message.getThread());
+    
+    console.log(`Reprocessed message ${messageId}: ${result.matchedRules.join(', ')}`);
+    return { status: 'processed', subject: message.getSubject(), matchedRules: result.matchedRules, holder: null };
+    
+  } finally {
+    releaseProcessingLock(lock);
+  }
+}
+
+/**
+ * Restrict routing rules to the names requested for a backfill
+ * バックフィル対象のルーティングルールに絞り込み
+ * 
+ * @param {Array} routingRules - Normalized routing rules
+ * @param {Array} ruleNames - Rule names to keep (empty = all)
+ * @returns {Array} - Filtered rules
+ */
+function filterBackfillRules(routingRules, ruleNames) {
+  if (!ruleNames || ruleNames.length === 0) {
+    return routingRules;
+  }
+  
+  const unknownNames = ruleNames.filter(name => !routingRules.some(rule => rule.name === name));
+  if (unknownNames.length > 0) {
+    throw new Error(`Unknown routing rule(s) for backfill: ${unknownNames.join(', ')}`);
+  }
+  
+  return routingRules.filter(rule => ruleNames.includes(rule.name));
+}
+
+/**
+ * Parse a backfill date argument
+ * バックフィルの日付引数を解析
+ * 
+ * @param {Date|string} value - Date or 'YYYY-MM-DD' string
+ * @returns {Date} - Parsed date
+ */
+function parseBackfillDate(value) {
+  // Date-only strings are read as noon UTC so the calendar day survives formatting in CONFIG.TIME_ZONE
+  const dateOnly = String(value).match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+  const date = value instanceof Date
+    ? value
+    : dateOnly
+      ? new Date(Date.UTC(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]), 12))
+      : new Date(String(value).replace(/\//g, '-'));
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid backfill date: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Get the saved backfill state
+ * 保存されたバックフィル状態を取得
+ * 
+ * @returns {Object|null} - Backfill state or null if none exists
+ */
+function getBackfillState() {
+  const json = getProperty(BACKFILL_CONFIG.STATE_PROPERTY, false);
+  if (!json) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    console.error('Invalid backfill state in script properties:', error);
+    return null;
+  }
+}
+
+/**
+ * Save the backfill state (progress cursor and counters)
+ * バックフィル状態（進捗カーソルとカウンター）を保存
+ * 
+ * @param {Object} state - Backfill state
+ */
+function saveBackfillState(state) {
+  state.updatedAt = new Date().toISOString();
+  setProperty(BACKFILL_CONFIG.STATE_PROPERTY, JSON.stringify(state));
+}
+
+/**
+ * Show the progress of the current backfill
+ * 現在のバックフィルの進捗を表示
+ * 
+ * @returns {Object|null} - Backfill state or null if none exists
+ */
+function getBackfillStatus() {
+  const state = getBackfillState();
+  
+  if (!state) {
+    console.log('No backfill has been started');
+    return null;
+  }
+  
+  console.log(`Backfill ${state.from} - ${state.to}: ${state.completed ? '✅ completed' : '⏳ in progress'}`);
+  console.log(`Rules: ${state.ruleNames.length > 0 ? state.ruleNames.join(', ') : 'all'}, Force re-send: ${state.force}`);
+  console.log(`Cursor: ${describeBackfillCursor(state)}`);
+  console.log(`Processed: ${state.processedCount}, Skipped: ${state.skippedCount}, Errors: ${state.errorCount}`);
+  console.log(`Started: ${state.startedAt}, Updated: ${state.updatedAt}`);
+  
+  return state;
+}
+
+/**
+ * Cancel the current backfill and remove its resume trigger
+ * 現在のバックフィルを中止し、再開トリガーを削除
+ */
+function cancelBackfill() {
+  deleteBackfillResumeTriggers();
+  PropertiesService.getScriptProperties().deleteProperty(BACKFILL_CONFIG.STATE_PROPERTY);
+  console.log('✓ Backfill cancelled');
+}
+
+/**
+ * Schedule a one-off trigger that resumes the backfill
+ * バックフィルを再開する一回限りのトリガーを設定
+ */
+function scheduleBackfillResume() {
+  deleteBackfillResumeTriggers();
+  
+  ScriptApp.newTrigger(BACKFILL_CONFIG.RESUME_FUNCTION)
+    .timeBased()
+    .after(BACKFILL_CONFIG.RESUME_DELAY_MS)
+    .create();
+    
+  console.log(`✓ Backfill resume scheduled in ${BACKFILL_CONFIG.RESUME_DELAY_MS / 1000} seconds`);
+}
+
+/**
+ * Delete pending backfill resume triggers
+ * 保留中のバックフィル再開トリガーを削除
+ */
+function deleteBackfillResumeTriggers() {
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getHandlerFunction() === BACKFILL_CONFIG.RESUME_FUNCTION) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+}
\ No newline at end of file
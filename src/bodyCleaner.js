@@ -0,0 +1,206 @@
+/**
+ * Body Cleaner Module
+ * 
+ * Strips the parts of an email body that repeat in every message: quoted reply history,
+ * signatures and newsletter footers. The removed sections are returned so they can be
+ * posted (collapsed) in the Slack thread instead of being dropped.
+ */
+
+// Body cleanup settings
+const BODY_CLEANUP_CONFIG = {
+  // Lines that start the quoted history of a reply (everything below is quoted)
+  QUOTE_HEADER_PATTERNS: [
+    /^On\s.+\swrote:$/i,
+    /^-{2,}\s*(Original Message|元のメッセージ)\s*-{2,}$/i,
+    /のメッセージ[:：]$/,
+    /は書きました[:：]$/,
+    /^\d{4}年\d{1,2}月\d{1,2}日.*@.*[:：]$/  // Gmail (Japanese): "2025年4月1日(火) 10:00 山田 <taro@example.com>:"
+  ],
+  // Outlook-style header block: a From line followed by Sent/Date and To/Subject lines
+  HEADER_FROM_PATTERN: /^(From|差出人|送信者)[:：]\s*\S/i,
+  HEADER_DATE_PATTERN: /^(Sent|Date|送信日時|日付)[:：]/i,
+  HEADER_TO_PATTERN: /^(To|Subject|宛先|件名)[:：]/i,
+  HEADER_LOOKAHEAD_LINES: 5,
+  QUOTED_LINE_PATTERN: /^(>|&gt;)/,
+  DIVIDER_PATTERN: /^[_\-=─━]{10,}$/,
+  // Signature delimiters, only honoured near the end of the body
+  SIGNATURE_PATTERNS: [/^--\s*$/, /^Sent from my .+$/i, /^.+から送信$/],
+  SIGNATURE_MAX_LINES: 15
+};
+
+/**
+ * Remove quoted replies, signatures and footers from an email body
+ * メール本文から引用返信・署名・フッターを除去
+ * 
+ * @param {string} body - Email body (plain text or converted mrkdwn)
+ * @param {Array} footerMarkers - RegExps marking the start of the footer (optional)
+ * @returns {Object} - { body, removedSections: [{ type: 'quote'|'signature'|'footer', text, lineCount }] }
+ */
+function cleanEmailBody(body, footerMarkers = []) {
+  const lines = String(body || '').split('\n');
+  const sections = [];
+  let end = lines.length;
+  
+  const cut = (type, start) => {
+    sections.unshift({ type: type, start: start, end: end });
+    end = start;
+  };
+  
+  const quoteStart = findQuoteStart(lines);
+  if (quoteStart > 0) {
+    cut('quote', quoteStart);
+  }
+  
+  const footerStart = findFooterStart(lines.slice(0, end), footerMarkers);
+  if (footerStart > 0) {
+    cut('footer', footerStart);
+  }
+  
+  const signatureStart = findSignatureStart(lines.slice(0, end));
+  if (signatureStart > 0) {
+    cut('signature', signatureStart);
+  }
+  
+  const cleaned = lines.slice(0, end).join('\n').trim();
+  if (sections.length === 0 || cleaned.length === 0) {
+    // Nothing to remove, or nothing would be left (e.g. a bare forward): keep the body as is
+    return { body: String(body || ''), removedSections: [] };
+  }
+  
+  return {
+    body: cleaned,
+    removedSections: sections.map(section => {
+      const text = lines.slice(section.start, section.end).join('\n').trim();
+      return { type: section.type, text: text, lineCount: text.split('\n').length };
+    })
+  };
+}
+
+/**
+ * Find where the quoted history of a reply starts
+ * 返信の引用部分の開始行を検索
+ * 
+ * A quote header ("On ... wrote:", "-----Original Message-----", "...のメッセージ:", an Outlook
+ * From/Sent/To block) starts the history; otherwise a trailing run of ">" lines does.
+ * 
+ * @param {Array} lines - Body lines
+ * @returns {number} - Index of the first quoted line, or -1
+ */
+function findQuoteStart(lines) {
+  const config = BODY_CLEANUP_CONFIG;
+  const hasContentAbove = index => lines.slice(0, index).some(line => line.trim().length > 0);
+  const isQuoteHeader = text => config.QUOTE_HEADER_PATTERNS.some(pattern => pattern.test(text));
+  
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    const next = (lines[i + 1] || '').trim();
+    
+    // Clients wrap long "On ... wrote:" lines; a header that fits on the next line starts there instead
+    const isHeader = isQuoteHeader(line) || (isQuoteHeader(`${line} ${next}`) && !isQuoteHeader(next)) ||
+      (config.HEADER_FROM_PATTERN.test(line) && isOutlookHeaderBlock(lines.slice(i + 1, i + 1 + config.HEADER_LOOKAHEAD_LINES)));
+      
+    if (isHeader && hasContentAbove(i)) {
+      return i > 1 && config.DIVIDER_PATTERN.test(lines[i - 1].trim()) ? i - 1 : i;
+    }
+  }
+  
+  // Trailing ">" lines (blank lines inside the run are part of it)
+  let start = lines.length;
+  while (start > 0 && !lines[start - 1].trim()) {
+    start--;
+  }
+  const contentEnd = start;
+  while (start > 0 && (config.QUOTED_LINE_PATTERN.test(lines[start - 1].trim()) || !lines[start - 1].trim())) {
+    start--;
+  }
+  while (start < contentEnd && !lines[start].trim()) {
+    start++;
+  }
+  
+  return start < contentEnd && hasContentAbove(start) ? start : -1;
+}
+
+/**
+ * Check whether the lines after a From line complete an Outlook header block
+ * From行に続く行がOutlook形式のヘッダーか確認
+ * 
+ * @param {Array} lines - Lines following the From line
+ * @returns {boolean} - True if a Sent/Date line and a To/Subject line follow
+ */
+function isOutlookHeaderBlock(lines) {
+  const trimmed = lines.map(line => line.trim());
+  return trimmed.some(line => BODY_CLEANUP_CONFIG.HEADER_DATE_PATTERN.test(line)) &&
+    trimmed.some(line => BODY_CLEANUP_CONFIG.HEADER_TO_PATTERN.test(line));
+}
+
+/**
+ * Find where the footer starts (first line matching a footer marker)
+ * フッターの開始行を検索（フッターマーカーに一致する最初の行）
+ * 
+ * @param {Array} lines - Body lines
+ * @param {Array} footerMarkers - Footer marker RegExps
+ * @returns {number} - Index of the footer, or -1
+ */
+function findFooterStart(lines, footerMarkers) {
+  if (!footerMarkers || footerMarkers.length === 0) {
+    return -1;
+  }
+  
+  for (let i = 1; i < lines.length; i++) {
+    if (footerMarkers.some(marker => marker.test(lines[i]))) {
+      return i > 1 && BODY_CLEANUP_CONFIG.DIVIDER_PATTERN.test(lines[i - 1].trim()) ? i - 1 : i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find where the signature starts, looking only at the last lines of the body
+ * 署名の開始行を検索（本文の末尾付近のみ）
+ * 
+ * @param {Array} lines - Body lines
+ * @returns {number} - Index of the signature delimiter, or -1
+ */
+function findSignatureStart(lines) {
+  let last = lines.length;
+  while (last > 0 && !lines[last - 1].trim()) {
+    last--;
+  }
+  
+  for (let i = Math.max(1, last - BODY_CLEANUP_CONFIG.SIGNATURE_MAX_LINES); i < last; i++) {
+    if (BODY_CLEANUP_CONFIG.SIGNATURE_PATTERNS.some(pattern => pattern.test(lines[i].trim()))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Test function for body cleanup
+ * 本文クリーンアップのテスト関数
+ */
+function testBodyCleanup() {
+  console.log('=== TESTING Body Cleanup ===');
+  
+  try {
+    const body = [
+      '承知しました。当日伺います。',
+      '',
+      '--',
+      '山田 太郎',
+      '',
+      '2025年4月1日(火) 10:00 事務局 <office@example.com>:',
+      '> 第7回勉強会のご案内です。',
+      '> 出欠をご連絡ください。'
+    ].join('\n');
+    
+    const result = cleanEmailBody(body);
+    console.log(`Body: ${result.body}`);
+    result.removedSections.forEach(section => console.log(`Removed ${section.type} (${section.lineCount} lines)`));
+    console.log('Body cleanup test completed successfully');
+    
+  } catch (error) {
+    console.error('Body cleanup test failed:', error);
+    throw error;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * Body Summarizer Module
+ * 
+ * Picks the key sentences of a long email body (dates, times, places, deadlines and URLs)
+ * without any external service, so the Slack post shows what the email is about instead of
+ * its greeting. Sentences are split on Japanese and English boundaries and scored by simple
+ * patterns; the full body still goes to the Slack thread.
+ */
+
+// Summary settings
+const SUMMARY_CONFIG = {
+  LONG_BODY_LENGTH: 1000,  // Bodies longer than this are previewed and posted in parts
+  MAX_SENTENCES: 5,
+  MAX_LENGTH: 500,  // Characters of all picked sentences together
+  MAX_SENTENCE_LENGTH: 200,
+  // 。！？ (with closing brackets) end a sentence anywhere; . ! ? only before whitespace, so URLs stay whole
+  SENTENCE_BOUNDARY: /(?<=[。．！？][」』）)]*)(?![」』）)])\s*|(?<=[.!?][」』）)"']*)(?![」』）)"'])\s+/,
+  LIST_MARKER_PATTERN: /^(?:[・•●○◆◇■□※*＊>-]|\d{1,2}[.)）]|[①-⑳])\s*/,
+  // Patterns that make a sentence worth showing, with their weight
+  KEY_PATTERNS: [
+    { name: 'date', weight: 3, pattern: /\d{4}[\/\-.年]\d{1,2}[\/\-.月]\d{1,2}|\d{1,2}[\/月]\d{1,2}日?|[（(][月火水木金土日](?:曜日?)?[)）]|[月火水木金土日]曜日|\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.? \d{1,2}\b/i },
+    { name: 'time', weight: 2, pattern: /\d{1,2}[:：]\d{2}|\d{1,2}時(?:\d{1,2}分|半)?|午前|午後|\b\d{1,2}\s?[ap]m\b/i },
+    { name: 'place', weight: 2, pattern: /会場|場所|開催地|会議室|ホール|講堂|教室|オンライン|\d+階|\bZoom\b|\bTeams\b|Google Meet|\bWebex\b|\bvenue\b|\blocation\b|\broom\b/i },
+    { name: 'deadline', weight: 3, pattern: /締切|締め切り|〆切|期限|期日|必着|までに|申込|申し込み|deadline|\bdue\b|no later than|\bRSVP\b/i },
+    { name: 'url', weight: 2, pattern: /https?:\/\/|\bwww\./i }
+  ],
+  // Greetings and closings, shown only when they carry a key fact
+  FILLER_PATTERN: /お世話になっております|お世話になります|お疲れ様です|いつも|平素|拝啓|敬具|よろしくお願い|宜しくお願い|^以上|^Dear\b|^Hi\b|^Hello\b|Best regards|Thank you|^Thanks/i,
+  FILLER_PENALTY: 3
+};
+
+/**
+ * Check whether an email body is long enough to be split
+ * メール本文が分割投稿するほど長いか確認
+ * 
+ * @param {string} body - Formatted email body
+ * @returns {boolean} - True if the body is longer than SUMMARY_CONFIG.LONG_BODY_LENGTH
+ */
+function isLongEmailBody(body) {
+  return Boolean(body) && body.length > SUMMARY_CONFIG.LONG_BODY_LENGTH;
+}
+
+/**
+ * Pick the key sentences of a long email body
+ * 長いメール本文から要点の文を抽出
+ * 
+ * @param {string} body - Formatted email body
+ * @returns {Array|null} - Key sentences in body order, or null if the body is short, summaries
+ *                         are disabled or no sentence carries a key fact
+ */
+function summarizeEmailBody(body) {
+  if (!CONFIG.SUMMARIZE_LONG_BODY || !isLongEmailBody(body)) {
+    return null;
+  }
+  
+  const candidates = splitIntoSentences(body)
+    .map((text, index) => ({ text: text, index: index, score: scoreSentence(text) }))
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+    
+  const picked = [];
+  let length = 0;
+  for (const candidate of candidates) {
+    if (picked.length >= SUMMARY_CONFIG.MAX_SENTENCES) {
+      break;
+    }
+    
+    const text = candidate.text.length > SUMMARY_CONFIG.MAX_SENTENCE_LENGTH
+      ? `${candidate.text.substring(0, findBodySplitIndex(candidate.text, SUMMARY_CONFIG.MAX_SENTENCE_LENGTH - 1))}…`
+      : candidate.text;
+    if (length + text.length > SUMMARY_CONFIG.MAX_LENGTH) {
+      continue;
+    }
+    picked.push({ text: text, index: candidate.index });
+    length += text.length;
+  }
+  
+  if (picked.length === 0) {
+    console.log('No key sentences found in the long body');
+    return null;
+  }
+  console.log(`Summarized body: ${picked.length} of ${candidates.length} key sentences`);
+  return picked.sort((a, b) => a.index - b.index).map(sentence => sentence.text);
+}
+
+/**
+ * Split a body into sentences
+ * 本文を文に分割
+ * 
+ * Line breaks always end a sentence (emails rarely wrap mid-sentence in Japanese); list markers
+ * are dropped and repeated sentences are kept once.
+ * 
+ * @param {string} text - Body text
+ * @returns {Array} - Trimmed sentences in body order
+ */
+function splitIntoSentences(text) {
+  const seen = new Set();
+  return String(text || '').split('\n')
+    .reduce((sentences, line) => sentences.concat(line.split(SUMMARY_CONFIG.SENTENCE_BOUNDARY)), [])
+    .map(sentence => sentence.trim().replace(SUMMARY_CONFIG.LIST_MARKER_PATTERN, '').trim())
+    .filter(sentence => {
+      if (!/[\p{L}\p{N}]/u.test(sentence) || seen.has(sentence)) {
+        return false;
+      }
+      seen.add(sentence);
+      return true;
+    });
+}
+
+/**
+ * Score how much of the email's key facts a sentence carries
+ * 文に含まれる要点（日時・場所・締切・URL）を採点
+ * 
+ * @param {string} sentence - Sentence from splitIntoSentences()
+ * @returns {number} - Sum of the matching KEY_PATTERNS weights, less the filler penalty
+ */
+function scoreSentence(sentence) {
+  const score = SUMMARY_CONFIG.KEY_PATTERNS
+    .filter(key => key.pattern.test(sentence))
+    .reduce((sum, key) => sum + key.weight, 0);
+  return SUMMARY_CONFIG.FILLER_PATTERN.test(sentence) ? score - SUMMARY_CONFIG.FILLER_PENALTY : score;
+}
+
+/**
+ * Test function for body summaries
+ * 本文要約のテスト関数
+ */
+function testBodySummary() {
+  console.log('=== TESTING Body Summary ===');
+  
+  try {
+    const body = [
+      '会員各位',
+      'いつもお世話になっております。事務局です。',
+      '第14回部会を下記のとおり開催いたします。',
+      '日時: 2025年6月5日（木）14:00〜16:00',
+      '会場: 本館3階 大会議室（オンライン参加も可能です）',
+      '出欠は5月30日（金）までにフォームからご回答ください。https://forms.example.com/bukai14',
+      'ご不明な点は事務局までお問い合わせください。',
+      'よろしくお願いいたします。',
+      '事務局からのお知らせ。'.repeat(100)
+    ].join('\n');
+    
+    (summarizeEmailBody(body) || []).forEach(sentence => console.log(`• ${sentence}`));
+    console.log('Body summary test completed successfully');
+    
+  } catch (error) {
+    console.error('Body summary test failed:', error);
+    throw error;
+  }
+}
\ No newline at end of file
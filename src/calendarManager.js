@@ -0,0 +1,487 @@
+/**
+ * Calendar Manager Module
+ * 
+ * Turns event announcements (e.g. "【本日開催】第14回部会開催のご案内※6/5（木）15:00開催")
+ * into calendar events. Japanese date and time expressions are read from the subject,
+ * then the body. The event is created in the CALENDAR_ID calendar, or updated when a
+ * later email announces the same meeting. The Slack post gets an "Add to calendar" link
+ * and an .ics file saved next to the attachments.
+ */
+
+// Calendar event settings
+const CALENDAR_CONFIG = {
+  DEFAULT_DURATION_MINUTES: 60,  // Used when the announcement has no end time
+  PAST_TOLERANCE_DAYS: 60,  // A date without a year further in the past than this is read as next year
+  EVENT_MAP_PROPERTY: 'CALENDAR_EVENT_MAP',  // Event key -> calendar event ID
+  MAX_MAPPED_EVENTS: 200,
+  EVENT_KEY_TAG: 'gmailForwarderKey',
+  // Names of recurring meetings, used to recognise updates of the same event
+  EVENT_NAME_PATTERN: /第\s*\d+\s*回[^\s、。※【】「」()（）]*?(部会|勉強会|研究会|セミナー|委員会|会議)/,
+  // Body lines that usually hold the date, searched before the other lines
+  DATE_LINE_PATTERN: /日時|日程|開催日|期日|Date/i,
+  LOCATION_PATTERN: /^[\s【\[■●◆◇・*]*(場所|会場|開催場所|Location)[\s】\]]*[:：]\s*(.+)$/i,
+  DATE_PATTERN: /(?:(\d{4})\s*年\s*)?(\d{1,2})\s*月\s*(\d{1,2})\s*日|(?<![\d\/.])(?:(\d{4})[\/.-])?(\d{1,2})\/(\d{1,2})(?![\d\/])|(?<![\d-])(\d{4})-(\d{1,2})-(\d{1,2})(?![\d-])/,
+  TIME_PATTERN: /(午前|午後|AM|PM)?\s*(\d{1,2})\s*(?::\s*(\d{2})|時(?!間)\s*(?:(\d{1,2})\s*分|(半))?)/i,
+  RANGE_SEPARATOR_PATTERN: /^\s*[〜~～\-−–ー]\s*/
+};
+
+/**
+ * Extract an event from an announcement email
+ * 案内メールからイベント情報を抽出
+ * 
+ * @param {string} subject - Email subject
+ * @param {string} body - Plain email body
+ * @param {Date} emailDate - Email date (used to infer the year)
+ * @param {string} timeZone - Time zone of the routing rule (optional)
+ * @returns {Object|null} - { title, key, start, end, allDay, location, source } or null if no date was found
+ */
+function extractEventFromEmail(subject, body, emailDate, timeZone = null) {
+  const lines = normalizeEventText(body || '').split('\n');
+  const candidates = [{ text: normalizeEventText(subject || ''), source: 'subject' }]
+    .concat(lines.filter(line => CALENDAR_CONFIG.DATE_LINE_PATTERN.test(line)).map(line => ({ text: line, source: 'body' })))
+    .concat(lines.map(line => ({ text: line, source: 'body' })));
+    
+  for (const candidate of candidates) {
+    const when = parseEventDateTime(candidate.text, emailDate, timeZone);
+    if (!when) {
+      continue;
+    }
+    
+    const title = buildEventTitle(subject);
+    const nameMatch = normalizeEventText(subject || '').match(CALENDAR_CONFIG.EVENT_NAME_PATTERN);
+    const locationLine = lines.map(line => line.match(CALENDAR_CONFIG.LOCATION_PATTERN)).find(match => match);
+    
+    return Object.assign(when, {
+      title: title,
+      key: (nameMatch ? nameMatch[0] : title).replace(/\s+/g, ''),
+      location: locationLine ? locationLine[2].trim() : '',
+      source: candidate.source
+    });
+  }
+  
+  return null;
+}
+
+/**
+ * Convert full-width digits and punctuation used in dates and times to ASCII
+ * 日時表記の全角数字・記号を半角に変換
+ * 
+ * @param {string} text - Text
+ * @returns {string} - Normalized text
+ */
+function normalizeEventText(text) {
+  return String(text)
+    .replace(/[０-９]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xFEE0))
+    .replace(/：/g, ':')
+    .replace(/／/g, '/')
+    .replace(/[－―]/g, '-');
+}
+
+/**
+ * Parse the first date (and the time that follows it) in a line
+ * 行内の最初の日付（と続く時刻）を解析
+ * 
+ * @param {string} text - Normalized text
+ * @param {Date} emailDate - Email date (used to infer the year)
+ * @param {string} timeZone - Time zone (optional)
+ * @returns {Object|null} - { start, end, allDay } or null
+ */
+function parseEventDateTime(text, emailDate, timeZone) {
+  const match = text.match(CALENDAR_CONFIG.DATE_PATTERN);
+  if (!match) {
+    return null;
+  }
+  
+  const groups = [[1, 2, 3], [4, 5, 6], [7, 8, 9]].find(([, month]) => match[month] !== undefined);
+  const month = Number(match[groups[1]]);
+  const day = Number(match[groups[2]]);
+  if (month < 1 || month > 12 || day < 1 || day > 31) {
+    return null;
+  }
+  
+  let year = match[groups[0]] ? Number(match[groups[0]]) : Number(formatDateInTimeZone(emailDate, 'yyyy', timeZone));
+  if (!match[groups[0]]) {
+    const candidate = buildDateInTimeZone(year, month, day, 0, 0, timeZone);
+    if (emailDate.getTime() - candidate.getTime() > CALENDAR_CONFIG.PAST_TOLERANCE_DAYS * 24 * 60 * 60 * 1000) {
+      year++;
+    }
+  }
+  
+  // The time is taken from the rest of the line after the date
+  const rest = text.substring(match.index + match[0].length);
+  const startTime = parseEventTime(rest);
+  if (!startTime) {
+    // All-day events are stored at noon so the day survives time zone conversion
+    return { start: buildDateInTimeZone(year, month, day, 12, 0, timeZone), end: null, allDay: true };
+  }
+  
+  const start = buildDateInTimeZone(year, month, day, startTime.hour, startTime.minute, timeZone);
+  const afterStart = rest.substring(startTime.index + startTime.length);
+  const separator = afterStart.match(CALENDAR_CONFIG.RANGE_SEPARATOR_PATTERN);
+  const endTime = separator ? parseEventTime(afterStart.substring(separator[0].length)) : null;
+  
+  // "午後1時半〜3時": the end time inherits 午後/PM from the start
+  const endHour = endTime && endTime.hour < 12 && endTime.hour + 12 > startTime.hour && endTime.hour <= startTime.hour
+    ? endTime.hour + 12
+    : endTime && endTime.hour;
+  let end = endTime && endTime.index === 0
+    ? buildDateInTimeZone(year, month, day, endHour, endTime.minute, timeZone)
+    : null;
+  if (!end || end.getTime() <= start.getTime()) {
+    end = new Date(start.getTime() + CALENDAR_CONFIG.DEFAULT_DURATION_MINUTES * 60 * 1000);
+  }
+  
+  return { start: start, end: end, allDay: false };
+}
+
+/**
+ * Parse the first time expression ("15:00", "15時30分", "午後3時半")
+ * 最初の時刻表記を解析
+ * 
+ * @param {string} text - Normalized text
+ * @returns {Object|null} - { hour, minute, index, length } or null
+ */
+function parseEventTime(text) {
+  const match = text.match(CALENDAR_CONFIG.TIME_PATTERN);
+  if (!match) {
+    return null;
+  }
+  
+  let hour = Number(match[2]);
+  const minute = match[3] !== undefined ? Number(match[3]) : match[4] !== undefined ? Number(match[4]) : match[5] ? 30 : 0;
+  const period = (match[1] || '').toUpperCase();
+  if ((period === '午後' || period === 'PM') && hour < 12) {
+    hour += 12;
+  }
+  if (hour > 23 || minute > 59) {
+    return null;
+  }
+  
+  return { hour: hour, minute: minute, index: match.index, length: match[0].length };
+}
+
+/**
+ * Build a Date from a wall-clock time in a time zone
+ * タイムゾーン上の日時からDateを生成
+ * 
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day
+ * @param {number} hour - Hour
+ * @param {number} minute - Minute
+ * @param {string} timeZone - Time zone (optional)
+ * @returns {Date} - Date
+ */
+function buildDateInTimeZone(year, month, day, hour, minute, timeZone) {
+  const target = Date.UTC(year, month - 1, day, hour, minute);
+  let time = target;
+  
+  // Two passes settle the offset, including on daylight saving transitions
+  for (let i = 0; i < 2; i++) {
+    const parts = formatDateInTimeZone(new Date(time), 'yyyy-MM-dd-HH-mm', timeZone).split('-').map(Number);
+    time += target - Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4]);
+  }
+  return new Date(time);
+}
+
+/**
+ * Build the event title from the subject (without 【...】 tags, Re:/Fwd: and "※..." notes)
+ * 件名からイベント名を生成（【...】タグ、Re:/Fwd:、「※...」の注記を除く）
+ * 
+ * @param {string} subject - Email subject
+ * @returns {string} - Event title
+ */
+function buildEventTitle(subject) {
+  const title = String(subject || '')
+    .replace(/^\s*((re|fwd?|転送)\s*[:：]\s*)+/i, '')
+    .replace(/【[^】]*】|［[^］]*］|\[[^\]]*\]/g, '')
+    .replace(/※.*$/, '')
+    .trim();
+  return title || String(subject || '').trim();
+}
+
+/**
+ * Run the calendar stage for a matched email
+ * マッチしたメールのカレンダー処理を実行
+ * 
+ * Creates or updates the event in the CALENDAR_ID calendar (when set) and saves an .ics
+ * file in the email's Drive folder. Failures are logged and never stop the forwarding.
+ * 
+ * @param {Object} email - { subject, body, date, messageId, attachments, rule, folderLabel }
+ * @returns {Object|null} - Event info for the Slack post, or null if no event was found
+ */
+function processCalendarEvent(email) {
+  try {
+    const timeZone = email.rule ? email.rule.timeZone : null;
+    const event = extractEventFromEmail(email.subject, email.body, email.date, timeZone);
+    if (!event) {
+      return null;
+    }
+    
+    console.log(`Event found in ${event.source}: ${event.title} (${event.start})`);
+    event.key = `${email.rule ? email.rule.name : 'default'}:${event.key}`;
+    
+    const folderUrl = (email.attachments || []).map(att => att.folderUrl).find(url => url) || null;
+    const description = buildEventDescription(email.subject, email.messageId, folderUrl);
+    const info = Object.assign({}, event, {
+      timeZone: timeZone,
+      calendarUrl: buildGoogleCalendarUrl(event, description),
+      calendarEvent: upsertCalendarEvent(event, description),
+      icsUrl: null
+    });
+    
+    try {
+      const folder = createEmailFolder(DriveApp.getFolderById(getProperty(PROPERTY_KEYS.DRIVE_FOLDER_ID)), email.subject, email.date, timeZone, email.folderLabel);
+      info.icsUrl = saveIcsFile(event, description, folder).getUrl();
+    } catch (error) {
+      console.error('Error saving .ics file:', error);
+    }
+    
+    return info;
+    
+  } catch (error) {
+    console.error('Error processing calendar event:', error);
+    // Don't throw - the email is still forwarded without the event
+    return null;
+  }
+}
+
+/**
+ * Create the event in the configured calendar, or update it if it was created before
+ * 設定したカレンダーにイベントを作成（作成済みなら更新）
+ * 
+ * @param {Object} event - Extracted event
+ * @param {string} description - Event description
+ * @returns {Object|null} - { eventId, action: 'created'|'updated' }, or null without CALENDAR_ID
+ */
+function upsertCalendarEvent(event, description) {
+  const calendarId = getProperty(PROPERTY_KEYS.CALENDAR_ID, false);
+  if (!calendarId) {
+    return null;
+  }
+  
+  const calendar = CalendarApp.getCalendarById(calendarId);
+  if (!calendar) {
+    console.error(`Calendar not found: ${calendarId}`);
+    return null;
+  }
+  
+  const eventMap = getCalendarEventMap();
+  const existing = eventMap[event.key] ? calendar.getEventById(eventMap[event.key]) : null;
+  const options = { description: description, location: event.location };
+  
+  if (existing) {
+    existing.setTitle(event.title);
+    if (event.allDay) {
+      existing.setAllDayDate(event.start);
+    } else {
+      existing.setTime(event.start, event.end);
+    }
+    existing.setDescription(description);
+    existing.setLocation(event.location);
+    console.log(`Updated calendar event: ${event.title} (${existing.getId()})`);
+    return { eventId: existing.getId(), action: 'updated' };
+  }
+  
+  const created = event.allDay
+    ? calendar.createAllDayEvent(event.title, event.start, options)
+    : calendar.createEvent(event.title, event.start, event.end, options);
+  created.setTag(CALENDAR_CONFIG.EVENT_KEY_TAG, event.key);
+  
+  eventMap[event.key] = created.getId();
+  saveCalendarEventMap(eventMap);
+  console.log(`Created calendar event: ${event.title} (${created.getId()})`);
+  return { eventId: created.getId(), action: 'created' };
+}
+
+/**
+ * Get the map of event keys to calendar event IDs
+ * イベントキーとカレンダーイベントIDの対応表を取得
+ * 
+ * @returns {Object} - Event key -> event ID
+ */
+function getCalendarEventMap() {
+  try {
+    return JSON.parse(getProperty(CALENDAR_CONFIG.EVENT_MAP_PROPERTY, false) || '{}');
+  } catch (error) {
+    console.error('Invalid calendar event map, starting a new one:', error);
+    return {};
+  }
+}
+
+/**
+ * Save the map of event keys to calendar event IDs (oldest entries are dropped first)
+ * イベントキーとカレンダーイベントIDの対応表を保存（古いものから削除）
+ * 
+ * @param {Object} eventMap - Event key -> event ID
+ */
+function saveCalendarEventMap(eventMap) {
+  const entries = Object.entries(eventMap).slice(-CALENDAR_CONFIG.MAX_MAPPED_EVENTS);
+  setProperty(CALENDAR_CONFIG.EVENT_MAP_PROPERTY, JSON.stringify(Object.fromEntries(entries)));
+}
+
+/**
+ * Build the event description with links to the email and the Drive folder
+ * メールとDriveフォルダへのリンクを含むイベント説明を生成
+ * 
+ * @param {string} subject - Email subject
+ * @param {string} messageId - Gmail message ID (optional)
+ * @param {string} folderUrl - Drive folder URL (optional)
+ * @returns {string} - Description
+ */
+function buildEventDescription(subject, messageId, folderUrl) {
+  const lines = [`📧 ${subject}`];
+  if (messageId) {
+    lines.push(`Gmail: ${buildGmailMessageUrl(messageId)}`);
+  }
+  if (folderUrl) {
+    lines.push(`📁 Drive: ${folderUrl}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Format the start and end of an event for Google Calendar and iCalendar (UTC)
+ * イベントの開始・終了をGoogleカレンダー／iCalendar形式（UTC）に変換
+ * 
+ * @param {Object} event - Extracted event
+ * @returns {Object} - { start, end } ("yyyyMMdd" for all-day events, "yyyyMMdd'T'HHmmss'Z'" otherwise)
+ */
+function formatEventDates(event) {
+  if (event.allDay) {
+    const nextDay = new Date(event.start.getTime() + 24 * 60 * 60 * 1000);
+    return { start: formatDateInTimeZone(event.start, 'yyyyMMdd', 'UTC'), end: formatDateInTimeZone(nextDay, 'yyyyMMdd', 'UTC') };
+  }
+  return {
+    start: formatDateInTimeZone(event.start, "yyyyMMdd'T'HHmmss'Z'", 'UTC'),
+    end: formatDateInTimeZone(event.end, "yyyyMMdd'T'HHmmss'Z'", 'UTC')
+  };
+}
+
+/**
+ * Build a Google Calendar "Add to calendar" link
+ * Googleカレンダーの「カレンダーに追加」リンクを生成
+ * 
+ * @param {Object} event - Extracted event
+ * @param {string} description - Event description
+ * @returns {string} - URL
+ */
+function buildGoogleCalendarUrl(event, description) {
+  const dates = formatEventDates(event);
+  const params = {
+    action: 'TEMPLATE',
+    text: event.title,
+    dates: `${dates.start}/${dates.end}`,
+    details: description,
+    location: event.location
+  };
+  
+  return 'https://calendar.google.com/calendar/render?' + Object.entries(params)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+}
+
+/**
+ * Build the iCalendar (.ics) content of an event
+ * イベントのiCalendar（.ics）形式のデータを生成
+ * 
+ * @param {Object} event - Extracted event
+ * @param {string} description - Event description
+ * @returns {string} - iCalendar text
+ */
+function buildIcsContent(event, description) {
+  const escape = text => String(text || '').replace(/[\\;,]/g, char => `\\${char}`).replace(/\n/g, '\\n');
+  const dates = formatEventDates(event);
+  const dateType = event.allDay ? ';VALUE=DATE' : '';
+  
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Gmail to Slack Forwarder//JA',
+    'BEGIN:VEVENT',
+    `UID:${event.key.replace(/[^\w-]/g, char => char.charCodeAt(0).toString(16))}@gmail-slack-forwarder`,
+    `DTSTAMP:${formatDateInTimeZone(new Date(), "yyyyMMdd'T'HHmmss'Z'", 'UTC')}`,
+    `DTSTART${dateType}:${dates.start}`,
+    `DTEND${dateType}:${dates.end}`,
+    `SUMMARY:${escape(event.title)}`,
+    ...(event.location ? [`LOCATION:${escape(event.location)}`] : []),
+    `DESCRIPTION:${escape(description)}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+}
+
+/**
+ * Save the .ics file of an event to Drive
+ * イベントの.icsファイルをDriveに保存
+ * 
+ * @param {Object} event - Extracted event
+ * @param {string} description - Event description
+ * @param {DriveFolder} folder - Email folder
+ * @returns {DriveFile} - Saved file
+ */
+function saveIcsFile(event, description, folder) {
+  const fileName = ensureUniqueFilename(folder, `${cleanSubjectForFolder(event.title) || 'event'}.ics`);
+  const blob = Utilities.newBlob(buildIcsContent(event, description), 'text/calendar', fileName);
+  const file = folder.createFile(blob);
+  console.log(`Saved .ics file: ${fileName}`);
+  return file;
+}
+
+/**
+ * Build the event field of the Slack post
+ * Slack投稿のイベント欄を生成
+ * 
+ * @param {Object} eventInfo - Event from processCalendarEvent()
+ * @param {string} locale - Locale of the destination
+ * @returns {string} - Field text
+ */
+function buildEventSlackText(eventInfo, locale) {
+  const day = formatDateInTimeZone(eventInfo.start, 'yyyy/MM/dd', eventInfo.timeZone);
+  const lines = [eventInfo.allDay
+    ? `🗓️ ${day}${localize('event.allDay', {}, locale)}`
+    : `🗓️ ${day} ${formatDateInTimeZone(eventInfo.start, 'HH:mm', eventInfo.timeZone)}–${formatDateInTimeZone(eventInfo.end, 'HH:mm', eventInfo.timeZone)}`];
+    
+  if (eventInfo.location) {
+    lines.push(`📍 ${eventInfo.location}`);
+  }
+  
+  const links = [`<${eventInfo.calendarUrl}|➕ ${localize('event.addToCalendar', {}, locale)}>`];
+  if (eventInfo.icsUrl) {
+    links.push(`<${eventInfo.icsUrl}|📎 .ics>`);
+  }
+  lines.push(links.join(' | '));
+  
+  if (eventInfo.calendarEvent) {
+    lines.push(localize(`event.${eventInfo.calendarEvent.action}`, {}, locale));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Test function for event extraction
+ * イベント抽出のテスト関数
+ */
+function testCalendarEvents() {
+  console.log('=== TESTING Calendar Events ===');
+  
+  try {
+    const samples = [
+      '【本日開催】第14回部会開催のご案内※6/5（木）15:00開催',
+      '第3回勉強会のお知らせ（2025年7月10日 13時30分〜15時）',
+      '第8回研究会のご案内'
+    ];
+    
+    samples.forEach(subject => {
+      const event = extractEventFromEmail(subject, '', new Date());
+      console.log(`${subject} -> ${event ? `${event.title} / ${event.start} - ${event.end}${event.allDay ? ' (all day)' : ''}` : 'no event'}`);
+    });
+    
+    console.log('Calendar events test completed successfully');
+    
+  } catch (error) {
+    console.error('Calendar events test failed:', error);
+    throw error;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,323 @@
+/**
+ * Dashboard Manager Module
+ * 
+ * Serves a read-only status dashboard from the web app deployment (doGet).
+ * Shows trigger status, recent executions, processed messages, Drive usage and the
+ * active routing patterns. Secrets are masked the same way showConfiguration() does.
+ */
+
+// Dashboard settings
+const DASHBOARD_CONFIG = {
+  TITLE: 'Gmail to Slack Forwarder - Status',
+  RECENT_MESSAGE_LIMIT: 20,   // Processed messages shown
+  RECENT_EXECUTION_LIMIT: 10, // Executions shown
+  ERROR_WINDOW_HOURS: 24      // Window for the error counts
+};
+
+/**
+ * Web app entry point: render the status dashboard
+ * Webアプリのエントリポイント: ステータスダッシュボードを表示
+ * 
+ * Add ?format=json to get the raw dashboard data.
+ * 
+ * @param {Object} e - Web app request event
+ * @returns {HtmlOutput|TextOutput} - Dashboard page or JSON
+ */
+function doGet(e) {
+  const parameters = (e && e.parameter) || {};
+  
+  if (!isDashboardViewerAllowed()) {
+    console.error('Dashboard request refused: viewer is not the deploying user');
+    return HtmlService.createHtmlOutput('<p>Access denied</p>').setTitle(DASHBOARD_CONFIG.TITLE);
+  }
+  
+  const data = getDashboardData();
+  
+  if (parameters.format === 'json') {
+    return ContentService.createTextOutput(JSON.stringify(data, null, 2))
+      .setMimeType(ContentService.MimeType.JSON);
+  }
+  
+  return HtmlService.createHtmlOutput(renderDashboardHtml(data))
+    .setTitle(DASHBOARD_CONFIG.TITLE)
+    .addMetaTag('viewport', 'width=device-width, initial-scale=1');
+}
+
+/**
+ * Check that the dashboard is viewed by the deploying user
+ * ダッシュボードの閲覧者がデプロイしたユーザーか確認
+ * 
+ * Slash commands need a deployment that anyone can reach, so doGet cannot rely on the
+ * deployment's access setting alone. Anonymous visitors have no active user email.
+ * 
+ * @returns {boolean} - True if the viewer may see the dashboard
+ */
+function isDashboardViewerAllowed() {
+  const viewer = Session.getActiveUser().getEmail();
+  return Boolean(viewer) && viewer === Session.getEffectiveUser().getEmail();
+}
+
+/**
+ * Collect everything shown on the dashboard
+ * ダッシュボードに表示するデータを収集
+ * 
+ * Each section is collected independently, so one failing service only blanks its own section.
+ * 
+ * @returns {Object} - Dashboard data (dates are preformatted in CONFIG.TIME_ZONE)
+ */
+function getDashboardData() {
+  const collect = (name, collector) => {
+    try {
+      return collector();
+    } catch (error) {
+      console.error(`Dashboard: error collecting ${name}:`, error);
+      return { error: error.message };
+    }
+  };
+  
+  return {
+    generatedAt: formatDashboardDate(new Date()),
+    timeZone: CONFIG.TIME_ZONE,
+    configuration: collect('configuration', getDashboardConfiguration),
+    triggers: collect('triggers', getDashboardTriggerStatus),
+    executions: collect('executions', getDashboardExecutions),
+    recentMessages: collect('recent messages', () => getRecentProcessedMessages(DASHBOARD_CONFIG.RECENT_MESSAGE_LIMIT)
+      .map(message => Object.assign({}, message, { processedDate: formatDashboardDate(message.processedDate) }))),
+    drive: collect('drive', () => getDriveFolderStats()),
+    patterns: collect('patterns', getDashboardPatterns)
+  };
+}
+
+/**
+ * Get the configuration with secrets masked
+ * 秘匿情報をマスクした設定を取得
+ * 
+ * @returns {Object} - Masked configuration
+ */
+function getDashboardConfiguration() {
+  const stats = getProperty('TRACKING_SPREADSHEET_ID', false) ? getTrackingStats() : null;
+  const lease = getProcessingLease();
+  const backfill = getBackfillState();
+  
+  return {
+    senderEmail: maskEmailAddress(getProperty(PROPERTY_KEYS.SENDER_EMAIL, false)),
+    slackChannel: getProperty(PROPERTY_KEYS.SLACK_CHANNEL, false) || 'NOT SET',
+    webhookUrl: maskSecret(getProperty(PROPERTY_KEYS.SLACK_WEBHOOK_URL, false)),
+    botToken: maskSecret(getProperty(PROPERTY_KEYS.SLACK_BOT_TOKEN, false)),
+    timeZone: CONFIG.TIME_ZONE,
+    locale: CONFIG.LOCALE,
+    trackedMessages: stats ? stats.messageCount : 0,
+    spreadsheetUrl: stats ? stats.spreadsheetUrl : null,
+    lockHolder: lease ? `${lease.owner} (since ${formatDashboardDate(lease.acquiredAt)})` : null,
+    backfill: backfill ? `${backfill.from} - ${backfill.to}: ${backfill.completed ? 'completed' : 'in progress'}` : null
+  };
+}
+
+/**
+ * Get the trigger status and the last execution time
+ * トリガー状態と最終実行時刻を取得
+ * 
+ * @returns {Object} - Trigger status
+ */
+function getDashboardTriggerStatus() {
+  const triggers = getTriggerInfo();
+  const lastExecution = getProperty('LAST_EXECUTION', false);
+  const minutesSince = lastExecution
+    ? Math.floor((new Date().getTime() - new Date(lastExecution).getTime()) / (1000 * 60))
+    : null;
+    
+  return {
+    count: triggers.length,
+    intervalMinutes: CONFIG.TRIGGER_INTERVAL_MINUTES,
+    lastExecution: formatDashboardDate(lastExecution),
+    minutesSinceLastExecution: minutesSince,
+    // Same thresholds as checkTriggerHealth()
+    healthy: triggers.length === 1 && minutesSince !== null && minutesSince <= CONFIG.TRIGGER_INTERVAL_MINUTES * 3
+  };
+}
+
+/**
+ * Get recent executions and the error counts within DASHBOARD_CONFIG.ERROR_WINDOW_HOURS
+ * 最近の実行履歴と直近のエラー件数を取得
+ * 
+ * @returns {Object} - Execution summary
+ */
+function getDashboardExecutions() {
+  const history = getExecutionHistory();
+  const windowStart = new Date().getTime() - DASHBOARD_CONFIG.ERROR_WINDOW_HOURS * 60 * 60 * 1000;
+  const inWindow = history.filter(entry => new Date(entry.finishedAt).getTime() >= windowStart);
+  
+  return {
+    windowHours: DASHBOARD_CONFIG.ERROR_WINDOW_HOURS,
+    runs: inWindow.length,
+    processed: inWindow.reduce((sum, entry) => sum + (entry.processed || 0), 0),
+    errors: inWindow.reduce((sum, entry) => sum + (entry.errors || 0), 0),
+    criticalErrors: inWindow.filter(entry => entry.criticalError).length,
+    recent: history.slice(0, DASHBOARD_CONFIG.RECENT_EXECUTION_LIMIT).map(entry =>
+      Object.assign({}, entry, { finishedAt: formatDashboardDate(entry.finishedAt) }))
+  };
+}
+
+/**
+ * Get the active routing rules and their patterns (sender addresses masked)
+ * 有効なルーティングルールとパターンを取得（送信者アドレスはマスク）
+ * 
+ * @returns {Object} - { rules, sheetErrors }
+ */
+function getDashboardPatterns() {
+  const sheetPatterns = loadPatternRulesFromSheet();
+  const rules = getRoutingRules(sheetPatterns);
+  
+  return {
+    rules: rules.map(rule => ({
+      name: rule.name,
+      channel: rule.channel,
+      senders: rule.senders.map(sender => maskEmailAddress(sender)),
+      matchMode: rule.matchMode,
+      patterns: rule.filter
+        ? [rule.filter.source]
+        : (rule.patterns || CONFIG.SUBJECT_PATTERNS?.PATTERNS || []).map(pattern => String(pattern))
+    })),
+    sheetErrors: sheetPatterns ? sheetPatterns.errors : []
+  };
+}
+
+/**
+ * Format a date for the dashboard, tolerating empty values
+ * ダッシュボード用に日付をフォーマット（空の値を許容）
+ * 
+ * @param {Date|string} value - Date or ISO string
+ * @returns {string|null} - Formatted date or null
+ */
+function formatDashboardDate(value) {
+  if (!value) {
+    return null;
+  }
+  
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? String(value) : formatDateInTimeZone(date, 'yyyy/MM/dd HH:mm:ss');
+}
+
+/**
+ * Mask a secret so only whether it is set is shown
+ * 秘匿情報をマスク（設定済みかどうかのみ表示）
+ * 
+ * @param {string} value - Secret value
+ * @returns {string} - '[SET]' or 'NOT SET'
+ */
+function maskSecret(value) {
+  return value ? '[SET]' : 'NOT SET';
+}
+
+/**
+ * Mask the local part of an email address ("news@example.com" -> "n***@example.com")
+ * メールアドレスのローカル部をマスク
+ * 
+ * Domain-only senders ("@example.com") are shown as they are.
+ * 
+ * @param {string} address - Email address
+ * @returns {string} - Masked address or 'NOT SET'
+ */
+function maskEmailAddress(address) {
+  if (!address) {
+    return 'NOT SET';
+  }
+  
+  const [local, domain] = String(address).split('@');
+  if (domain === undefined) {
+    return `${local.charAt(0)}***`;
+  }
+  
+  return local ? `${local.charAt(0)}***@${domain}` : `@${domain}`;
+}
+
+/**
+ * Escape text for HTML output
+ * HTML出力用に文字列をエスケープ
+ * 
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render the dashboard page
+ * ダッシュボードのHTMLを生成
+ * 
+ * @param {Object} data - Result of getDashboardData()
+ * @returns {string} - HTML document
+ */
+function renderDashboardHtml(data) {
+  const table = (headers, rows) => rows.length === 0
+    ? '<p class="empty">No data</p>'
+    : `<table><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr>` +
+      rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('') +
+      '</table>';
+      
+  const section = (title, sectionData, render) => `<section><h2>${escapeHtml(title)}</h2>` +
+    (sectionData && sectionData.error ? `<p class="error">Error: ${escapeHtml(sectionData.error)}</p>` : render(sectionData)) +
+    '</section>';
+    
+  const body = [
+    section('Configuration', data.configuration, config => table(['Setting', 'Value'], [
+      ['Sender email', config.senderEmail],
+      ['Slack channel', config.slackChannel],
+      ['Webhook URL', config.webhookUrl],
+      ['Bot token', config.botToken],
+      ['Time zone', config.timeZone],
+      ['Locale', config.locale],
+      ['Tracked messages', config.trackedMessages],
+      ['Spreadsheet', config.spreadsheetUrl || 'NOT SET'],
+      ['Processing lock', config.lockHolder || 'free'],
+      ['Backfill', config.backfill || 'none']
+    ])),
+    section('Triggers', data.triggers, triggers => table(['Status', 'Triggers', 'Interval', 'Last execution'], [[
+      triggers.healthy ? '🟢 OK' : '⚠️ Check',
+      triggers.count,
+      `${triggers.intervalMinutes} min`,
+      triggers.lastExecution ? `${triggers.lastExecution} (${triggers.minutesSinceLastExecution} min ago)` : 'never'
+    ]])),
+    section(`Executions (last ${DASHBOARD_CONFIG.ERROR_WINDOW_HOURS}h)`, data.executions, executions =>
+      table(['Runs', 'Processed', 'Errors', 'Critical errors'], [[executions.runs, executions.processed, executions.errors, executions.criticalErrors]]) +
+      table(['Finished', 'Duration', 'Processed', 'Errors', 'Deferred', 'Critical error'], executions.recent.map(entry => [
+        entry.finishedAt, `${Math.round(entry.durationMs / 1000)}s`, entry.processed, entry.errors, entry.deferred, entry.criticalError || ''
+      ]))),
+    section('Recent messages', data.recentMessages, messages => table(['Processed', 'Subject', 'Sender', 'Rule'],
+      messages.map(message => [message.processedDate, message.subject, message.sender, message.rules]))),
+    section('Drive usage', data.drive, drive => drive
+      ? table(['Folder', 'Files', 'Subfolders', 'Size'], [[drive.folderName, drive.fileCount, drive.subfolderCount, drive.formattedSize]])
+      : '<p class="empty">Drive folder not available</p>'),
+    section('Active patterns', data.patterns, patterns =>
+      table(['Rule', 'Channel', 'Senders', 'Mode', 'Patterns'], patterns.rules.map(rule => [
+        rule.name, rule.channel, rule.senders.join(', '), rule.matchMode, rule.patterns.join('  ')
+      ])) +
+      patterns.sheetErrors.map(error => `<p class="error">Rules sheet: ${escapeHtml(error)}</p>`).join(''))
+  ].join('\n');
+  
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<style>
+body { font-family: sans-serif; margin: 16px; color: #222; }
+table { border-collapse: collapse; margin-bottom: 8px; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f3f3f3; }
+.error { color: #b00020; }
+.empty { color: #888; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(DASHBOARD_CONFIG.TITLE)}</h1>
+<p>Generated at ${escapeHtml(data.generatedAt)} (${escapeHtml(data.timeZone)})</p>
+${body}
+</body>
+</html>`;
+}
\ No newline at end of file
@@ -0,0 +1,318 @@
+/**
+ * Digest Manager Module
+ * 
+ * Rules with an hourly, daily or weekly delivery mode don't post each email: the email is
+ * queued in the DigestQueue sheet of the tracking spreadsheet, and the sendDigests trigger
+ * (see triggerManager.js) posts the queued emails of each rule as one combined message.
+ * Items are only marked as sent after Slack accepted the digest, so a failed run retries them.
+ */
+
+// Digest settings
+const DIGEST_CONFIG = {
+  MODES: ['immediate', 'hourly', 'daily', 'weekly'],
+  WEEKDAYS: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+  PREVIEW_LENGTH: 200,
+  MAX_ITEMS_PER_MESSAGE: 20,  // Slack recommends at most 20 attachments per message
+  COLOR: '#439FE0'
+};
+
+/**
+ * Check whether a delivery mode collects emails into a digest
+ * 配信モードがダイジェストか確認
+ * 
+ * @param {string} delivery - Delivery mode of a routing rule
+ * @returns {boolean} - True for 'hourly', 'daily' and 'weekly'
+ */
+function isDigestDelivery(delivery) {
+  return Boolean(delivery) && delivery !== 'immediate';
+}
+
+/**
+ * Queue an email for the digest of its routing rule
+ * ルーティングルールのダイジェストにメールを追加
+ * 
+ * @param {Object} emailData - Email data as passed to sendSlackNotification()
+ * @param {Object} rule - Normalized routing rule
+ * @returns {boolean} - True if queued; false if the caller should post the email right away
+ */
+function queueDigestItem(emailData, rule) {
+  try {
+    const folder = (emailData.attachments || []).find(att => att.folderUrl);
+    queueDigestItemInSheet({
+      rule: rule.name,
+      delivery: rule.delivery,
+      messageId: emailData.messageId,
+      subject: emailData.title || emailData.subject,
+      sender: emailData.sender,
+      date: emailData.date,
+      preview: buildDigestPreview(emailData.body),
+      attachments: (emailData.attachments || []).map(att => ({ name: att.originalName, url: att.driveUrl || null })),
+      folderUrl: folder ? folder.folderUrl : null
+    });
+    console.log(`Queued for the ${rule.delivery} digest of rule "${rule.name}": ${emailData.subject}`);
+    return true;
+    
+  } catch (error) {
+    console.error(`Could not queue the email for the ${rule.delivery} digest, posting it right away:`, error);
+    return false;
+  }
+}
+
+/**
+ * Build the short preview of an email body for a digest
+ * ダイジェスト用の本文プレビューを作成
+ * 
+ * @param {string} body - Email body as formatted for Slack
+ * @returns {string} - Single-line preview of up to DIGEST_CONFIG.PREVIEW_LENGTH characters
+ */
+function buildDigestPreview(body) {
+  const text = String(body || '').replace(/\s+/g, ' ').trim();
+  return text.length > DIGEST_CONFIG.PREVIEW_LENGTH
+    ? `${text.substring(0, DIGEST_CONFIG.PREVIEW_LENGTH - 1)}…`
+    : text;
+}
+
+/**
+ * Post the digests that are due (time trigger handler)
+ * 配信時刻を過ぎたダイジェストを投稿（時間トリガーのハンドラー）
+ * 
+ * @returns {Object|null} - Result of deliverDueDigests(), or null if another run holds the lock
+ */
+function sendDigests() {
+  const lock = acquireProcessingLock('sendDigests');
+  if (!lock.acquired) {
+    return null;
+  }
+  
+  try {
+    return deliverDueDigests();
+    
+  } catch (error) {
+    console.error('Error sending digests:', error);
+    sendErrorNotification(`Digest delivery failed: ${error.message}\nQueued emails stay in the DigestQueue sheet and are retried on the next run.`);
+    return null;
+    
+  } finally {
+    releaseProcessingLock(lock);
+  }
+}
+
+/**
+ * Post one combined message per routing rule for the queued emails that are due
+ * 配信時刻を過ぎたキューのメールをルールごとにまとめて投稿
+ * 
+ * An item is due once a digest time has passed since it was queued: the top of the next hour,
+ * the next CONFIG.DIGEST_HOUR, or the next CONFIG.DIGEST_WEEKDAY at that hour, read in the
+ * rule's time zone, and outside the rule's quiet hours (see quietHoursManager.js). Each digest
+ * lists its emails oldest first; failed posts leave their items queued for the next run.
+ * 
+ * @param {Date} now - Current time (optional)
+ * @returns {Object} - { sent, failed, pending }
+ */
+function deliverDueDigests(now = new Date()) {
+  const items = getPendingDigestItemsFromSheet();
+  const result = { sent: 0, failed: 0, pending: 0 };
+  if (items.length === 0) {
+    console.log('Digest queue is empty');
+    return result;
+  }
+  
+  const rules = getRoutingRules();
+  const groups = {};
+  items.forEach(item => {
+    const rule = rules.find(candidate => candidate.name === item.rule);
+    const destination = rule ? buildRouteDestination(rule) : { channel: CONFIG.SLACK_CHANNEL };
+    if (!isDigestItemDue(item, now, resolveSlackDestination(destination).timeZone) || getQuietHoursReason(destination, now)) {
+      result.pending++;
+      return;
+    }
+    
+    const key = `${item.rule}\n${item.delivery}`;
+    const group = groups[key] || (groups[key] = { rule: item.rule, delivery: item.delivery, destination: destination, items: [] });
+    group.items.push(item);
+  });
+  
+  const failures = [];
+  Object.values(groups).forEach(group => {
+    group.items.sort((a, b) => a.date.getTime() - b.date.getTime());
+    const chunks = [];
+    for (let i = 0; i < group.items.length; i += DIGEST_CONFIG.MAX_ITEMS_PER_MESSAGE) {
+      chunks.push(group.items.slice(i, i + DIGEST_CONFIG.MAX_ITEMS_PER_MESSAGE));
+    }
+    
+    chunks.forEach((chunk, index) => {
+      const message = buildDigestMessage(chunk, group.delivery, group.destination, chunks.length > 1 ? `${index + 1}/${chunks.length}` : null);
+      if (!postDigestMessage(message)) {
+        result.failed += chunk.length;
+        failures.push(`${group.rule} (${group.delivery}): ${chunk.length} email(s)`);
+        return;
+      }
+      
+      markDigestItemsSentInSheet(chunk.map(item => item.row), now);
+      result.sent += chunk.length;
+      console.log(`✓ Sent ${group.delivery} digest of rule "${group.rule}" with ${chunk.length} email(s)`);
+    });
+  });
+  
+  cleanupDeliveredRowsInSheet(SPREADSHEET_CONFIG.DIGEST_SHEET_NAME, SPREADSHEET_CONFIG.DIGEST_HEADERS, SPREADSHEET_CONFIG.DIGEST_MAX_ROWS);
+  if (failures.length > 0) {
+    sendErrorNotification(`Digest delivery failed (emails stay queued for the next run):\n${failures.join('\n')}`);
+  }
+  
+  console.log(`Digests: ${result.sent} sent, ${result.failed} failed, ${result.pending} waiting`);
+  return result;
+}
+
+/**
+ * Check whether a queued item is due
+ * キューの項目が配信時刻を過ぎたか確認
+ * 
+ * @param {Object} item - Item from getPendingDigestItemsFromSheet()
+ * @param {Date} now - Current time
+ * @param {string} timeZone - Time zone of the rule
+ * @returns {boolean} - True once a digest time has passed since the item was queued
+ */
+function isDigestItemDue(item, now, timeZone) {
+  return getDigestPeriodKey(item.delivery, now, timeZone) > getDigestPeriodKey(item.delivery, item.queuedAt, timeZone);
+}
+
+/**
+ * Get the digest period that a time falls into
+ * 時刻が属するダイジェスト期間を取得
+ * 
+ * Periods start at the top of each hour (hourly), at CONFIG.DIGEST_HOUR (daily) or at
+ * CONFIG.DIGEST_WEEKDAY at that hour (weekly); keys sort in time order.
+ * 
+ * @param {string} delivery - 'hourly', 'daily' or 'weekly'
+ * @param {Date} date - Time
+ * @param {string} timeZone - Time zone of the rule
+ * @returns {string} - Period key such as '2025-06-05 08' or '2025-06-02'
+ */
+function getDigestPeriodKey(delivery, date, timeZone) {
+  if (delivery === 'hourly') {
+    return formatDateInTimeZone(date, 'yyyy-MM-dd HH', timeZone);
+  }
+  
+  // Shift by the digest hour so that each period starts at midnight
+  const hourMs = 60 * 60 * 1000;
+  const shifted = new Date(date.getTime() - (CONFIG.DIGEST_HOUR || 0) * hourMs);
+  if (delivery === 'daily') {
+    return formatDateInTimeZone(shifted, 'yyyy-MM-dd', timeZone);
+  }
+  
+  const weekday = DIGEST_CONFIG.WEEKDAYS.indexOf(formatDateInTimeZone(shifted, 'EEE', timeZone));
+  const startDay = Math.max(DIGEST_CONFIG.WEEKDAYS.indexOf(CONFIG.DIGEST_WEEKDAY), 0);
+  const daysSinceStart = (weekday - startDay + 7) % 7;
+  return formatDateInTimeZone(new Date(shifted.getTime() - daysSinceStart * 24 * hourMs), 'yyyy-MM-dd', timeZone);
+}
+
+/**
+ * Build the combined Slack message of a digest
+ * ダイジェストのSlackメッセージを構築
+ * 
+ * @param {Array} items - Queued items of one rule
+ * @param {string} delivery - 'hourly', 'daily' or 'weekly'
+ * @param {Object} destination - Slack destination of the rule
+ * @param {string} part - '1/2' when the digest is split over several messages (optional)
+ * @returns {Object} - Slack message object
+ */
+function buildDigestMessage(items, delivery, destination, part = null) {
+  const target = resolveSlackDestination(destination);
+  const locale = target.locale;
+  const title = localize('digest.title', { label: localize(`digest.${delivery}`, {}, locale), count: items.length }, locale);
+  
+  return {
+    channel: target.channel,
+    username: target.username,
+    icon_emoji: target.iconEmoji,
+    text: part ? `${title} (${part})` : title,
+    attachments: items.map(item => {
+      const files = item.attachments.map(att => (att.url ? `<${att.url}|${att.name}>` : att.name));
+      const lines = [
+        item.preview || localize('email.noBody', {}, locale),
+        files.length > 0 ? `📎 ${files.join(', ')}` : '',
+        item.folderUrl ? localize('digest.folder', { url: item.folderUrl }, locale) : ''
+      ];
+      
+      return {
+        color: DIGEST_CONFIG.COLOR,
+        title: item.subject,
+        title_link: item.messageId ? buildGmailMessageUrl(item.messageId) : undefined,
+        text: lines.filter(line => line).join('\n'),
+        footer: `${item.sender} · ${formatDateInTimeZone(item.date, 'yyyy/MM/dd HH:mm', target.timeZone)}`,
+        mrkdwn_in: ['text']
+      };
+    })
+  };
+}
+
+/**
+ * Post a digest message with the Web API or the webhook
+ * ダイジェストメッセージをWeb APIまたはWebhookで投稿
+ * 
+ * @param {Object} message - Slack message object
+ * @returns {boolean} - True if Slack accepted the message
+ */
+function postDigestMessage(message) {
+  try {
+    const botToken = getProperty(PROPERTY_KEYS.USE_SLACK_API, false) === 'true'
+      ? getProperty(PROPERTY_KEYS.SLACK_BOT_TOKEN, false)
+      : null;
+      
+    if (botToken) {
+      const response = UrlFetchApp.fetch('https://slack.com/api/chat.postMessage', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${botToken}`,
+          'Content-Type': 'application/json'
+        },
+        payload: JSON.stringify(Object.assign({}, message, { channel: message.channel.replace(/^#/, '') })),
+        muteHttpExceptions: true
+      });
+      const responseData = JSON.parse(response.getContentText());
+      if (!responseData.ok) {
+        console.error(`✗ Digest post failed: ${responseData.error}`);
+      }
+      return Boolean(responseData.ok);
+    }
+    
+    const response = UrlFetchApp.fetch(getProperty(PROPERTY_KEYS.SLACK_WEBHOOK_URL), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      payload: JSON.stringify(message),
+      muteHttpExceptions: true
+    });
+    if (response.getResponseCode() !== 200) {
+      console.error(`✗ Digest post failed: ${response.getResponseCode()} - ${response.getContentText()}`);
+    }
+    return response.getResponseCode() === 200;
+    
+  } catch (error) {
+    console.error('Error posting digest:', error);
+    return false;
+  }
+}
+
+/**
+ * Test function for digests
+ * ダイジェストのテスト関数
+ */
+function testDigests() {
+  console.log('=== TESTING Digests ===');
+  
+  try {
+    const digestRules = getRoutingRules().filter(rule => isDigestDelivery(rule.delivery));
+    console.log(`Digest rules: ${digestRules.map(rule => `${rule.name} (${rule.delivery})`).join(', ') || 'none'}`);
+    
+    const items = getPendingDigestItemsFromSheet();
+    console.log(`Queued emails: ${items.length}`);
+    ['hourly', 'daily', 'weekly'].forEach(delivery => {
+      console.log(`Current ${delivery} period: ${getDigestPeriodKey(delivery, new Date(), CONFIG.TIME_ZONE)}`);
+    });
+    console.log('Digest test completed successfully');
+    
+  } catch (error) {
+    console.error('Digest test failed:', error);
+    throw error;
+  }
+}
\ No newline at end of file
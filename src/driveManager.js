@@ -12,9 +12,11 @@
  * @param {Array} attachments - Array of Gmail attachment objects
  * @param {string} subject - Email subject for filename generation
  * @param {Date} emailDate - Email date for folder organization
+ * @param {string} timeZone - Time zone for the folder date (optional, defaults to CONFIG.TIME_ZONE)
+ * @param {string} folderLabel - Folder name after the date, from the rule's folderTemplate (optional, defaults to the subject)
  * @returns {Array} - Array of attachment info objects
  */
-function processAttachments(attachments, subject, emailDate = new Date()) {
+function processAttachments(attachments, subject, emailDate = new Date(), timeZone = null, folderLabel = null) {
   console.log(`Processing ${attachments.length} attachments for subject: ${subject}`);
   
   if (attachments.length === 0) {
@@ -30,7 +32,7 @@ function processAttachments(attachments, subject, emailDate = new Date()) {
     console.log(`Base folder URL: ${baseFolder.getUrl()}`);
     
     // Create organized subfolder for this email
-    const emailFolder = createEmailFolder(baseFolder, subject, emailDate);
+    const emailFolder = createEmailFolder(baseFolder, subject, emailDate, timeZone, folderLabel);
     console.log(`Created/found email folder: ${emailFolder.getName()}`);
     console.log(`Email folder URL: ${emailFolder.getUrl()}`);
     console.log(`Email folder ID: ${emailFolder.getId()}`);
@@ -80,23 +82,15 @@ function processAttachments(attachments, subject, emailDate = new Date()) {
  * @param {DriveFolder} baseFolder - Base folder for attachments
  * @param {string} subject - Email subject
  * @param {Date} emailDate - Email date
+ * @param {string} timeZone - Time zone for the folder date (optional)
+ * @param {string} folderLabel - Folder name after the date (optional, defaults to the subject)
  * @returns {DriveFolder} - Created or existing email folder
  */
-function createEmailFolder(baseFolder, subject, emailDate) {
+function createEmailFolder(baseFolder, subject, emailDate, timeZone = null, folderLabel = null) {
   try {
-    // Format date as YYYYMMDD
-    const dateStr = Utilities.formatDate(emailDate, 'JST', 'yyyyMMdd');
-    
-    // Clean subject for folder name
-    const cleanSubject = cleanSubjectForFolder(subject);
-    
-    // Create folder name: "YYYYMMDD_Subject"
-    const folderName = `${dateStr}_${cleanSubject}`;
+    const folderName = buildEmailFolderName(subject, emailDate, timeZone, folderLabel);
     
     console.log(`Creating email folder: ${folderName}`);
-    console.log(`Date string: ${dateStr}`);
-    console.log(`Clean subject: ${cleanSubject}`);
-    console.log(`Full folder name: ${folderName}`);
     
     // Check if folder already exists
     const existingFolders = baseFolder.getFoldersByName(folderName);
@@ -121,6 +115,26 @@ function createEmailFolder(baseFolder, subject, emailDate) {
   }
 }
 
+/**
+ * Build the folder name used for an email's attachments
+ * メール添付ファイル用のフォルダ名を生成
+ * 
+ * @param {string} subject - Email subject
+ * @param {Date} emailDate - Email date
+ * @param {string} timeZone - Time zone for the date part (optional)
+ * @param {string} folderLabel - Name to use instead of the subject, e.g. a rendered folderTemplate (optional)
+ * @returns {string} - Folder name in "YYYYMMDD_Subject" format
+ */
+function buildEmailFolderName(subject, emailDate, timeZone = null, folderLabel = null) {
+  // Format date as YYYYMMDD
+  const dateStr = formatDateInTimeZone(emailDate, 'yyyyMMdd', timeZone);
+  
+  // Clean subject for folder name
+  const cleanSubject = cleanSubjectForFolder(folderLabel || subject);
+  
+  return `${dateStr}_${cleanSubject}`;
+}
+
 /**
  * Clean email subject for use as folder name
  * メール件名をフォルダ名として使用できるようにクリーニング
@@ -147,7 +161,7 @@ function cleanSubjectForFolder(subject) {
   } catch (error) {
     console.error('Error cleaning subject for folder:', error);
     // Fallback to timestamp if subject cleaning fails
-    return `Email_${Utilities.formatDate(new Date(), 'JST', 'HHmmss')}`;
+    return `Email_${formatDateInTimeZone(new Date(), 'HHmmss')}`;
   }
 }
 
@@ -212,7 +226,7 @@ function saveAttachmentToDrive(attachment, subject, index, folder) {
  */
 function generateSimpleFilename(index, originalName) {
   try {
-    const timestamp = Utilities.formatDate(new Date(), 'JST', 'HHmmss');
+    const timestamp = formatDateInTimeZone(new Date(), 'HHmmss');
     
     // For organized folders, use simpler naming
     if (originalName && originalName.trim()) {
@@ -309,6 +323,8 @@ function formatFileSize(bytes) {
  * Get Drive folder usage statistics
  * Driveフォルダの使用状況統計を取得
  * 
+ * Attachments are saved in per-email subfolders, so subfolders are included.
+ * 
  * @returns {Object} - Folder statistics
  */
 function getDriveFolderStats() {
@@ -316,21 +332,15 @@ function getDriveFolderStats() {
     const folderId = getProperty(PROPERTY_KEYS.DRIVE_FOLDER_ID);
     const folder = DriveApp.getFolderById(folderId);
     
-    const files = folder.getFiles();
-    let fileCount = 0;
-    let totalSize = 0;
-    
-    while (files.hasNext()) {
-      const file = files.next();
-      fileCount++;
-      totalSize += file.getSize();
-    }
+    const stats = { fileCount: 0, totalSize: 0, subfolderCount: 0 };
+    accumulateFolderStats(folder, stats);
     
     return {
       folderName: folder.getName(),
-      fileCount: fileCount,
-      totalSize: totalSize,
-      formattedSize: formatFileSize(totalSize),
+      fileCount: stats.fileCount,
+      subfolderCount: stats.subfolderCount,
+      totalSize: stats.totalSize,
+      formattedSize: formatFileSize(stats.totalSize),
       folderUrl: folder.getUrl()
     };
     
@@ -340,6 +350,28 @@ function getDriveFolderStats() {
   }
 }
 
+/**
+ * Add the files of a folder and its subfolders to the statistics
+ * フォルダとサブフォルダ内のファイルを統計に加算
+ * 
+ * @param {DriveFolder} folder - Folder to scan
+ * @param {Object} stats - { fileCount, totalSize, subfolderCount } (updated in place)
+ */
+function accumulateFolderStats(folder, stats) {
+  const files = folder.getFiles();
+  while (files.hasNext()) {
+    const file = files.next();
+    stats.fileCount++;
+    stats.totalSize += file.getSize();
+  }
+  
+  const subfolders = folder.getFolders();
+  while (subfolders.hasNext()) {
+    stats.subfolderCount++;
+    accumulateFolderStats(subfolders.next(), stats);
+  }
+}
+
 /**
  * Clean up old files in Drive folder (optional maintenance function)
  * Driveフォルダ内の古いファイルをクリーンアップ（オプションのメンテナンス関数）
@@ -0,0 +1,412 @@
+/**
+ * Duplicate Detector Module
+ * 
+ * Recognises re-sent announcements (reminders, corrected versions) that arrive with a new
+ * Message-ID. Each processed message gets a content fingerprint of its normalized subject,
+ * body and attachments, stored in the tracking sheet; later messages are compared with the
+ * recent fingerprints and handled by the duplicateAction of their routing rule.
+ */
+
+// Duplicate detection settings
+const DUPLICATE_CONFIG = {
+  // 'suppress': don't post, 'thread': reply in the Slack thread of the original,
+  // 'diff': post with the changes since the previous version, 'post': post as usual
+  ACTIONS: ['suppress', 'thread', 'diff', 'post'],
+  FINGERPRINT_VERSION: 'v1',
+  // Markers added to re-sent subjects, e.g. "【再送】", "(訂正)", "[Reminder]"
+  SUBJECT_MARKER_PATTERN: /[【\[(（〔<＜]\s*(再送信?|再掲|リマインド|リマインダー|訂正|修正|変更|差し替え|更新|再案内|reminder|re-?sent|resend|corrected|correction|updated?)\s*(版|あり)?\s*[】\])）〕>＞]/gi,
+  REPLY_PREFIX_PATTERN: /^(re|fwd?|fw|転送)\s*[:：]\s*/i,
+  URL_PATTERN: /https?:\/\/\S+/g,
+  SHINGLE_SIZE: 3,
+  MAX_BODY_LENGTH: 20000,
+  // Simhash bits (of 64) that may differ for a near-duplicate; a one-line edit of a short
+  // announcement moves about 5-9 bits, next month's announcement of the same template 13 or more
+  NEAR_DUPLICATE_MAX_DISTANCE: 10,
+  WINDOW_DAYS: 30,
+  MAX_CANDIDATES: 500,
+  MAX_DIFF_LINES: 20,
+  MAX_DIFF_LINE_LENGTH: 200,
+  MAX_DIFF_INPUT_LINES: 400
+};
+
+/**
+ * Build the content fingerprint of an email
+ * メールの内容フィンガープリントを作成
+ * 
+ * "v1:<subject hash>:<body hash>:<body simhash>:<attachment hashes>" - the hashes find exact
+ * re-sends, the simhash finds versions with small edits.
+ * 
+ * @param {string} subject - Email subject
+ * @param {string} body - Plain email body
+ * @param {Array} attachments - GmailAttachment objects
+ * @returns {string} - Fingerprint
+ */
+function buildContentFingerprint(subject, body, attachments = []) {
+  const normalizedBody = normalizeBodyForFingerprint(body);
+  const attachmentHashes = attachments
+    .map(attachment => computeFingerprintDigest(attachment.getBytes()).substring(0, 16))
+    .sort();
+    
+  return [
+    DUPLICATE_CONFIG.FINGERPRINT_VERSION,
+    computeFingerprintDigest(normalizeSubjectForFingerprint(subject)).substring(0, 16),
+    computeFingerprintDigest(normalizedBody),
+    computeSimhash(normalizedBody),
+    attachmentHashes.join(',')
+  ].join(':');
+}
+
+/**
+ * Parse a fingerprint stored in the tracking sheet
+ * 追跡シートのフィンガープリントを解析
+ * 
+ * @param {string} fingerprint - Fingerprint from buildContentFingerprint()
+ * @returns {Object|null} - { subject, body, simhash, attachments } or null if not a fingerprint
+ */
+function parseContentFingerprint(fingerprint) {
+  const parts = String(fingerprint || '').split(':');
+  if (parts.length !== 5 || parts[0] !== DUPLICATE_CONFIG.FINGERPRINT_VERSION) {
+    return null;
+  }
+  
+  return {
+    subject: parts[1],
+    body: parts[2],
+    simhash: parts[3],
+    attachments: parts[4] ? parts[4].split(',') : []
+  };
+}
+
+/**
+ * Normalize a subject: width, case, reply prefixes and re-send markers are ignored
+ * 件名を正規化（全角/半角・大文字小文字・返信接頭辞・再送マーカーを無視）
+ * 
+ * @param {string} subject - Email subject
+ * @returns {string} - Normalized subject
+ */
+function normalizeSubjectForFingerprint(subject) {
+  let text = String(subject || '').normalize('NFKC').toLowerCase()
+    .replace(DUPLICATE_CONFIG.SUBJECT_MARKER_PATTERN, '')
+    .trim();
+  while (DUPLICATE_CONFIG.REPLY_PREFIX_PATTERN.test(text)) {
+    text = text.replace(DUPLICATE_CONFIG.REPLY_PREFIX_PATTERN, '').trim();
+  }
+  return text.replace(/\s+/g, '');
+}
+
+/**
+ * Normalize a body: quoted replies and signatures, URLs (tracking links change per send),
+ * width, case and whitespace are ignored
+ * 本文を正規化（引用・署名・URL・全角/半角・大文字小文字・空白を無視）
+ * 
+ * @param {string} body - Plain email body
+ * @returns {string} - Normalized body
+ */
+function normalizeBodyForFingerprint(body) {
+  return cleanEmailBody(String(body || '')).body
+    .substring(0, DUPLICATE_CONFIG.MAX_BODY_LENGTH)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(DUPLICATE_CONFIG.URL_PATTERN, '')
+    .replace(/\s+/g, '');
+}
+
+/**
+ * MD5 digest of a string or byte array as hex
+ * 文字列またはバイト配列のMD5ダイジェスト（16進数）
+ * 
+ * @param {string|Array} value - Text or bytes
+ * @returns {string} - Hex digest
+ */
+function computeFingerprintDigest(value) {
+  const digest = typeof value === 'string'
+    ? Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, value, Utilities.Charset.UTF_8)
+    : Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, value);
+  return digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 64-bit simhash of the character shingles of a text, as 16 hex digits
+ * 文字n-gramの64ビットsimhash（16進数16桁）
+ * 
+ * Character shingles work for Japanese text, which has no spaces between words.
+ * 
+ * @param {string} text - Normalized text
+ * @returns {string} - Simhash
+ */
+function computeSimhash(text) {
+  const size = DUPLICATE_CONFIG.SHINGLE_SIZE;
+  const weights = new Array(64).fill(0);
+  
+  const count = Math.max(1, text.length - size + 1);
+  for (let i = 0; i < count; i++) {
+    const shingle = text.substring(i, i + size);
+    const halves = [hashShingle(shingle, 0x811c9dc5), hashShingle(shingle, 0x050c5d1f)];
+    halves.forEach((hash, half) => {
+      for (let bit = 0; bit < 32; bit++) {
+        weights[half * 32 + bit] += (hash >>> bit) & 1 ? 1 : -1;
+      }
+    });
+  }
+  
+  return [0, 32].map(offset => {
+    let value = 0;
+    for (let bit = 0; bit < 32; bit++) {
+      if (weights[offset + bit] > 0) {
+        value |= 1 << bit;
+      }
+    }
+    return (value >>> 0).toString(16).padStart(8, '0');
+  }).join('');
+}
+
+/**
+ * 32-bit FNV-1a hash of a shingle
+ * シングルの32ビットFNV-1aハッシュ
+ * 
+ * @param {string} text - Shingle
+ * @param {number} seed - Offset basis
+ * @returns {number} - Unsigned hash
+ */
+function hashShingle(text, seed) {
+  let hash = seed;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Number of differing bits between two simhashes
+ * 2つのsimhashの異なるビット数
+ * 
+ * @param {string} a - Simhash
+ * @param {string} b - Simhash
+ * @returns {number} - Hamming distance (0-64)
+ */
+function getSimhashDistance(a, b) {
+  let distance = 0;
+  for (let offset = 0; offset < 16; offset += 8) {
+    let diff = (parseInt(a.substring(offset, offset + 8), 16) ^ parseInt(b.substring(offset, offset + 8), 16)) >>> 0;
+    while (diff) {
+      diff &= diff - 1;
+      distance++;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Compare a fingerprint with one of an earlier message
+ * フィンガープリントを以前のメッセージと比較
+ * 
+ * Messages are related when their normalized subjects match or they carry the same
+ * attachments; related messages with the same content are duplicates, with a similar
+ * body (or the same body and other attachments) near-duplicates.
+ * 
+ * @param {string} fingerprint - Fingerprint of the new message
+ * @param {string} previous - Fingerprint of the earlier message
+ * @returns {string|null} - 'duplicate', 'near-duplicate' or null
+ */
+function compareContentFingerprints(fingerprint, previous) {
+  const current = parseContentFingerprint(fingerprint);
+  const earlier = parseContentFingerprint(previous);
+  if (!current || !earlier) {
+    return null;
+  }
+  
+  const sameAttachments = current.attachments.join(',') === earlier.attachments.join(',');
+  const related = current.subject === earlier.subject || (sameAttachments && current.attachments.length > 0);
+  if (!related) {
+    return null;
+  }
+  
+  if (current.body === earlier.body) {
+    return sameAttachments ? 'duplicate' : 'near-duplicate';
+  }
+  return getSimhashDistance(current.simhash, earlier.simhash) <= DUPLICATE_CONFIG.NEAR_DUPLICATE_MAX_DISTANCE
+    ? 'near-duplicate'
+    : null;
+}
+
+/**
+ * Find the most recent processed message that the fingerprint duplicates
+ * フィンガープリントが重複する直近の処理済みメッセージを検索
+ * 
+ * @param {string} fingerprint - Fingerprint of the new message
+ * @param {string} messageId - Gmail message ID of the new message (its own row is skipped when re-sent)
+ * @returns {Object|null} - { kind, messageId, originalMessageId, subject, processedDate } or null
+ */
+function findDuplicateMessage(fingerprint, messageId) {
+  try {
+    const since = new Date(Date.now() - DUPLICATE_CONFIG.WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const candidates = getRecentFingerprintsFromSheet(since, DUPLICATE_CONFIG.MAX_CANDIDATES);
+    
+    for (const candidate of candidates.filter(row => row.messageId !== messageId)) {
+      const kind = compareContentFingerprints(fingerprint, candidate.fingerprint);
+      if (kind) {
+        console.log(`Content is a ${kind} of message ${candidate.messageId}`);
+        return {
+          kind: kind,
+          messageId: candidate.messageId,
+          // Re-sends of a re-send point back to the first post
+          originalMessageId: candidate.duplicateOf || candidate.messageId,
+          subject: candidate.subject,
+          processedDate: candidate.processedDate
+        };
+      }
+    }
+    return null;
+    
+  } catch (error) {
+    console.error('Error looking for duplicate messages:', error);
+    // Post as a new message if the lookup fails
+    return null;
+  }
+}
+
+/**
+ * Describe a duplicate for the Slack post of one routing rule
+ * ルーティングルールのSlack投稿用に重複の情報をまとめる
+ * 
+ * When the earlier message can't be read (deleted, or Gmail fails), the notice falls back to the
+ * tracking record and has no diff, so the new message is still posted.
+ * 
+ * @param {Object} duplicate - Result of findDuplicateMessage()
+ * @param {string} action - duplicateAction of the rule
+ * @param {Object} email - { subject, body, attachments } of the new message
+ * @returns {Object|null} - { kind, action, subject, date, gmailThreadId, diff } or null to post as usual
+ */
+function describeDuplicate(duplicate, action, email) {
+  if (!duplicate || action === 'post' || action === 'suppress') {
+    return null;
+  }
+  
+  const notice = {
+    kind: duplicate.kind,
+    action: action,
+    subject: duplicate.subject,
+    date: duplicate.processedDate,
+    gmailThreadId: null,
+    diff: null
+  };
+  
+  try {
+    const previous = GmailApp.getMessageById(duplicate.messageId);
+    const original = duplicate.originalMessageId === duplicate.messageId ? previous : GmailApp.getMessageById(duplicate.originalMessageId);
+    if (previous) {
+      notice.subject = previous.getSubject();
+      notice.date = previous.getDate();
+    }
+    notice.gmailThreadId = original ? original.getThread().getId() : null;
+    notice.diff = action === 'diff' && previous ? buildContentDiff(previous, email) : null;
+  } catch (error) {
+    console.error('Error reading the earlier message of a duplicate:', error);
+    // Don't throw - the notice is posted from the tracking record without the diff
+    notice.diff = null;
+  }
+  
+  return notice;
+}
+
+/**
+ * Build a line diff between an earlier message and the new one
+ * 以前のメッセージと新しいメッセージの行単位の差分を作成
+ * 
+ * The subject and the attachment names are compared along with the body.
+ * 
+ * @param {GmailMessage} previous - Earlier message
+ * @param {Object} email - { subject, body, attachments } of the new message
+ * @returns {Array} - Changed lines as { type: '+'|'-', text }
+ */
+function buildContentDiff(previous, email) {
+  const toLines = (subject, body, attachments) => [
+    subject,
+    ...cleanEmailBody(String(body || '')).body.split('\n'),
+    ...attachments.map(attachment => `📎 ${attachment.getName()}`)
+  ].map(line => line.trim()).filter(line => line.length > 0).slice(0, DUPLICATE_CONFIG.MAX_DIFF_INPUT_LINES);
+  
+  const before = toLines(previous.getSubject(), previous.getPlainBody(), previous.getAttachments());
+  const after = toLines(email.subject, email.body, email.attachments);
+  
+  // Longest common subsequence table, filled from the end
+  const lengths = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      i++;
+      j++;
+    } else if (i < before.length && (j >= after.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      changes.push({ type: '-', text: before[i++] });
+    } else {
+      changes.push({ type: '+', text: after[j++] });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Build the Slack text for a duplicate notice
+ * 重複通知のSlackテキストを作成
+ * 
+ * @param {Object} duplicate - Result of describeDuplicate()
+ * @param {string} locale - Locale of the destination
+ * @param {string} timeZone - Time zone of the destination
+ * @returns {string} - mrkdwn text
+ */
+function buildDuplicateSlackText(duplicate, locale, timeZone) {
+  const params = {
+    subject: duplicate.subject,
+    date: formatSlackDate(duplicate.date, timeZone, 'yyyy/MM/dd HH:mm', '{date_num} {time}')
+  };
+  
+  if (duplicate.action !== 'diff' || !duplicate.diff) {
+    return localize(duplicate.kind === 'duplicate' ? 'duplicate.same' : 'duplicate.changed', params, locale);
+  }
+  if (duplicate.diff.length === 0) {
+    return localize('duplicate.noChanges', params, locale);
+  }
+  
+  const lines = duplicate.diff.slice(0, DUPLICATE_CONFIG.MAX_DIFF_LINES).map(change => {
+    const text = change.text.length > DUPLICATE_CONFIG.MAX_DIFF_LINE_LENGTH
+      ? `${change.text.substring(0, DUPLICATE_CONFIG.MAX_DIFF_LINE_LENGTH)}…`
+      : change.text;
+    return `${change.type} ${text.replace(/`/g, "'")}`;
+  });
+  if (duplicate.diff.length > DUPLICATE_CONFIG.MAX_DIFF_LINES) {
+    lines.push(`… (${duplicate.diff.length - DUPLICATE_CONFIG.MAX_DIFF_LINES})`);
+  }
+  return `${localize('duplicate.diff', params, locale)}\n\`\`\`\n${lines.join('\n')}\n\`\`\``;
+}
+
+/**
+ * Test function for duplicate detection
+ * 重複検出のテスト関数
+ */
+function testDuplicateDetection() {
+  console.log('=== TESTING Duplicate Detection ===');
+  
+  try {
+    const original = buildContentFingerprint('第14回部会開催のご案内', '6月5日(木) 14:00より第14回部会を開催します。\n会場: 本社3F会議室\nご出欠をご連絡ください。');
+    const reminder = buildContentFingerprint('【リマインド】第14回部会開催のご案内', '6月5日(木) 14:00より第14回部会を開催します。\n会場: 本社3F会議室\nご出欠をご連絡ください。');
+    const corrected = buildContentFingerprint('【訂正】第14回部会開催のご案内', '6月5日(木) 15:00より第14回部会を開催します。\n会場: 本社3F会議室\nご出欠をご連絡ください。');
+    
+    console.log(`Fingerprint: ${original}`);
+    console.log(`Reminder: ${compareContentFingerprints(reminder, original)}`);
+    console.log(`Corrected: ${compareContentFingerprints(corrected, original)}`);
+    console.log('Duplicate detection test completed successfully');
+    
+  } catch (error) {
+    console.error('Duplicate detection test failed:', error);
+    throw error;
+  }
+}
\ No newline at end of file
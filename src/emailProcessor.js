@@ -9,10 +9,13 @@
  * Process a single email message
  * 個別のメールメッセージを処理
  * 
+ * Every routing rule is evaluated and the message is delivered to each matching destination.
+ * 
  * @param {GmailMessage} message - Gmail message object
- * @returns {boolean} - true if message was processed successfully
+ * @param {Array} routingRules - Normalized routing rules (defaults to getRoutingRules())
+ * @returns {Object|boolean} - { messageId, matchedRules, metadata, links, fingerprint, duplicateOf, suppressed } if processed, false otherwise
  */
-function processMessage(message) {
+function processMessage(message, routingRules = getRoutingRules()) {
   try {
     console.log('--- Processing Message ---');
     
@@ -20,8 +23,10 @@ function processMessage(message) {
     const sender = message.getFrom();
     const date = message.getDate();
     const body = message.getPlainBody();
+    const htmlBody = CONFIG.CONVERT_HTML_BODY ? message.getBody() : null;
     const attachments = message.getAttachments();
     const messageId = message.getId();
+    const gmailThreadId = message.getThread().getId();
     
     console.log(`Subject: ${subject}`);
     console.log(`From: ${sender}`);
@@ -29,15 +34,40 @@ function processMessage(message) {
     console.log(`Message ID: ${messageId}`);
     console.log(`Attachments: ${attachments.length}`);
     
-    // Check subject pattern using advanced pattern matching
-    const patternMatch = checkSubjectPattern(subject);
-    if (!patternMatch.isMatch) {
-      console.log(`Subject pattern mismatch: ${subject}`);
-      console.log(`Checked patterns: ${patternMatch.checkedPatterns}`);
+    // Evaluate every routing rule (sender + subject patterns)
+    const routes = findMatchingRoutes(sender, subject, routingRules, message);
+    if (routes.length === 0) {
+      console.log(`No routing rule matched: ${subject}`);
       return false;
     }
     
-    console.log(`Subject pattern matched: ${patternMatch.matchedPattern}`);
+    routes.forEach(route => {
+      console.log(`Rule "${route.rule.name}" matched pattern: ${route.patternMatch.matchedPattern}`);
+    });
+    
+    // Named capture groups of the matched patterns, e.g. { round: '14', date: '6/5' }
+    const metadata = buildMessageMetadata(routes);
+    if (Object.keys(metadata).length > 0) {
+      console.log(`Metadata: ${JSON.stringify(metadata)}`);
+    }
+    const folderLabel = renderMetadataTemplate(routes[0].rule.folderTemplate, subject, metadata);
+    
+    // Re-sent and corrected announcements are recognised by content (see duplicateDetector.js)
+    const fingerprint = CONFIG.DETECT_DUPLICATES ? buildContentFingerprint(subject, body, attachments) : null;
+    const duplicate = fingerprint ? findDuplicateMessage(fingerprint, messageId) : null;
+    const postedRoutes = duplicate ? routes.filter(route => route.rule.duplicateAction !== 'suppress') : routes;
+    if (postedRoutes.length === 0) {
+      console.log(`Suppressed re-send of message ${duplicate.messageId}: ${subject}`);
+      return {
+        messageId: messageId,
+        matchedRules: routes.map(route => route.rule.name),
+        metadata: metadata,
+        links: [],
+        fingerprint: fingerprint,
+        duplicateOf: duplicate.originalMessageId,
+        suppressed: true
+      };
+    }
     console.log('Processing email...');
     
     // Process attachments if any
@@ -48,8 +78,8 @@ function processMessage(message) {
       // Process all attachments (not just PDFs)
       console.log(`Processing all ${attachments.length} attachments...`);
       try {
-        // Pass email date for organized folder structure
-        attachmentInfo.push(...processAttachments(attachments, subject, date));
+        // Pass email date for organized folder structure (dated in the first matching rule's time zone)
+        attachmentInfo.push(...processAttachments(attachments, subject, date, routes[0].rule.timeZone, folderLabel));
       } catch (error) {
         console.error('Error processing attachments:', error);
         // Continue with notification even if attachment processing fails
@@ -68,22 +98,74 @@ function processMessage(message) {
       }
     }
     
-    // Send Slack notification
-    try {
-      sendSlackNotification({
-        subject: subject,
-        sender: sender,
-        date: date,
-        body: formatEmailBody(body),
-        attachments: attachmentInfo
-      });
-    } catch (error) {
-      console.error('Error sending Slack notification:', error);
-      // Don't throw - we still want to mark as processed
-    }
+    // Links of the body (redirects unwrapped, duplicates and unsubscribe links dropped)
+    const links = CONFIG.EXTRACT_LINKS ? extractLinksFromEmail(body, message.getBody()) : [];
+    console.log(`Links: ${links.length}`);
+    
+    // Extract an event from announcements (added to the CALENDAR_ID calendar when set)
+    const eventInfo = CONFIG.EXTRACT_CALENDAR_EVENTS
+      ? processCalendarEvent({ subject: subject, body: body, date: date, messageId: messageId, attachments: attachmentInfo, rule: routes[0].rule, folderLabel: folderLabel })
+      : null;
+      
+    // Urgency from markers and how soon the event starts (styles and escalates the post)
+    const urgency = CONFIG.CLASSIFY_URGENCY
+      ? classifyEmailUrgency(subject, body, eventInfo || extractEventFromEmail(subject, body, date, routes[0].rule.timeZone))
+      : null;
+      
+    // People whose keywords appear in the subject or body (minus opt-outs)
+    const keywordMentions = findKeywordMentions(subject, body);
+    
+    // Send Slack notification to every matching destination (except rules suppressing re-sends);
+    // rules with a digest delivery mode queue the email instead, and quiet hours hold it
+    postedRoutes.forEach(route => {
+      try {
+        const destination = buildRouteDestination(route.rule);
+        const content = buildEmailBodyContent(body, htmlBody, route.rule, resolveLocale(destination));
+        const emailData = {
+          subject: subject,
+          title: renderMetadataTemplate(route.rule.titleTemplate, subject, route.metadata),
+          metadata: route.metadata,
+          sender: sender,
+          date: date,
+          body: content.body,
+          removedSections: content.removedSections,
+          attachments: attachmentInfo,
+          links: links,
+          event: eventInfo,
+          duplicate: describeDuplicate(duplicate, route.rule.duplicateAction, { subject: subject, body: body, attachments: attachments }),
+          urgency: urgency,
+          mentions: selectMentionsForRule(keywordMentions, route.rule.name),
+          destination: destination,
+          messageId: messageId,
+          gmailThreadId: gmailThreadId
+        };
+        
+        if (isDigestDelivery(route.rule.delivery) && queueDigestItem(emailData, route.rule)) {
+          return;
+        }
+        
+        // Held until the destination's quiet hours are over (see quietHoursManager.js)
+        const holdReason = getNotificationHoldReason(emailData);
+        if (holdReason && holdNotification(emailData, route.rule, holdReason)) {
+          return;
+        }
+        sendSlackNotification(emailData);
+      } catch (error) {
+        console.error(`Error sending Slack notification for rule "${route.rule.name}":`, error);
+        // Don't throw - we still want to mark as processed
+      }
+    });
     
     console.log(`Message processed successfully: ${messageId}`);
-    return true;
+    return {
+      messageId: messageId,
+      matchedRules: routes.map(route => route.rule.name),
+      metadata: metadata,
+      links: links,
+      fingerprint: fingerprint,
+      duplicateOf: duplicate ? duplicate.originalMessageId : null,
+      suppressed: false
+    };
     
   } catch (error) {
     console.error('Error processing message:', error);
@@ -91,21 +173,189 @@ function processMessage(message) {
   }
 }
 
+/**
+ * Plan how a message would be processed, without any side effects (dry-run mode)
+ * メッセージの処理内容を副作用なしで計画（ドライランモード）
+ * 
+ * @param {GmailMessage} message - Gmail message object
+ * @param {Array} routingRules - Normalized routing rules (defaults to getRoutingRules())
+ * @returns {Object} - Decision report entry for the message
+ */
+function planMessageProcessing(message, routingRules = getRoutingRules()) {
+  const subject = message.getSubject();
+  const sender = message.getFrom();
+  const date = message.getDate();
+  
+  const entry = {
+    messageId: message.getId(),
+    subject: subject,
+    sender: sender,
+    date: date,
+    wouldProcess: false,
+    reason: null,
+    routes: [],
+    attachments: [],
+    metadata: {},
+    links: [],
+    folderName: null,
+    event: null,
+    duplicate: null,
+    urgency: null,
+    mentions: [],
+    slackPayloads: []
+  };
+  
+  try {
+    const routes = findMatchingRoutes(sender, subject, routingRules, message);
+    if (routes.length === 0) {
+      entry.reason = 'no routing rule matched';
+      return entry;
+    }
+    
+    entry.wouldProcess = true;
+    entry.routes = routes.map(route => ({
+      rule: route.rule.name,
+      channel: route.rule.channel,
+      delivery: route.rule.delivery,
+      matchedPattern: route.patternMatch.matchedPattern
+    }));
+    entry.metadata = buildMessageMetadata(routes);
+    
+    // Rules suppressing re-sends get no payload; the others show the duplicate notice
+    const attachments = message.getAttachments();
+    const fingerprint = CONFIG.DETECT_DUPLICATES ? buildContentFingerprint(subject, message.getPlainBody(), attachments) : null;
+    const duplicate = fingerprint ? findDuplicateMessage(fingerprint, entry.messageId) : null;
+    const postedRoutes = duplicate ? routes.filter(route => route.rule.duplicateAction !== 'suppress') : routes;
+    if (duplicate) {
+      entry.duplicate = { kind: duplicate.kind, messageId: duplicate.messageId, originalMessageId: duplicate.originalMessageId };
+    }
+    if (postedRoutes.length === 0) {
+      entry.reason = `suppressed ${duplicate.kind} of ${duplicate.messageId}`;
+      return entry;
+    }
+    
+    // Attachments are saved into a per-email folder (final names may get a suffix if they already exist)
+    if (attachments.length > 0) {
+      entry.folderName = buildEmailFolderName(subject, date, routes[0].rule.timeZone,
+        renderMetadataTemplate(routes[0].rule.folderTemplate, subject, entry.metadata));
+      entry.attachments = attachments.map((attachment, index) => ({
+        originalName: attachment.getName(),
+        savedName: generateSimpleFilename(index, attachment.getName()),
+        size: attachment.getSize()
+      }));
+    }
+    
+    // Drive URLs don't exist yet, so the payload uses a placeholder link
+    const placeholderUrl = 'https://drive.google.com/drive/(dry-run)';
+    const attachmentInfo = entry.attachments.map(att => Object.assign({}, att, {
+      driveUrl: placeholderUrl,
+      fileId: null,
+      folderPath: entry.folderName,
+      folderUrl: placeholderUrl
+    }));
+    
+    const body = message.getPlainBody();
+    const htmlBody = CONFIG.CONVERT_HTML_BODY ? message.getBody() : null;
+    entry.links = CONFIG.EXTRACT_LINKS ? extractLinksFromEmail(body, message.getBody()) : [];
+    
+    // The calendar event and the .ics file are not created; the post shows the "Add to calendar" link
+    const event = CONFIG.EXTRACT_CALENDAR_EVENTS ? extractEventFromEmail(subject, body, date, routes[0].rule.timeZone) : null;
+    entry.event = event;
+    entry.urgency = CONFIG.CLASSIFY_URGENCY
+      ? classifyEmailUrgency(subject, body, event || extractEventFromEmail(subject, body, date, routes[0].rule.timeZone))
+      : null;
+    entry.mentions = findKeywordMentions(subject, body, getMentionRules(), null, true);
+    entry.routes.forEach((routeEntry, index) => {
+      routeEntry.hold = getNotificationHoldReason({ destination: buildRouteDestination(routes[index].rule), urgency: entry.urgency });
+    });
+    const eventInfo = event ? Object.assign({}, event, {
+      timeZone: routes[0].rule.timeZone,
+      calendarUrl: buildGoogleCalendarUrl(event, buildEventDescription(subject, entry.messageId, null)),
+      calendarEvent: null,
+      icsUrl: placeholderUrl
+    }) : null;
+    
+    // Emails of digest rules are queued, not posted
+    entry.slackPayloads = postedRoutes.filter(route => !isDigestDelivery(route.rule.delivery)).map(route => {
+      const destination = buildRouteDestination(route.rule);
+      const content = buildEmailBodyContent(body, htmlBody, route.rule, resolveLocale(destination));
+      return Object.assign({ rule: route.rule.name }, buildSlackPayloadPreview({
+        subject: subject,
+        title: renderMetadataTemplate(route.rule.titleTemplate, subject, route.metadata),
+        metadata: route.metadata,
+        sender: sender,
+        date: date,
+        body: content.body,
+        removedSections: content.removedSections,
+        attachments: attachmentInfo,
+        links: entry.links,
+        event: eventInfo,
+        duplicate: describeDuplicate(duplicate, route.rule.duplicateAction, { subject: subject, body: body, attachments: attachments }),
+        urgency: entry.urgency,
+        mentions: selectMentionsForRule(entry.mentions, route.rule.name),
+        destination: destination,
+        messageId: entry.messageId,
+        gmailThreadId: message.getThread().getId()
+      }));
+    });
+    
+  } catch (error) {
+    console.error('Error planning message processing:', error);
+    entry.wouldProcess = false;
+    entry.reason = `error: ${error.message}`;
+  }
+  
+  return entry;
+}
+
+/**
+ * Build the Slack body of a message for one routing rule
+ * ルーティングルールごとのSlack用本文を構築
+ * 
+ * Quoted replies, signatures and the rule's footer are removed before formatting
+ * (see bodyCleaner.js); the removed sections are returned for the thread.
+ * 
+ * @param {string} body - Plain email body
+ * @param {string} htmlBody - HTML email body (optional)
+ * @param {Object} rule - Normalized routing rule
+ * @param {string} locale - Locale of the destination
+ * @returns {Object} - { body, removedSections }
+ */
+function buildEmailBodyContent(body, htmlBody, rule, locale) {
+  const text = (htmlBody && convertHtmlToMrkdwn(htmlBody)) || body;
+  if (!CONFIG.CLEAN_EMAIL_BODY) {
+    return { body: formatEmailBody(text, locale), removedSections: [] };
+  }
+  
+  const cleaned = cleanEmailBody(text, rule.footerMarkers);
+  cleaned.removedSections.forEach(section => {
+    console.log(`Removed ${section.type} from body (${section.lineCount} lines)`);
+  });
+  
+  return { body: formatEmailBody(cleaned.body, locale), removedSections: cleaned.removedSections };
+}
+
 /**
  * Format email body for Slack display with proper length handling
  * Slack表示用にメール本文を適切な長さでフォーマット
  * 
- * @param {string} body - Raw email body
+ * HTML bodies are converted to Slack mrkdwn (see htmlConverter.js); the plain body is used
+ * when there is no HTML part or it cannot be converted.
+ * 
+ * @param {string} body - Raw email body (plain text)
+ * @param {string} locale - Locale for placeholder texts (optional)
+ * @param {string} htmlBody - HTML email body (optional)
  * @returns {string} - Formatted body for Slack (returns the full body now)
  */
-function formatEmailBody(body) {
+function formatEmailBody(body, locale = null, htmlBody = null) {
   try {
-    if (!body || body.trim().length === 0) {
-      return '_本文なし_';
+    const text = (htmlBody && convertHtmlToMrkdwn(htmlBody)) || body;
+    if (!text || text.trim().length === 0) {
+      return localize('email.noBody', {}, locale);
     }
     
     // Clean up the body text
-    let cleanBody = body
+    let cleanBody = text
       // Remove excessive whitespace
       .replace(/\n\s*\n\s*\n/g, '\n\n')
       // Remove leading/trailing whitespace
@@ -119,8 +369,8 @@ function formatEmailBody(body) {
         shortPreview.lastIndexOf('.'),
         shortPreview.lastIndexOf('\n')
       );
-      const cutPoint = lastBreak > 400 ? lastBreak + 1 : 500;
-      return cleanBody.substring(0, cutPoint) + '...\n\n_[簡略表示モード]_';
+      const cutPoint = findBodySplitIndex(cleanBody, lastBreak > 400 ? lastBreak + 1 : 500);
+      return cleanBody.substring(0, cutPoint) + `...\n\n${localize('email.bodyShortened', {}, locale)}`;
     }
     
     // Return the full body - splitting will be handled in slackNotifier.js
@@ -128,7 +378,7 @@ function formatEmailBody(body) {
     
   } catch (error) {
     console.error('Error formatting email body:', error);
-    return '_本文表示エラー_';
+    return localize('email.bodyError', {}, locale);
   }
 }
 
@@ -179,11 +429,17 @@ function checkSubjectPattern(subject) {
     
     // Fallback to legacy single pattern
     const isMatch = CONFIG.SUBJECT_PATTERN.test(subject);
+    const match = isMatch ? subject.match(CONFIG.SUBJECT_PATTERN) : null;
     return {
       isMatch: isMatch,
       matchedPattern: isMatch ? CONFIG.SUBJECT_PATTERN.toString() : null,
       checkedPatterns: [CONFIG.SUBJECT_PATTERN.toString()],
-      matchDetails: isMatch ? extractLegacyPatternInfo(subject) : null
+      matchDetails: isMatch ? extractLegacyPatternInfo(subject) : null,
+      allResults: [{
+        pattern: CONFIG.SUBJECT_PATTERN.toString(),
+        isMatch: isMatch,
+        captures: match && match.groups ? Object.assign({}, match.groups) : null
+      }]
     };
     
   } catch (error) {
@@ -201,12 +457,11 @@ function checkSubjectPattern(subject) {
  * 複数パターンに対する件名チェック
  * 
  * @param {string} subject - Email subject
+ * @param {Array} patterns - Patterns to test (defaults to CONFIG.SUBJECT_PATTERNS.PATTERNS)
+ * @param {string} matchMode - 'any' or 'all' (defaults to CONFIG.SUBJECT_PATTERNS.MATCH_MODE)
  * @returns {Object} - Detailed match result
  */
-function checkMultiplePatterns(subject) {
-  const patterns = CONFIG.SUBJECT_PATTERNS.PATTERNS || [];
-  const matchMode = CONFIG.SUBJECT_PATTERNS.MATCH_MODE || 'any';
-  
+function checkMultiplePatterns(subject, patterns = CONFIG.SUBJECT_PATTERNS.PATTERNS || [], matchMode = CONFIG.SUBJECT_PATTERNS.MATCH_MODE || 'any') {
   const results = [];
   const checkedPatterns = [];
   
@@ -217,11 +472,14 @@ function checkMultiplePatterns(subject) {
     
     try {
       const isMatch = pattern.test(subject);
+      const match = isMatch ? subject.match(pattern) : null;
       
       results.push({
         pattern: patternString,
         isMatch: isMatch,
-        matchDetails: isMatch ? subject.match(pattern) : null
+        matchDetails: match,
+        // Named groups such as (?<round>\d+) become message metadata (see buildMessageMetadata)
+        captures: match && match.groups ? Object.assign({}, match.groups) : null
       });
       
       console.log(`Pattern ${i + 1}: ${patternString} -> ${isMatch ? 'MATCH' : 'NO MATCH'}`);
@@ -303,7 +561,7 @@ function extractLegacyPatternInfo(subject) {
  */
 function generateSafeFilename(subject, index, originalName) {
   try {
-    const timestamp = Utilities.formatDate(new Date(), 'JST', 'yyyyMMdd_HHmmss');
+    const timestamp = formatDateInTimeZone(new Date(), 'yyyyMMdd_HHmmss');
     
     // Clean subject for filename (remove special characters)
     const cleanSubject = subject
@@ -322,7 +580,7 @@ function generateSafeFilename(subject, index, originalName) {
   } catch (error) {
     console.error('Error generating safe filename:', error);
     // Fallback to simple timestamp-based name
-    const timestamp = Utilities.formatDate(new Date(), 'JST', 'yyyyMMdd_HHmmss');
+    const timestamp = formatDateInTimeZone(new Date(), 'yyyyMMdd_HHmmss');
     return `attachment_${timestamp}_${index + 1}`;
   }
 }
@@ -0,0 +1,506 @@
+/**
+ * Filter Rule Module
+ * 
+ * A small boolean rule language for routing rules, for conditions that subject regexes
+ * can't express. Clauses test the sender, subject, body, attachments, Gmail labels and
+ * dates, and combine with AND / OR / NOT and parentheses:
+ * 
+ *   勉強会 in subject AND NOT 中止 in body AND has pdf
+ *   (from @example.com OR from news@example.org) AND size > 1MB AND within 7d
+ * 
+ * Every clause is evaluated (no short-circuit) so the result keeps a per-clause
+ * breakdown in the same shape as checkMultiplePatterns().
+ */
+
+// Filter language settings
+const FILTER_RULE_CONFIG = {
+  TEXT_FIELDS: ['subject', 'body', 'sender', 'to', 'attachment'],
+  FIELD_ALIASES: { from: 'sender', attachments: 'attachment', filename: 'attachment' },
+  SIZE_UNITS: { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024 },
+  DURATION_UNITS: { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 },
+  // Attachment types that are not a plain file extension
+  TYPE_ALIASES: {
+    attachment: () => true,
+    image: att => att.contentType.startsWith('image/'),
+    document: att => /\.(pdf|docx?|xlsx?|pptx?)$/i.test(att.name)
+  }
+};
+
+/**
+ * Compile a filter expression
+ * フィルター式をコンパイル
+ * 
+ * @param {string} source - Filter expression
+ * @returns {Object} - { source, ast }
+ * @throws {Error} - If the expression has a syntax error
+ */
+function compileFilterRule(source) {
+  const tokens = tokenizeFilterRule(String(source));
+  if (tokens.length === 0) {
+    throw new Error('Filter is empty');
+  }
+  
+  const parser = { tokens: tokens, position: 0 };
+  const ast = parseFilterOr(parser);
+  
+  if (parser.position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[parser.position].text}" at position ${tokens[parser.position].offset + 1}`);
+  }
+  
+  return { source: String(source).trim(), ast: ast };
+}
+
+/**
+ * Split a filter expression into tokens
+ * フィルター式をトークンに分割
+ * 
+ * Tokens: parentheses, comparison operators, "quoted strings", /regex/flags and bare words.
+ * 
+ * @param {string} source - Filter expression
+ * @returns {Array} - [{ type: 'paren'|'operator'|'string'|'regex'|'word', text, value, offset }]
+ */
+function tokenizeFilterRule(source) {
+  const tokens = [];
+  let i = 0;
+  
+  while (i < source.length) {
+    const char = source[i];
+    
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: 'paren', text: char, value: char, offset: i });
+      i++;
+    } else if ('<>='.includes(char)) {
+      const text = source[i + 1] === '=' && char !== '=' ? `${char}=` : char;
+      tokens.push({ type: 'operator', text: text, value: text, offset: i });
+      i += text.length;
+    } else if (char === '"' || char === '\'') {
+      const end = source.indexOf(char, i + 1);
+      if (end < 0) {
+        throw new Error(`Unclosed quote at position ${i + 1}`);
+      }
+      tokens.push({ type: 'string', text: source.slice(i, end + 1), value: source.slice(i + 1, end), offset: i });
+      i = end + 1;
+    } else if (char === '/') {
+      const match = source.slice(i).match(/^\/((?:\\.|[^\\/])+)\/([a-z]*)/);
+      if (!match) {
+        throw new Error(`Unclosed regex at position ${i + 1}`);
+      }
+      tokens.push({ type: 'regex', text: match[0], value: new RegExp(match[1], match[2].replace(/[gy]/g, '')), offset: i });
+      i += match[0].length;
+    } else {
+      const match = source.slice(i).match(/^[^\s()<>=]+/);
+      tokens.push({ type: 'word', text: match[0], value: match[0], offset: i });
+      i += match[0].length;
+    }
+  }
+  
+  return tokens;
+}
+
+/**
+ * Parse "a OR b OR ..." (lowest precedence)
+ * OR式を解析
+ * 
+ * @param {Object} parser - { tokens, position }
+ * @returns {Object} - AST node
+ */
+function parseFilterOr(parser) {
+  const operands = [parseFilterAnd(parser)];
+  while (isFilterKeyword(peekFilterToken(parser), 'or')) {
+    parser.position++;
+    operands.push(parseFilterAnd(parser));
+  }
+  return operands.length === 1 ? operands[0] : { type: 'or', operands: operands };
+}
+
+/**
+ * Parse "a AND b AND ..."
+ * AND式を解析
+ * 
+ * @param {Object} parser - { tokens, position }
+ * @returns {Object} - AST node
+ */
+function parseFilterAnd(parser) {
+  const operands = [parseFilterNot(parser)];
+  while (isFilterKeyword(peekFilterToken(parser), 'and')) {
+    parser.position++;
+    operands.push(parseFilterNot(parser));
+  }
+  return operands.length === 1 ? operands[0] : { type: 'and', operands: operands };
+}
+
+/**
+ * Parse "NOT a", "( ... )" or a single clause
+ * NOT式・括弧・単一の条件を解析
+ * 
+ * @param {Object} parser - { tokens, position }
+ * @returns {Object} - AST node
+ */
+function parseFilterNot(parser) {
+  const token = peekFilterToken(parser);
+  
+  if (isFilterKeyword(token, 'not')) {
+    parser.position++;
+    return { type: 'not', operand: parseFilterNot(parser) };
+  }
+  
+  if (token && token.type === 'paren' && token.value === '(') {
+    parser.position++;
+    const node = parseFilterOr(parser);
+    const closing = peekFilterToken(parser);
+    if (!closing || closing.value !== ')') {
+      throw new Error(`Missing ")" for "(" at position ${token.offset + 1}`);
+    }
+    parser.position++;
+    return node;
+  }
+  
+  return parseFilterClause(parser);
+}
+
+/**
+ * Parse a single clause
+ * 単一の条件を解析
+ * 
+ * Clauses: "<text> in <field>", "from <address|@domain>", "has <type>", "label <name>",
+ * "size <op> <size>", "since <date>", "until <date>", "within <duration>".
+ * 
+ * @param {Object} parser - { tokens, position }
+ * @returns {Object} - Clause node
+ */
+function parseFilterClause(parser) {
+  const start = parser.position;
+  const first = nextFilterToken(parser, 'a condition');
+  const keyword = first.type === 'word' ? first.value.toLowerCase() : null;
+  let clause;
+  
+  if (keyword === 'from') {
+    clause = { type: 'from', value: nextFilterValue(parser, 'an address or @domain').toLowerCase() };
+    
+  } else if (keyword === 'has') {
+    clause = { type: 'has', value: nextFilterValue(parser, 'an attachment type').toLowerCase().replace(/^\./, '') };
+    
+  } else if (keyword === 'label') {
+    clause = { type: 'label', value: nextFilterValue(parser, 'a label name') };
+    
+  } else if (keyword === 'size') {
+    const operator = nextFilterToken(parser, 'a comparison operator');
+    if (operator.type !== 'operator') {
+      throw new Error(`Expected >, >=, <, <= or = after "size" at position ${operator.offset + 1}`);
+    }
+    clause = { type: 'size', operator: operator.value, bytes: parseFilterSize(parser) };
+    
+  } else if (keyword === 'since' || keyword === 'until') {
+    const date = nextFilterValue(parser, 'a date (YYYY-MM-DD)');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new Error(`Invalid date "${date}", expected YYYY-MM-DD`);
+    }
+    clause = { type: keyword, date: date };
+    
+  } else if (keyword === 'within') {
+    const duration = nextFilterValue(parser, 'a duration such as 7d');
+    const match = duration.match(/^(\d+)([mhdw])$/i);
+    if (!match) {
+      throw new Error(`Invalid duration "${duration}", expected a number with m, h, d or w`);
+    }
+    clause = { type: 'within', ms: Number(match[1]) * FILTER_RULE_CONFIG.DURATION_UNITS[match[2].toLowerCase()] };
+    
+  } else {
+    if (first.type === 'paren' || first.type === 'operator' || ['and', 'or', 'not', 'in'].includes(keyword)) {
+      throw new Error(`Unexpected "${first.text}" at position ${first.offset + 1}`);
+    }
+    
+    const inToken = nextFilterToken(parser, '"in"');
+    if (!isFilterKeyword(inToken, 'in')) {
+      throw new Error(`Expected "in <field>" after "${first.text}" at position ${inToken.offset + 1}`);
+    }
+    
+    const fieldName = nextFilterValue(parser, 'a field').toLowerCase();
+    const field = FILTER_RULE_CONFIG.FIELD_ALIASES[fieldName] || fieldName;
+    if (!FILTER_RULE_CONFIG.TEXT_FIELDS.includes(field)) {
+      throw new Error(`Unknown field "${fieldName}", expected one of: ${FILTER_RULE_CONFIG.TEXT_FIELDS.join(', ')}`);
+    }
+    
+    clause = { type: 'text', field: field, matcher: first.type === 'regex' ? first.value : String(first.value) };
+  }
+  
+  clause.source = parser.tokens.slice(start, parser.position).map(token => token.text).join(' ');
+  return clause;
+}
+
+/**
+ * Parse a size such as "1MB", "500 KB" or "2048"
+ * サイズ指定を解析
+ * 
+ * @param {Object} parser - { tokens, position }
+ * @returns {number} - Size in bytes
+ */
+function parseFilterSize(parser) {
+  const text = nextFilterValue(parser, 'a size such as 1MB');
+  const match = text.match(/^(\d+(?:\.\d+)?)([kmg]?b)?$/i);
+  if (!match) {
+    throw new Error(`Invalid size "${text}", expected a number with B, KB, MB or GB`);
+  }
+  
+  let unit = match[2];
+  const next = peekFilterToken(parser);
+  if (!unit && next && next.type === 'word' && /^[kmg]?b$/i.test(next.value)) {
+    unit = next.value;
+    parser.position++;
+  }
+  
+  return Number(match[1]) * FILTER_RULE_CONFIG.SIZE_UNITS[(unit || 'B').toUpperCase()];
+}
+
+/**
+ * Look at the next token without consuming it
+ * 次のトークンを参照（消費しない）
+ * 
+ * @param {Object} parser - { tokens, position }
+ * @returns {Object|undefined} - Token
+ */
+function peekFilterToken(parser) {
+  return parser.tokens[parser.position];
+}
+
+/**
+ * Consume the next token
+ * 次のトークンを取得
+ * 
+ * @param {Object} parser - { tokens, position }
+ * @param {string} expected - Description used in the error message
+ * @returns {Object} - Token
+ */
+function nextFilterToken(parser, expected) {
+  const token = parser.tokens[parser.position];
+  if (!token) {
+    throw new Error(`Expected ${expected} at the end of the filter`);
+  }
+  parser.position++;
+  return token;
+}
+
+/**
+ * Consume the next token as a plain value (word or quoted string)
+ * 次のトークンを値として取得
+ * 
+ * @param {Object} parser - { tokens, position }
+ * @param {string} expected - Description used in the error message
+ * @returns {string} - Value
+ */
+function nextFilterValue(parser, expected) {
+  const token = nextFilterToken(parser, expected);
+  if (token.type !== 'word' && token.type !== 'string') {
+    throw new Error(`Expected ${expected} at position ${token.offset + 1}, got "${token.text}"`);
+  }
+  return token.value;
+}
+
+/**
+ * Check whether a token is the given keyword (case-insensitive)
+ * トークンが指定キーワードか確認
+ * 
+ * @param {Object} token - Token
+ * @param {string} keyword - Lower-case keyword
+ * @returns {boolean} - True if it matches
+ */
+function isFilterKeyword(token, keyword) {
+  return Boolean(token) && token.type === 'word' && token.value.toLowerCase() === keyword;
+}
+
+/**
+ * Build the evaluation context for a message; message parts are read only when a clause needs them
+ * メッセージの評価コンテキストを構築（必要になった項目のみ読み込む）
+ * 
+ * @param {GmailMessage} message - Gmail message (optional - without it only sender and subject are known)
+ * @param {Object} fallback - { from, subject } used when no message is given
+ * @returns {Object} - Context with lazy getters
+ */
+function buildFilterContext(message, fallback = {}) {
+  const cache = {};
+  const lazy = (key, read) => () => {
+    if (!(key in cache)) {
+      cache[key] = read();
+    }
+    return cache[key];
+  };
+  
+  return {
+    subject: lazy('subject', () => (message ? message.getSubject() : fallback.subject) || ''),
+    sender: lazy('sender', () => (message ? message.getFrom() : fallback.from) || ''),
+    to: lazy('to', () => (message ? message.getTo() : '') || ''),
+    body: lazy('body', () => (message ? message.getPlainBody() : '') || ''),
+    date: lazy('date', () => (message ? message.getDate() : null)),
+    attachments: lazy('attachments', () => (message ? message.getAttachments() : []).map(attachment => ({
+      name: attachment.getName(),
+      contentType: String(attachment.getContentType() || '').toLowerCase(),
+      size: attachment.getSize()
+    }))),
+    labels: lazy('labels', () => (message ? message.getThread().getLabels().map(label => label.getName()) : []))
+  };
+}
+
+/**
+ * Evaluate a compiled filter against a message
+ * コンパイル済みフィルターをメッセージに対して評価
+ * 
+ * @param {Object} filter - Result of compileFilterRule()
+ * @param {Object} context - Result of buildFilterContext()
+ * @param {string} timeZone - Time zone for since/until (optional)
+ * @returns {Object} - Match result with per-clause breakdown (same shape as checkMultiplePatterns)
+ */
+function evaluateFilterRule(filter, context, timeZone = null) {
+  const results = [];
+  
+  const evaluate = (node, negated) => {
+    switch (node.type) {
+      case 'and':
+        return node.operands.map(operand => evaluate(operand, negated)).every(Boolean);
+      case 'or':
+        return node.operands.map(operand => evaluate(operand, negated)).some(Boolean);
+      case 'not':
+        return !evaluate(node.operand, !negated);
+      default: {
+        const result = evaluateFilterClause(node, context, timeZone);
+        results.push({ pattern: node.source, isMatch: result.isMatch, negated: negated, matchDetails: result.details, captures: result.captures || null });
+        console.log(`Clause ${node.source} -> ${result.isMatch ? 'MATCH' : 'NO MATCH'}${negated ? ' (negated)' : ''}`);
+        return result.isMatch;
+      }
+    }
+  };
+  
+  let finalMatch = false;
+  try {
+    finalMatch = evaluate(filter.ast, false);
+  } catch (error) {
+    console.error(`Error evaluating filter "${filter.source}":`, error);
+    return { isMatch: false, error: error.message, checkedPatterns: results.map(r => r.pattern), allResults: results, matchMode: 'filter' };
+  }
+  
+  return {
+    isMatch: finalMatch,
+    matchedPattern: finalMatch ? filter.source : null,
+    checkedPatterns: results.map(r => r.pattern),
+    allResults: results,
+    matchMode: 'filter',
+    summary: {
+      totalPatterns: results.length,
+      matchedCount: results.filter(r => r.isMatch).length,
+      finalResult: finalMatch
+    }
+  };
+}
+
+/**
+ * Evaluate a single clause
+ * 単一の条件を評価
+ * 
+ * @param {Object} clause - Clause node
+ * @param {Object} context - Result of buildFilterContext()
+ * @param {string} timeZone - Time zone for since/until (optional)
+ * @returns {Object} - { isMatch, details, captures }
+ */
+function evaluateFilterClause(clause, context, timeZone) {
+  switch (clause.type) {
+    case 'text': {
+      const values = clause.field === 'attachment'
+        ? context.attachments().map(att => att.name)
+        : [context[clause.field]()];
+      const matches = values
+        .map(value => (clause.matcher instanceof RegExp
+          ? value.match(clause.matcher)
+          : (value.toLowerCase().includes(clause.matcher.toLowerCase()) ? [clause.matcher] : null)))
+        .filter(match => match !== null);
+      const captures = matches.filter(match => match.groups).map(match => Object.assign({}, match.groups));
+      return {
+        isMatch: matches.length > 0,
+        details: matches.length > 0 ? matches.map(match => match[0]) : null,
+        captures: captures.length > 0 ? Object.assign({}, ...captures.reverse()) : null
+      };
+    }
+    
+    case 'from': {
+      const address = extractEmailAddress(context.sender());
+      const isMatch = clause.value.startsWith('@') ? address.endsWith(clause.value) : address === clause.value;
+      return { isMatch: isMatch, details: address };
+    }
+    
+    case 'has': {
+      const test = FILTER_RULE_CONFIG.TYPE_ALIASES[clause.value] ||
+        (att => att.name.toLowerCase().endsWith(`.${clause.value}`) || att.contentType.endsWith(`/${clause.value}`));
+      const matching = context.attachments().filter(test).map(att => att.name);
+      return { isMatch: matching.length > 0, details: matching.length > 0 ? matching : null };
+    }
+    
+    case 'label': {
+      const labels = context.labels();
+      return { isMatch: labels.some(label => label.toLowerCase() === clause.value.toLowerCase()), details: labels };
+    }
+    
+    case 'size': {
+      const total = context.attachments().reduce((sum, att) => sum + att.size, 0);
+      const comparisons = {
+        '>': total > clause.bytes,
+        '>=': total >= clause.bytes,
+        '<': total < clause.bytes,
+        '<=': total <= clause.bytes,
+        '=': total === clause.bytes
+      };
+      return { isMatch: comparisons[clause.operator], details: formatFileSize(total) };
+    }
+    
+    case 'since':
+    case 'until': {
+      const date = context.date();
+      if (!date) {
+        return { isMatch: false, details: null };
+      }
+      const day = formatDateInTimeZone(date, 'yyyy-MM-dd', timeZone);
+      return { isMatch: clause.type === 'since' ? day >= clause.date : day <= clause.date, details: day };
+    }
+    
+    case 'within': {
+      const date = context.date();
+      const age = date ? new Date().getTime() - date.getTime() : Infinity;
+      return { isMatch: age <= clause.ms, details: date ? `${Math.round(age / (60 * 1000))} min ago` : null };
+    }
+    
+    default:
+      throw new Error(`Unknown clause type: ${clause.type}`);
+  }
+}
+
+/**
+ * Test function for filter rules
+ * フィルタールールのテスト関数
+ */
+function testFilterRules() {
+  console.log('=== TESTING Filter Rules ===');
+  
+  try {
+    const filter = compileFilterRule('勉強会 in subject AND NOT 中止 in body AND has pdf');
+    const samples = [
+      { subject: '勉強会のご案内', body: '開催します', attachments: ['agenda.pdf'] },
+      { subject: '勉強会のご案内', body: '中止になりました', attachments: ['agenda.pdf'] },
+      { subject: '勉強会のご案内', body: '開催します', attachments: [] }
+    ];
+    
+    samples.forEach(sample => {
+      const context = buildFilterContext(null, { subject: sample.subject });
+      context.body = () => sample.body;
+      context.attachments = () => sample.attachments.map(name => ({ name: name, contentType: 'application/pdf', size: 1024 }));
+      
+      const result = evaluateFilterRule(filter, context);
+      console.log(`"${sample.subject}" / "${sample.body}" / ${sample.attachments.length} PDF -> ${result.isMatch ? '✅ MATCH' : '❌ NO MATCH'}`);
+      result.allResults.forEach(r => console.log(`   ${r.isMatch ? '✓' : '✗'} ${r.negated ? 'NOT ' : ''}${r.pattern}`));
+    });
+    
+    console.log('Filter rules test completed successfully');
+    
+  } catch (error) {
+    console.error('Filter rules test failed:', error);
+    throw error;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,469 @@
+/**
+ * HTML Converter Module
+ * 
+ * Converts HTML email bodies (message.getBody()) to Slack mrkdwn, so newsletters keep
+ * their link targets, bold headings, lists and simple tables instead of the flattened
+ * getPlainBody() text. Apps Script has no HTML DOM, so a small tolerant parser builds
+ * the element tree. Styles, scripts, hidden elements and tracking pixels are dropped.
+ */
+
+// HTML to mrkdwn settings
+const HTML_CONVERTER_CONFIG = {
+  // Removed together with their content before parsing
+  RAW_TEXT_TAGS: ['head', 'style', 'script', 'title', 'xml'],
+  // Parsed but never rendered
+  DROPPED_TAGS: ['meta', 'link', 'noscript', 'template', 'svg', 'iframe', 'object', 'select', 'button', 'map'],
+  VOID_TAGS: ['br', 'hr', 'img', 'meta', 'link', 'input', 'col', 'area', 'base', 'wbr', 'source', 'param'],
+  BLOCK_TAGS: ['p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav', 'center',
+    'address', 'figure', 'figcaption', 'form', 'fieldset', 'dl', 'dt', 'dd', 'caption', 'tr', 'td', 'th'],
+  // Opening one of these tags closes the listed open tags, without crossing the scope tags
+  IMPLIED_END_TAGS: {
+    li: { closes: ['li'], scope: ['ul', 'ol', 'table'] },
+    p: { closes: ['p'], scope: ['div', 'td', 'th', 'li', 'blockquote', 'table', 'ul', 'ol'] },
+    tr: { closes: ['tr', 'td', 'th'], scope: ['table', 'thead', 'tbody', 'tfoot'] },
+    td: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+    th: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+    thead: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], scope: ['table'] },
+    tbody: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], scope: ['table'] },
+    tfoot: { closes: ['thead', 'tbody', 'tfoot', 'tr', 'td', 'th'], scope: ['table'] },
+    dt: { closes: ['dt', 'dd'], scope: ['dl'] },
+    dd: { closes: ['dt', 'dd'], scope: ['dl'] }
+  },
+  ENTITIES: {
+    nbsp: '\u00A0', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", copy: '©', reg: '®', trade: '™',
+    hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    bull: '•', middot: '·', yen: '¥', euro: '€', times: '×', laquo: '«', raquo: '»',
+    zwnj: '', zwj: '', shy: ''
+  },
+  // A body counts as HTML only if it contains one of these tags (not just "<name@example.com>")
+  HTML_DETECTION_PATTERN: /<(html|body|div|p|br|span|a|b|strong|i|em|font|table|ul|ol|li|h[1-6]|img|blockquote|pre|center)(\s[^>]*)?\/?>/i,
+  LIST_INDENT: '　',  // Full-width space: survives the whitespace cleanup
+  HORIZONTAL_RULE: '──────────'
+};
+
+/**
+ * Convert an HTML email body to Slack mrkdwn
+ * HTMLメール本文をSlack mrkdwnに変換
+ * 
+ * @param {string} html - HTML body (message.getBody())
+ * @returns {string|null} - mrkdwn text, or null if the body is not HTML or cannot be converted
+ */
+function convertHtmlToMrkdwn(html) {
+  if (!html || !HTML_CONVERTER_CONFIG.HTML_DETECTION_PATTERN.test(html)) {
+    return null;
+  }
+  
+  try {
+    const root = parseHtml(html);
+    const text = renderHtmlNodes(root.children, { listDepth: 0, formats: [], inLink: false, pre: false })
+      .replace(/[ \t]*\n[ \t]*/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+      
+    return text.length > 0 ? text : null;
+    
+  } catch (error) {
+    console.error('Error converting HTML body to mrkdwn:', error);
+    return null;
+  }
+}
+
+/**
+ * Parse HTML into a light element tree
+ * HTMLを簡易的な要素ツリーに解析
+ * 
+ * Unclosed and mis-nested tags are tolerated: unknown end tags are ignored and
+ * implied end tags (li, p, tr, td, ...) are closed the way browsers do.
+ * 
+ * @param {string} html - HTML source
+ * @returns {Object} - Root node { tag: '#root', attrs, children }
+ */
+function parseHtml(html) {
+  const rawText = HTML_CONVERTER_CONFIG.RAW_TEXT_TAGS.join('|');
+  const source = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(new RegExp(`<(${rawText})\\b[^>]*>[\\s\\S]*?<\\/\\1\\s*>`, 'gi'), '');
+    
+  const root = { tag: '#root', attrs: {}, children: [] };
+  const stack = [root];
+  const tokenPattern = /<(\/?)([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|<[!?][^>]*>|([^<]+)|</g;
+  let match;
+  
+  while ((match = tokenPattern.exec(source)) !== null) {
+    const current = stack[stack.length - 1];
+    
+    if (match[4] !== undefined || match[0] === '<') {
+      current.children.push({ text: match[4] !== undefined ? match[4] : '<' });
+      continue;
+    }
+    if (!match[2]) {
+      continue;  // Doctype, CDATA or processing instruction
+    }
+    
+    const tag = match[2].toLowerCase();
+    
+    if (match[1]) {
+      // End tag: close the nearest open element with the same name, if any
+      const index = stack.map(node => node.tag).lastIndexOf(tag);
+      if (index > 0) {
+        stack.length = index;
+      }
+      continue;
+    }
+    
+    const implied = HTML_CONVERTER_CONFIG.IMPLIED_END_TAGS[tag];
+    if (implied) {
+      let closeAt = -1;
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (implied.closes.includes(stack[i].tag)) {
+          closeAt = i;
+        }
+        if (implied.scope.includes(stack[i].tag)) {
+          break;
+        }
+      }
+      if (closeAt > 0) {
+        stack.length = closeAt;
+      }
+    }
+    
+    const node = { tag: tag, attrs: parseHtmlAttributes(match[3]), children: [] };
+    stack[stack.length - 1].children.push(node);
+    
+    if (!HTML_CONVERTER_CONFIG.VOID_TAGS.includes(tag) && !/\/\s*$/.test(match[3])) {
+      stack.push(node);
+    }
+  }
+  
+  return root;
+}
+
+/**
+ * Parse the attributes of a start tag
+ * 開始タグの属性を解析
+ * 
+ * @param {string} source - Attribute part of the tag
+ * @returns {Object} - Lower-cased attribute names to decoded values
+ */
+function parseHtmlAttributes(source) {
+  const attrs = {};
+  const attributePattern = /([^\s"'=\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let match;
+  
+  while ((match = attributePattern.exec(source || '')) !== null) {
+    const value = [match[2], match[3], match[4]].find(part => part !== undefined);
+    attrs[match[1].toLowerCase()] = decodeHtmlEntities(value || '');
+  }
+  
+  return attrs;
+}
+
+/**
+ * Decode HTML character references
+ * HTML文字参照をデコード
+ * 
+ * @param {string} text - Text with entities
+ * @returns {string} - Decoded text
+ */
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#[xX][0-9a-fA-F]+|#\d+|[a-zA-Z][a-zA-Z0-9]*);/g, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+    }
+    
+    const entities = HTML_CONVERTER_CONFIG.ENTITIES;
+    const value = entities[name] !== undefined ? entities[name] : entities[name.toLowerCase()];
+    return value !== undefined ? value : entity;
+  });
+}
+
+/**
+ * Check whether an element is hidden or a tracking pixel
+ * 非表示要素またはトラッキングピクセルかを判定
+ * 
+ * @param {Object} node - Element node
+ * @returns {boolean} - True if the element should not be rendered
+ */
+function isHiddenHtmlElement(node) {
+  const style = (node.attrs.style || '').toLowerCase().replace(/\s+/g, '');
+  
+  if (HTML_CONVERTER_CONFIG.DROPPED_TAGS.includes(node.tag) || node.attrs.hidden !== undefined ||
+    /display:none|visibility:hidden|mso-hide:all|max-height:0(px)?(;|$)/.test(style)) {
+    return true;
+  }
+  
+  if (node.tag === 'img') {
+    const tiny = value => value !== undefined && parseInt(value, 10) <= 1;
+    return tiny(node.attrs.width) || tiny(node.attrs.height) || /(^|;)(width|height):[01]px/.test(style);
+  }
+  
+  return false;
+}
+
+/**
+ * Render a list of nodes to mrkdwn
+ * ノードの配列をmrkdwnに変換
+ * 
+ * @param {Array} nodes - Child nodes
+ * @param {Object} context - { listDepth, formats, inLink, pre }
+ * @returns {string} - mrkdwn text (block breaks are collapsed by the caller)
+ */
+function renderHtmlNodes(nodes, context) {
+  return nodes.map(node => renderHtmlNode(node, context)).join('');
+}
+
+/**
+ * Render a single node to mrkdwn
+ * 単一ノードをmrkdwnに変換
+ * 
+ * @param {Object} node - Text or element node
+ * @param {Object} context - { listDepth, formats, inLink, pre }
+ * @returns {string} - mrkdwn text
+ */
+function renderHtmlNode(node, context) {
+  if (node.text !== undefined) {
+    const text = decodeHtmlEntities(node.text).replace(/[\u200B-\u200D\u034F\u00AD\uFEFF]/g, '');
+    return escapeSlackText(context.pre
+      ? text.replace(/^ +/gm, spaces => '\u00A0'.repeat(spaces.length))
+      : text.replace(/\s+/g, ' '));
+  }
+  
+  if (isHiddenHtmlElement(node)) {
+    return '';
+  }
+  
+  const children = () => renderHtmlNodes(node.children, context);
+  const style = (node.attrs.style || '').toLowerCase();
+  
+  switch (node.tag) {
+    case 'br':
+      return '\n';
+      
+    case 'hr':
+      return `\n\n${HTML_CONVERTER_CONFIG.HORIZONTAL_RULE}\n\n`;
+      
+    case 'img':
+      return node.attrs.alt ? escapeSlackText(node.attrs.alt.trim()) : '';
+      
+    case 'a':
+      return renderHtmlLink(node, context);
+      
+    case 'b':
+    case 'strong':
+      return wrapMrkdwn(node, context, '*');
+      
+    case 'i':
+    case 'em':
+    case 'cite':
+      return wrapMrkdwn(node, context, '_');
+      
+    case 's':
+    case 'strike':
+    case 'del':
+      return wrapMrkdwn(node, context, '~');
+      
+    case 'code': {
+      const code = children();
+      return context.pre || context.inLink || !code.trim() || /[`\n]/.test(code) ? code : `\`${code.trim()}\``;
+    }
+    
+    case 'pre':
+      return `\n\n\`\`\`\n${renderHtmlNodes(node.children, Object.assign({}, context, { pre: true })).replace(/^\n|\n$/g, '')}\n\`\`\`\n\n`;
+      
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+      return `\n\n${wrapMrkdwn(node, context, '*').replace(/\s*\n\s*/g, ' ')}\n\n`;
+      
+    case 'ul':
+    case 'ol':
+      return renderHtmlList(node, context);
+      
+    case 'table':
+      return renderHtmlTable(node, context);
+      
+    case 'blockquote': {
+      const quoted = children().trim().split('\n').map(line => (line.trim() ? `> ${line}` : '>'));
+      return `\n\n${quoted.join('\n')}\n\n`;
+    }
+    
+    case 'p':
+      return `\n\n${children()}\n\n`;
+      
+    default:
+      if (/font-weight:\s*(bold|[6-9]00)/.test(style)) {
+        return wrapMrkdwn(node, context, '*');
+      }
+      if (/font-style:\s*italic/.test(style)) {
+        return wrapMrkdwn(node, context, '_');
+      }
+      return HTML_CONVERTER_CONFIG.BLOCK_TAGS.includes(node.tag) ? `\n${children()}\n` : children();
+  }
+}
+
+/**
+ * Wrap the content of an element in a mrkdwn marker (*bold*, _italic_, ~strike~)
+ * 要素の内容をmrkdwnの書式記号で囲む
+ * 
+ * Slack only applies a marker that touches the text on both sides and doesn't span lines,
+ * so surrounding whitespace is moved outside and every line is wrapped separately.
+ * 
+ * @param {Object} node - Element node
+ * @param {Object} context - Render context
+ * @param {string} marker - mrkdwn marker
+ * @returns {string} - mrkdwn text
+ */
+function wrapMrkdwn(node, context, marker) {
+  if (context.inLink || context.pre || context.formats.includes(marker)) {
+    return renderHtmlNodes(node.children, context);
+  }
+  
+  const content = renderHtmlNodes(node.children, Object.assign({}, context, { formats: context.formats.concat(marker) }));
+  
+  return content.split('\n').map(line => {
+    const parts = line.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return parts[2] ? `${parts[1]}${marker}${parts[2]}${marker}${parts[3]}` : line;
+  }).join('\n');
+}
+
+/**
+ * Render a hyperlink as <url|text>
+ * ハイパーリンクを<url|text>形式に変換
+ * 
+ * @param {Object} node - <a> element
+ * @param {Object} context - Render context
+ * @returns {string} - mrkdwn link (or only the text for non-web links)
+ */
+function renderHtmlLink(node, context) {
+  const text = renderHtmlNodes(node.children, Object.assign({}, context, { inLink: true }))
+    .replace(/\s+/g, ' ')
+    .trim();
+  const href = (node.attrs.href || '').trim();
+  
+  if (context.inLink || !/^(https?:|mailto:)/i.test(href)) {
+    return text;
+  }
+  
+  const url = href.replace(/[|<> ]/g, char => encodeURIComponent(char));
+  const label = text.replace(/\|/g, '｜');
+  
+  if (!label || label === href || `mailto:${label}` === href) {
+    return `<${url}>`;
+  }
+  return `<${url}|${label}>`;
+}
+
+/**
+ * Render a <ul> or <ol> list with bullets or numbers
+ * リストを箇条書き・番号付きで変換
+ * 
+ * @param {Object} node - List element
+ * @param {Object} context - Render context
+ * @returns {string} - mrkdwn text
+ */
+function renderHtmlList(node, context) {
+  const indent = HTML_CONVERTER_CONFIG.LIST_INDENT.repeat(context.listDepth);
+  const itemContext = Object.assign({}, context, { listDepth: context.listDepth + 1 });
+  let number = node.tag === 'ol' ? parseInt(node.attrs.start, 10) || 1 : 0;
+  
+  const items = node.children
+    .filter(child => child.text === undefined || child.text.trim())
+    .map(child => {
+      const content = renderHtmlNode(child.tag === 'li' ? Object.assign({}, child, { tag: 'span' }) : child, itemContext)
+        .replace(/[ \t]*\n[ \t\n]*/g, '\n')
+        .trim();
+      if (!content) {
+        return null;
+      }
+      
+      const marker = node.tag === 'ol' ? `${number++}.` : '•';
+      return `${indent}${marker} ${content}`;
+    })
+    .filter(item => item !== null);
+    
+  const padding = context.listDepth === 0 ? '\n\n' : '\n';
+  return items.length > 0 ? `${padding}${items.join('\n')}${padding}` : '';
+}
+
+/**
+ * Render a table: data tables become "cell | cell" rows, layout tables become blocks
+ * 表を変換（データ表は「セル | セル」の行、レイアウト用の表はブロックとして表示）
+ * 
+ * Newsletters use nested tables for layout, so only tables without nested tables
+ * and with at least one multi-cell row are rendered as rows.
+ * 
+ * @param {Object} node - <table> element
+ * @param {Object} context - Render context
+ * @returns {string} - mrkdwn text
+ */
+function renderHtmlTable(node, context) {
+  const rows = [];
+  let nested = false;
+  
+  const collect = element => element.children.forEach(child => {
+    if (child.text !== undefined || isHiddenHtmlElement(child)) {
+      return;
+    }
+    if (child.tag === 'table') {
+      nested = true;
+    } else if (child.tag === 'tr') {
+      rows.push(child.children.filter(cell => cell.tag === 'td' || cell.tag === 'th'));
+      collect(child);
+    } else {
+      collect(child);
+    }
+  });
+  collect(node);
+  
+  if (nested || !rows.some(cells => cells.length > 1)) {
+    return `\n${renderHtmlNodes(node.children, context)}\n`;
+  }
+  
+  const lines = rows.map(cells => cells
+    .filter(cell => !isHiddenHtmlElement(cell))
+    .map(cell => {
+      const inline = Object.assign({}, cell, { tag: cell.tag === 'th' ? 'b' : 'span' });
+      return renderHtmlNode(inline, context).replace(/\s*\n\s*/g, ' ').trim();
+    })
+    .join(' | '))
+    .filter(line => line.replace(/[|\s]/g, '').length > 0);
+    
+  return `\n\n${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Escape the characters Slack treats as control sequences (&, <, >)
+ * Slackの制御文字（&, <, >）をエスケープ
+ * 
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+function escapeSlackText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Test function for HTML to mrkdwn conversion
+ * HTMLからmrkdwnへの変換テスト関数
+ */
+function testHtmlToMrkdwn() {
+  console.log('=== TESTING HTML to mrkdwn ===');
+  
+  try {
+    const html = '<h2>第7回 勉強会</h2><p>詳細は<a href="https://example.com/event">こちら</a>をご覧ください。</p>' +
+      '<ul><li><b>日時</b>: 4月10日</li><li>場所: 本社</li></ul>' +
+      '<table><tr><th>時間</th><th>内容</th></tr><tr><td>10:00</td><td>開会</td></tr></table>' +
+      '<img src="https://example.com/open.gif" width="1" height="1">';
+      
+    console.log(convertHtmlToMrkdwn(html));
+    console.log('HTML to mrkdwn test completed successfully');
+    
+  } catch (error) {
+    console.error('HTML to mrkdwn test failed:', error);
+    throw error;
+  }
+}
\ No newline at end of file
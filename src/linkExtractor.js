@@ -0,0 +1,343 @@
+/**
+ * Link Extractor Module
+ * 
+ * Collects the links of an email (HTML anchors and URLs in the plain body) for the
+ * "Links" section of the Slack post. Click-tracking redirects are unwrapped offline
+ * from their query parameters, tracking parameters are removed, and duplicates and
+ * unsubscribe links are dropped.
+ */
+
+// Link extraction settings
+const LINK_EXTRACTOR_CONFIG = {
+  // ASCII URL characters only, so URLs followed by Japanese text end where they should
+  URL_PATTERN: /https?:\/\/[\w\-.~:/?#\[\]@!$&'()*+,;=%]+/g,
+  TRAILING_PUNCTUATION_PATTERN: /[.,;:!?'"\]]+$/,
+  // Redirect wrappers: host and path to recognise them, query parameters holding the target
+  REDIRECT_WRAPPERS: [
+    { host: /(^|\.)google\.[a-z.]+$/, path: /^\/url$/, params: ['q', 'url'] },
+    { host: /\.safelinks\.protection\.outlook\.com$/, params: ['url'] },
+    { host: /^l\.(facebook|instagram)\.com$/, params: ['u'] },
+    { host: /^(www\.)?youtube\.com$/, path: /^\/redirect$/, params: ['q'] },
+    { host: /^(www\.)?linkedin\.com$/, path: /^\/redir\//, params: ['url'] },
+    { host: /^slack-redir\.net$/, params: ['url'] },
+    // Click trackers of mailing services: a redirect-like path with the target in the query
+    { path: /(^|\/)(click|track|redirect|redir|out|r|l)(\/|\.|$)/i, params: ['url', 'u', 'redirect', 'redirect_url', 'target', 'dest', 'destination', 'link'] }
+  ],
+  MAX_UNWRAP_DEPTH: 3,
+  TRACKING_PARAM_PATTERN: /^(utm_\w+|mc_cid|mc_eid|fbclid|gclid|yclid|_hsenc|_hsmi|mkt_tok)$/i,
+  UNSUBSCRIBE_PATTERN: /unsubscribe|unsub\b|opt[-_]?out|配信停止|配信解除|登録解除|購読解除|(email|mail|subscription)[-_]?preferences/i,
+  MAX_LINKS_IN_POST: 15,
+  MAX_LABEL_LENGTH: 40,
+  MAX_SHEET_CELL_LENGTH: 5000
+};
+
+/**
+ * Extract the links of an email
+ * メールのリンクを抽出
+ * 
+ * HTML anchors come first (they carry the link text), then URLs of the plain body.
+ * 
+ * @param {string} body - Plain email body
+ * @param {string} htmlBody - HTML email body (optional)
+ * @returns {Array} - [{ url, domain, text }] in order of appearance, without duplicates or unsubscribe links
+ */
+function extractLinksFromEmail(body, htmlBody = null) {
+  try {
+    const candidates = collectHtmlLinks(htmlBody)
+      .concat((String(body || '').match(LINK_EXTRACTOR_CONFIG.URL_PATTERN) || []).map(url => ({ url: url, text: '' })));
+      
+    const links = [];
+    const seen = {};
+    
+    candidates.forEach(candidate => {
+      const url = cleanLinkUrl(unwrapRedirectUrl(trimLinkUrl(candidate.url)));
+      const parsed = parseLinkUrl(url);
+      if (!parsed || isUnsubscribeLink(url, candidate.text)) {
+        return;
+      }
+      
+      // Scheme, "www.", a trailing slash and the fragment don't make a different link
+      const domain = parsed.host.replace(/^www\./, '');
+      const key = `${domain}${parsed.path.replace(/\/$/, '')}${parsed.query ? `?${parsed.query}` : ''}`;
+      if (seen[key]) {
+        // Keep the first occurrence, but take the link text from a later anchor if it had none
+        if (!seen[key].text && candidate.text) {
+          seen[key].text = candidate.text;
+        }
+        return;
+      }
+      
+      const link = { url: url, domain: domain, text: candidate.text };
+      seen[key] = link;
+      links.push(link);
+    });
+    
+    return links;
+    
+  } catch (error) {
+    console.error('Error extracting links:', error);
+    // Don't throw - the email is still forwarded without the links section
+    return [];
+  }
+}
+
+/**
+ * Collect the web links of the visible anchors of an HTML body
+ * HTML本文の表示されるアンカーからWebリンクを収集
+ * 
+ * @param {string} htmlBody - HTML email body
+ * @returns {Array} - [{ url, text }]
+ */
+function collectHtmlLinks(htmlBody) {
+  if (!htmlBody || !HTML_CONVERTER_CONFIG.HTML_DETECTION_PATTERN.test(htmlBody)) {
+    return [];
+  }
+  
+  const links = [];
+  const textOf = node => (node.text !== undefined
+    ? decodeHtmlEntities(node.text)
+    : (isHiddenHtmlElement(node) ? '' : node.children.map(textOf).join(' ')));
+    
+  const walk = node => {
+    if (node.text !== undefined || (node.tag !== '#root' && isHiddenHtmlElement(node))) {
+      return;
+    }
+    if (node.tag === 'a' && /^https?:/i.test((node.attrs.href || '').trim())) {
+      links.push({ url: node.attrs.href.trim(), text: textOf(node).replace(/\s+/g, ' ').trim() });
+      return;
+    }
+    node.children.forEach(walk);
+  };
+  
+  walk(parseHtml(htmlBody));
+  return links;
+}
+
+/**
+ * Remove punctuation that ends a sentence rather than the URL
+ * URLの末尾についた句読点を除去
+ * 
+ * @param {string} url - URL found in text
+ * @returns {string} - URL
+ */
+function trimLinkUrl(url) {
+  let trimmed = url.replace(LINK_EXTRACTOR_CONFIG.TRAILING_PUNCTUATION_PATTERN, '');
+  // "(https://example.com/a)" - keep parentheses that belong to the URL
+  while (trimmed.endsWith(')') && (trimmed.match(/\(/g) || []).length < (trimmed.match(/\)/g) || []).length) {
+    trimmed = trimmed.slice(0, -1).replace(LINK_EXTRACTOR_CONFIG.TRAILING_PUNCTUATION_PATTERN, '');
+  }
+  return trimmed;
+}
+
+/**
+ * Split a URL into its parts (Apps Script has no URL class)
+ * URLを構成要素に分解（Apps ScriptにはURLクラスがないため）
+ * 
+ * @param {string} url - Absolute http(s) URL
+ * @returns {Object|null} - { scheme, host, path, query, fragment } or null if it is not a web URL
+ */
+function parseLinkUrl(url) {
+  const match = String(url).match(/^(https?):\/\/([^/?#\s]+)([^?#\s]*)(?:\?([^#\s]*))?(?:#(\S*))?$/i);
+  if (!match) {
+    return null;
+  }
+  
+  return {
+    scheme: match[1].toLowerCase(),
+    host: match[2].toLowerCase().replace(/^[^@]*@/, '').replace(/:(80|443)$/, ''),
+    path: match[3] || '/',
+    query: match[4] || '',
+    fragment: match[5] || ''
+  };
+}
+
+/**
+ * Decode the parameters of a query string
+ * クエリ文字列のパラメーターをデコード
+ * 
+ * @param {string} query - Query string without "?"
+ * @returns {Array} - [[name, value]] in order
+ */
+function parseLinkQuery(query) {
+  const decode = text => {
+    try {
+      return decodeURIComponent(text.replace(/\+/g, ' '));
+    } catch (error) {
+      return text;
+    }
+  };
+  
+  return query.split('&')
+    .filter(pair => pair.length > 0)
+    .map(pair => {
+      const index = pair.indexOf('=');
+      return index < 0 ? [decode(pair), ''] : [decode(pair.substring(0, index)), decode(pair.substring(index + 1))];
+    });
+}
+
+/**
+ * Unwrap click-tracking redirects whose target is in a query parameter
+ * クエリパラメーターに転送先を持つクリック計測リダイレクトを展開
+ * 
+ * @param {string} url - URL
+ * @returns {string} - Target URL (or the URL itself if it is not a known redirect)
+ */
+function unwrapRedirectUrl(url) {
+  let current = url;
+  
+  for (let depth = 0; depth < LINK_EXTRACTOR_CONFIG.MAX_UNWRAP_DEPTH; depth++) {
+    const parsed = parseLinkUrl(current);
+    if (!parsed || !parsed.query) {
+      break;
+    }
+    
+    const params = parseLinkQuery(parsed.query);
+    const target = LINK_EXTRACTOR_CONFIG.REDIRECT_WRAPPERS
+      .filter(wrapper => (!wrapper.host || wrapper.host.test(parsed.host)) && (!wrapper.path || wrapper.path.test(parsed.path)))
+      .map(wrapper => params.find(([name, value]) => wrapper.params.includes(name.toLowerCase()) && /^https?:\/\/\S+$/i.test(value.trim())))
+      .find(param => param);
+      
+    if (!target) {
+      break;
+    }
+    current = target[1].trim();
+  }
+  
+  return current;
+}
+
+/**
+ * Remove tracking parameters (utm_*, fbclid, ...) from a URL
+ * URLから計測用パラメーター（utm_*、fbclid など）を除去
+ * 
+ * @param {string} url - URL
+ * @returns {string} - URL without tracking parameters
+ */
+function cleanLinkUrl(url) {
+  const queryStart = url.indexOf('?');
+  if (queryStart < 0) {
+    return url;
+  }
+  
+  const hashStart = url.indexOf('#', queryStart);
+  const query = url.substring(queryStart + 1, hashStart < 0 ? url.length : hashStart);
+  const kept = query.split('&').filter(pair => {
+    const name = pair.split('=')[0];
+    return pair.length > 0 && !LINK_EXTRACTOR_CONFIG.TRACKING_PARAM_PATTERN.test(name);
+  });
+  
+  return url.substring(0, queryStart) + (kept.length > 0 ? `?${kept.join('&')}` : '') +
+    (hashStart < 0 ? '' : url.substring(hashStart));
+}
+
+/**
+ * Check whether a link is an unsubscribe or preferences link
+ * 配信停止・配信設定のリンクか確認
+ * 
+ * @param {string} url - URL
+ * @param {string} text - Link text (optional)
+ * @returns {boolean} - True if the link should be dropped
+ */
+function isUnsubscribeLink(url, text = '') {
+  return LINK_EXTRACTOR_CONFIG.UNSUBSCRIBE_PATTERN.test(url) || LINK_EXTRACTOR_CONFIG.UNSUBSCRIBE_PATTERN.test(text || '');
+}
+
+/**
+ * Group links by domain, in order of first appearance
+ * リンクをドメインごとにまとめる（最初に出現した順）
+ * 
+ * @param {Array} links - Result of extractLinksFromEmail()
+ * @returns {Array} - [{ domain, links }]
+ */
+function groupLinksByDomain(links) {
+  const groups = [];
+  links.forEach(link => {
+    let group = groups.find(candidate => candidate.domain === link.domain);
+    if (!group) {
+      group = { domain: link.domain, links: [] };
+      groups.push(group);
+    }
+    group.links.push(link);
+  });
+  return groups;
+}
+
+/**
+ * Build the "Links" field of the Slack post (one line per domain)
+ * Slack投稿の「リンク」欄を生成（ドメインごとに1行）
+ * 
+ * @param {Array} links - Result of extractLinksFromEmail()
+ * @param {string} locale - Locale of the destination
+ * @returns {string} - Field text
+ */
+function buildLinksSlackText(links, locale = null) {
+  const shown = links.slice(0, LINK_EXTRACTOR_CONFIG.MAX_LINKS_IN_POST);
+  const lines = groupLinksByDomain(shown).map(group =>
+    `*${group.domain}*  ${group.links.map(link => `<${link.url.replace(/[|<> ]/g, char => encodeURIComponent(char))}|${buildLinkLabel(link)}>`).join(' · ')}`);
+    
+  if (links.length > shown.length) {
+    lines.push(localize('links.more', { count: links.length - shown.length }, locale));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Build a short label for a link: its text, or its path
+ * リンクの短いラベルを生成（リンクテキスト、なければパス）
+ * 
+ * @param {Object} link - { url, domain, text }
+ * @returns {string} - Label safe for Slack link syntax
+ */
+function buildLinkLabel(link) {
+  const parsed = parseLinkUrl(link.url);
+  const path = parsed ? `${parsed.path}${parsed.query ? `?${parsed.query}` : ''}` : link.url;
+  let label = link.text && link.text !== link.url ? link.text : (path === '/' ? link.domain : path);
+  
+  if (label.length > LINK_EXTRACTOR_CONFIG.MAX_LABEL_LENGTH) {
+    label = `${label.substring(0, LINK_EXTRACTOR_CONFIG.MAX_LABEL_LENGTH - 1)}…`;
+  }
+  return label.replace(/\|/g, '｜').replace(/</g, '＜').replace(/>/g, '＞');
+}
+
+/**
+ * Format links for the Links column of the tracking sheet (one URL per line)
+ * 追跡シートのLinks列用にリンクを整形（1行1URL）
+ * 
+ * @param {Array} links - Result of extractLinksFromEmail()
+ * @returns {string} - Cell text
+ */
+function formatLinksForSheet(links) {
+  const text = (links || []).map(link => link.url).join('\n');
+  if (text.length <= LINK_EXTRACTOR_CONFIG.MAX_SHEET_CELL_LENGTH) {
+    return text;
+  }
+  // Cut at the last whole URL
+  const end = text.lastIndexOf('\n', LINK_EXTRACTOR_CONFIG.MAX_SHEET_CELL_LENGTH);
+  return text.substring(0, end > 0 ? end : LINK_EXTRACTOR_CONFIG.MAX_SHEET_CELL_LENGTH);
+}
+
+/**
+ * Test function for link extraction
+ * リンク抽出のテスト関数
+ */
+function testLinkExtraction() {
+  console.log('=== TESTING Link Extraction ===');
+  
+  try {
+    const body = [
+      '申込はこちら: https://www.google.com/url?q=https%3A%2F%2Fexample.com%2Fentry%3Futm_source%3Dnews&sa=D',
+      '資料: https://example.com/slides.pdf。',
+      '配信停止: https://news.example.com/unsubscribe?id=1'
+    ].join('\n');
+    
+    const links = extractLinksFromEmail(body);
+    groupLinksByDomain(links).forEach(group => {
+      console.log(`${group.domain}: ${group.links.map(link => link.url).join(', ')}`);
+    });
+    console.log('Link extraction test completed successfully');
+    
+  } catch (error) {
+    console.error('Link extraction test failed:', error);
+    throw error;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,357 @@
+/**
+ * Locale Manager Module
+ * 
+ * Message catalog for every user-facing string posted to Slack.
+ * The locale is chosen per destination (routing rule, then channel, then CONFIG.LOCALE),
+ * and missing keys fall back to the default locale and finally to the Japanese pack.
+ */
+
+// Pack used when a key is missing from every other candidate locale
+const BASE_LOCALE = 'ja';
+
+// Message catalog: placeholders are written as {name}
+const MESSAGE_CATALOG = {
+  ja: {
+    'email.title': '📧 新着メール: {subject}',
+    'email.sender': '👤 送信者',
+    'email.receivedAt': '📅 受信日時',
+    'email.body': '📝 本文',
+    'email.attachments': '📎 添付ファイル ({count})',
+    'email.attachmentCount': '{saved}/{total}件',
+    'email.attachmentSkippedCount': ' ({count}件スキップ)',
+    'email.noBody': '_本文なし_',
+    'email.bodyContinued': '_[本文の全文は続きのメッセージで表示されます]_',
+    'email.bodySummaryThread': '_[本文から要点を抽出しました。全文はスレッドで表示されます]_',
+    'email.bodySummaryGmail': '_[本文から要点を抽出しました。全文は<{url}|Gmail>で確認できます]_',
+    'email.bodyShortened': '_[簡略表示モード]_',
+    'email.bodyError': '_本文表示エラー_',
+    'attachments.none': 'なし',
+    'attachments.failed': '保存失敗: {error}',
+    'attachments.skipped': 'スキップ: {reason}',
+    'followUp.reference': '{time}のメール',
+    'followUp.referenceFallback': '上記メール',
+    'drive.text': '↳ {reference}の添付ファイルをGoogle Driveに保存しました',
+    'drive.title': '📁 PDFファイル保存完了',
+    'drive.summary': '{count}件のPDFファイルを保存しました',
+    'body.text': '↳ {reference}の本文全文です',
+    'body.threadText': '📄 メール本文の全文',
+    'body.part': '（パート {number}）',
+    'body.lastPart': '（最終パート）',
+    'removed.notice': '_✂️ 引用・署名・フッター（{count}件）を省略しました。続きのメッセージで確認できます_',
+    'removed.text': '↳ {reference}の省略部分です',
+    'removed.threadText': '✂️ 本文から省略した部分',
+    'removed.quote': '💬 引用された過去のメール（{lines}行）',
+    'removed.signature': '✍️ 署名（{lines}行）',
+    'removed.footer': '📄 フッター（{lines}行）',
+    'links.title': '🔗 リンク（{count}件）',
+    'links.more': '_他{count}件_',
+    'event.title': '📅 イベント',
+    'event.allDay': '（終日）',
+    'event.addToCalendar': 'カレンダーに追加',
+    'event.created': '✅ チームカレンダーに登録しました',
+    'event.updated': '🔄 チームカレンダーの予定を更新しました',
+    'duplicate.title': '🔁 再送されたお知らせ',
+    'duplicate.same': '{date}の「{subject}」と同じ内容です',
+    'duplicate.changed': '{date}の「{subject}」の更新版です',
+    'duplicate.diff': '{date}の「{subject}」からの変更点:',
+    'duplicate.noChanges': '{date}の「{subject}」から変更はありません',
+    'digest.title': '📰 {label}（{count}件）',
+    'digest.hourly': '1時間のまとめ',
+    'digest.daily': 'デイリーダイジェスト',
+    'digest.weekly': 'ウィークリーダイジェスト',
+    'digest.folder': '📁 <{url}|Driveフォルダ>',
+    'error.title': '🚨 Gmail転送システムエラー',
+    'error.occurredAt': '発生時刻',
+    'summary.title': '📊 Gmail転送 処理サマリー',
+    'summary.success': '✅ 成功',
+    'summary.errors': '❌ エラー',
+    'summary.successRate': '📈 成功率',
+    'summary.executionTime': '⏱️ 実行時間',
+    'summary.deferred': '⏸️ 次回に繰り越し',
+    'unit.count': '{count}件',
+    'unit.seconds': '{seconds}秒',
+    'unit.minutes': '{minutes}分',
+    'test.title': '🧪 Gmail転送システム テスト通知',
+    'test.text': 'システムが正常に動作しています。',
+    'test.time': 'テスト時刻',
+    'test.status': 'ステータス',
+    'test.statusOk': '✅ 正常',
+    'testResults.title': '{emoji} Gmail転送システム テスト結果',
+    'testResults.successRate': '成功率',
+    'testResults.executionTime': '実行時間',
+    'testResults.configuration': '設定テスト',
+    'testResults.messageProcessing': 'メール処理',
+    'testResults.driveOperations': 'Drive操作',
+    'testResults.slackNotifications': 'Slack通知',
+    'trigger.created': '⚡ メール監視トリガーが有効化されました',
+    'trigger.disabled': '⏸️ メール監視トリガーが無効化されました',
+    'trigger.status': '📋 トリガー状態: {action}',
+    'trigger.systemState': 'システム状態',
+    'trigger.monitoring': '🟢 監視中',
+    'trigger.stopped': '🔴 停止中',
+    'trigger.updatedAt': '更新時刻',
+    'trigger.interval': 'チェック間隔',
+    'lock.title': '⏸️ 実行をスキップしました（前回の処理が実行中）',
+    'lock.skipped': 'スキップした処理',
+    'lock.running': '実行中の処理',
+    'lock.acquiredAt': 'ロック取得時刻',
+    'command.usage': '使い方: {command} status | health | stats | pause | resume | reprocess <メッセージID> | mentions [on|off]',
+    'command.unknown': '❓ 不明なコマンド: {text}',
+    'command.forbidden': '⛔ このコマンドは管理者のみ実行できます',
+    'command.verificationFailed': '⛔ Slackからのリクエストを検証できませんでした',
+    'command.failed': '❌ コマンドの実行に失敗しました: {error}',
+    'command.status': '{state} / チェック間隔: {interval} / 最終実行: {lastExecution}',
+    'command.lastExecution': '{time}（{minutes}分前）',
+    'command.neverExecuted': '未実行',
+    'command.lockHeld': '🔒 実行中の処理: {owner}（{since}から）',
+    'command.healthOk': '✅ ヘルスチェック正常',
+    'command.healthFailed': '❌ ヘルスチェック失敗: {error}',
+    'command.stats': '📊 処理済みメール: {messages}件 / 直近{hours}時間: 実行{runs}回・エラー{errors}件 / Drive: {files}ファイル（{size}）',
+    'command.paused': '⏸️ メール監視を停止しました',
+    'command.resumed': '▶️ メール監視を再開しました（{interval}分間隔）',
+    'command.reprocessUsage': '使い方: reprocess <メッセージID>',
+    'command.reprocessed': '🔁 再処理しました: {subject}（{rules}）',
+    'command.reprocessNoMatch': '⚠️ どのルールにも一致しませんでした: {subject}',
+    'command.reprocessNotFound': '⚠️ メッセージが見つかりません: {id}',
+    'command.reprocessBusy': '⏳ {owner}が実行中です。しばらくしてから再実行してください',
+    'command.mentionsOn': '🔔 キーワードメンションをオンにしました',
+    'command.mentionsOff': '🔕 キーワードメンションをオフにしました（再開: mentions on）',
+    'command.mentionsStatus': '{state} キーワード: {keywords}',
+    'command.mentionsEnabled': '🔔 キーワードメンション: オン /',
+    'command.mentionsDisabled': '🔕 キーワードメンション: オフ /',
+    'command.mentionsNone': 'なし',
+    'command.mentionsUsage': '使い方: mentions [on|off]',
+    'action.handled': '✅ 対応済みにする',
+    'action.archive': '🗄️ Gmailでアーカイブ',
+    'action.resend': '📎 添付ファイルを再送',
+    'action.open': '📧 Gmailで開く',
+    'action.statusTitle': '📌 対応状況',
+    'action.handledBy': '✅ {user}が対応済みにしました（{time}）',
+    'action.archivedBy': '🗄️ {user}がGmailでアーカイブしました（{time}）',
+    'action.resentBy': '📎 {user}が添付ファイル{count}件を再送しました（{time}）',
+    'action.failed': '❌ 操作に失敗しました: {error}'
+  },
+  
+  en: {
+    'email.title': '📧 New email: {subject}',
+    'email.sender': '👤 From',
+    'email.receivedAt': '📅 Received',
+    'email.body': '📝 Body',
+    'email.attachments': '📎 Attachments ({count})',
+    'email.attachmentCount': '{saved}/{total}',
+    'email.attachmentSkippedCount': ' ({count} skipped)',
+    'email.noBody': '_No body_',
+    'email.bodyContinued': '_[The full body follows in the next messages]_',
+    'email.bodySummaryThread': '_[Key sentences picked from the body. The full body is in the thread]_',
+    'email.bodySummaryGmail': '_[Key sentences picked from the body. Read the full body in <{url}|Gmail>]_',
+    'email.bodyShortened': '_[Shortened preview]_',
+    'email.bodyError': '_Could not display the body_',
+    'attachments.none': 'None',
+    'attachments.failed': 'save failed: {error}',
+    'attachments.skipped': 'skipped: {reason}',
+    'followUp.reference': 'the email from {time}',
+    'followUp.referenceFallback': 'the email above',
+    'drive.text': '↳ Attachments of {reference} were saved to Google Drive',
+    'drive.title': '📁 PDF files saved',
+    'drive.summary': 'Saved {count} PDF file(s)',
+    'body.text': '↳ Full body of {reference}',
+    'body.threadText': '📄 Full email body',
+    'body.part': '(Part {number})',
+    'body.lastPart': '(Last part)',
+    'removed.notice': '_✂️ {count} quoted/signature/footer section(s) omitted; see the follow-up message_',
+    'removed.text': '↳ Omitted sections of {reference}',
+    'removed.threadText': '✂️ Sections omitted from the body',
+    'removed.quote': '💬 Quoted earlier emails ({lines} lines)',
+    'removed.signature': '✍️ Signature ({lines} lines)',
+    'removed.footer': '📄 Footer ({lines} lines)',
+    'links.title': '🔗 Links ({count})',
+    'links.more': '_{count} more_',
+    'event.title': '📅 Event',
+    'event.allDay': ' (all day)',
+    'event.addToCalendar': 'Add to calendar',
+    'event.created': '✅ Added to the team calendar',
+    'event.updated': '🔄 Updated in the team calendar',
+    'duplicate.title': '🔁 Re-sent announcement',
+    'duplicate.same': 'Same content as "{subject}" ({date})',
+    'duplicate.changed': 'Updated version of "{subject}" ({date})',
+    'duplicate.diff': 'Changes since "{subject}" ({date}):',
+    'duplicate.noChanges': 'No changes since "{subject}" ({date})',
+    'digest.title': '📰 {label} ({count} emails)',
+    'digest.hourly': 'Hourly digest',
+    'digest.daily': 'Daily digest',
+    'digest.weekly': 'Weekly digest',
+    'digest.folder': '📁 <{url}|Drive folder>',
+    'error.title': '🚨 Gmail forwarder error',
+    'error.occurredAt': 'Occurred at',
+    'summary.title': '📊 Gmail forwarder run summary',
+    'summary.success': '✅ Succeeded',
+    'summary.errors': '❌ Errors',
+    'summary.successRate': '📈 Success rate',
+    'summary.executionTime': '⏱️ Execution time',
+    'summary.deferred': '⏸️ Deferred to next run',
+    'unit.count': '{count}',
+    'unit.seconds': '{seconds}s',
+    'unit.minutes': '{minutes} min',
+    'test.title': '🧪 Gmail forwarder test notification',
+    'test.text': 'The system is working.',
+    'test.time': 'Test time',
+    'test.status': 'Status',
+    'test.statusOk': '✅ OK',
+    'testResults.title': '{emoji} Gmail forwarder test results',
+    'testResults.successRate': 'Success rate',
+    'testResults.executionTime': 'Execution time',
+    'testResults.configuration': 'Configuration',
+    'testResults.messageProcessing': 'Message processing',
+    'testResults.driveOperations': 'Drive operations',
+    'testResults.slackNotifications': 'Slack notifications',
+    'trigger.created': '⚡ Email monitoring trigger enabled',
+    'trigger.disabled': '⏸️ Email monitoring trigger disabled',
+    'trigger.status': '📋 Trigger status: {action}',
+    'trigger.systemState': 'System state',
+    'trigger.monitoring': '🟢 Monitoring',
+    'trigger.stopped': '🔴 Stopped',
+    'trigger.updatedAt': 'Updated at',
+    'trigger.interval': 'Check interval',
+    'lock.title': '⏸️ Run skipped (previous run still in progress)',
+    'lock.skipped': 'Skipped run',
+    'lock.running': 'Running',
+    'lock.acquiredAt': 'Lock acquired at',
+    'command.usage': 'Usage: {command} status | health | stats | pause | resume | reprocess <message-id> | mentions [on|off]',
+    'command.unknown': '❓ Unknown command: {text}',
+    'command.forbidden': '⛔ Only admins can run this command',
+    'command.verificationFailed': '⛔ Could not verify that the request came from Slack',
+    'command.failed': '❌ Command failed: {error}',
+    'command.status': '{state} / Check interval: {interval} / Last execution: {lastExecution}',
+    'command.lastExecution': '{time} ({minutes} min ago)',
+    'command.neverExecuted': 'never',
+    'command.lockHeld': '🔒 Running: {owner} (since {since})',
+    'command.healthOk': '✅ Health check passed',
+    'command.healthFailed': '❌ Health check failed: {error}',
+    'command.stats': '📊 Processed emails: {messages} / Last {hours}h: {runs} run(s), {errors} error(s) / Drive: {files} file(s) ({size})',
+    'command.paused': '⏸️ Email monitoring paused',
+    'command.resumed': '▶️ Email monitoring resumed (every {interval} min)',
+    'command.reprocessUsage': 'Usage: reprocess <message-id>',
+    'command.reprocessed': '🔁 Reprocessed: {subject} ({rules})',
+    'command.reprocessNoMatch': '⚠️ No routing rule matched: {subject}',
+    'command.reprocessNotFound': '⚠️ Message not found: {id}',
+    'command.reprocessBusy': '⏳ {owner} is running, try again shortly',
+    'command.mentionsOn': '🔔 Keyword mentions turned on',
+    'command.mentionsOff': '🔕 Keyword mentions turned off (undo: mentions on)',
+    'command.mentionsStatus': '{state} Keywords: {keywords}',
+    'command.mentionsEnabled': '🔔 Keyword mentions: on /',
+    'command.mentionsDisabled': '🔕 Keyword mentions: off /',
+    'command.mentionsNone': 'none',
+    'command.mentionsUsage': 'Usage: mentions [on|off]',
+    'action.handled': '✅ Mark handled',
+    'action.archive': '🗄️ Archive in Gmail',
+    'action.resend': '📎 Re-send attachments',
+    'action.open': '📧 Open in Gmail',
+    'action.statusTitle': '📌 Status',
+    'action.handledBy': '✅ Marked handled by {user} ({time})',
+    'action.archivedBy': '🗄️ Archived in Gmail by {user} ({time})',
+    'action.resentBy': '📎 {count} attachment(s) re-sent by {user} ({time})',
+    'action.failed': '❌ Action failed: {error}'
+  }
+};
+
+/**
+ * Resolve the locale for a Slack destination
+ * Slack通知先のロケールを解決
+ * 
+ * Order: destination.locale (routing rule), CONFIG.CHANNEL_LOCALES for the channel, CONFIG.LOCALE.
+ * 
+ * @param {Object} destination - Destination with channel and optional locale (default: CONFIG.SLACK_CHANNEL)
+ * @returns {string} - Locale code such as 'ja' or 'en'
+ */
+function resolveLocale(destination = null) {
+  const target = destination || {};
+  const channel = target.channel || CONFIG.SLACK_CHANNEL;
+  const channelLocales = CONFIG.CHANNEL_LOCALES || {};
+  
+  return target.locale || channelLocales[channel] || CONFIG.LOCALE || BASE_LOCALE;
+}
+
+/**
+ * Look up a user-facing string and fill in its placeholders
+ * ユーザー向け文字列を取得し、プレースホルダーを置換
+ * 
+ * Regional locales fall back to their language ('en-US' -> 'en'); keys missing from the
+ * requested pack fall back to CONFIG.LOCALE, then to the Japanese pack, then to the key itself.
+ * 
+ * @param {string} key - Message key, e.g. 'email.sender'
+ * @param {Object} params - Placeholder values
+ * @param {string} locale - Locale code (default: resolveLocale())
+ * @returns {string} - Localized string
+ */
+function localize(key, params = {}, locale = null) {
+  const requested = locale || resolveLocale();
+  const candidates = [requested, requested.split('-')[0], CONFIG.LOCALE, BASE_LOCALE];
+  
+  const pack = candidates
+    .map(code => MESSAGE_CATALOG[code])
+    .find(messages => messages && Object.prototype.hasOwnProperty.call(messages, key));
+    
+  if (!pack) {
+    console.error(`Missing message key "${key}" in every locale pack`);
+    return key;
+  }
+  
+  return pack[key].replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder);
+}
+
+/**
+ * Find keys of the base pack that are missing from the other locale packs
+ * ベースパックに存在し他のロケールパックにないキーを検出
+ * 
+ * @returns {Object} - { locale: [missing keys] }
+ */
+function findMissingMessageKeys() {
+  const baseKeys = Object.keys(MESSAGE_CATALOG[BASE_LOCALE]);
+  const missing = {};
+  
+  Object.keys(MESSAGE_CATALOG).forEach(locale => {
+    const keys = baseKeys.filter(key => !Object.prototype.hasOwnProperty.call(MESSAGE_CATALOG[locale], key));
+    if (keys.length > 0) {
+      missing[locale] = keys;
+    }
+  });
+  
+  return missing;
+}
+
+/**
+ * Test function for locale packs
+ * ロケールパックのテスト関数
+ */
+function testLocalePacks() {
+  console.log('=== TESTING Locale Packs ===');
+  
+  try {
+    console.log(`Available locales: ${Object.keys(MESSAGE_CATALOG).join(', ')}`);
+    console.log(`Default locale: ${CONFIG.LOCALE}`);
+    
+    Object.entries(CONFIG.CHANNEL_LOCALES || {}).forEach(([channel, locale]) => {
+      console.log(`${channel} -> ${locale}`);
+    });
+    
+    const missing = findMissingMessageKeys();
+    if (Object.keys(missing).length === 0) {
+      console.log('✅ All locale packs are complete');
+    } else {
+      Object.entries(missing).forEach(([locale, keys]) => {
+        console.log(`⚠️ ${locale} is missing ${keys.length} key(s), falling back: ${keys.join(', ')}`);
+      });
+    }
+    
+    Object.keys(MESSAGE_CATALOG).forEach(locale => {
+      console.log(`${locale}: ${localize('email.title', { subject: 'Sample' }, locale)}`);
+    });
+    
+    console.log('Locale packs test completed successfully');
+    
+  } catch (error) {
+    console.error('Locale packs test failed:', error);
+    throw error;
+  }
+}
\ No newline at end of file
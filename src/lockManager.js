@@ -0,0 +1,225 @@
+/**
+ * Lock Manager Module
+ * 
+ * Prevents overlapping trigger runs from processing (and posting) the same email twice.
+ * A processing lease is stored in Script Properties and updated inside a short LockService
+ * critical section, so leases left behind by killed executions can be detected as stale.
+ */
+
+// Lock configuration
+const LOCK_CONFIG = {
+  LEASE_PROPERTY: 'PROCESSING_LOCK',
+  LEASE_TTL_MS: 10 * 60 * 1000,  // Longer than any execution can run; older leases are stale
+  ACQUIRE_WAIT_MS: 10 * 1000,  // Wait for the short critical section
+  SHEET_WRITE_WAIT_MS: 30 * 1000  // Wait for the sheet write lock
+};
+
+/**
+ * Acquire the script-wide processing lock
+ * スクリプト全体の処理ロックを取得
+ * 
+ * When another run holds the lock, a Slack warning is posted (once per holder) and the
+ * caller should skip its work. A stale lease is reported and taken over.
+ * 
+ * @param {string} ownerName - Name of the function taking the lock (for reporting)
+ * @returns {Object} - { acquired, id, holder }
+ */
+function acquireProcessingLock(ownerName) {
+  const scriptLock = LockService.getScriptLock();
+  if (!scriptLock.tryLock(LOCK_CONFIG.ACQUIRE_WAIT_MS)) {
+    console.log('Could not enter the lock critical section, skipping this run');
+    return { acquired: false, id: null, holder: null };
+  }
+  
+  let staleLease = null;
+  let busyLease = null;
+  let shouldWarn = false;
+  const lease = {
+    id: Utilities.getUuid(),
+    owner: ownerName,
+    acquiredAt: new Date().toISOString()
+  };
+  
+  try {
+    const currentLease = getProcessingLease();
+    
+    if (currentLease) {
+      const age = new Date().getTime() - new Date(currentLease.acquiredAt).getTime();
+      if (age < LOCK_CONFIG.LEASE_TTL_MS) {
+        busyLease = currentLease;
+        
+        // Warn only once per holder so a long run doesn't cause a warning on every trigger
+        shouldWarn = !currentLease.skipWarned;
+        if (shouldWarn) {
+          currentLease.skipWarned = true;
+          setProperty(LOCK_CONFIG.LEASE_PROPERTY, JSON.stringify(currentLease));
+        }
+      } else {
+        staleLease = currentLease;
+      }
+    }
+    
+    if (!busyLease) {
+      setProperty(LOCK_CONFIG.LEASE_PROPERTY, JSON.stringify(lease));
+    }
+    
+  } finally {
+    scriptLock.releaseLock();
+  }
+  
+  if (busyLease) {
+    console.log(`⏸️ ${ownerName} skipped: lock held by ${busyLease.owner} since ${busyLease.acquiredAt}`);
+    if (shouldWarn) {
+      sendLockSkippedNotification(ownerName, busyLease);
+    }
+    return { acquired: false, id: null, holder: busyLease };
+  }
+  
+  if (staleLease) {
+    console.error(`Stale processing lock from ${staleLease.owner} (${staleLease.acquiredAt}) taken over by ${ownerName}`);
+    sendErrorNotification(`Stale processing lock detected: ${staleLease.owner} acquired it at ${staleLease.acquiredAt} and never released it. ` +
+      `The previous run was probably killed at the time limit; ${ownerName} took over the lock.`);
+  }
+  
+  console.log(`🔒 Processing lock acquired by ${ownerName}`);
+  return { acquired: true, id: lease.id, holder: null };
+}
+
+/**
+ * Release the processing lock if it is still held by the given owner
+ * 指定した所有者が保持している場合に処理ロックを解放
+ * 
+ * @param {Object} lock - Result of acquireProcessingLock()
+ */
+function releaseProcessingLock(lock) {
+  if (!lock || !lock.acquired) {
+    return;
+  }
+  
+  const scriptLock = LockService.getScriptLock();
+  if (!scriptLock.tryLock(LOCK_CONFIG.ACQUIRE_WAIT_MS)) {
+    console.error('Could not enter the lock critical section to release the lock; it will expire as stale');
+    return;
+  }
+  
+  try {
+    const currentLease = getProcessingLease();
+    if (currentLease && currentLease.id === lock.id) {
+      PropertiesService.getScriptProperties().deleteProperty(LOCK_CONFIG.LEASE_PROPERTY);
+      console.log('🔓 Processing lock released');
+    } else {
+      console.log('Processing lock was taken over by another run, not releasing');
+    }
+  } finally {
+    scriptLock.releaseLock();
+  }
+}
+
+/**
+ * Get the current processing lease
+ * 現在の処理リースを取得
+ * 
+ * @returns {Object|null} - Lease { id, owner, acquiredAt } or null if unlocked
+ */
+function getProcessingLease() {
+  const json = getProperty(LOCK_CONFIG.LEASE_PROPERTY, false);
+  if (!json) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    console.error('Invalid processing lock in script properties, ignoring it:', error);
+    return null;
+  }
+}
+
+/**
+ * Manually clear the processing lock (maintenance)
+ * 処理ロックを手動で解除（メンテナンス用）
+ */
+function forceReleaseProcessingLock() {
+  const currentLease = getProcessingLease();
+  if (!currentLease) {
+    console.log('Processing lock is not held');
+    return;
+  }
+  
+  PropertiesService.getScriptProperties().deleteProperty(LOCK_CONFIG.LEASE_PROPERTY);
+  console.log(`✓ Cleared processing lock held by ${currentLease.owner} since ${currentLease.acquiredAt}`);
+}
+
+/**
+ * Run a sheet write while holding the script lock
+ * スクリプトロックを保持した状態でシート書き込みを実行
+ * 
+ * @param {Function} callback - Function performing the write
+ * @returns {*} - Return value of the callback
+ */
+function withSheetWriteLock(callback) {
+  const scriptLock = LockService.getScriptLock();
+  if (!scriptLock.tryLock(LOCK_CONFIG.SHEET_WRITE_WAIT_MS)) {
+    throw new Error('Timed out waiting for the sheet write lock');
+  }
+  
+  try {
+    return callback();
+  } finally {
+    scriptLock.releaseLock();
+  }
+}
+
+/**
+ * Send a Slack warning that a run was skipped because the lock is held
+ * ロック保持中のため実行をスキップしたことをSlackに警告
+ * 
+ * @param {string} ownerName - Name of the skipped function
+ * @param {Object} holder - Lease of the run holding the lock
+ */
+function sendLockSkippedNotification(ownerName, holder) {
+  try {
+    const webhookUrl = getProperty(PROPERTY_KEYS.SLACK_WEBHOOK_URL);
+    
+    const message = {
+      channel: CONFIG.SLACK_CHANNEL,
+      username: 'Gmail Bot',
+      icon_emoji: ':lock:',
+      attachments: [{
+        color: 'warning',
+        title: localize('lock.title'),
+        fields: [
+          {
+            title: localize('lock.skipped'),
+            value: ownerName,
+            short: true
+          },
+          {
+            title: localize('lock.running'),
+            value: holder.owner,
+            short: true
+          },
+          {
+            title: localize('lock.acquiredAt'),
+            value: formatDateInTimeZone(new Date(holder.acquiredAt), 'yyyy/MM/dd HH:mm:ss'),
+            short: true
+          }
+        ],
+        footer: 'Gmail to Slack Forwarder - Lock Manager'
+      }]
+    };
+    
+    UrlFetchApp.fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      payload: JSON.stringify(message),
+      muteHttpExceptions: true
+    });
+    
+    console.log('✓ Lock warning sent to Slack');
+    
+  } catch (error) {
+    console.error('Error sending lock warning:', error);
+    // Don't throw - this is not critical
+  }
+}
\ No newline at end of file
@@ -38,8 +38,63 @@ const CONFIG = {
   // Legacy single pattern support (for backward compatibility)
   SUBJECT_PATTERN: /第\d+回.*部会.*開催.*案内|.*メルマガ.*|.*勉強会.*/,
   
+  // Routing table: each rule maps senders and subject patterns to its own Slack destination
+  // ルーティングテーブル: 送信者と件名パターンごとに通知先を設定
+  // Leave empty to use SENDER_EMAIL / SLACK_CHANNEL / SUBJECT_PATTERNS above as a single rule.
+  // Rules can also be stored as JSON in the ROUTING_RULES script property (patterns as "/source/flags" strings).
+  ROUTING_RULES: [
+    // {
+    //   name: 'study-sessions',
+    //   senders: ['seminar@example.com', '@example.org'],  // Full address or "@domain"
+    //   patterns: [/.*勉強会/],
+    //   matchMode: 'any',
+    //   filter: '勉強会 in subject AND NOT 中止 in body AND has pdf',  // Optional, replaces patterns (see filterRuleManager.js)
+    //   footerMarkers: [/配信停止/],  // Optional, lines that start the newsletter footer (overrides FOOTER_MARKERS)
+    //   titleTemplate: '第{round}回 勉強会（{date}）',  // Optional, Slack title from named groups such as /第(?<round>\d+)回.*※(?<date>\d+\/\d+)/
+    //   folderTemplate: '第{round}回勉強会',  // Optional, Drive folder name after the date (default: the subject)
+    //   channel: '#study-sessions',
+    //   username: 'Study Session Bot',
+    //   iconEmoji: ':books:',
+    //   timeZone: 'America/New_York',  // Optional, overrides TIME_ZONE for this rule
+    //   locale: 'en',  // Optional, overrides LOCALE / CHANNEL_LOCALES for this rule
+    //   broadcastReplies: true,  // Optional, overrides BROADCAST_THREAD_REPLIES for this rule
+    //   duplicateAction: 'diff',  // Optional, overrides DUPLICATE_ACTION for this rule
+    //   delivery: 'daily',  // Optional, 'immediate', 'hourly', 'daily' or 'weekly' (overrides DELIVERY_MODE)
+    //   quietHours: { periods: [{ start: '19:00', end: '09:00' }] }  // Optional, overrides keys of QUIET_HOURS (false = off)
+    // }
+  ],
+  
+  // Keyword mentions: ping people when the subject or body touches their area (see mentionManager.js)
+  // キーワードメンション: 件名・本文にキーワードが含まれるとSlackユーザー/ユーザーグループをメンション
+  // Opt-outs are kept in the MentionSettings sheet; rules can also be stored as JSON in the MENTION_RULES script property.
+  MENTION_RULES: [
+    // Example:
+    // {
+    //   name: 'ml',
+    //   keywords: ['機械学習', /\bLLM\b/i],  // Plain strings are literal keywords
+    //   mentions: ['U012ABCDEF', 'S0123GROUP'],  // User IDs (U/W...) or user group IDs (S...)
+    //   rules: ['study-sessions']  // Optional, only for these routing rules
+    // }
+  ],
+  
   GMAIL_LABEL: 'Processed',  // 処理済みメールのラベル名
   
+  // Time zone used by every date formatter (IANA ID, e.g. 'Asia/Tokyo', 'America/New_York')
+  // 日付表示に使用するタイムゾーン（スクリプトプロパティ TIME_ZONE で上書き可能）
+  TIME_ZONE: getProperty('TIME_ZONE', false) || 'Asia/Tokyo',
+  
+  // true: Slack shows dates with <!date^...> so each reader sees their own local time
+  // true: Slackの<!date^...>構文で閲覧者のローカル時刻を表示
+  SLACK_LOCAL_TIME: false,
+  
+  // Language of Slack messages: 'ja' or 'en' (see localeManager.js)
+  // Slackメッセージの言語（スクリプトプロパティ LOCALE で上書き可能）
+  LOCALE: getProperty('LOCALE', false) || 'ja',
+  
+  // Per-channel language overrides, e.g. { '#global-team': 'en' }
+  // チャンネルごとの言語設定
+  CHANNEL_LOCALES: {},
+  
   // Slack integration settings
   // IMPORTANT: Set actual Slack channel in Script Properties, not here!
   SLACK_CHANNEL: getProperty('SLACK_CHANNEL') || '#general',  // 通知先Slackチャンネル
@@ -51,7 +106,67 @@ const CONFIG = {
   MAX_EMAILS_PER_RUN: 10,  // 一回の実行で処理する最大メール数
   BODY_PREVIEW_LENGTH: 20000,  // Slackに表示する本文の最大文字数（増やして全文表示可能に）
   SHOW_FULL_EMAIL_BODY: true,  // true: 全文表示（制限内）, false: 短縮表示
+  CONVERT_HTML_BODY: true,  // true: HTMLメールをSlack mrkdwnに変換（リンク・太字・リスト・表を保持）, false: プレーンテキスト本文
+  CLEAN_EMAIL_BODY: true,  // true: 引用返信・署名・フッターを本文から除去（see bodyCleaner.js）
+  SUMMARIZE_LONG_BODY: true,  // true: 長い本文は日時・場所・締切・URLを含む要点の文をプレビューに表示し、全文はスレッドに投稿（WebhookではGmailへのリンク、see bodySummarizer.js）
+  POST_REMOVED_SECTIONS: true,  // true: 除去した部分をスレッド（Webhookでは続きのメッセージ）に投稿, false: 破棄
+  EXTRACT_LINKS: true,  // true: 本文のリンクをドメインごとに「リンク」欄に表示（リダイレクト展開・重複/配信停止リンク除外）し、追跡シートに記録
+  EXTRACT_CALENDAR_EVENTS: true,  // true: 件名・本文の日時からカレンダー予定を作成（CALENDAR_ID設定時）し、「カレンダーに追加」リンクと.icsを投稿
+  TITLE_TEMPLATE: null,  // Slackのタイトル（例: '第{round}回部会（{date}）' - パターンの名前付きグループ (?<round>...) を使用、null: 件名）
+  FOLDER_NAME_TEMPLATE: null,  // Driveフォルダ名の日付以降の部分（例: '第{round}回部会'、null: 件名）
+  FOOTER_MARKERS: [],  // フッター開始行のパターン（全ルール共通、ルールごとに footerMarkers で上書き可）e.g. [/配信停止/]
   SEND_DRIVE_FOLDER_NOTIFICATION: true,  // true: PDF保存後にDriveフォルダリンクをフォローアップ送信
+  SYNC_GMAIL_THREADS: true,  // true: 同じGmailスレッドの後続メールを最初の投稿のSlackスレッドに返信（Web API使用時）
+  BROADCAST_THREAD_REPLIES: false,  // true: スレッド返信をチャンネルにも表示（ルールごとに broadcastReplies で上書き可）
+  DETECT_DUPLICATES: true,  // true: 件名・本文・添付のフィンガープリントで再送・訂正版のお知らせを検出（see duplicateDetector.js）
+  DUPLICATE_ACTION: 'thread',  // 再送時の動作: 'suppress'（投稿しない）, 'thread'（元の投稿のスレッドに返信）, 'diff'（変更点付きで投稿）, 'post'（通常どおり投稿）- ルールごとに duplicateAction で上書き可
+  CLASSIFY_URGENCY: true,  // true: 緊急度に応じて色・絵文字・@here/@channel を付与（see urgencyClassifier.js）
+  DELIVERY_MODE: 'immediate',  // 配信モード: 'immediate'（1通ずつ投稿）, 'hourly' / 'daily' / 'weekly'（まとめて投稿、see digestManager.js）- ルールごとに delivery で上書き可
+  DIGEST_HOUR: 8,  // デイリー・ウィークリーダイジェストの配信時刻（ルールのタイムゾーンの時、0-23）
+  DIGEST_WEEKDAY: 'Mon',  // ウィークリーダイジェストの配信曜日（'Mon'-'Sun'）
+  SLACK_INTERACTIVE_BUTTONS: true,  // true: 対応済み/アーカイブ/添付再送/Gmailで開く ボタンを表示（Slackアプリのインタラクティビティ設定が必要）
+  
+  // Urgency levels, checked in order: subject/body markers (RegExp or "/source/flags" strings) or an
+  // event starting within eventWithinHours; mention: 'here', 'channel' or null
+  // 緊急度レベル（上から順に判定）- 色・絵文字・メンションを設定
+  URGENCY_LEVELS: [
+    {
+      name: 'urgent',
+      subjectMarkers: [/【(緊急|至急)】/, /\burgent\b/i],
+      bodyMarkers: [/至急(ご)?(対応|確認|返信|連絡)/],
+      color: 'danger',
+      emoji: '🚨',
+      mention: 'channel'
+    },
+    {
+      name: 'high',
+      subjectMarkers: [/【(本日|明日)(開催)?】/, /【重要】/, /【(締切|締め切り)】/],
+      eventWithinHours: 24,
+      color: '#e8912d',
+      emoji: '⏰',
+      mention: 'here'
+    }
+  ],
+  
+  // No @here/@channel during these periods (destination time zone); color and emoji still apply
+  // e.g. [{ start: '22:00', end: '07:00' }, { days: ['Sat', 'Sun'] }]
+  // メンションを抑制する期間
+  ESCALATION_QUIET_PERIODS: [],
+  
+  // Quiet hours: notifications are held during these periods and holidays (destination time zone)
+  // and posted in order when the window opens; rules can override any key with quietHours (false = off)
+  // e.g. periods: [{ start: '20:00', end: '08:00' }, { days: ['Sat', 'Sun'] }], holidayCalendars: ['JP']
+  // 通知停止時間（夜間・週末・祝日）- 期間中の通知は保留し、停止時間の終了後に順番に投稿
+  QUIET_HOURS: {
+    periods: [],
+    holidayCalendars: [],  // Calendar IDs with holidays as all-day events; 'JP' = Japanese public holidays
+    holidays: [],  // Extra days off as 'yyyy-MM-dd', e.g. ['2025-12-29', '2025-12-30']
+    bypassLevels: ['urgent']  // Urgency levels that are posted right away
+  },
+  
+  // Execution time budget: stop cleanly and defer the rest before Apps Script's 6-minute limit
+  // 実行時間の上限（秒）- 超過前に処理を中断し、残りは次回実行に繰り越し
+  EXECUTION_TIME_BUDGET_SECONDS: 270,
   
   // Trigger settings
   TRIGGER_INTERVAL_MINUTES: 5  // トリガーの実行間隔（分）
@@ -70,33 +185,122 @@ const PROPERTY_KEYS = {
   
   // Slack Web API properties (optional - for thread support)
   SLACK_BOT_TOKEN: 'SLACK_BOT_TOKEN',
-  USE_SLACK_API: 'USE_SLACK_API'  // Set to 'true' to use Web API instead of webhook
+  USE_SLACK_API: 'USE_SLACK_API',  // Set to 'true' to use Web API instead of webhook
+  
+  // Routing table as JSON (optional - overrides CONFIG.ROUTING_RULES)
+  ROUTING_RULES: 'ROUTING_RULES',
+  
+  // Keyword mention rules as JSON (optional - overrides CONFIG.MENTION_RULES)
+  MENTION_RULES: 'MENTION_RULES',
+  
+  // Time zone for date formatting (optional - overrides CONFIG.TIME_ZONE default)
+  TIME_ZONE: 'TIME_ZONE',
+  
+  // Default language of Slack messages (optional - overrides CONFIG.LOCALE default)
+  LOCALE: 'LOCALE',
+  
+  // Calendar for events extracted from announcements (optional - see calendarManager.js)
+  CALENDAR_ID: 'CALENDAR_ID',
+  
+  // Slack slash commands (optional - see slackCommandManager.js)
+  SLACK_SIGNING_SECRET: 'SLACK_SIGNING_SECRET',
+  SLACK_VERIFICATION_TOKEN: 'SLACK_VERIFICATION_TOKEN',
+  SLACK_ADMIN_USER_IDS: 'SLACK_ADMIN_USER_IDS'  // Comma-separated Slack user IDs allowed to run admin commands
 };
 
+// Script property holding the threads deferred when a run hits its time budget
+const PROCESSING_CURSOR_KEY = 'PROCESSING_CURSOR';
+
 /**
  * Main processing function - called by time-based trigger
  * メイン処理関数 - 時間ベーストリガーから呼び出される
+ * 
+ * @param {Object} options - Processing options (trigger event objects are ignored)
+ * @param {boolean} options.dryRun - Evaluate messages without saving, posting, labeling or tracking
+ * @returns {Object|null} - Dry-run report when options.dryRun is true, otherwise null
  */
-function processEmails() {
+function processEmails(options = {}) {
   const startTime = new Date().getTime();
+  const dryRun = Boolean(options && options.dryRun === true);
+  const report = dryRun ? { dryRun: true, query: null, ruleErrors: [], messages: [] } : null;
+  const runSummary = { processedCount: 0, errorCount: 0, deferredCount: 0, criticalError: null };
+  let lock = null;
+  
+  // Threads of this run and the work left over for the next one, saved as the cursor in finally
+  let threads = null;
+  let nextThreadIndex = 0;
+  const remainingThreadIds = [];
+  let deferredMessageCount = 0;
   
   try {
-    console.log('=== Gmail to Slack Forwarder Starting ===');
-    console.log(`Configuration: Sender=${CONFIG.SENDER_EMAIL}, Pattern=${CONFIG.SUBJECT_PATTERN}`);
+    console.log(`=== Gmail to Slack Forwarder Starting${dryRun ? ' (DRY RUN)' : ''} ===`);
+    
+    // Only one run may process messages at a time (dry runs have no side effects and don't need the lock)
+    // 同時実行による二重投稿を防ぐため処理ロックを取得
+    if (!dryRun) {
+      lock = acquireProcessingLock('processEmails');
+      if (!lock.acquired) {
+        return null;
+      }
+    }
+    
+    // Check required properties (validation creates the Drive folder, so skip it in dry-run mode)
+    if (!dryRun) {
+      validateConfiguration();
+    }
+    
+    // Load editable patterns from the Rules sheet; invalid rows are reported but don't stop the run
+    // Rulesシートからパターンを読み込み（不正な行は通知のみで処理は継続）
+    const sheetPatterns = loadPatternRulesFromSheet(dryRun);
+    if (sheetPatterns && sheetPatterns.errors.length > 0) {
+      if (dryRun) {
+        report.ruleErrors = sheetPatterns.errors;
+      } else {
+        sendErrorNotification(`Invalid patterns in Rules sheet (skipped):\n${sheetPatterns.errors.join('\n')}`);
+      }
+    }
+    
+    // Load routing table; invalid rules are skipped and reported like invalid sheet rows
+    // ルーティングルールを読み込み（不正なルールは通知のみでスキップ）
+    const routingErrors = [];
+    const routingRules = getRoutingRules(sheetPatterns, routingErrors);
+    if (routingErrors.length > 0) {
+      if (dryRun) {
+        report.ruleErrors = report.ruleErrors.concat(routingErrors);
+      } else {
+        sendErrorNotification(`Invalid routing rules (skipped):\n${routingErrors.join('\n')}`);
+      }
+    }
+    console.log(`Routing rules: ${routingRules.map(rule => `${rule.name} -> ${rule.channel}`).join(', ')}`);
+    
+    // Post notifications held during quiet hours before any new ones, so they keep their order
+    // 通知停止時間中に保留した通知を、新しい通知より先に投稿
+    if (!dryRun) {
+      releaseHeldNotifications();
+    }
     
-    // Check required properties
-    validateConfiguration();
+    // Search for emails from all routed senders (including those in processed threads)
+    // ルーティング対象の全送信者からのメールを検索（処理済みスレッド内のものも含む）
+    const query = buildSenderSearchQuery(routingRules);
+    const searchedThreads = GmailApp.search(query, 0, CONFIG.MAX_EMAILS_PER_RUN * 3); // Get more threads to check individual messages
     
-    // Search for emails from sender (including those in processed threads)
-    // 送信者からのメールを検索（処理済みスレッド内のものも含む）
-    const query = `from:${CONFIG.SENDER_EMAIL}`;
-    const threads = GmailApp.search(query, 0, CONFIG.MAX_EMAILS_PER_RUN * 3); // Get more threads to check individual messages
+    // Threads deferred by the previous run come first, even if newer mail pushed them out of the search window
+    // 前回の実行で繰り越されたスレッドを優先的に処理
+    const deferredThreads = loadDeferredThreads();
+    const deferredIds = deferredThreads.map(thread => thread.getId());
+    threads = deferredThreads.concat(searchedThreads.filter(thread => !deferredIds.includes(thread.getId())));
     
-    console.log(`Found ${threads.length} email threads`);
+    console.log(`Found ${searchedThreads.length} email threads (+${deferredThreads.length} deferred from previous run)`);
+    if (dryRun) {
+      report.query = query;
+    }
     
     if (threads.length === 0) {
       console.log('No emails to process');
-      return;
+      if (dryRun) {
+        printDryRunReport(report);
+      }
+      return report;
     }
     
     let processedCount = 0;
@@ -104,7 +308,18 @@ function processEmails() {
     let checkedCount = 0;
     
     // Process each thread and check individual messages
-    threads.forEach((thread, index) => {
+    for (let index = 0; index < threads.length; index++) {
+      const thread = threads[index];
+      nextThreadIndex = index;
+      
+      // Stop at a thread boundary once the time budget is used up
+      if (remainingThreadIds.length > 0 || !hasExecutionTimeLeft(startTime)) {
+        remainingThreadIds.push(thread.getId());
+        deferredMessageCount += thread.getMessageCount();
+        nextThreadIndex = index + 1;
+        continue;
+      }
+      
       try {
         console.log(`Checking thread ${index + 1}/${threads.length}: ${thread.getFirstMessageSubject()}`);
         
@@ -113,36 +328,58 @@ function processEmails() {
         const messages = thread.getMessages();
         let threadHasNewMessages = false;
         
-        messages.forEach((message, msgIndex) => {
+        for (let msgIndex = 0; msgIndex < messages.length; msgIndex++) {
+          const message = messages[msgIndex];
+          
+          // Stop at a message boundary so a message is never left half-processed
+          if (!hasExecutionTimeLeft(startTime)) {
+            console.log(`⏱️ Time budget reached in thread ${index + 1}, deferring remaining messages`);
+            remainingThreadIds.push(thread.getId());
+            deferredMessageCount += messages.length - msgIndex;
+            break;
+          }
+          
           try {
             checkedCount++;
             
             if (message.isInTrash()) {
               console.log(`  Message ${msgIndex + 1} is in trash, skipping`);
-              return;
+              continue;
             }
             
             // Check if this specific message was already processed
             if (isMessageAlreadyProcessed(message)) {
               console.log(`  Message ${msgIndex + 1} already processed, skipping`);
-              return;
+              continue;
             }
             
             console.log(`  Processing new message ${msgIndex + 1}: ${message.getSubject()}`);
             
-            if (processMessage(message)) {
+            if (dryRun) {
+              report.messages.push(planMessageProcessing(message, routingRules));
+              continue;
+            }
+            
+            const result = processMessage(message, routingRules);
+            if (result) {
               processedCount++;
               threadHasNewMessages = true;
               
               // Mark this specific message as processed in spreadsheet
-              markMessageProcessedInSheet(message);
+              markMessageProcessedInSheet(message, {
+                ruleNames: result.matchedRules,
+                metadata: result.metadata,
+                links: result.links,
+                fingerprint: result.fingerprint,
+                duplicateOf: result.duplicateOf
+              });
             }
             
           } catch (msgError) {
             console.error(`Error processing message ${msgIndex + 1}:`, msgError);
             errorCount++;
           }
-        });
+        }
         
         // Add thread label only if we processed new messages
         if (threadHasNewMessages) {
@@ -153,26 +390,131 @@ function processEmails() {
         console.error(`Error processing thread ${index + 1}:`, error);
         errorCount++;
       }
-    });
+      nextThreadIndex = index + 1;
+    }
     
     const endTime = new Date().getTime();
     const executionTime = endTime - startTime;
     
     console.log(`=== Processing Complete ===`);
     console.log(`Checked: ${checkedCount} messages, Processed: ${processedCount}, Errors: ${errorCount}, Time: ${executionTime}ms`);
+    if (remainingThreadIds.length > 0) {
+      console.log(`Deferred to next run: ${remainingThreadIds.length} thread(s), ${deferredMessageCount} unchecked message(s)`);
+    }
+    
+    runSummary.processedCount = processedCount;
+    runSummary.errorCount = errorCount;
+    runSummary.deferredCount = deferredMessageCount;
+    
+    if (dryRun) {
+      report.deferredThreads = remainingThreadIds.length;
+      report.deferredMessages = deferredMessageCount;
+      printDryRunReport(report);
+      return report;
+    }
     
     // Send summary notification if there were errors
     if (errorCount > 0) {
-      sendErrorSummary(processedCount, errorCount, executionTime);
+      sendErrorSummary(processedCount, errorCount, executionTime, deferredMessageCount);
     }
     
+    return null;
+    
   } catch (error) {
     console.error('Critical error in processEmails:', error);
-    sendErrorNotification(`Critical error in Gmail forwarder: ${error.message}`);
+    runSummary.criticalError = error.message;
+    if (!dryRun) {
+      sendErrorNotification(`Critical error in Gmail forwarder: ${error.message}`);
+    }
     throw error;
+  } finally {
+    // Save (or clear) the cursor for the next trigger run, also when the run was aborted:
+    // threads the loop never finished are deferred along with those left over by the time budget
+    if (!dryRun && threads) {
+      try {
+        threads.slice(nextThreadIndex).forEach(thread => {
+          remainingThreadIds.push(thread.getId());
+          deferredMessageCount += thread.getMessageCount();
+        });
+        saveDeferredThreads(remainingThreadIds, deferredMessageCount);
+      } catch (error) {
+        console.error('Error saving processing cursor:', error);
+        // Don't throw - the lock must still be released
+      }
+    }
+    
+    // Record the run for the status dashboard (skipped runs and dry runs are not recorded)
+    if (!dryRun && lock && lock.acquired) {
+      recordExecution(runSummary, startTime);
+    }
+    releaseProcessingLock(lock);
+  }
+}
+
+/**
+ * Check whether the current execution still has time left in its budget
+ * 現在の実行に残り時間があるかチェック
+ * 
+ * @param {number} startTime - Execution start time in ms
+ * @returns {boolean} - true if another unit of work can be started
+ */
+function hasExecutionTimeLeft(startTime) {
+  return new Date().getTime() - startTime < CONFIG.EXECUTION_TIME_BUDGET_SECONDS * 1000;
+}
+
+/**
+ * Load threads deferred by the previous run
+ * 前回の実行で繰り越されたスレッドを読み込み
+ * 
+ * @returns {Array} - Gmail threads that still exist
+ */
+function loadDeferredThreads() {
+  const cursorJson = getProperty(PROCESSING_CURSOR_KEY, false);
+  if (!cursorJson) {
+    return [];
+  }
+  
+  try {
+    const cursor = JSON.parse(cursorJson);
+    console.log(`Resuming from cursor saved at ${cursor.savedAt}: ${cursor.threadIds.length} deferred thread(s)`);
+    
+    return cursor.threadIds
+      .map(threadId => {
+        try {
+          return GmailApp.getThreadById(threadId);
+        } catch (error) {
+          console.log(`Deferred thread ${threadId} is no longer available`);
+          return null;
+        }
+      })
+      .filter(thread => thread);
+      
+  } catch (error) {
+    console.error('Invalid processing cursor, ignoring it:', error);
+    return [];
   }
 }
 
+/**
+ * Save the processing cursor, or clear it when no work was deferred
+ * 処理カーソルを保存（繰り越しがなければ削除）
+ * 
+ * @param {Array} threadIds - IDs of threads to process first on the next run
+ * @param {number} deferredMessageCount - Number of unchecked messages in those threads
+ */
+function saveDeferredThreads(threadIds, deferredMessageCount) {
+  if (threadIds.length === 0) {
+    PropertiesService.getScriptProperties().deleteProperty(PROCESSING_CURSOR_KEY);
+    return;
+  }
+  
+  setProperty(PROCESSING_CURSOR_KEY, JSON.stringify({
+    threadIds: threadIds,
+    deferredMessages: deferredMessageCount,
+    savedAt: new Date().toISOString()
+  }));
+}
+
 /**
  * Validate that all required configuration is present
  * 必要な設定がすべて存在することを確認
@@ -227,6 +569,51 @@ function setProperty(key, value) {
   }
 }
 
+/**
+ * Resolve the time zone for date formatting
+ * 日付の書式設定に使用するタイムゾーンを解決
+ * 
+ * @param {string} timeZone - Per-rule override (optional)
+ * @returns {string} - Time zone ID
+ */
+function resolveTimeZone(timeZone) {
+  return timeZone || CONFIG.TIME_ZONE;
+}
+
+/**
+ * Format a date in the configured (or given) time zone
+ * 設定されたタイムゾーンで日付を書式設定
+ * 
+ * @param {Date} date - Date to format
+ * @param {string} pattern - Utilities.formatDate pattern
+ * @param {string} timeZone - Time zone override (optional)
+ * @returns {string} - Formatted date
+ */
+function formatDateInTimeZone(date, pattern, timeZone) {
+  return Utilities.formatDate(date, resolveTimeZone(timeZone), pattern);
+}
+
+/**
+ * Format a date for a Slack message
+ * Slackメッセージ用に日付を書式設定
+ * 
+ * With CONFIG.SLACK_LOCAL_TIME, Slack's <!date^...> syntax is used so every reader sees
+ * their own local time; the formatted date is kept as the fallback text.
+ * 
+ * @param {Date} date - Date to format
+ * @param {string} timeZone - Time zone override (optional)
+ * @param {string} pattern - Utilities.formatDate pattern for the fallback text
+ * @param {string} slackFormat - Slack date tokens, e.g. '{date_num} {time_secs}'
+ * @returns {string} - Formatted date or Slack date token
+ */
+function formatSlackDate(date, timeZone, pattern = 'yyyy/MM/dd HH:mm:ss', slackFormat = '{date_num} {time_secs}') {
+  const formatted = formatDateInTimeZone(date, pattern, timeZone);
+  if (!CONFIG.SLACK_LOCAL_TIME) {
+    return formatted;
+  }
+  return `<!date^${Math.floor(date.getTime() / 1000)}^${slackFormat}|${formatted}>`;
+}
+
 /**
  * Get or create Google Drive folder for attachments
  * 添付ファイル用のGoogle Driveフォルダを取得または作成
@@ -373,14 +760,22 @@ function showConfiguration() {
     
     console.log(`Sender Email: ${senderEmail || 'NOT SET'}`);
     console.log(`Slack Channel: ${slackChannel || 'NOT SET'}`);
-    console.log(`Webhook URL: ${webhookUrl ? '[SET]' : 'NOT SET'}`);
+    console.log(`Webhook URL: ${maskSecret(webhookUrl)}`);
+    console.log(`Slack Signing Secret: ${maskSecret(getProperty(PROPERTY_KEYS.SLACK_SIGNING_SECRET, false))}`);
     console.log(`Drive Folder ID: ${folderId || 'NOT SET'}`);
     console.log(`Tracking Spreadsheet ID: ${spreadsheetId || 'NOT SET'}`);
+    console.log(`Time Zone: ${CONFIG.TIME_ZONE}${CONFIG.SLACK_LOCAL_TIME ? ' (Slack shows reader local time)' : ''}`);
+    console.log(`Locale: ${CONFIG.LOCALE}`);
     
     console.log(`\nPattern Settings:`);
     console.log(`Multiple patterns enabled: ${CONFIG.SUBJECT_PATTERNS?.ENABLE_MULTIPLE_PATTERNS}`);
     console.log(`Total patterns: ${CONFIG.SUBJECT_PATTERNS?.PATTERNS?.length || 0}`);
     
+    console.log(`\nRouting Rules:`);
+    getRoutingRules().forEach(rule => {
+      console.log(`${rule.name}: ${rule.senders.length} sender(s) -> ${rule.channel} (${rule.timeZone})`);
+    });
+    
     // Show tracking stats if spreadsheet exists
     if (spreadsheetId) {
       try {
@@ -415,6 +810,77 @@ function testProcessEmails() {
   }
 }
 
+/**
+ * Preview what processEmails would do, without any side effects
+ * processEmailsの動作を副作用なしでプレビュー
+ * 
+ * Runs the same search, processed-message check and pattern evaluation, but nothing is
+ * saved to Drive, posted to Slack, labeled in Gmail or written to the tracking sheet.
+ * 
+ * @returns {Object} - Dry-run report
+ */
+function dryRunProcessEmails() {
+  return processEmails({ dryRun: true });
+}
+
+/**
+ * Print a dry-run report to the execution log
+ * ドライランレポートを実行ログに出力
+ * 
+ * @param {Object} report - Report returned by processEmails({ dryRun: true })
+ */
+function printDryRunReport(report) {
+  console.log('\n' + '='.repeat(60));
+  console.log('🔍 DRY RUN REPORT');
+  console.log('='.repeat(60));
+  console.log(`Search query: ${report.query}`);
+  
+  if (report.ruleErrors.length > 0) {
+    console.log(`⚠️ Invalid routing rules or Rules sheet patterns (would be reported to Slack):`);
+    report.ruleErrors.forEach(error => console.log(`  - ${error}`));
+  }
+  
+  const forwarded = report.messages.filter(entry => entry.wouldProcess);
+  console.log(`Unprocessed messages: ${report.messages.length}, would forward: ${forwarded.length}`);
+  if (report.deferredThreads > 0) {
+    console.log(`⏱️ Time budget reached: ${report.deferredThreads} thread(s) / ${report.deferredMessages} message(s) not evaluated`);
+  }
+  
+  report.messages.forEach((entry, index) => {
+    console.log(`\n--- Message ${index + 1}: ${entry.subject} ---`);
+    console.log(`From: ${entry.sender}`);
+    console.log(`Message ID: ${entry.messageId}`);
+    
+    if (!entry.wouldProcess) {
+      console.log(`Decision: ❌ skip (${entry.reason})`);
+      return;
+    }
+    
+    console.log('Decision: ✅ forward');
+    entry.routes.forEach(route => {
+      console.log(`  Rule "${route.rule}" -> ${route.channel} (pattern: ${route.matchedPattern})` +
+        `${route.delivery !== 'immediate' ? ` [${route.delivery} digest]` : ''}${route.hold ? ` [held: ${route.hold}]` : ''}`);
+    });
+    
+    if (entry.attachments.length > 0) {
+      console.log(`Drive folder: ${entry.folderName}`);
+      entry.attachments.forEach(att => {
+        console.log(`  📎 ${att.originalName} (${formatFileSize(att.size)}) -> ${att.savedName}`);
+      });
+    }
+    
+    entry.slackPayloads.forEach(preview => {
+      console.log(`Slack payload for "${preview.rule}" via ${preview.transport}:`);
+      console.log(JSON.stringify(preview.payload, null, 2));
+      if (preview.followUps.length > 0) {
+        console.log(`Follow-up messages: ${preview.followUps.join(', ')}`);
+      }
+    });
+  });
+  
+  console.log('='.repeat(60));
+}
+
 /**
  * Setup spreadsheet tracking system and migrate existing data
  * スプレッドシートトラッキングシステムの設定と既存データの移行
@@ -0,0 +1,190 @@
+/**
+ * Mention Manager Module
+ * 
+ * Pings team members when an email touches their area: keywords and regexes in the
+ * mention rules map to Slack user or user group IDs, and matching emails mention them
+ * in the Slack post. People opt out (entirely or for some keywords) in the
+ * MentionSettings sheet of the tracking spreadsheet, or with "/forwarder mentions off".
+ */
+
+// Mention settings
+const MENTION_CONFIG = {
+  USER_ID_PATTERN: /^[UW][A-Z0-9]+$/,
+  GROUP_ID_PATTERN: /^S[A-Z0-9]+$/,
+  MAX_MENTIONS: 10
+};
+
+/**
+ * Get the keyword mention rules
+ * キーワードメンションルールを取得
+ * 
+ * Rules are read from the MENTION_RULES script property (JSON) if set, otherwise from
+ * CONFIG.MENTION_RULES: [{ name, keywords: ['機械学習', '/\\bLLM\\b/i'], mentions: ['U012ABCDEF'], rules: ['study'] }]
+ * Plain strings are literal, case-insensitive keywords; RegExps and "/source/flags" strings are regexes.
+ * 
+ * @returns {Array} - [{ name, keywords: [{ label, pattern }], mentions, ruleNames }]
+ */
+function getMentionRules() {
+  let rawRules = [];
+  
+  const rulesJson = getProperty(PROPERTY_KEYS.MENTION_RULES, false);
+  if (rulesJson) {
+    try {
+      rawRules = JSON.parse(rulesJson);
+    } catch (error) {
+      console.error('Invalid MENTION_RULES script property, falling back to CONFIG.MENTION_RULES:', error);
+      rawRules = [];
+    }
+  }
+  
+  if (!Array.isArray(rawRules) || rawRules.length === 0) {
+    rawRules = CONFIG.MENTION_RULES || [];
+  }
+  
+  return rawRules
+    .filter(rule => rule && rule.enabled !== false)
+    .map((rule, index) => ({
+      name: rule.name || `mention-${index + 1}`,
+      keywords: [].concat(rule.keywords || []).map(keyword => compileMentionKeyword(keyword)),
+      mentions: [].concat(rule.mentions || []).map(id => String(id).trim()).filter(id => isSlackMentionId(id)),
+      ruleNames: rule.rules ? [].concat(rule.rules) : null  // null = every routing rule
+    }));
+}
+
+/**
+ * Compile a mention keyword
+ * メンションキーワードをコンパイル
+ * 
+ * @param {RegExp|string} keyword - Literal keyword, RegExp or "/source/flags" string
+ * @returns {Object} - { label, pattern }
+ */
+function compileMentionKeyword(keyword) {
+  if (keyword instanceof RegExp || /^\/.*\/[a-z]*$/.test(String(keyword))) {
+    const pattern = compileRoutingPattern(keyword);
+    return { label: String(keyword), pattern: new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, '')) };
+  }
+  
+  const text = String(keyword).trim();
+  return { label: text, pattern: new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') };
+}
+
+/**
+ * Check whether a value is a Slack user or user group ID
+ * SlackのユーザーIDまたはユーザーグループIDか確認
+ * 
+ * @param {string} id - Candidate ID
+ * @returns {boolean} - True for U.../W... (users) and S... (user groups)
+ */
+function isSlackMentionId(id) {
+  return MENTION_CONFIG.USER_ID_PATTERN.test(id) || MENTION_CONFIG.GROUP_ID_PATTERN.test(id);
+}
+
+/**
+ * Find the people to mention for an email
+ * メールでメンションする人を検索
+ * 
+ * Every rule is evaluated against the subject and the body. People who opted out, or muted
+ * every keyword that matched for them, are left out; a muted word mutes a keyword when it
+ * equals the keyword's label or the keyword matches the whole word (e.g. 'llm' for /\bLLM\b/i).
+ * 
+ * @param {string} subject - Email subject
+ * @param {string} body - Plain email body
+ * @param {Array} rules - Rules from getMentionRules() (optional)
+ * @param {Object} settings - Opt-outs from loadMentionSettingsFromSheet() (optional)
+ * @param {boolean} readOnly - Load the opt-outs without creating the MentionSettings sheet (dry-run mode)
+ * @returns {Array} - [{ id, keywords, ruleNames }]
+ */
+function findKeywordMentions(subject, body, rules = getMentionRules(), settings = null, readOnly = false) {
+  if (rules.length === 0) {
+    return [];
+  }
+  
+  const text = `${subject || ''}\n${body || ''}`;
+  const matches = {};
+  const patterns = {};
+  rules.forEach(rule => {
+    const keywords = rule.keywords.filter(keyword => keyword.pattern.test(text)).map(keyword => {
+      patterns[keyword.label] = keyword.pattern;
+      return keyword.label;
+    });
+    if (keywords.length === 0) {
+      return;
+    }
+    
+    rule.mentions.forEach(id => {
+      const match = matches[id] || (matches[id] = { id: id, keywords: [], ruleNames: [] });
+      keywords.filter(keyword => !match.keywords.includes(keyword)).forEach(keyword => match.keywords.push(keyword));
+      match.ruleNames = match.ruleNames === null || rule.ruleNames === null ? null : match.ruleNames.concat(rule.ruleNames);
+    });
+  });
+  
+  if (Object.keys(matches).length === 0) {
+    return [];
+  }
+  
+  const isMuted = (keyword, word) => {
+    const match = word.match(patterns[keyword]);
+    return word === keyword.toLowerCase() || Boolean(match && match[0] === word);
+  };
+  const optOuts = settings || loadMentionSettingsFromSheet(readOnly);
+  return Object.values(matches)
+    .map(match => {
+      const setting = optOuts[match.id];
+      if (!setting) {
+        return match;
+      }
+      if (!setting.enabled) {
+        console.log(`${match.id} opted out of keyword mentions`);
+        return null;
+      }
+      const muted = setting.mutedKeywords;
+      const keywords = match.keywords.filter(keyword => !muted.some(word => isMuted(keyword, word)));
+      return keywords.length > 0 ? Object.assign({}, match, { keywords: keywords }) : null;
+    })
+    .filter(match => match)
+    .slice(0, MENTION_CONFIG.MAX_MENTIONS);
+}
+
+/**
+ * Pick the mentions that apply to a routing rule
+ * ルーティングルールに該当するメンションを選択
+ * 
+ * @param {Array} mentions - Result of findKeywordMentions()
+ * @param {string} ruleName - Routing rule name
+ * @returns {Array} - Mentions for the rule
+ */
+function selectMentionsForRule(mentions, ruleName) {
+  return (mentions || []).filter(mention => mention.ruleNames === null || mention.ruleNames.includes(ruleName));
+}
+
+/**
+ * Format a Slack user or user group ID as a mention
+ * SlackのユーザーIDまたはユーザーグループIDをメンション形式に変換
+ * 
+ * @param {string} id - Slack ID
+ * @returns {string} - "<@U...>" or "<!subteam^S...>"
+ */
+function formatSlackMention(id) {
+  return MENTION_CONFIG.GROUP_ID_PATTERN.test(id) ? `<!subteam^${id}>` : `<@${id}>`;
+}
+
+/**
+ * Test function for keyword mentions
+ * キーワードメンションのテスト関数
+ */
+function testKeywordMentions() {
+  console.log('=== TESTING Keyword Mentions ===');
+  
+  try {
+    const rules = getMentionRules();
+    console.log(`Mention rules: ${rules.map(rule => `${rule.name} (${rule.keywords.length} keywords)`).join(', ') || 'none'}`);
+    
+    const mentions = findKeywordMentions('第7回 機械学習勉強会のご案内', 'LLMの最新動向を紹介します。', rules);
+    mentions.forEach(mention => console.log(`${formatSlackMention(mention.id)}: ${mention.keywords.join(', ')}`));
+    console.log('Keyword mentions test completed successfully');
+    
+  } catch (error) {
+    console.error('Keyword mentions test failed:', error);
+    throw error;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,355 @@
+/**
+ * Quiet Hours Module
+ * 
+ * Keeps notifications out of Slack at night, on weekends and on holidays. Each destination
+ * gets the quiet periods and holiday calendars of CONFIG.QUIET_HOURS (or its rule's
+ * quietHours); notifications arriving during quiet time are held in the HeldNotifications
+ * sheet and released in arrival order by the first run after the window opens. Urgent
+ * notifications can bypass the hold.
+ */
+
+// Quiet hours settings
+const QUIET_HOURS_CONFIG = {
+  TIME_PATTERN: /^(\d{1,2}):(\d{2})$/,
+  // Aliases for public holiday calendars that every Google account can read
+  HOLIDAY_CALENDARS: {
+    JP: 'ja.japanese#holiday@group.v.calendar.google.com'
+  },
+  MAX_DATA_LENGTH: 50000  // Characters per spreadsheet cell
+};
+
+// Holidays looked up during this execution: "calendarId|yyyy-MM-dd" -> holiday name or ''
+const HOLIDAY_CACHE = {};
+
+/**
+ * Get the quiet hours settings of a destination
+ * 通知先の通知停止時間の設定を取得
+ * 
+ * The rule's quietHours object overrides the keys of CONFIG.QUIET_HOURS; quietHours: false
+ * turns quiet hours off for the rule.
+ * 
+ * @param {Object} destination - Slack destination from buildRouteDestination() (optional)
+ * @returns {Object|null} - { periods, holidays, holidayCalendars, bypassLevels }, or null without quiet hours
+ */
+function getQuietHoursSettings(destination = null) {
+  const override = destination ? destination.quietHours : null;
+  if (override === false) {
+    return null;
+  }
+  
+  const merged = Object.assign({}, CONFIG.QUIET_HOURS || {}, override || {});
+  const settings = {
+    periods: [].concat(merged.periods || []),
+    holidays: [].concat(merged.holidays || []),
+    holidayCalendars: [].concat(merged.holidayCalendars || []),
+    bypassLevels: [].concat(merged.bypassLevels || [])
+  };
+  if (settings.periods.length === 0 && settings.holidays.length === 0 && settings.holidayCalendars.length === 0) {
+    return null;
+  }
+  return settings;
+}
+
+/**
+ * Find why a destination is in quiet time
+ * 通知先が通知停止時間中である理由を取得
+ * 
+ * @param {Object} destination - Slack destination from buildRouteDestination() (optional)
+ * @param {Date} now - Current time (optional)
+ * @returns {string|null} - Reason such as 'holiday 2025-01-01 (元日)' or 'Sat 22:00-07:00', or null outside quiet time
+ */
+function getQuietHoursReason(destination = null, now = new Date()) {
+  const settings = getQuietHoursSettings(destination);
+  if (!settings) {
+    return null;
+  }
+  
+  const timeZone = resolveTimeZone(destination ? destination.timeZone : null);
+  const holiday = findHoliday(settings, formatDateInTimeZone(now, 'yyyy-MM-dd', timeZone), now, timeZone);
+  if (holiday) {
+    return holiday;
+  }
+  
+  const period = findMatchingQuietPeriod(settings.periods, timeZone, now);
+  return period ? [].concat(period.days || []).concat(period.start ? [`${period.start}-${period.end}`] : []).join(' ') : null;
+}
+
+/**
+ * Find the first quiet period that contains a time
+ * 指定時刻を含む最初の停止期間を検索
+ * 
+ * A period has days ('Sun'-'Sat'), a time range ('22:00'-'07:00' spans midnight) or both;
+ * times are read in the destination's time zone.
+ * 
+ * @param {Array} periods - [{ days, start, end }]
+ * @param {string} timeZone - Time zone of the destination
+ * @param {Date} now - Current time (optional)
+ * @returns {Object|null} - Matching period, or null
+ */
+function findMatchingQuietPeriod(periods, timeZone, now = new Date()) {
+  if (!periods || periods.length === 0) {
+    return null;
+  }
+  
+  const [day, time] = Utilities.formatDate(now, resolveTimeZone(timeZone), 'EEE HH:mm').split(' ');
+  return periods.find(period => {
+    if (period.days && !period.days.includes(day)) {
+      return false;
+    }
+    if (!period.start || !period.end) {
+      return Boolean(period.days);
+    }
+    
+    const start = normalizeQuietTime(period.start);
+    const end = normalizeQuietTime(period.end);
+    return start <= end ? time >= start && time < end : time >= start || time < end;
+  }) || null;
+}
+
+/**
+ * Normalize a quiet period time to "HH:mm"
+ * 停止期間の時刻を "HH:mm" に正規化
+ * 
+ * @param {string} value - Time such as '7:00' or '22:30'
+ * @returns {string} - Zero-padded time
+ */
+function normalizeQuietTime(value) {
+  const match = String(value).trim().match(QUIET_HOURS_CONFIG.TIME_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid quiet period time: ${value} (use HH:mm)`);
+  }
+  return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+/**
+ * Check whether a date is a holiday of the destination
+ * 日付が通知先の休日か確認
+ * 
+ * @param {Object} settings - Result of getQuietHoursSettings()
+ * @param {string} dateKey - Local date as 'yyyy-MM-dd'
+ * @param {Date} now - Current time
+ * @param {string} timeZone - Time zone of the destination
+ * @returns {string|null} - 'holiday yyyy-MM-dd (name)', or null on working days
+ */
+function findHoliday(settings, dateKey, now, timeZone) {
+  if (settings.holidays.some(holiday => String(holiday).trim() === dateKey)) {
+    return `holiday ${dateKey}`;
+  }
+  
+  for (const calendarId of settings.holidayCalendars) {
+    const name = findHolidayInCalendar(QUIET_HOURS_CONFIG.HOLIDAY_CALENDARS[calendarId] || calendarId, dateKey, now, timeZone);
+    if (name) {
+      return `holiday ${dateKey} (${name})`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Look up an all-day event of a holiday calendar
+ * 祝日カレンダーの終日予定を検索
+ * 
+ * @param {string} calendarId - Calendar ID, e.g. the Japanese holiday calendar
+ * @param {string} dateKey - Local date as 'yyyy-MM-dd'
+ * @param {Date} now - Time on that date
+ * @param {string} timeZone - Time zone of the destination
+ * @returns {string} - Holiday name, or '' if the date is not a holiday (or the calendar can't be read)
+ */
+function findHolidayInCalendar(calendarId, dateKey, now, timeZone) {
+  const cacheKey = `${calendarId}|${dateKey}`;
+  if (Object.prototype.hasOwnProperty.call(HOLIDAY_CACHE, cacheKey)) {
+    return HOLIDAY_CACHE[cacheKey];
+  }
+  
+  let name = '';
+  try {
+    const calendar = CalendarApp.getCalendarById(calendarId);
+    if (!calendar) {
+      throw new Error('calendar not found or not shared with this account');
+    }
+    
+    const dayMs = 24 * 60 * 60 * 1000;
+    const holiday = calendar.getEvents(new Date(now.getTime() - dayMs), new Date(now.getTime() + dayMs))
+      .find(event => event.isAllDayEvent() && formatDateInTimeZone(event.getStartTime(), 'yyyy-MM-dd', timeZone) === dateKey);
+    name = holiday ? holiday.getTitle() : '';
+    
+  } catch (error) {
+    console.error(`Could not read holiday calendar ${calendarId}:`, error);
+    // Don't throw - treat the day as a working day
+  }
+  
+  HOLIDAY_CACHE[cacheKey] = name;
+  return name;
+}
+
+/**
+ * Decide whether a notification should be held for quiet hours
+ * 通知を停止時間のため保留するか判定
+ * 
+ * @param {Object} emailData - Email data as passed to sendSlackNotification()
+ * @param {Date} now - Current time (optional)
+ * @returns {string|null} - Reason to hold, or null to post now (outside quiet time or urgent)
+ */
+function getNotificationHoldReason(emailData, now = new Date()) {
+  const reason = getQuietHoursReason(emailData.destination, now);
+  if (!reason) {
+    return null;
+  }
+  
+  const settings = getQuietHoursSettings(emailData.destination);
+  if (emailData.urgency && settings.bypassLevels.includes(emailData.urgency.level)) {
+    console.log(`Quiet time (${reason}) bypassed by ${emailData.urgency.level} urgency`);
+    return null;
+  }
+  return reason;
+}
+
+/**
+ * Hold a notification until the quiet time of its destination is over
+ * 通知先の停止時間が終わるまで通知を保留
+ * 
+ * @param {Object} emailData - Email data as passed to sendSlackNotification()
+ * @param {Object} rule - Normalized routing rule
+ * @param {string} reason - Result of getNotificationHoldReason()
+ * @returns {boolean} - True if held; false if the caller should post the notification right away
+ */
+function holdNotification(emailData, rule, reason) {
+  try {
+    const data = JSON.stringify(emailData);
+    if (data.length > QUIET_HOURS_CONFIG.MAX_DATA_LENGTH) {
+      throw new Error(`notification is too large to hold (${data.length} characters)`);
+    }
+    
+    holdNotificationInSheet({
+      rule: rule.name,
+      channel: rule.channel,
+      messageId: emailData.messageId,
+      subject: emailData.subject,
+      reason: reason,
+      data: data
+    });
+    console.log(`⏸️ Held notification for ${rule.channel} (${reason}): ${emailData.subject}`);
+    return true;
+    
+  } catch (error) {
+    console.error('Could not hold the notification, posting it right away:', error);
+    return false;
+  }
+}
+
+/**
+ * Restore the email data of a held notification
+ * 保留中の通知のメールデータを復元
+ * 
+ * @param {string} data - JSON saved by holdNotification()
+ * @returns {Object} - Email data with its dates restored
+ */
+function restoreHeldEmailData(data) {
+  const emailData = JSON.parse(data);
+  emailData.date = new Date(emailData.date);
+  if (emailData.event) {
+    emailData.event.start = new Date(emailData.event.start);
+    emailData.event.end = new Date(emailData.event.end);
+  }
+  if (emailData.duplicate && emailData.duplicate.date) {
+    emailData.duplicate.date = new Date(emailData.duplicate.date);
+  }
+  return emailData;
+}
+
+/**
+ * Get the received time of a held email, for release ordering
+ * 保留中のメールの受信日時を取得（投稿順の並べ替え用）
+ * 
+ * @param {Object} item - Item from getHeldNotificationsFromSheet()
+ * @returns {number} - Time in ms, or Infinity if the saved data can't be read (released last)
+ */
+function getHeldEmailTime(item) {
+  try {
+    const time = new Date(JSON.parse(item.data).date).getTime();
+    return isNaN(time) ? Infinity : time;
+  } catch (error) {
+    return Infinity;
+  }
+}
+
+/**
+ * Post the held notifications whose destination is out of quiet time
+ * 停止時間が終わった通知先の保留中の通知を投稿
+ * 
+ * Notifications are released oldest email first (processEmails() holds them newest first). When one
+ * can't be posted, the later notifications of the same rule wait too, so the order is kept for the
+ * next run.
+ * 
+ * @param {Date} now - Current time (optional)
+ * @returns {Object} - { released, failed, held }
+ */
+function releaseHeldNotifications(now = new Date()) {
+  const result = { released: 0, failed: 0, held: 0 };
+  
+  try {
+    const items = getHeldNotificationsFromSheet()
+      .sort((a, b) => getHeldEmailTime(a) - getHeldEmailTime(b) || a.row - b.row);
+    const blockedRules = new Set();
+    
+    items.forEach(item => {
+      if (blockedRules.has(item.rule)) {
+        result.held++;
+        return;
+      }
+      
+      try {
+        const emailData = restoreHeldEmailData(item.data);
+        if (getQuietHoursReason(emailData.destination, now)) {
+          blockedRules.add(item.rule);
+          result.held++;
+          return;
+        }
+        
+        sendSlackNotification(emailData);
+        markHeldNotificationReleasedInSheet(item.row, now);
+        result.released++;
+        console.log(`▶️ Released held notification for ${item.channel}: ${item.subject}`);
+        
+      } catch (error) {
+        console.error(`Error releasing held notification ${item.messageId}:`, error);
+        blockedRules.add(item.rule);
+        result.failed++;
+      }
+    });
+    
+    if (result.released > 0) {
+      cleanupDeliveredRowsInSheet(SPREADSHEET_CONFIG.HELD_SHEET_NAME, SPREADSHEET_CONFIG.HELD_HEADERS, SPREADSHEET_CONFIG.HELD_MAX_ROWS);
+    }
+    if (items.length > 0) {
+      console.log(`Held notifications: ${result.released} released, ${result.failed} failed, ${result.held} still held`);
+    }
+    
+  } catch (error) {
+    console.error('Error releasing held notifications:', error);
+    // Don't throw - held notifications stay in the sheet for the next run
+  }
+  
+  return result;
+}
+
+/**
+ * Test function for quiet hours
+ * 通知停止時間のテスト関数
+ */
+function testQuietHours() {
+  console.log('=== TESTING Quiet Hours ===');
+  
+  try {
+    getRoutingRules().forEach(rule => {
+      const reason = getQuietHoursReason(buildRouteDestination(rule));
+      console.log(`${rule.name} (${rule.channel}): ${reason ? `quiet - ${reason}` : 'open'}`);
+    });
+    console.log(`Held notifications: ${getHeldNotificationsFromSheet().length}`);
+    console.log('Quiet hours test completed successfully');
+    
+  } catch (error) {
+    console.error('Quiet hours test failed:', error);
+    throw error;
+  }
+}
\ No newline at end of file
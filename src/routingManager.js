@@ -0,0 +1,444 @@
+/**
+ * Routing Manager Module
+ * 
+ * Maps incoming emails to Slack destinations using a routing table.
+ * Each rule has its own senders, subject patterns, target channel, bot username and icon,
+ * so a single deployment can cover several mailing lists.
+ */
+
+/**
+ * Get the active routing rules
+ * 有効なルーティングルールを取得
+ * 
+ * Rules are read from the ROUTING_RULES script property (JSON) if set, then from
+ * CONFIG.ROUTING_RULES. If neither is defined, a single rule is built from the
+ * legacy SENDER_EMAIL / SLACK_CHANNEL / SUBJECT_PATTERNS settings.
+ * 
+ * Patterns loaded from the Rules sheet replace the code patterns of the rule with the same name.
+ * Invalid rules are skipped (like invalid Rules sheet rows) and their errors collected in errors.
+ * 
+ * @param {Object} sheetPatterns - Result of loadPatternRulesFromSheet() (optional)
+ * @param {Array} errors - Receives one message per skipped rule (optional)
+ * @returns {Array} - Array of normalized rule objects
+ */
+function getRoutingRules(sheetPatterns = null, errors = null) {
+  let rawRules = [];
+  
+  const rulesJson = getProperty(PROPERTY_KEYS.ROUTING_RULES, false);
+  if (rulesJson) {
+    try {
+      rawRules = JSON.parse(rulesJson);
+    } catch (error) {
+      console.error('Invalid ROUTING_RULES script property, falling back to CONFIG.ROUTING_RULES:', error);
+      rawRules = [];
+    }
+  }
+  
+  if (!Array.isArray(rawRules) || rawRules.length === 0) {
+    rawRules = CONFIG.ROUTING_RULES || [];
+  }
+  
+  const rules = rawRules.length === 0
+    ? [buildLegacyRoutingRule()]
+    : rawRules
+      .filter(rule => rule && rule.enabled !== false)
+      .map((rule, index) => {
+        try {
+          return normalizeRoutingRule(rule, index);
+        } catch (error) {
+          // Skip the broken rule so the other rules keep forwarding
+          console.error(`Skipping invalid routing rule: ${error.message}`);
+          if (errors) {
+            errors.push(error.message);
+          }
+          return null;
+        }
+      })
+      .filter(rule => rule);
+  
+  return sheetPatterns ? applySheetPatterns(rules, sheetPatterns) : rules;
+}
+
+/**
+ * Replace rule patterns with the ones loaded from the Rules sheet
+ * Rulesシートから読み込んだパターンでルールのパターンを置き換え
+ * 
+ * Rules without enabled, valid sheet rows keep the patterns defined in code.
+ * 
+ * @param {Array} rules - Normalized routing rules
+ * @param {Object} sheetPatterns - Result of loadPatternRulesFromSheet()
+ * @returns {Array} - Rules with sheet patterns applied
+ */
+function applySheetPatterns(rules, sheetPatterns) {
+  return rules.map(rule => {
+    const group = sheetPatterns.groups[rule.name];
+    if (!group || group.patterns.length === 0) {
+      return rule;
+    }
+    
+    console.log(`Rule "${rule.name}": using ${group.patterns.length} pattern(s) from Rules sheet`);
+    return Object.assign({}, rule, {
+      patterns: group.patterns,
+      matchMode: group.matchMode || rule.matchMode
+    });
+  });
+}
+
+/**
+ * Build a routing rule from the legacy single-sender configuration
+ * 従来の単一送信者設定からルーティングルールを構築
+ * 
+ * @returns {Object} - Normalized rule object
+ */
+function buildLegacyRoutingRule() {
+  return {
+    name: 'default',
+    senders: [CONFIG.SENDER_EMAIL.toLowerCase()],
+    patterns: null,  // null = use checkSubjectPattern() with CONFIG.SUBJECT_PATTERNS
+    matchMode: CONFIG.SUBJECT_PATTERNS?.MATCH_MODE || 'any',
+    filter: null,
+    footerMarkers: (CONFIG.FOOTER_MARKERS || []).map(marker => compileRoutingPattern(marker)),
+    titleTemplate: CONFIG.TITLE_TEMPLATE || null,
+    folderTemplate: CONFIG.FOLDER_NAME_TEMPLATE || null,
+    channel: CONFIG.SLACK_CHANNEL,
+    username: 'Gmail Bot',
+    iconEmoji: ':email:',
+    timeZone: CONFIG.TIME_ZONE,
+    locale: null,  // null = CONFIG.CHANNEL_LOCALES / CONFIG.LOCALE
+    broadcastReplies: null,  // null = CONFIG.BROADCAST_THREAD_REPLIES
+    duplicateAction: normalizeDuplicateAction(CONFIG.DUPLICATE_ACTION, 'default'),
+    delivery: normalizeDeliveryMode(CONFIG.DELIVERY_MODE, 'default'),
+    quietHours: null  // null = CONFIG.QUIET_HOURS
+  };
+}
+
+/**
+ * Normalize a routing rule definition
+ * ルーティングルール定義を正規化
+ * 
+ * @param {Object} rule - Rule definition from CONFIG or Script Properties
+ * @param {number} index - Rule index (used for the default name)
+ * @returns {Object} - Normalized rule object
+ */
+function normalizeRoutingRule(rule, index) {
+  const senders = [].concat(rule.senders || rule.sender || [])
+    .map(sender => String(sender).trim().toLowerCase())
+    .filter(sender => sender.length > 0);
+  // Only listed senders are searched in Gmail, so a rule without senders would only see other rules' mail
+  if (senders.length === 0) {
+    throw new Error(`No senders in rule "${rule.name || `rule-${index + 1}`}" (list addresses or "@domain" entries in senders)`);
+  }
+    
+  let patterns = null;
+  let footerMarkers = [];
+  try {
+    patterns = rule.patterns ? [].concat(rule.patterns).map(pattern => compileRoutingPattern(pattern)) : null;
+    footerMarkers = [].concat(rule.footerMarkers || CONFIG.FOOTER_MARKERS || []).map(marker => compileRoutingPattern(marker));
+  } catch (error) {
+    throw new Error(`Invalid pattern in rule "${rule.name || `rule-${index + 1}`}": ${error.message}`);
+  }
+  
+  let filter = null;
+  if (rule.filter) {
+    try {
+      filter = compileFilterRule(rule.filter);
+    } catch (error) {
+      throw new Error(`Invalid filter in rule "${rule.name || `rule-${index + 1}`}": ${error.message}`);
+    }
+  }
+  
+  return {
+    name: rule.name || `rule-${index + 1}`,
+    senders: senders,
+    patterns: patterns,
+    matchMode: rule.matchMode || 'any',
+    filter: filter,  // Compiled filter expression; replaces the subject patterns when set
+    footerMarkers: footerMarkers,
+    titleTemplate: rule.titleTemplate || CONFIG.TITLE_TEMPLATE || null,  // e.g. '第{round}回部会（{date}）'
+    folderTemplate: rule.folderTemplate || CONFIG.FOLDER_NAME_TEMPLATE || null,
+    channel: rule.channel || CONFIG.SLACK_CHANNEL,
+    username: rule.username || 'Gmail Bot',
+    iconEmoji: rule.iconEmoji || ':email:',
+    timeZone: rule.timeZone || CONFIG.TIME_ZONE,
+    locale: rule.locale || null,
+    broadcastReplies: rule.broadcastReplies === undefined ? null : Boolean(rule.broadcastReplies),
+    duplicateAction: normalizeDuplicateAction(rule.duplicateAction || CONFIG.DUPLICATE_ACTION, rule.name || `rule-${index + 1}`),
+    delivery: normalizeDeliveryMode(rule.delivery || CONFIG.DELIVERY_MODE, rule.name || `rule-${index + 1}`),
+    quietHours: rule.quietHours === undefined ? null : rule.quietHours  // Overrides keys of QUIET_HOURS; false = never quiet
+  };
+}
+
+/**
+ * Validate how a rule handles re-sent announcements
+ * 再送されたお知らせの扱いを検証
+ * 
+ * @param {string} action - 'suppress', 'thread', 'diff' or 'post' (see duplicateDetector.js)
+ * @param {string} ruleName - Rule name for the error message
+ * @returns {string} - Action ('post' when not set)
+ */
+function normalizeDuplicateAction(action, ruleName) {
+  const value = String(action || 'post').toLowerCase();
+  if (!DUPLICATE_CONFIG.ACTIONS.includes(value)) {
+    throw new Error(`Invalid duplicateAction in rule "${ruleName}": ${action} (use ${DUPLICATE_CONFIG.ACTIONS.join(', ')})`);
+  }
+  return value;
+}
+
+/**
+ * Validate how a rule delivers its emails
+ * ルールの配信モードを検証
+ * 
+ * @param {string} delivery - 'immediate', 'hourly', 'daily' or 'weekly' (see digestManager.js)
+ * @param {string} ruleName - Rule name for the error message
+ * @returns {string} - Delivery mode ('immediate' when not set)
+ */
+function normalizeDeliveryMode(delivery, ruleName) {
+  const value = String(delivery || 'immediate').toLowerCase();
+  if (!DIGEST_CONFIG.MODES.includes(value)) {
+    throw new Error(`Invalid delivery in rule "${ruleName}": ${delivery} (use ${DIGEST_CONFIG.MODES.join(', ')})`);
+  }
+  return value;
+}
+
+/**
+ * Compile a routing pattern given as a RegExp or a string
+ * RegExpまたは文字列で指定されたパターンをコンパイル
+ * 
+ * Strings in "/source/flags" form keep their flags; other strings are used as the source.
+ * The g and y flags are dropped: they make test() stateful and match() lose named groups.
+ * 
+ * @param {RegExp|string} pattern - Pattern definition
+ * @returns {RegExp} - Compiled pattern
+ */
+function compileRoutingPattern(pattern) {
+  if (pattern instanceof RegExp) {
+    return new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+  }
+  
+  const text = String(pattern);
+  const literal = text.match(/^\/(.*)\/([a-z]*)$/);
+  if (literal) {
+    return new RegExp(literal[1], literal[2].replace(/[gy]/g, ''));
+  }
+  return new RegExp(text);
+}
+
+/**
+ * Build the Gmail search query covering every sender in the routing table
+ * ルーティングテーブルの全送信者を対象とするGmail検索クエリを構築
+ * 
+ * @param {Array} rules - Normalized routing rules
+ * @returns {string} - Gmail search query
+ */
+function buildSenderSearchQuery(rules) {
+  const senders = [...new Set(rules.flatMap(rule => rule.senders))];
+  
+  if (senders.length === 0) {
+    throw new Error('No senders configured in routing rules');
+  }
+  
+  if (senders.length === 1) {
+    return `from:${senders[0]}`;
+  }
+  return `from:(${senders.join(' OR ')})`;
+}
+
+/**
+ * Extract the bare email address from a From header
+ * Fromヘッダーからメールアドレスのみを抽出
+ * 
+ * @param {string} from - From header, e.g. "Name <user@example.com>"
+ * @returns {string} - Lower-cased email address
+ */
+function extractEmailAddress(from) {
+  const match = String(from || '').match(/<([^>]+)>/);
+  return (match ? match[1] : String(from || '')).trim().toLowerCase();
+}
+
+/**
+ * Check whether a sender matches a routing rule
+ * 送信者がルーティングルールに一致するかチェック
+ * 
+ * Rule senders may be full addresses or domains written as "@example.com".
+ * 
+ * @param {string} from - From header of the message
+ * @param {Object} rule - Normalized routing rule
+ * @returns {boolean} - true if the sender is covered by the rule
+ */
+function senderMatchesRule(from, rule) {
+  const address = extractEmailAddress(from);
+  return rule.senders.some(sender => sender.startsWith('@')
+    ? address.endsWith(sender)
+    : address === sender);
+}
+
+/**
+ * Check a message against the filter or the subject patterns of a routing rule
+ * ルーティングルールのフィルターまたは件名パターンに対してメッセージをチェック
+ * 
+ * @param {string} subject - Email subject
+ * @param {Object} rule - Normalized routing rule
+ * @param {Object} context - Filter context from buildFilterContext() (needed for filter rules)
+ * @returns {Object} - Pattern match result (same shape as checkSubjectPattern)
+ */
+function checkRulePatterns(subject, rule, context = null) {
+  if (rule.filter) {
+    return evaluateFilterRule(rule.filter, context || buildFilterContext(null, { subject: subject }), rule.timeZone);
+  }
+  
+  if (!rule.patterns) {
+    return checkSubjectPattern(subject);
+  }
+  return checkMultiplePatterns(subject, rule.patterns, rule.matchMode);
+}
+
+/**
+ * Evaluate every routing rule for a message
+ * メッセージに対してすべてのルーティングルールを評価
+ * 
+ * Filter rules can also test the body, attachments, labels and date; without a message
+ * only the sender and subject are known to them.
+ * 
+ * @param {string} from - From header of the message
+ * @param {string} subject - Email subject
+ * @param {Array} rules - Normalized routing rules (defaults to getRoutingRules())
+ * @param {GmailMessage} message - Gmail message for filter rules (optional)
+ * @returns {Array} - Matching routes: [{ rule, patternMatch, metadata }]
+ */
+function findMatchingRoutes(from, subject, rules = getRoutingRules(), message = null) {
+  const matches = [];
+  const context = buildFilterContext(message, { from: from, subject: subject });
+  
+  rules.forEach(rule => {
+    if (!senderMatchesRule(from, rule)) {
+      return;
+    }
+    
+    const patternMatch = checkRulePatterns(subject, rule, context);
+    console.log(`Rule "${rule.name}": ${patternMatch.isMatch ? 'MATCH' : 'NO MATCH'}`);
+    
+    if (patternMatch.isMatch) {
+      matches.push({ rule: rule, patternMatch: patternMatch, metadata: extractRouteMetadata(patternMatch) });
+    }
+  });
+  
+  return matches;
+}
+
+/**
+ * Collect the named capture groups of the patterns that matched
+ * マッチしたパターンの名前付きキャプチャグループを収集
+ * 
+ * Negated filter clauses and groups that did not take part in the match are ignored;
+ * when several patterns capture the same name, the first one wins.
+ * 
+ * @param {Object} patternMatch - Result of checkRulePatterns()
+ * @returns {Object} - Group name -> captured text
+ */
+function extractRouteMetadata(patternMatch) {
+  const metadata = {};
+  (patternMatch.allResults || [])
+    .filter(result => result.isMatch && !result.negated && result.captures)
+    .forEach(result => {
+      Object.entries(result.captures).forEach(([name, value]) => {
+        if (value !== undefined && value !== null && !Object.prototype.hasOwnProperty.call(metadata, name)) {
+          metadata[name] = String(value).trim();
+        }
+      });
+    });
+  return metadata;
+}
+
+/**
+ * Merge the metadata of every matching route (earlier rules win)
+ * マッチしたすべてのルートのメタデータを統合（先のルールを優先）
+ * 
+ * @param {Array} routes - Result of findMatchingRoutes()
+ * @returns {Object} - Group name -> captured text
+ */
+function buildMessageMetadata(routes) {
+  return routes.reduce((metadata, route) => Object.assign({}, route.metadata || {}, metadata), {});
+}
+
+/**
+ * Fill a title or folder name template with the subject and captured metadata
+ * 件名とキャプチャしたメタデータでタイトル／フォルダ名のテンプレートを埋める
+ * 
+ * "{subject}" is the email subject and "{name}" the named group "name"; groups that were
+ * not captured become empty. Without a template, or if nothing is left, the subject is used.
+ * 
+ * @param {string} template - Template such as '第{round}回部会（{date}）' (optional)
+ * @param {string} subject - Email subject
+ * @param {Object} metadata - Captured metadata
+ * @returns {string} - Rendered text
+ */
+function renderMetadataTemplate(template, subject, metadata = {}) {
+  if (!template) {
+    return subject;
+  }
+  
+  const values = Object.assign({}, metadata, { subject: subject });
+  const rendered = String(template)
+    .replace(/\{(\w+)\}/g, (placeholder, name) => (Object.prototype.hasOwnProperty.call(values, name) ? values[name] : ''))
+    .replace(/\s+/g, ' ')
+    .trim();
+  return rendered || subject;
+}
+
+/**
+ * Build the Slack destination for a routing rule
+ * ルーティングルールのSlack通知先を構築
+ * 
+ * @param {Object} rule - Normalized routing rule
+ * @returns {Object} - { channel, username, iconEmoji, timeZone, locale, broadcastReplies, quietHours }
+ */
+function buildRouteDestination(rule) {
+  return {
+    channel: rule.channel,
+    username: rule.username,
+    iconEmoji: rule.iconEmoji,
+    timeZone: rule.timeZone,
+    locale: rule.locale,
+    broadcastReplies: rule.broadcastReplies,
+    quietHours: rule.quietHours
+  };
+}
+
+/**
+ * Test function for routing rules
+ * ルーティングルールのテスト関数
+ */
+function testRoutingRules() {
+  console.log('=== TESTING Routing Rules ===');
+  
+  try {
+    const rules = getRoutingRules();
+    console.log(`Loaded ${rules.length} routing rule(s)`);
+    rules.forEach(rule => {
+      console.log(`- ${rule.name}: senders=${rule.senders.join(', ') || '(any)'}, channel=${rule.channel}, ` +
+        (rule.filter ? `filter=${rule.filter.source}` : `patterns=${rule.patterns ? rule.patterns.length : 'default'}`));
+    });
+    
+    console.log(`Search query: ${buildSenderSearchQuery(rules)}`);
+    
+    const testSubjects = [
+      '【本日開催】第14回部会開催のご案内※6/5（木）15:00開催',
+      '勉強会『最新技術の先行事例』※5月27日',
+      '普通のメール件名（マッチしないはず）'
+    ];
+    
+    rules.forEach(rule => {
+      const sampleSender = rule.senders[0] || 'anyone@example.com';
+      testSubjects.forEach(subject => {
+        const routes = findMatchingRoutes(sampleSender, subject, [rule]);
+        console.log(`${rule.name} | "${subject}" -> ${routes.length > 0 ? '✅ ROUTED' : '❌ NOT ROUTED'}`);
+      });
+    });
+    
+    console.log('Routing rules test completed successfully');
+    
+  } catch (error) {
+    console.error('Routing rules test failed:', error);
+    throw error;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,266 @@
+/**
+ * Slack Action Manager Module
+ * 
+ * Interactive buttons on forwarded email posts ("Mark handled", "Archive in Gmail",
+ * "Re-send attachments", "Open in Gmail"). Clicks arrive at doPost as Slack interaction
+ * payloads; the matching Gmail action is applied, the post is updated in place and the
+ * acting user is recorded in the tracking sheet.
+ */
+
+// Interactive button settings
+const SLACK_ACTION_CONFIG = {
+  CALLBACK_ID: 'gmail_forwarder_email',
+  ACTIONS: ['handled', 'archive', 'resend'],  // Buttons handled by handleSlackInteraction()
+  ONE_TIME_ACTIONS: ['handled', 'archive'],  // Buttons removed from the post once used
+  HANDLED_LABEL: 'Handled'  // Gmail label applied by "Mark handled"
+};
+
+/**
+ * Build the interactive buttons for a forwarded email
+ * 転送メール投稿用のインタラクティブボタンを構築
+ * 
+ * @param {string} messageId - Gmail message ID
+ * @param {string} locale - Locale of the destination
+ * @returns {Array} - Legacy attachment actions
+ */
+function buildEmailActionButtons(messageId, locale) {
+  return [
+    { name: 'handled', text: localize('action.handled', {}, locale), type: 'button', value: messageId, style: 'primary' },
+    { name: 'archive', text: localize('action.archive', {}, locale), type: 'button', value: messageId },
+    { name: 'resend', text: localize('action.resend', {}, locale), type: 'button', value: messageId },
+    { name: 'open', text: localize('action.open', {}, locale), type: 'button', url: buildGmailMessageUrl(messageId) }
+  ];
+}
+
+/**
+ * Build the Gmail web URL of a message
+ * メッセージのGmail URLを構築
+ * 
+ * @param {string} messageId - Gmail message ID
+ * @returns {string} - Gmail URL
+ */
+function buildGmailMessageUrl(messageId) {
+  return `https://mail.google.com/mail/#all/${messageId}`;
+}
+
+/**
+ * Parse the interaction payload of a Slack button click
+ * Slackボタン操作のペイロードを解析
+ * 
+ * @param {Object} parameters - doPost form fields
+ * @returns {Object|null} - Interaction payload, or null for other requests (e.g. slash commands)
+ */
+function parseSlackInteractionPayload(parameters) {
+  if (!parameters || !parameters.payload) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(parameters.payload);
+  } catch (error) {
+    console.error('Invalid Slack interaction payload:', error);
+    return null;
+  }
+}
+
+/**
+ * Handle a button click on a forwarded email post
+ * 転送メール投稿のボタン操作を処理
+ * 
+ * The updated post is sent to response_url and doPost itself answers with an empty body, but
+ * only after the action ran. Slack wants that answer within 3 seconds: "handled" and "archive"
+ * usually make it, "resend" (Gmail fetch, Drive saves and a Slack post) often doesn't, and Slack
+ * then shows a timeout to the user although the action completes and the post is still updated.
+ * 
+ * @param {Object} payload - Slack interaction payload
+ * @returns {TextOutput} - Empty response
+ */
+function handleSlackInteraction(payload) {
+  const action = (payload.actions || [])[0] || {};
+  const user = payload.user || {};
+  const channel = payload.channel || {};
+  const locale = resolveLocale(channel.name ? { channel: `#${channel.name}` } : null);
+  
+  if (payload.callback_id !== SLACK_ACTION_CONFIG.CALLBACK_ID || !SLACK_ACTION_CONFIG.ACTIONS.includes(action.name)) {
+    console.log(`Ignoring Slack interaction: ${payload.callback_id} / ${action.name}`);
+    return ContentService.createTextOutput('');
+  }
+  
+  console.log(`Slack action "${action.name}" on message ${action.value} by ${user.name} (${user.id})`);
+  
+  try {
+    const statusText = applyEmailAction(action.name, action.value, payload, locale);
+    recordMessageActionInSheet(action.value, action.name, `${user.name || ''} (${user.id})`);
+    respondToSlackAction(payload.response_url, buildActedSlackMessage(payload.original_message, action.name, statusText, locale));
+    
+  } catch (error) {
+    console.error(`Slack action "${action.name}" failed:`, error);
+    respondToSlackAction(payload.response_url, {
+      response_type: 'ephemeral',
+      replace_original: false,
+      text: localize('action.failed', { error: error.message }, locale)
+    });
+  }
+  
+  return ContentService.createTextOutput('');
+}
+
+/**
+ * Apply the Gmail action of a button to the source message
+ * ボタンに対応するGmail操作を元のメッセージに適用
+ * 
+ * @param {string} actionName - 'handled', 'archive' or 'resend'
+ * @param {string} messageId - Gmail message ID
+ * @param {Object} payload - Slack interaction payload
+ * @param {string} locale - Locale of the channel
+ * @returns {string} - Status line shown on the updated post
+ */
+function applyEmailAction(actionName, messageId, payload, locale) {
+  let message = null;
+  try {
+    message = GmailApp.getMessageById(messageId);
+  } catch (error) {
+    console.error(`Could not load message ${messageId}:`, error);
+  }
+  
+  if (!message) {
+    throw new Error(`Gmail message not found: ${messageId}`);
+  }
+  
+  const thread = message.getThread();
+  const params = {
+    user: `<@${payload.user.id}>`,
+    time: formatDateInTimeZone(new Date(), 'yyyy/MM/dd HH:mm')
+  };
+  
+  switch (actionName) {
+    case 'handled': {
+      let label = GmailApp.getUserLabelByName(SLACK_ACTION_CONFIG.HANDLED_LABEL);
+      if (!label) {
+        label = GmailApp.createLabel(SLACK_ACTION_CONFIG.HANDLED_LABEL);
+        console.log(`Created new Gmail label: ${SLACK_ACTION_CONFIG.HANDLED_LABEL}`);
+      }
+      thread.addLabel(label);
+      return localize('action.handledBy', params, locale);
+    }
+    
+    case 'archive':
+      thread.moveToArchive();
+      return localize('action.archivedBy', params, locale);
+      
+    case 'resend':
+      params.count = resendAttachments(message, payload, locale);
+      return localize('action.resentBy', params, locale);
+      
+    default:
+      throw new Error(`Unknown action: ${actionName}`);
+  }
+}
+
+/**
+ * Save the attachments of a message to Drive again and post the folder link
+ * メッセージの添付ファイルをDriveに再保存し、フォルダリンクを投稿
+ * 
+ * @param {GmailMessage} message - Source message
+ * @param {Object} payload - Slack interaction payload (channel and message_ts of the post)
+ * @param {string} locale - Locale of the channel
+ * @returns {number} - Number of attachments saved
+ */
+function resendAttachments(message, payload, locale) {
+  const subject = message.getSubject();
+  const date = message.getDate();
+  const attachments = message.getAttachments();
+  if (attachments.length === 0) {
+    return 0;
+  }
+  
+  // Date and name the folder as the rule that forwarded the email did
+  const routes = findMatchingRoutes(message.getFrom(), subject, getRoutingRules(loadPatternRulesFromSheet(true)), message);
+  const timeZone = routes.length > 0 ? routes[0].rule.timeZone : null;
+  const folderLabel = routes.length > 0 ? renderMetadataTemplate(routes[0].rule.folderTemplate, subject, buildMessageMetadata(routes)) : null;
+  
+  const saved = processAttachments(attachments, subject, date, timeZone, folderLabel)
+    .filter(att => !att.error && !att.skipped && att.folderUrl);
+    
+  if (saved.length > 0) {
+    const useAPI = getProperty(PROPERTY_KEYS.USE_SLACK_API, false) === 'true' &&
+      Boolean(getProperty(PROPERTY_KEYS.SLACK_BOT_TOKEN, false));
+      
+    if (useAPI) {
+      sendDriveFolderNotificationInThread(subject, saved, date, payload.channel.id, payload.message_ts, locale);
+    } else {
+      sendDriveFolderNotification(subject, saved, date, { channel: `#${payload.channel.name}`, timeZone: timeZone, locale: locale });
+    }
+  }
+  
+  return saved.length;
+}
+
+/**
+ * Build the updated post after an action: adds a status line and removes one-time buttons
+ * 操作後の投稿を構築（対応状況を追記し、使用済みボタンを削除）
+ * 
+ * @param {Object} originalMessage - original_message from the interaction payload
+ * @param {string} actionName - Action that was applied
+ * @param {string} statusText - Status line to add
+ * @param {string} locale - Locale of the channel
+ * @returns {Object} - Replacement message for response_url
+ */
+function buildActedSlackMessage(originalMessage, actionName, statusText, locale) {
+  const message = JSON.parse(JSON.stringify(originalMessage || {}));
+  const attachment = (message.attachments || [])[0];
+  
+  if (attachment) {
+    const statusTitle = localize('action.statusTitle', {}, locale);
+    const fields = attachment.fields || (attachment.fields = []);
+    const statusField = fields.find(field => field.title === statusTitle);
+    
+    if (statusField) {
+      statusField.value += `\n${statusText}`;
+    } else {
+      fields.push({ title: statusTitle, value: statusText, short: false });
+    }
+    
+    if (SLACK_ACTION_CONFIG.ONE_TIME_ACTIONS.includes(actionName)) {
+      attachment.actions = (attachment.actions || []).filter(button => button.name !== actionName);
+    }
+  } else {
+    message.text = `${message.text || ''}\n${statusText}`;
+  }
+  
+  message.replace_original = true;
+  return message;
+}
+
+/**
+ * Post a response to the response_url of a Slack interaction
+ * Slackインタラクションのresponse_urlに応答を送信
+ * 
+ * @param {string} responseUrl - response_url from the payload
+ * @param {Object} message - Response message
+ */
+function respondToSlackAction(responseUrl, message) {
+  if (!responseUrl) {
+    console.error('Slack interaction has no response_url, cannot update the post');
+    return;
+  }
+  
+  try {
+    const response = UrlFetchApp.fetch(responseUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      payload: JSON.stringify(message),
+      muteHttpExceptions: true
+    });
+    
+    if (response.getResponseCode() !== 200) {
+      console.error(`Failed to update Slack post: ${response.getResponseCode()} - ${response.getContentText()}`);
+    }
+    
+  } catch (error) {
+    console.error('Error responding to Slack action:', error);
+    // Don't throw - the Gmail action has already been applied
+  }
+}
\ No newline at end of file
@@ -0,0 +1,322 @@
+/**
+ * Slack Command Manager Module
+ * 
+ * Handles Slack slash commands posted to the web app (doPost), so operators can check
+ * and control the forwarder from Slack instead of the Apps Script editor.
+ * Requests are verified with the Slack signing secret (or the legacy verification token),
+ * and commands that change state are limited to an allowlist of Slack user IDs.
+ */
+
+// Slash command settings
+const SLASH_COMMAND_CONFIG = {
+  ADMIN_COMMANDS: ['pause', 'resume', 'reprocess'],  // Require SLACK_ADMIN_USER_IDS
+  MAX_REQUEST_AGE_SECONDS: 5 * 60,  // Reject signed requests older than this (replay protection)
+  SIGNATURE_VERSION: 'v0'
+};
+
+/**
+ * Web app entry point for Slack requests (slash commands and button clicks)
+ * Slackからのリクエストを受け付けるWebアプリのエントリポイント（スラッシュコマンドとボタン操作）
+ * 
+ * @param {Object} e - Web app request event
+ * @returns {TextOutput} - Ephemeral Slack response (JSON), or an empty response for button clicks
+ */
+function doPost(e) {
+  const parameters = (e && e.parameter) || {};
+  const locale = resolveLocale(parameters.channel_name ? { channel: `#${parameters.channel_name}` } : null);
+  
+  if (!verifySlackRequest(e)) {
+    console.error('Rejected Slack request: verification failed');
+    return createSlackCommandResponse(localize('command.verificationFailed', {}, locale));
+  }
+  
+  const interaction = parseSlackInteractionPayload(parameters);
+  if (interaction) {
+    return handleSlackInteraction(interaction);
+  }
+  
+  try {
+    return createSlackCommandResponse(handleSlashCommand(parameters, locale));
+  } catch (error) {
+    console.error(`Slash command "${parameters.text}" failed:`, error);
+    return createSlackCommandResponse(localize('command.failed', { error: error.message }, locale));
+  }
+}
+
+/**
+ * Run a slash command and build the reply text
+ * スラッシュコマンドを実行し返信テキストを生成
+ * 
+ * @param {Object} parameters - Slash command form fields (text, user_id, command, ...)
+ * @param {string} locale - Reply locale
+ * @returns {string} - Reply text
+ */
+function handleSlashCommand(parameters, locale) {
+  const [name = 'help', ...args] = String(parameters.text || '').trim().split(/\s+/).filter(word => word.length > 0);
+  const command = name.toLowerCase();
+  
+  console.log(`Slash command from ${parameters.user_id}: ${parameters.text}`);
+  
+  if (SLASH_COMMAND_CONFIG.ADMIN_COMMANDS.includes(command) && !isSlackAdmin(parameters.user_id)) {
+    console.log(`⛔ ${parameters.user_id} is not in SLACK_ADMIN_USER_IDS, refusing "${command}"`);
+    return localize('command.forbidden', {}, locale);
+  }
+  
+  switch (command) {
+    case 'status':
+      return buildStatusReply(locale);
+      
+    case 'health':
+      try {
+        quickHealthCheck();
+        return localize('command.healthOk', {}, locale);
+      } catch (error) {
+        return localize('command.healthFailed', { error: error.message }, locale);
+      }
+      
+    case 'stats':
+      return buildStatsReply(locale);
+      
+    case 'pause':
+      disableTriggers();
+      return localize('command.paused', {}, locale);
+      
+    case 'resume':
+      createTrigger();
+      return localize('command.resumed', { interval: CONFIG.TRIGGER_INTERVAL_MINUTES }, locale);
+      
+    case 'reprocess':
+      return args.length > 0
+        ? buildReprocessReply(reprocessMessage(args[0]), args[0], locale)
+        : localize('command.reprocessUsage', {}, locale);
+        
+    case 'mentions':
+      return buildMentionsReply(parameters, args[0], locale);
+      
+    case 'help':
+      return localize('command.usage', { command: parameters.command || '/forwarder' }, locale);
+      
+    default:
+      return `${localize('command.unknown', { text: name }, locale)}\n` +
+        localize('command.usage', { command: parameters.command || '/forwarder' }, locale);
+  }
+}
+
+/**
+ * Build the reply for "status"
+ * 「status」コマンドの返信を生成
+ * 
+ * @param {string} locale - Reply locale
+ * @returns {string} - Reply text
+ */
+function buildStatusReply(locale) {
+  const triggers = getDashboardTriggerStatus();
+  const lease = getProcessingLease();
+  
+  const lastExecution = triggers.lastExecution
+    ? localize('command.lastExecution', { time: triggers.lastExecution, minutes: triggers.minutesSinceLastExecution }, locale)
+    : localize('command.neverExecuted', {}, locale);
+    
+  const lines = [localize('command.status', {
+    state: localize(triggers.count > 0 ? 'trigger.monitoring' : 'trigger.stopped', {}, locale),
+    interval: localize('unit.minutes', { minutes: triggers.intervalMinutes }, locale),
+    lastExecution: lastExecution
+  }, locale)];
+  
+  if (lease) {
+    lines.push(localize('command.lockHeld', { owner: lease.owner, since: formatDashboardDate(lease.acquiredAt) }, locale));
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Build the reply for "stats"
+ * 「stats」コマンドの返信を生成
+ * 
+ * @param {string} locale - Reply locale
+ * @returns {string} - Reply text
+ */
+function buildStatsReply(locale) {
+  const tracking = getTrackingStats();
+  const drive = getDriveFolderStats();
+  const executions = getDashboardExecutions();
+  
+  return localize('command.stats', {
+    messages: tracking ? tracking.messageCount : 0,
+    hours: executions.windowHours,
+    runs: executions.runs,
+    errors: executions.errors + executions.criticalErrors,
+    files: drive ? drive.fileCount : 0,
+    size: drive ? drive.formattedSize : '-'
+  }, locale);
+}
+
+/**
+ * Build the reply for "reprocess <message-id>"
+ * 「reprocess」コマンドの返信を生成
+ * 
+ * @param {Object} result - Result of reprocessMessage()
+ * @param {string} messageId - Requested message ID
+ * @param {string} locale - Reply locale
+ * @returns {string} - Reply text
+ */
+function buildReprocessReply(result, messageId, locale) {
+  switch (result.status) {
+    case 'processed':
+      return localize('command.reprocessed', { subject: result.subject, rules: result.matchedRules.join(', ') }, locale);
+    case 'no-match':
+      return localize('command.reprocessNoMatch', { subject: result.subject }, locale);
+    case 'busy':
+      return localize('command.reprocessBusy', { owner: result.holder ? result.holder.owner : '?' }, locale);
+    default:
+      return localize('command.reprocessNotFound', { id: messageId }, locale);
+  }
+}
+
+/**
+ * Run "mentions [on|off]" for the calling user
+ * 「mentions」コマンドを実行（呼び出したユーザー自身の設定）
+ * 
+ * Without an argument, the reply shows the user's setting and the keywords that mention them.
+ * 
+ * @param {Object} parameters - Slash command form fields (user_id, user_name)
+ * @param {string} argument - 'on', 'off' or undefined
+ * @param {string} locale - Reply locale
+ * @returns {string} - Reply text
+ */
+function buildMentionsReply(parameters, argument, locale) {
+  const value = String(argument || '').toLowerCase();
+  if (value === 'on' || value === 'off') {
+    saveMentionSettingInSheet(parameters.user_id, parameters.user_name, value === 'on');
+    return localize(value === 'on' ? 'command.mentionsOn' : 'command.mentionsOff', {}, locale);
+  }
+  if (value) {
+    return localize('command.mentionsUsage', {}, locale);
+  }
+  
+  const setting = loadMentionSettingsFromSheet()[parameters.user_id];
+  const keywords = getMentionRules()
+    .filter(rule => rule.mentions.includes(parameters.user_id))
+    .reduce((all, rule) => all.concat(rule.keywords.map(keyword => keyword.label)), []);
+    
+  return localize('command.mentionsStatus', {
+    state: localize(!setting || setting.enabled ? 'command.mentionsEnabled' : 'command.mentionsDisabled', {}, locale),
+    keywords: keywords.length > 0 ? keywords.join(', ') : localize('command.mentionsNone', {}, locale)
+  }, locale);
+}
+
+/**
+ * Check whether a Slack user may run admin commands
+ * Slackユーザーが管理コマンドを実行できるか確認
+ * 
+ * @param {string} userId - Slack user ID (e.g. U012ABCDEF)
+ * @returns {boolean} - True if the user is in SLACK_ADMIN_USER_IDS
+ */
+function isSlackAdmin(userId) {
+  const allowlist = String(getProperty(PROPERTY_KEYS.SLACK_ADMIN_USER_IDS, false) || '')
+    .split(/[\s,]+/)
+    .filter(id => id.length > 0);
+    
+  return Boolean(userId) && allowlist.includes(userId);
+}
+
+/**
+ * Verify that a request really comes from Slack
+ * リクエストがSlackから送信されたものか検証
+ * 
+ * Apps Script does not pass HTTP headers to doPost, so the signature can only be checked when
+ * a relay forwards X-Slack-Signature / X-Slack-Request-Timestamp (as e.headers or as the
+ * slack_signature / slack_request_timestamp query parameters). Without them the legacy
+ * verification token is checked instead. With neither configured, every request is rejected.
+ * 
+ * @param {Object} e - Web app request event
+ * @returns {boolean} - True if the request is verified
+ */
+function verifySlackRequest(e) {
+  const request = e || {};
+  const parameters = request.parameter || {};
+  const headers = request.headers || {};
+  const header = name => Object.keys(headers)
+    .filter(key => key.toLowerCase() === name)
+    .map(key => headers[key])[0];
+    
+  const signingSecret = getProperty(PROPERTY_KEYS.SLACK_SIGNING_SECRET, false);
+  const signature = header('x-slack-signature') || parameters.slack_signature;
+  const timestamp = header('x-slack-request-timestamp') || parameters.slack_request_timestamp;
+  
+  if (signingSecret && signature && timestamp) {
+    return verifySlackSignature(signingSecret, timestamp, signature, request.postData ? request.postData.contents : '');
+  }
+  
+  const verificationToken = getProperty(PROPERTY_KEYS.SLACK_VERIFICATION_TOKEN, false);
+  if (verificationToken) {
+    // Button clicks carry the token inside the JSON payload
+    const interaction = parseSlackInteractionPayload(parameters);
+    const token = parameters.token || (interaction && interaction.token) || '';
+    return constantTimeEquals(String(token), verificationToken);
+  }
+  
+  if (signingSecret) {
+    console.error('Slack request has no signature headers; forward them through a relay or set SLACK_VERIFICATION_TOKEN');
+  } else {
+    console.error('Neither SLACK_SIGNING_SECRET nor SLACK_VERIFICATION_TOKEN is set, rejecting Slack request');
+  }
+  return false;
+}
+
+/**
+ * Verify a Slack request signature (HMAC-SHA256 of "v0:timestamp:body")
+ * Slackリクエストの署名を検証
+ * 
+ * @param {string} signingSecret - Slack app signing secret
+ * @param {string} timestamp - X-Slack-Request-Timestamp (seconds)
+ * @param {string} signature - X-Slack-Signature ("v0=...")
+ * @param {string} body - Raw request body
+ * @returns {boolean} - True if the signature matches and the request is recent
+ */
+function verifySlackSignature(signingSecret, timestamp, signature, body) {
+  const age = Math.abs(new Date().getTime() / 1000 - Number(timestamp));
+  if (!isFinite(age) || age > SLASH_COMMAND_CONFIG.MAX_REQUEST_AGE_SECONDS) {
+    console.error(`Slack request timestamp is too old or invalid: ${timestamp}`);
+    return false;
+  }
+  
+  const version = SLASH_COMMAND_CONFIG.SIGNATURE_VERSION;
+  const digest = Utilities.computeHmacSha256Signature(`${version}:${timestamp}:${body || ''}`, signingSecret, Utilities.Charset.UTF_8);
+  const expected = `${version}=` + digest.map(byte => ((byte & 0xff) + 0x100).toString(16).slice(1)).join('');
+  
+  return constantTimeEquals(expected, String(signature));
+}
+
+/**
+ * Compare two strings without stopping at the first difference
+ * 最初の差異で打ち切らずに文字列を比較
+ * 
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True if equal
+ */
+function constantTimeEquals(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+/**
+ * Create an ephemeral slash command response (visible only to the caller)
+ * 実行者のみに表示されるスラッシュコマンド応答を作成
+ * 
+ * @param {string} text - Reply text
+ * @returns {TextOutput} - JSON response
+ */
+function createSlackCommandResponse(text) {
+  return ContentService.createTextOutput(JSON.stringify({ response_type: 'ephemeral', text: text }))
+    .setMimeType(ContentService.MimeType.JSON);
+}
\ No newline at end of file
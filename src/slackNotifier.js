@@ -24,22 +24,9 @@ function sendSlackNotificationViaAPI(emailData) {
       return null;
     }
     
-    const channel = CONFIG.SLACK_CHANNEL.replace('#', ''); // Remove # if present
-    
-    // Build attachment text
-    const attachmentText = buildAttachmentText(emailData.attachments);
-    
-    // Build message for API
-    const messageData = buildSlackMessage(emailData, attachmentText);
-    
-    // Convert to Web API format
-    const apiPayload = {
-      channel: channel,
-      text: messageData.attachments[0].title,
-      attachments: messageData.attachments,
-      unfurl_links: false,
-      unfurl_media: false
-    };
+    // Build message for API (a reply in the Slack thread if the Gmail thread was posted before)
+    const apiPayload = buildSlackApiPayload(emailData);
+    const channel = apiPayload.channel;
     
     // Send via Web API
     const response = UrlFetchApp.fetch('https://slack.com/api/chat.postMessage', {
@@ -60,10 +47,24 @@ function sendSlackNotificationViaAPI(emailData) {
       console.log(`✓ Slack notification sent successfully via API (${sendTime}ms)`);
       console.log(`Message timestamp: ${responseData.ts}`);
       
+      // Follow-ups of a reply go to the same Slack thread (Slack threads are one level deep)
+      const threadTs = apiPayload.thread_ts || responseData.ts;
+      if (apiPayload.thread_ts) {
+        console.log(`Posted as a reply in Slack thread ${apiPayload.thread_ts}`);
+      } else if (CONFIG.SYNC_GMAIL_THREADS && emailData.gmailThreadId) {
+        saveSlackThreadInSheet(emailData.gmailThreadId, resolveSlackDestination(emailData.destination).channel,
+          responseData.channel || channel, responseData.ts, emailData.subject);
+      }
+      
       // Send additional messages for long email body if needed
-      if (emailData.body && emailData.body.length > 1000) {
+      if (isLongEmailBody(emailData.body)) {
         console.log('Email body is long, sending additional messages in thread...');
-        sendLongEmailBodyInThread(emailData.subject, emailData.body, emailData.date, channel, responseData.ts);
+        sendLongEmailBodyInThread(emailData.subject, emailData.body, emailData.date, channel, threadTs, resolveLocale(emailData.destination));
+      }
+      
+      // Post quoted replies, signatures and footers removed from the body
+      if (shouldPostRemovedSections(emailData)) {
+        sendRemovedSectionsInThread(emailData.subject, emailData.removedSections, channel, threadTs, resolveLocale(emailData.destination));
       }
       
       // Send follow-up message with Drive folder info if PDFs were saved
@@ -74,7 +75,7 @@ function sendSlackNotificationViaAPI(emailData) {
         
         if (savedPdfAttachments.length > 0) {
           console.log(`Sending follow-up message for ${savedPdfAttachments.length} saved PDFs in thread...`);
-          sendDriveFolderNotificationInThread(emailData.subject, savedPdfAttachments, emailData.date, channel, responseData.ts);
+          sendDriveFolderNotificationInThread(emailData.subject, savedPdfAttachments, emailData.date, channel, threadTs, resolveLocale(emailData.destination));
         }
       }
       
@@ -97,10 +98,21 @@ function sendSlackNotificationViaAPI(emailData) {
  * 
  * @param {Object} emailData - Email data object
  * @param {string} emailData.subject - Email subject
+ * @param {string} emailData.title - Title shown instead of the subject, from the rule's titleTemplate (optional)
+ * @param {Object} emailData.metadata - Named capture groups of the matched patterns (optional)
  * @param {string} emailData.sender - Email sender
  * @param {Date} emailData.date - Email date
  * @param {string} emailData.body - Email body (truncated)
+ * @param {Array} emailData.removedSections - Sections removed by cleanEmailBody() (optional)
+ * @param {Object} emailData.event - Event from processCalendarEvent() (optional)
  * @param {Array} emailData.attachments - Attachment info array
+ * @param {Array} emailData.links - Links from extractLinksFromEmail() (optional)
+ * @param {Object} emailData.destination - Slack destination from the routing rule (optional)
+ * @param {string} emailData.messageId - Gmail message ID, used by the interactive buttons (optional)
+ * @param {string} emailData.gmailThreadId - Gmail thread ID, used to reply in the Slack thread of earlier messages (optional)
+ * @param {Object} emailData.duplicate - Re-send notice from describeDuplicate() (optional)
+ * @param {Object} emailData.urgency - Urgency from classifyEmailUrgency() (optional)
+ * @param {Array} emailData.mentions - Keyword mentions from findKeywordMentions() (optional)
  */
 function sendSlackNotification(emailData) {
   const startTime = new Date().getTime();
@@ -122,11 +134,8 @@ function sendSlackNotification(emailData) {
     
     const webhookUrl = getProperty(PROPERTY_KEYS.SLACK_WEBHOOK_URL);
     
-    // Build attachment text
-    const attachmentText = buildAttachmentText(emailData.attachments);
-    
     // Build main message
-    const message = buildSlackMessage(emailData, attachmentText);
+    const message = buildSlackMessage(emailData, buildAttachmentText(emailData.attachments, resolveLocale(emailData.destination)));
     
     // Send to Slack
     const response = UrlFetchApp.fetch(webhookUrl, {
@@ -162,9 +171,15 @@ function sendSlackNotification(emailData) {
       }
       
       // Send additional messages for long email body if needed
-      if (emailData.body && emailData.body.length > 1000) {
+      // (summarized bodies link to Gmail instead, so the channel isn't flooded)
+      if (isLongEmailBody(emailData.body) && !findBodySummary(emailData, false)) {
         console.log('Email body is long, sending additional messages...');
-        sendLongEmailBody(emailData.subject, emailData.body, emailData.date);
+        sendLongEmailBody(emailData.subject, emailData.body, emailData.date, emailData.destination);
+      }
+      
+      // Post quoted replies, signatures and footers removed from the body
+      if (shouldPostRemovedSections(emailData)) {
+        sendRemovedSections(emailData.subject, emailData.removedSections, emailData.date, emailData.destination);
       }
       
       // Send follow-up message with Drive folder info if PDFs were saved
@@ -175,7 +190,7 @@ function sendSlackNotification(emailData) {
         
         if (savedPdfAttachments.length > 0) {
           console.log(`Sending follow-up message for ${savedPdfAttachments.length} saved PDFs...`);
-          sendDriveFolderNotification(emailData.subject, savedPdfAttachments, emailData.date);
+          sendDriveFolderNotification(emailData.subject, savedPdfAttachments, emailData.date, emailData.destination);
         }
       }
       
@@ -195,18 +210,19 @@ function sendSlackNotification(emailData) {
  * Slack用のフォーマットされた添付ファイルテキストを構築
  * 
  * @param {Array} attachments - Attachment info array
+ * @param {string} locale - Locale of the destination (optional)
  * @returns {string} - Formatted attachment text
  */
-function buildAttachmentText(attachments) {
+function buildAttachmentText(attachments, locale = null) {
   if (attachments.length === 0) {
-    return 'なし';
+    return localize('attachments.none', {}, locale);
   }
   
   const attachmentLines = attachments.map(att => {
     if (att.error) {
-      return `• ❌ ${att.originalName} (${formatFileSize(att.size)}) - 保存失敗: ${att.error}`;
+      return `• ❌ ${att.originalName} (${formatFileSize(att.size)}) - ${localize('attachments.failed', { error: att.error }, locale)}`;
     } else if (att.skipped) {
-      return `• ⚠️ ${att.originalName} (${formatFileSize(att.size)}) - スキップ: ${att.skipped}`;
+      return `• ⚠️ ${att.originalName} (${formatFileSize(att.size)}) - ${localize('attachments.skipped', { reason: att.skipped }, locale)}`;
     } else {
       // Include folder information if available
       const folderInfo = att.folderPath ? ` in ${att.folderPath}` : '';
@@ -218,72 +234,228 @@ function buildAttachmentText(attachments) {
   return attachmentLines.join('\n');
 }
 
+/**
+ * Resolve the Slack destination for a message, filling in defaults
+ * メッセージの通知先を解決（未指定の項目はデフォルト値）
+ * 
+ * @param {Object} destination - Destination from a routing rule (optional)
+ * @returns {Object} - { channel, username, iconEmoji, timeZone, locale, broadcastReplies }
+ */
+function resolveSlackDestination(destination) {
+  const target = destination || {};
+  return {
+    channel: target.channel || CONFIG.SLACK_CHANNEL,
+    username: target.username || 'Gmail Bot',
+    iconEmoji: target.iconEmoji || ':email:',
+    timeZone: resolveTimeZone(target.timeZone),
+    locale: resolveLocale(target),
+    broadcastReplies: typeof target.broadcastReplies === 'boolean' ? target.broadcastReplies : Boolean(CONFIG.BROADCAST_THREAD_REPLIES)
+  };
+}
+
 /**
  * Build complete Slack message object
  * 完全なSlackメッセージオブジェクトを構築
  * 
  * @param {Object} emailData - Email data
  * @param {string} attachmentText - Formatted attachment text
+ * @param {boolean} threaded - True if follow-ups such as the full body go to the Slack thread (Web API)
  * @returns {Object} - Slack message object
  */
-function buildSlackMessage(emailData, attachmentText) {
-  const messageColor = emailData.attachments.some(att => att.error) ? 'warning' : 'good';
+function buildSlackMessage(emailData, attachmentText, threaded = false) {
+  const destination = resolveSlackDestination(emailData.destination);
+  const locale = destination.locale;
+  const urgency = emailData.urgency || null;
+  const messageColor = urgency && urgency.color ? urgency.color : (emailData.attachments.some(att => att.error) ? 'warning' : 'good');
+  const title = localize('email.title', { subject: emailData.title || emailData.subject }, locale);
+  
+  // Urgent or mentioning emails get a top-level line with the emoji and the mentions (mentions only notify from there)
+  const mentions = [
+    urgency ? buildUrgencyMention(urgency, destination.timeZone) : '',
+    ...(emailData.mentions || []).map(mention => formatSlackMention(mention.id))
+  ].filter(mention => mention);
+  const headline = urgency || mentions.length > 0
+    ? [...mentions, urgency ? urgency.emoji : '', title].filter(part => part).join(' ')
+    : null;
   
   const successfulAttachments = emailData.attachments.filter(att => !att.error && !att.skipped).length;
   const skippedAttachments = emailData.attachments.filter(att => att.skipped).length;
   const totalAttachments = emailData.attachments.length;
   
   // Build attachment count display
-  let attachmentCountText = `${successfulAttachments}/${totalAttachments}件`;
+  let attachmentCountText = localize('email.attachmentCount', { saved: successfulAttachments, total: totalAttachments }, locale);
   if (skippedAttachments > 0) {
-    attachmentCountText += ` (${skippedAttachments}件スキップ)`;
+    attachmentCountText += localize('email.attachmentSkippedCount', { count: skippedAttachments }, locale);
   }
   
-  // For long emails, show only a brief preview in main message
-  let bodyPreview = emailData.body || '_本文なし_';
-  const isLongBody = bodyPreview.length > 1000; // Much more conservative limit
-  if (isLongBody) {
-    // Show only the first 500 characters as preview
-    bodyPreview = bodyPreview.substring(0, 500) + '\n\n_[本文の全文は続きのメッセージで表示されます]_';
+  // For long emails, show the key sentences (or the first 500 characters) in the main message
+  let bodyPreview = emailData.body || localize('email.noBody', {}, locale);
+  const summary = findBodySummary(emailData, threaded);
+  if (summary) {
+    const notice = threaded
+      ? localize('email.bodySummaryThread', {}, locale)
+      : localize('email.bodySummaryGmail', { url: buildGmailMessageUrl(emailData.messageId) }, locale);
+    bodyPreview = `${summary.map(sentence => `• ${sentence}`).join('\n')}\n\n${notice}`;
+  } else if (isLongEmailBody(bodyPreview)) {
+    bodyPreview = bodyPreview.substring(0, findBodySplitIndex(bodyPreview, 500)) + `\n\n${localize('email.bodyContinued', {}, locale)}`;
+  }
+  if (shouldPostRemovedSections(emailData)) {
+    bodyPreview += `\n\n${localize('removed.notice', { count: emailData.removedSections.length }, locale)}`;
   }
   
   return {
-    channel: CONFIG.SLACK_CHANNEL,
-    username: 'Gmail Bot',
-    icon_emoji: ':email:',
+    channel: destination.channel,
+    username: destination.username,
+    icon_emoji: destination.iconEmoji,
+    ...(headline ? { text: headline } : {}),
     attachments: [{
       color: messageColor,
-      title: `📧 新着メール: ${emailData.subject}`,
+      title: title,
       title_link: `mailto:${emailData.sender}`,
       fields: [
         {
-          title: '👤 送信者',
+          title: localize('email.sender', {}, locale),
           value: emailData.sender,
           short: true
         },
         {
-          title: '📅 受信日時',
-          value: Utilities.formatDate(emailData.date, 'JST', 'yyyy/MM/dd HH:mm:ss'),
+          title: localize('email.receivedAt', {}, locale),
+          value: formatSlackDate(emailData.date, destination.timeZone, 'yyyy/MM/dd HH:mm:ss (z)'),
           short: true
         },
         {
-          title: '📝 本文',
+          title: localize('email.body', {}, locale),
           value: bodyPreview,
           short: false
         },
         {
-          title: `📎 添付ファイル (${attachmentCountText})`,
+          title: localize('email.attachments', { count: attachmentCountText }, locale),
           value: attachmentText,
           short: false
-        }
+        },
+        ...(emailData.links && emailData.links.length > 0 ? [{
+          title: localize('links.title', { count: emailData.links.length }, locale),
+          value: buildLinksSlackText(emailData.links, locale),
+          short: false
+        }] : []),
+        ...(emailData.event ? [{
+          title: localize('event.title', {}, locale),
+          value: buildEventSlackText(emailData.event, locale),
+          short: false
+        }] : []),
+        ...(emailData.duplicate ? [{
+          title: localize('duplicate.title', {}, locale),
+          value: buildDuplicateSlackText(emailData.duplicate, locale, destination.timeZone),
+          short: false
+        }] : [])
       ],
       footer: 'Gmail to Slack Forwarder',
       footer_icon: 'https://ssl.gstatic.com/ui/v1/icons/mail/images/favicon2.ico',
-      ts: Math.floor(emailData.date.getTime() / 1000)
+      ts: Math.floor(emailData.date.getTime() / 1000),
+      // Field values only render <!date^...> tokens and converted HTML bodies when formatted as mrkdwn
+      ...(CONFIG.SLACK_LOCAL_TIME || CONFIG.CONVERT_HTML_BODY ? { mrkdwn_in: ['fields'] } : {}),
+      // Buttons need the Gmail message ID to find the source thread (see slackActionManager.js)
+      ...(CONFIG.SLACK_INTERACTIVE_BUTTONS && emailData.messageId ? {
+        callback_id: SLACK_ACTION_CONFIG.CALLBACK_ID,
+        actions: buildEmailActionButtons(emailData.messageId, locale)
+      } : {})
     }]
   };
 }
 
+/**
+ * Build the chat.postMessage payload for an email notification
+ * メール通知用のchat.postMessageペイロードを構築
+ * 
+ * When an earlier message of the same Gmail thread (or the original of a re-sent announcement)
+ * was posted to the channel, the payload is a reply in that Slack thread (also shown in the
+ * channel with broadcastReplies).
+ * 
+ * @param {Object} emailData - Email data
+ * @returns {Object} - Web API payload
+ */
+function buildSlackApiPayload(emailData) {
+  const destination = resolveSlackDestination(emailData.destination);
+  const messageData = buildSlackMessage(emailData, buildAttachmentText(emailData.attachments, destination.locale), true);
+  const parentThread = findParentSlackThread(emailData, destination.channel);
+  
+  return {
+    channel: parentThread ? parentThread.channelId : destination.channel.replace('#', ''), // Remove # if present
+    text: messageData.text || messageData.attachments[0].title,
+    username: messageData.username,
+    icon_emoji: messageData.icon_emoji,
+    attachments: messageData.attachments,
+    unfurl_links: false,
+    unfurl_media: false,
+    ...(parentThread ? {
+      thread_ts: parentThread.ts,
+      ...(destination.broadcastReplies ? { reply_broadcast: true } : {})
+    } : {}),
+    // Captured metadata travels with the post as Slack message metadata for workflows and apps
+    ...(emailData.metadata && Object.keys(emailData.metadata).length > 0 ? {
+      metadata: {
+        event_type: 'email_forwarded',
+        event_payload: Object.assign({ message_id: emailData.messageId || null, subject: emailData.subject }, emailData.metadata)
+      }
+    } : {})
+  };
+}
+
+/**
+ * Find the Slack thread an email notification should reply in
+ * メール通知の返信先Slackスレッドを検索
+ * 
+ * @param {Object} emailData - Email data
+ * @param {string} channel - Slack channel name from the routing rule
+ * @returns {Object|null} - { channel, channelId, ts } or null to post a new message
+ */
+function findParentSlackThread(emailData, channel) {
+  const duplicate = emailData.duplicate;
+  if (duplicate && duplicate.action === 'thread' && duplicate.gmailThreadId) {
+    const original = findSlackThreadInSheet(duplicate.gmailThreadId, channel);
+    if (original) {
+      return original;
+    }
+  }
+  
+  return CONFIG.SYNC_GMAIL_THREADS && emailData.gmailThreadId
+    ? findSlackThreadInSheet(emailData.gmailThreadId, channel)
+    : null;
+}
+
+/**
+ * Build the main Slack payload exactly as sendSlackNotification would send it
+ * sendSlackNotificationが送信するメインのSlackペイロードを構築
+ * 
+ * Used by dry-run mode to preview notifications without posting them.
+ * 
+ * @param {Object} emailData - Email data
+ * @returns {Object} - { transport: 'api'|'webhook', payload, followUps }
+ */
+function buildSlackPayloadPreview(emailData) {
+  const useAPI = getProperty(PROPERTY_KEYS.USE_SLACK_API, false) === 'true' &&
+    Boolean(getProperty(PROPERTY_KEYS.SLACK_BOT_TOKEN, false));
+    
+  const followUps = [];
+  if (isLongEmailBody(emailData.body) && (useAPI || !findBodySummary(emailData, false))) {
+    followUps.push('full email body');
+  }
+  if (shouldPostRemovedSections(emailData)) {
+    followUps.push(`removed sections (${emailData.removedSections.map(section => section.type).join(', ')})`);
+  }
+  if (CONFIG.SEND_DRIVE_FOLDER_NOTIFICATION && emailData.attachments.some(att => !att.error && !att.skipped && att.folderUrl)) {
+    followUps.push('Drive folder link');
+  }
+  
+  return {
+    transport: useAPI ? 'api' : 'webhook',
+    payload: useAPI
+      ? buildSlackApiPayload(emailData)
+      : buildSlackMessage(emailData, buildAttachmentText(emailData.attachments, resolveLocale(emailData.destination))),
+    followUps: followUps
+  };
+}
+
 /**
  * Send error notification to Slack
  * エラー通知をSlackに送信
@@ -302,12 +474,12 @@ function sendErrorNotification(errorMessage) {
       icon_emoji: ':warning:',
       attachments: [{
         color: 'danger',
-        title: '🚨 Gmail転送システムエラー',
+        title: localize('error.title'),
         text: `\`\`\`${errorMessage}\`\`\``,
         fields: [
           {
-            title: '発生時刻',
-            value: Utilities.formatDate(new Date(), 'JST', 'yyyy/MM/dd HH:mm:ss'),
+            title: localize('error.occurredAt'),
+            value: formatDateInTimeZone(new Date(), 'yyyy/MM/dd HH:mm:ss'),
             short: true
           }
         ],
@@ -342,8 +514,9 @@ function sendErrorNotification(errorMessage) {
  * @param {number} processedCount - Number of successfully processed emails
  * @param {number} errorCount - Number of emails with errors
  * @param {number} executionTime - Total execution time in ms
+ * @param {number} deferredCount - Messages deferred to the next run (optional)
  */
-function sendErrorSummary(processedCount, errorCount, executionTime) {
+function sendErrorSummary(processedCount, errorCount, executionTime, deferredCount = 0) {
   try {
     console.log('Sending processing summary to Slack...');
     
@@ -358,29 +531,33 @@ function sendErrorSummary(processedCount, errorCount, executionTime) {
       icon_emoji: ':bar_chart:',
       attachments: [{
         color: errorCount > 0 ? 'warning' : 'good',
-        title: '📊 Gmail転送 処理サマリー',
+        title: localize('summary.title'),
         fields: [
           {
-            title: '✅ 成功',
-            value: `${processedCount}件`,
+            title: localize('summary.success'),
+            value: localize('unit.count', { count: processedCount }),
             short: true
           },
           {
-            title: '❌ エラー',
-            value: `${errorCount}件`,
+            title: localize('summary.errors'),
+            value: localize('unit.count', { count: errorCount }),
             short: true
           },
           {
-            title: '📈 成功率',
+            title: localize('summary.successRate'),
             value: `${successRate}%`,
             short: true
           },
           {
-            title: '⏱️ 実行時間',
-            value: `${(executionTime / 1000).toFixed(1)}秒`,
+            title: localize('summary.executionTime'),
+            value: localize('unit.seconds', { seconds: (executionTime / 1000).toFixed(1) }),
             short: true
           }
-        ],
+        ].concat(deferredCount > 0 ? [{
+          title: localize('summary.deferred'),
+          value: localize('unit.count', { count: deferredCount }),
+          short: true
+        }] : []),
         footer: 'Gmail to Slack Forwarder - Summary',
         ts: Math.floor(Date.now() / 1000)
       }]
@@ -409,8 +586,9 @@ function sendErrorSummary(processedCount, errorCount, executionTime) {
  * @param {string} emailSubject - Email subject for reference
  * @param {Array} savedAttachments - Array of successfully saved attachment info
  * @param {Date} emailDate - Email date for reference
+ * @param {Object} destination - Slack destination from the routing rule (optional)
  */
-function sendDriveFolderNotification(emailSubject, savedAttachments, emailDate) {
+function sendDriveFolderNotification(emailSubject, savedAttachments, emailDate, destination = null) {
   try {
     console.log('Sending Drive folder follow-up notification...');
     
@@ -437,18 +615,21 @@ function sendDriveFolderNotification(emailSubject, savedAttachments, emailDate)
     const folderCount = uniqueFolders.length;
     
     // Format reference to original message
-    const dateStr = emailDate ? Utilities.formatDate(emailDate, 'JST', 'HH:mm') : '';
-    const referenceText = dateStr ? `${dateStr}のメール` : '上記メール';
+    const target = resolveSlackDestination(destination);
+    const dateStr = emailDate ? formatSlackDate(emailDate, target.timeZone, 'HH:mm', '{time}') : '';
+    const referenceText = dateStr
+      ? localize('followUp.reference', { time: dateStr }, target.locale)
+      : localize('followUp.referenceFallback', {}, target.locale);
     
     const message = {
-      channel: CONFIG.SLACK_CHANNEL,
-      username: 'Gmail Bot',
+      channel: target.channel,
+      username: target.username,
       icon_emoji: ':file_folder:',
-      text: `↳ ${referenceText}の添付ファイルをGoogle Driveに保存しました`,
+      text: localize('drive.text', { reference: referenceText }, target.locale),
       attachments: [{
         color: '#4CAF50',  // Green for success
-        title: '📁 PDFファイル保存完了',
-        text: `${fileCount}件のPDFファイルを保存しました\n\n${folderLinks}`,
+        title: localize('drive.title', {}, target.locale),
+        text: `${localize('drive.summary', { count: fileCount }, target.locale)}\n\n${folderLinks}`,
         footer: `📧 ${emailSubject}`,
         ts: Math.floor(Date.now() / 1000)
       }],
@@ -495,17 +676,17 @@ function sendTestNotification() {
       icon_emoji: ':test_tube:',
       attachments: [{
         color: 'good',
-        title: '🧪 Gmail転送システム テスト通知',
-        text: 'システムが正常に動作しています。',
+        title: localize('test.title'),
+        text: localize('test.text'),
         fields: [
           {
-            title: 'テスト時刻',
-            value: Utilities.formatDate(new Date(), 'JST', 'yyyy/MM/dd HH:mm:ss'),
+            title: localize('test.time'),
+            value: formatDateInTimeZone(new Date(), 'yyyy/MM/dd HH:mm:ss'),
             short: true
           },
           {
-            title: 'ステータス',
-            value: '✅ 正常',
+            title: localize('test.status'),
+            value: localize('test.statusOk'),
             short: true
           }
         ],
@@ -535,6 +716,43 @@ function sendTestNotification() {
   }
 }
 
+/**
+ * Pick the key sentences shown instead of the start of a long body
+ * 長い本文の冒頭の代わりに表示する要点の文を取得
+ * 
+ * The full body then goes to the Slack thread; webhook posts have no thread, so they link to
+ * the email in Gmail instead and are only summarized when its message ID is known.
+ * 
+ * @param {Object} emailData - Email data
+ * @param {boolean} threaded - True if the full body is posted in the Slack thread
+ * @returns {Array|null} - Key sentences from summarizeEmailBody(), or null to preview the start of the body
+ */
+function findBodySummary(emailData, threaded) {
+  if (!threaded && !emailData.messageId) {
+    return null;
+  }
+  return summarizeEmailBody(emailData.body);
+}
+
+/**
+ * Find where to cut a body part without splitting a <url|text> link
+ * <url|text>形式のリンクを分断しない本文の分割位置を取得
+ * 
+ * @param {string} text - Body text
+ * @param {number} maxLength - Maximum length of the part
+ * @returns {number} - Length of the part
+ */
+function findBodySplitIndex(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text.length;
+  }
+  
+  // Cut before an unclosed "<", unless that would drop more than half of the part
+  const open = text.lastIndexOf('<', maxLength - 1);
+  const close = text.lastIndexOf('>', maxLength - 1);
+  return open > close && open > maxLength / 2 ? open : maxLength;
+}
+
 /**
  * Send long email body as additional messages
  * 長いメール本文を追加メッセージとして送信
@@ -542,13 +760,15 @@ function sendTestNotification() {
  * @param {string} subject - Email subject for reference
  * @param {string} fullBody - Full email body text
  * @param {Date} emailDate - Email date for reference
+ * @param {Object} destination - Slack destination from the routing rule (optional)
  */
-function sendLongEmailBody(subject, fullBody, emailDate) {
+function sendLongEmailBody(subject, fullBody, emailDate, destination = null) {
   try {
     console.log('Sending additional messages for long email body...');
     console.log(`Total body length: ${fullBody.length} characters`);
     
     const webhookUrl = getProperty(PROPERTY_KEYS.SLACK_WEBHOOK_URL);
+    const target = resolveSlackDestination(destination);
     const chunkSize = 3500; // Safe size for Slack messages
     
     // Send the ENTIRE body text in chunks, starting from the beginning
@@ -559,32 +779,37 @@ function sendLongEmailBody(subject, fullBody, emailDate) {
     console.log(`Processing full body in chunks...`);
     
     while (remainingBody.length > 0) {
-      const chunk = remainingBody.substring(0, Math.min(chunkSize, remainingBody.length));
+      const chunk = remainingBody.substring(0, findBodySplitIndex(remainingBody, chunkSize));
       remainingBody = remainingBody.substring(chunk.length);
       
       console.log(`Sending part ${partNumber}: ${chunk.length} characters`);
       console.log(`Remaining after this part: ${remainingBody.length} characters`);
       
       const isLastPart = remainingBody.length === 0;
-      const partText = isLastPart ? `（最終パート）` : `（パート ${partNumber}）`;
+      const partText = isLastPart
+        ? localize('body.lastPart', {}, target.locale)
+        : localize('body.part', { number: partNumber }, target.locale);
       
       // Format the continuation message with clear reference to the original
-      const dateStr = emailDate ? Utilities.formatDate(emailDate, 'JST', 'HH:mm') : '';
-      const referenceText = dateStr ? `${dateStr}のメール` : '上記メール';
+      const dateStr = emailDate ? formatSlackDate(emailDate, target.timeZone, 'HH:mm', '{time}') : '';
+      const referenceText = dateStr
+        ? localize('followUp.reference', { time: dateStr }, target.locale)
+        : localize('followUp.referenceFallback', {}, target.locale);
       
       const message = {
-        channel: CONFIG.SLACK_CHANNEL,
-        username: 'Gmail Bot',
+        channel: target.channel,
+        username: target.username,
         icon_emoji: ':speech_balloon:',
         text: partNumber === 1 
-          ? `↳ ${referenceText}の本文全文です` 
+          ? localize('body.text', { reference: referenceText }, target.locale)
           : '',
         attachments: [{
           color: '#E0E0E0',  // Gray color for continuation
           title: `${partText}`,
           text: chunk,
           footer: `📧 ${subject}`,
-          ts: Math.floor(Date.now() / 1000)
+          ts: Math.floor(Date.now() / 1000),
+          ...(CONFIG.CONVERT_HTML_BODY ? { mrkdwn_in: ['text'] } : {})
         }]
       };
       
@@ -632,8 +857,9 @@ function sendLongEmailBody(subject, fullBody, emailDate) {
  * @param {Date} emailDate - Email date for reference
  * @param {string} channel - Slack channel
  * @param {string} threadTs - Parent message timestamp
+ * @param {string} locale - Locale of the destination (optional, resolved from the channel)
  */
-function sendLongEmailBodyInThread(subject, fullBody, emailDate, channel, threadTs) {
+function sendLongEmailBodyInThread(subject, fullBody, emailDate, channel, threadTs, locale = null) {
   try {
     console.log('Sending email body in thread...');
     const botToken = getProperty(PROPERTY_KEYS.SLACK_BOT_TOKEN, false);
@@ -644,26 +870,30 @@ function sendLongEmailBodyInThread(subject, fullBody, emailDate, channel, thread
     }
     
     const chunkSize = 3500;
+    const messageLocale = locale || resolveLocale({ channel: channel });
     let remainingBody = fullBody;
     let partNumber = 1;
     
     while (remainingBody.length > 0) {
-      const chunk = remainingBody.substring(0, Math.min(chunkSize, remainingBody.length));
+      const chunk = remainingBody.substring(0, findBodySplitIndex(remainingBody, chunkSize));
       remainingBody = remainingBody.substring(chunk.length);
       
       const isLastPart = remainingBody.length === 0;
-      const partText = isLastPart ? `（最終パート）` : `（パート ${partNumber}）`;
+      const partText = isLastPart
+        ? localize('body.lastPart', {}, messageLocale)
+        : localize('body.part', { number: partNumber }, messageLocale);
       
       const payload = {
         channel: channel,
         thread_ts: threadTs,
-        text: partNumber === 1 ? '📄 メール本文の全文' : '',
+        text: partNumber === 1 ? localize('body.threadText', {}, messageLocale) : '',
         attachments: [{
           color: '#E0E0E0',
           title: partText,
           text: chunk,
           footer: `📧 ${subject}`,
-          ts: Math.floor(Date.now() / 1000)
+          ts: Math.floor(Date.now() / 1000),
+          ...(CONFIG.CONVERT_HTML_BODY ? { mrkdwn_in: ['text'] } : {})
         }]
       };
       
@@ -703,8 +933,9 @@ function sendLongEmailBodyInThread(subject, fullBody, emailDate, channel, thread
  * @param {Date} emailDate - Email date for reference
  * @param {string} channel - Slack channel
  * @param {string} threadTs - Parent message timestamp
+ * @param {string} locale - Locale of the destination (optional, resolved from the channel)
  */
-function sendDriveFolderNotificationInThread(emailSubject, savedAttachments, emailDate, channel, threadTs) {
+function sendDriveFolderNotificationInThread(emailSubject, savedAttachments, emailDate, channel, threadTs, locale = null) {
   try {
     console.log('Sending Drive folder notification in thread...');
     const botToken = getProperty(PROPERTY_KEYS.SLACK_BOT_TOKEN, false);
@@ -725,14 +956,15 @@ function sendDriveFolderNotificationInThread(emailSubject, savedAttachments, ema
     ).join('\n');
     
     const fileCount = savedAttachments.length;
+    const messageLocale = locale || resolveLocale({ channel: channel });
     
     const payload = {
       channel: channel,
       thread_ts: threadTs,
-      text: '📁 PDFファイル保存完了',
+      text: localize('drive.title', {}, messageLocale),
       attachments: [{
         color: '#4CAF50',
-        text: `${fileCount}件のPDFファイルを保存しました\n\n${folderLinks}`,
+        text: `${localize('drive.summary', { count: fileCount }, messageLocale)}\n\n${folderLinks}`,
         footer: `📧 ${emailSubject}`,
         ts: Math.floor(Date.now() / 1000)
       }]
@@ -760,6 +992,146 @@ function sendDriveFolderNotificationInThread(emailSubject, savedAttachments, ema
   }
 }
 
+/**
+ * Check whether removed body sections should be posted after the main message
+ * 本文から除去した部分を追加投稿するか判定
+ * 
+ * @param {Object} emailData - Email data
+ * @returns {boolean} - True if there are removed sections and POST_REMOVED_SECTIONS is on
+ */
+function shouldPostRemovedSections(emailData) {
+  return CONFIG.POST_REMOVED_SECTIONS && Boolean(emailData.removedSections) && emailData.removedSections.length > 0;
+}
+
+/**
+ * Build one collapsed attachment per removed body section
+ * 除去した本文の各部分を折りたたみ表示用の添付として構築
+ * 
+ * Slack collapses long attachment texts behind "Show more", so the sections stay out of the way.
+ * 
+ * @param {string} subject - Email subject for reference
+ * @param {Array} sections - Removed sections from cleanEmailBody()
+ * @param {string} locale - Locale of the destination
+ * @returns {Array} - Legacy attachments
+ */
+function buildRemovedSectionAttachments(subject, sections, locale) {
+  const maxLength = 3500;  // Same limit as the body parts
+  
+  return sections.map(section => ({
+    color: '#E0E0E0',
+    title: localize(`removed.${section.type}`, { lines: section.lineCount }, locale),
+    text: section.text.length > maxLength
+      ? `${section.text.substring(0, findBodySplitIndex(section.text, maxLength))}…`
+      : section.text,
+    footer: `📧 ${subject}`,
+    mrkdwn_in: ['text']
+  }));
+}
+
+/**
+ * Send removed body sections as a follow-up message (webhook)
+ * 除去した本文の部分を追加メッセージとして送信（Webhook）
+ * 
+ * @param {string} subject - Email subject for reference
+ * @param {Array} sections - Removed sections from cleanEmailBody()
+ * @param {Date} emailDate - Email date for reference
+ * @param {Object} destination - Slack destination from the routing rule (optional)
+ */
+function sendRemovedSections(subject, sections, emailDate, destination = null) {
+  try {
+    console.log(`Sending ${sections.length} removed body section(s)...`);
+    
+    const webhookUrl = getProperty(PROPERTY_KEYS.SLACK_WEBHOOK_URL);
+    const target = resolveSlackDestination(destination);
+    const dateStr = emailDate ? formatSlackDate(emailDate, target.timeZone, 'HH:mm', '{time}') : '';
+    const referenceText = dateStr
+      ? localize('followUp.reference', { time: dateStr }, target.locale)
+      : localize('followUp.referenceFallback', {}, target.locale);
+      
+    const message = {
+      channel: target.channel,
+      username: target.username,
+      icon_emoji: ':scissors:',
+      text: localize('removed.text', { reference: referenceText }, target.locale),
+      attachments: buildRemovedSectionAttachments(subject, sections, target.locale),
+      unfurl_links: false,
+      unfurl_media: false
+    };
+    
+    // Add a small delay to ensure this appears after the main message
+    Utilities.sleep(1000);
+    
+    const response = UrlFetchApp.fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      payload: JSON.stringify(message),
+      muteHttpExceptions: true
+    });
+    
+    if (response.getResponseCode() === 200) {
+      console.log('✓ Removed body sections sent successfully');
+    } else {
+      console.error(`✗ Removed body sections failed: ${response.getResponseCode()}`);
+    }
+    
+  } catch (error) {
+    console.error('Error sending removed body sections:', error);
+    // Don't throw - the main message has been sent
+  }
+}
+
+/**
+ * Send removed body sections in thread using Web API
+ * 除去した本文の部分をスレッドに送信（Web API）
+ * 
+ * @param {string} subject - Email subject for reference
+ * @param {Array} sections - Removed sections from cleanEmailBody()
+ * @param {string} channel - Slack channel
+ * @param {string} threadTs - Parent message timestamp
+ * @param {string} locale - Locale of the destination (optional, resolved from the channel)
+ */
+function sendRemovedSectionsInThread(subject, sections, channel, threadTs, locale = null) {
+  try {
+    console.log(`Sending ${sections.length} removed body section(s) in thread...`);
+    const botToken = getProperty(PROPERTY_KEYS.SLACK_BOT_TOKEN, false);
+    
+    if (!botToken) {
+      console.log('No bot token, cannot send thread messages');
+      return;
+    }
+    
+    const messageLocale = locale || resolveLocale({ channel: channel });
+    const payload = {
+      channel: channel,
+      thread_ts: threadTs,
+      text: localize('removed.threadText', {}, messageLocale),
+      attachments: buildRemovedSectionAttachments(subject, sections, messageLocale),
+      unfurl_links: false,
+      unfurl_media: false
+    };
+    
+    const response = UrlFetchApp.fetch('https://slack.com/api/chat.postMessage', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${botToken}`,
+        'Content-Type': 'application/json'
+      },
+      payload: JSON.stringify(payload),
+      muteHttpExceptions: true
+    });
+    
+    const responseData = JSON.parse(response.getContentText());
+    if (responseData.ok) {
+      console.log('✓ Removed body sections sent in thread');
+    } else {
+      console.error(`Failed to send removed body sections: ${responseData.error}`);
+    }
+    
+  } catch (error) {
+    console.error('Error sending removed body sections in thread:', error);
+  }
+}
+
 /**
  * Test long email body splitting
  * 長いメール本文の分割をテスト
@@ -9,11 +9,71 @@
 const SPREADSHEET_CONFIG = {
   SPREADSHEET_NAME: 'Gmail Slack Forwarder - Processed Messages',
   SHEET_NAME: 'ProcessedMessages',
-  HEADERS: ['Message ID', 'Subject', 'Sender', 'Processed Date', 'Timestamp'],
+  HEADERS: ['Message ID', 'Subject', 'Sender', 'Processed Date', 'Timestamp', 'Rule', 'Last Action', 'Acted By', 'Acted At', 'Links', 'Fingerprint', 'Duplicate Of'],
   MAX_ROWS: 10000, // Keep last 10,000 messages
-  CLEANUP_BATCH_SIZE: 1000 // Delete this many rows at once when cleaning up
+  CLEANUP_BATCH_SIZE: 1000, // Delete this many rows at once when cleaning up
+  
+  // Editable subject pattern rules (no redeploy needed)
+  RULES_SHEET_NAME: 'Rules',
+  RULES_HEADERS: ['Rule', 'Pattern', 'Flags', 'Match Mode', 'Enabled', 'Description'],
+  
+  // Gmail thread -> Slack thread of its first post, so follow-up emails become replies
+  THREADS_SHEET_NAME: 'SlackThreads',
+  THREADS_HEADERS: ['Gmail Thread ID', 'Channel', 'Channel ID', 'Thread TS', 'Subject', 'Created'],
+  THREADS_MAX_ROWS: 5000,
+  
+  // Per-person settings for keyword mentions (see mentionManager.js)
+  MENTIONS_SHEET_NAME: 'MentionSettings',
+  MENTIONS_HEADERS: ['Slack ID', 'Name', 'Mentions', 'Muted Keywords', 'Updated'],
+  
+  // Emails waiting for the digest of their routing rule (see digestManager.js)
+  DIGEST_SHEET_NAME: 'DigestQueue',
+  DIGEST_HEADERS: ['Queued At', 'Rule', 'Delivery', 'Message ID', 'Subject', 'Sender', 'Email Date', 'Preview', 'Attachments', 'Folder URL', 'Sent At'],
+  DIGEST_MAX_ROWS: 5000,
+  
+  // Notifications held during quiet hours (see quietHoursManager.js)
+  HELD_SHEET_NAME: 'HeldNotifications',
+  HELD_HEADERS: ['Held At', 'Rule', 'Channel', 'Message ID', 'Subject', 'Reason', 'Email Data', 'Released At'],
+  HELD_MAX_ROWS: 2000
 };
 
+/**
+ * Find the tracking spreadsheet without creating it
+ * トラッキング用スプレッドシートを検索（作成はしない）
+ * 
+ * Used by lookups, which have nothing to find before the first message is tracked, and by
+ * dry-run mode, which must not leave files behind.
+ * 
+ * @returns {Spreadsheet|null} - Google Sheets spreadsheet object, or null if there is none yet
+ */
+function findTrackingSpreadsheet() {
+  // Try to get spreadsheet ID from Script Properties
+  const spreadsheetId = getProperty('TRACKING_SPREADSHEET_ID', false);
+  if (spreadsheetId) {
+    try {
+      return SpreadsheetApp.openById(spreadsheetId);
+    } catch (error) {
+      console.log('Stored spreadsheet ID is invalid, searching by name...');
+    }
+  }
+  
+  // Search for existing spreadsheet by name
+  const files = DriveApp.getFilesByName(SPREADSHEET_CONFIG.SPREADSHEET_NAME);
+  return files.hasNext() ? SpreadsheetApp.open(files.next()) : null;
+}
+
+/**
+ * Find a sheet of the tracking spreadsheet without creating either
+ * トラッキング用スプレッドシートのシートを検索（作成はしない）
+ * 
+ * @param {string} sheetName - Sheet name from SPREADSHEET_CONFIG
+ * @returns {Sheet|null} - Sheet, or null if the spreadsheet or the sheet doesn't exist
+ */
+function findTrackingSheet(sheetName) {
+  const spreadsheet = findTrackingSpreadsheet();
+  return spreadsheet ? spreadsheet.getSheetByName(sheetName) : null;
+}
+
 /**
  * Get or create the tracking spreadsheet
  * トラッキング用スプレッドシートを取得または作成
@@ -22,34 +82,19 @@ const SPREADSHEET_CONFIG = {
  */
 function getOrCreateTrackingSpreadsheet() {
   try {
-    // Try to get spreadsheet ID from Script Properties
-    let spreadsheetId = getProperty('TRACKING_SPREADSHEET_ID', false);
-    
-    if (spreadsheetId) {
-      try {
-        const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
-        console.log(`Using existing tracking spreadsheet: ${spreadsheet.getName()}`);
-        return spreadsheet;
-      } catch (error) {
-        console.log('Stored spreadsheet ID is invalid, creating new spreadsheet...');
+    const existing = findTrackingSpreadsheet();
+    if (existing) {
+      if (getProperty('TRACKING_SPREADSHEET_ID', false) !== existing.getId()) {
+        setProperty('TRACKING_SPREADSHEET_ID', existing.getId());
       }
-    }
-    
-    // Search for existing spreadsheet by name
-    const files = DriveApp.getFilesByName(SPREADSHEET_CONFIG.SPREADSHEET_NAME);
-    if (files.hasNext()) {
-      const file = files.next();
-      const spreadsheet = SpreadsheetApp.open(file);
-      spreadsheetId = spreadsheet.getId();
-      setProperty('TRACKING_SPREADSHEET_ID', spreadsheetId);
-      console.log(`Found existing tracking spreadsheet: ${SPREADSHEET_CONFIG.SPREADSHEET_NAME}`);
-      return spreadsheet;
+      console.log(`Using existing tracking spreadsheet: ${existing.getName()}`);
+      return existing;
     }
     
     // Create new spreadsheet
     console.log('Creating new tracking spreadsheet...');
     const spreadsheet = SpreadsheetApp.create(SPREADSHEET_CONFIG.SPREADSHEET_NAME);
-    spreadsheetId = spreadsheet.getId();
+    const spreadsheetId = spreadsheet.getId();
     
     // Setup the sheet
     const sheet = spreadsheet.getActiveSheet();
@@ -63,6 +108,9 @@ function getOrCreateTrackingSpreadsheet() {
     sheet.setFrozenRows(1);
     sheet.autoResizeColumns(1, SPREADSHEET_CONFIG.HEADERS.length);
     
+    // Add the editable Rules sheet next to ProcessedMessages
+    getOrCreateRulesSheet(spreadsheet);
+    
     // Save spreadsheet ID to Script Properties
     setProperty('TRACKING_SPREADSHEET_ID', spreadsheetId);
     
@@ -86,11 +134,10 @@ function getOrCreateTrackingSpreadsheet() {
  */
 function isMessageProcessedInSheet(messageId) {
   try {
-    const spreadsheet = getOrCreateTrackingSpreadsheet();
-    const sheet = spreadsheet.getSheetByName(SPREADSHEET_CONFIG.SHEET_NAME);
+    const sheet = findTrackingSheet(SPREADSHEET_CONFIG.SHEET_NAME);
     
     if (!sheet) {
-      console.error('ProcessedMessages sheet not found');
+      console.log('ProcessedMessages sheet not found (nothing tracked yet)');
       return false;
     }
     
@@ -120,13 +167,84 @@ function isMessageProcessedInSheet(messageId) {
   }
 }
 
+/**
+ * Add any header columns missing from an existing sheet
+ * 既存シートに不足しているヘッダー列を追加
+ * 
+ * Sheets created by older versions have fewer columns; new columns are inserted where they
+ * belong, moving metadata columns (see ensureMetadataColumns) to the right.
+ * 
+ * @param {Sheet} sheet - Sheet to update
+ * @param {Array} headers - Expected header row
+ */
+function ensureSheetHeaders(sheet, headers) {
+  const lastColumn = sheet.getLastColumn();
+  const existingHeaders = lastColumn > 0 ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0].map(String) : [];
+  
+  const missingHeaders = [];
+  headers.forEach((header, index) => {
+    if (existingHeaders[index] === header) {
+      return;
+    }
+    if (index < existingHeaders.length) {
+      sheet.insertColumnBefore(index + 1);
+    }
+    existingHeaders.splice(index, 0, header);
+    sheet.getRange(1, index + 1).setValue(header).setFontWeight('bold');
+    missingHeaders.push(header);
+  });
+  
+  if (missingHeaders.length > 0) {
+    console.log(`Added missing sheet columns: ${missingHeaders.join(', ')}`);
+  }
+}
+
+/**
+ * Find or add the columns for metadata names after the fixed tracking columns
+ * メタデータ名の列を固定列の後ろから検索（なければ追加）
+ * 
+ * @param {Sheet} sheet - ProcessedMessages sheet
+ * @param {Array} names - Metadata names (named capture groups)
+ * @returns {Object} - Metadata name -> column number (1-based)
+ */
+function ensureMetadataColumns(sheet, names) {
+  if (names.length === 0) {
+    return {};
+  }
+  
+  const fixedCount = SPREADSHEET_CONFIG.HEADERS.length;
+  const lastColumn = sheet.getLastColumn();
+  const extraHeaders = lastColumn > fixedCount
+    ? sheet.getRange(1, fixedCount + 1, 1, lastColumn - fixedCount).getValues()[0].map(String)
+    : [];
+    
+  const columns = {};
+  names.forEach(name => {
+    let index = extraHeaders.indexOf(name);
+    if (index < 0) {
+      extraHeaders.push(name);
+      index = extraHeaders.length - 1;
+      sheet.getRange(1, fixedCount + index + 1).setValue(name).setFontWeight('bold');
+      console.log(`Added metadata column: ${name}`);
+    }
+    columns[name] = fixedCount + index + 1;
+  });
+  return columns;
+}
+
 /**
  * Mark a message as processed in the spreadsheet
  * スプレッドシートでメッセージを処理済みとしてマーク
  * 
  * @param {GmailMessage} message - Gmail message object
+ * @param {Object} details - Additional tracking details (optional)
+ * @param {Array} details.ruleNames - Names of the routing rules that fired
+ * @param {Object} details.metadata - Named capture groups of the matched patterns, one column each (optional)
+ * @param {Array} details.links - Links from extractLinksFromEmail() (optional)
+ * @param {string} details.fingerprint - Content fingerprint from buildContentFingerprint() (optional)
+ * @param {string} details.duplicateOf - Message ID of the original when this is a re-send (optional)
  */
-function markMessageProcessedInSheet(message) {
+function markMessageProcessedInSheet(message, details = {}) {
   try {
     const messageId = message.getId();
     const subject = message.getSubject();
@@ -141,17 +259,35 @@ function markMessageProcessedInSheet(message) {
       throw new Error('ProcessedMessages sheet not found');
     }
     
-    // Append new row
-    sheet.appendRow([messageId, subject, sender, processedDate, timestamp]);
-    
-    console.log(`Marked message as processed in spreadsheet: ${messageId}`);
+    const ruleNames = (details.ruleNames || []).join(', ');
+    const metadata = details.metadata || {};
     
-    // Check if cleanup is needed
-    const rowCount = sheet.getLastRow();
-    if (rowCount > SPREADSHEET_CONFIG.MAX_ROWS + SPREADSHEET_CONFIG.CLEANUP_BATCH_SIZE) {
-      console.log(`Row count (${rowCount}) exceeds limit, triggering cleanup...`);
-      cleanupOldEntriesInSheet();
-    }
+    // Serialize writes so concurrent runs can't interleave appends and cleanup
+    withSheetWriteLock(() => {
+      ensureSheetHeaders(sheet, SPREADSHEET_CONFIG.HEADERS);
+      
+      const row = [messageId, subject, sender, processedDate, timestamp, ruleNames, '', '', '', formatLinksForSheet(details.links),
+        details.fingerprint || '', details.duplicateOf || ''];
+      const metadataColumns = ensureMetadataColumns(sheet, Object.keys(metadata));
+      Object.entries(metadataColumns).forEach(([name, column]) => {
+        while (row.length < column) {
+          row.push('');
+        }
+        row[column - 1] = metadata[name];
+      });
+      
+      // Append new row
+      sheet.appendRow(row);
+      
+      console.log(`Marked message as processed in spreadsheet: ${messageId}`);
+      
+      // Check if cleanup is needed
+      const rowCount = sheet.getLastRow();
+      if (rowCount > SPREADSHEET_CONFIG.MAX_ROWS + SPREADSHEET_CONFIG.CLEANUP_BATCH_SIZE) {
+        console.log(`Row count (${rowCount}) exceeds limit, triggering cleanup...`);
+        cleanupOldEntriesInSheet();
+      }
+    });
     
   } catch (error) {
     console.error('Error marking message as processed in spreadsheet:', error);
@@ -159,6 +295,653 @@ function markMessageProcessedInSheet(message) {
   }
 }
 
+/**
+ * Record a Slack button action on the tracking row of a message
+ * Slackボタン操作をメッセージのトラッキング行に記録
+ * 
+ * @param {string} messageId - Gmail message ID
+ * @param {string} action - Action name ('handled', 'archive', 'resend')
+ * @param {string} actor - Slack user who acted, e.g. "alice (U012ABCDEF)"
+ */
+function recordMessageActionInSheet(messageId, action, actor) {
+  try {
+    const spreadsheet = getOrCreateTrackingSpreadsheet();
+    const sheet = spreadsheet.getSheetByName(SPREADSHEET_CONFIG.SHEET_NAME);
+    
+    if (!sheet) {
+      throw new Error('ProcessedMessages sheet not found');
+    }
+    
+    withSheetWriteLock(() => {
+      ensureSheetHeaders(sheet, SPREADSHEET_CONFIG.HEADERS);
+      
+      const lastRow = sheet.getLastRow();
+      const messageIds = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, 1).getValues().flat() : [];
+      const index = messageIds.lastIndexOf(messageId);
+      
+      if (index < 0) {
+        console.log(`Message ${messageId} is not in the tracking spreadsheet, action not recorded`);
+        return;
+      }
+      
+      const actionColumn = SPREADSHEET_CONFIG.HEADERS.indexOf('Last Action') + 1;
+      sheet.getRange(index + 2, actionColumn, 1, 3).setValues([[action, actor, new Date()]]);
+      console.log(`Recorded action "${action}" by ${actor} for message ${messageId}`);
+    });
+    
+  } catch (error) {
+    console.error('Error recording message action in spreadsheet:', error);
+    // Don't throw - this is not critical
+  }
+}
+
+/**
+ * Get the content fingerprints of recently processed messages, newest first
+ * 最近処理したメッセージの内容フィンガープリントを取得（新しい順）
+ * 
+ * @param {Date} since - Oldest processed date to include
+ * @param {number} limit - Maximum number of rows to read from the bottom of the sheet
+ * @returns {Array} - [{ messageId, subject, processedDate, fingerprint, duplicateOf }]
+ */
+function getRecentFingerprintsFromSheet(since, limit) {
+  const sheet = findTrackingSheet(SPREADSHEET_CONFIG.SHEET_NAME);
+  if (!sheet || sheet.getLastRow() <= 1) {
+    return [];
+  }
+  
+  const headers = SPREADSHEET_CONFIG.HEADERS;
+  const count = Math.min(limit, sheet.getLastRow() - 1);
+  const rows = sheet.getRange(sheet.getLastRow() - count + 1, 1, count, headers.length).getValues();
+  const column = name => headers.indexOf(name);
+  
+  return rows.reverse()
+    .filter(row => row[column('Fingerprint')] && new Date(row[column('Processed Date')]) >= since)
+    .map(row => ({
+      messageId: String(row[column('Message ID')]),
+      subject: String(row[column('Subject')]),
+      processedDate: new Date(row[column('Processed Date')]),
+      fingerprint: String(row[column('Fingerprint')]),
+      duplicateOf: String(row[column('Duplicate Of')] || '') || null
+    }));
+}
+
+/**
+ * Get or create the SlackThreads sheet
+ * SlackThreadsシートを取得または作成
+ * 
+ * @param {Spreadsheet} spreadsheet - Tracking spreadsheet (optional)
+ * @returns {Sheet} - SlackThreads sheet
+ */
+function getOrCreateThreadsSheet(spreadsheet = getOrCreateTrackingSpreadsheet()) {
+  const existingSheet = spreadsheet.getSheetByName(SPREADSHEET_CONFIG.THREADS_SHEET_NAME);
+  if (existingSheet) {
+    return existingSheet;
+  }
+  
+  console.log('Creating SlackThreads sheet...');
+  const headers = SPREADSHEET_CONFIG.THREADS_HEADERS;
+  const sheet = spreadsheet.insertSheet(SPREADSHEET_CONFIG.THREADS_SHEET_NAME);
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  
+  return sheet;
+}
+
+/**
+ * Find the Slack thread that a Gmail thread was posted to in a channel
+ * Gmailスレッドの投稿先Slackスレッドを検索
+ * 
+ * @param {string} gmailThreadId - Gmail thread ID
+ * @param {string} channel - Slack channel name from the routing rule
+ * @returns {Object|null} - { channel, channelId, ts } or null if the thread was not posted there yet
+ */
+function findSlackThreadInSheet(gmailThreadId, channel) {
+  try {
+    const sheet = findTrackingSheet(SPREADSHEET_CONFIG.THREADS_SHEET_NAME);
+    if (!sheet || sheet.getLastRow() <= 1) {
+      return null;
+    }
+    
+    const channelName = channel.replace(/^#/, '');
+    const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 4).getValues();
+    for (let i = rows.length - 1; i >= 0; i--) {
+      if (String(rows[i][0]) === gmailThreadId && String(rows[i][1]) === channelName) {
+        return { channel: channelName, channelId: String(rows[i][2]) || channelName, ts: String(rows[i][3]) };
+      }
+    }
+    return null;
+    
+  } catch (error) {
+    console.error('Error looking up Slack thread in spreadsheet:', error);
+    // Post as a new message if the lookup fails
+    return null;
+  }
+}
+
+/**
+ * Remember the Slack thread that a Gmail thread was posted to
+ * Gmailスレッドの投稿先Slackスレッドを記録
+ * 
+ * @param {string} gmailThreadId - Gmail thread ID
+ * @param {string} channel - Slack channel name from the routing rule
+ * @param {string} channelId - Channel ID returned by chat.postMessage
+ * @param {string} ts - Timestamp of the parent post
+ * @param {string} subject - Email subject (for people reading the sheet)
+ */
+function saveSlackThreadInSheet(gmailThreadId, channel, channelId, ts, subject) {
+  try {
+    const sheet = getOrCreateThreadsSheet();
+    
+    withSheetWriteLock(() => {
+      // Plain-text format keeps Sheets from turning the ts ("1700000000.000100") into a number
+      const row = sheet.getLastRow() + 1;
+      sheet.getRange(row, 1, 1, 4).setNumberFormat('@');
+      sheet.getRange(row, 1, 1, 6).setValues([[gmailThreadId, channel.replace(/^#/, ''), channelId, ts, subject, new Date()]]);
+      console.log(`Mapped Gmail thread ${gmailThreadId} to Slack thread ${ts}`);
+      
+      // Oldest mappings go first; follow-ups to those threads start a new Slack thread
+      const excess = sheet.getLastRow() - 1 - SPREADSHEET_CONFIG.THREADS_MAX_ROWS;
+      if (excess > 0) {
+        sheet.deleteRows(2, excess);
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error saving Slack thread in spreadsheet:', error);
+    // Don't throw - the next follow-up is posted as a new message
+  }
+}
+
+/**
+ * Get or create the Rules sheet holding editable subject patterns
+ * 編集可能な件名パターンを保持するRulesシートを取得または作成
+ * 
+ * A new sheet is seeded with CONFIG.SUBJECT_PATTERNS so editors start from the current behavior.
+ * 
+ * @param {Spreadsheet} spreadsheet - Tracking spreadsheet (optional)
+ * @returns {Sheet} - Rules sheet
+ */
+function getOrCreateRulesSheet(spreadsheet = getOrCreateTrackingSpreadsheet()) {
+  const existingSheet = spreadsheet.getSheetByName(SPREADSHEET_CONFIG.RULES_SHEET_NAME);
+  if (existingSheet) {
+    return existingSheet;
+  }
+  
+  console.log('Creating Rules sheet...');
+  const headers = SPREADSHEET_CONFIG.RULES_HEADERS;
+  const sheet = spreadsheet.insertSheet(SPREADSHEET_CONFIG.RULES_SHEET_NAME);
+  
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  
+  // Seed with the patterns currently defined in code
+  const matchMode = CONFIG.SUBJECT_PATTERNS?.MATCH_MODE || 'any';
+  const rows = (CONFIG.SUBJECT_PATTERNS?.PATTERNS || []).map(pattern => [
+    'default',
+    pattern.source,
+    pattern.flags,
+    matchMode,
+    true,
+    'Imported from CONFIG.SUBJECT_PATTERNS'
+  ]);
+  
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    sheet.getRange(2, headers.indexOf('Enabled') + 1, rows.length, 1).insertCheckboxes();
+  }
+  
+  sheet.autoResizeColumns(1, headers.length);
+  console.log(`Created Rules sheet with ${rows.length} pattern(s)`);
+  
+  return sheet;
+}
+
+/**
+ * Load and compile subject patterns from the Rules sheet
+ * Rulesシートから件名パターンを読み込んでコンパイル
+ * 
+ * Rows are grouped by the Rule column (blank = "default"). Disabled rows are skipped and
+ * invalid regexes are collected in `errors` instead of aborting the load.
+ * The "g" and "y" flags are dropped because patterns are tested repeatedly.
+ * 
+ * @param {boolean} readOnly - Don't create the spreadsheet or the Rules sheet (dry-run mode)
+ * @returns {Object|null} - { groups: { ruleName: { patterns, matchMode } }, errors: [] }, or null if unavailable
+ */
+function loadPatternRulesFromSheet(readOnly = false) {
+  try {
+    const sheet = readOnly ? findTrackingSheet(SPREADSHEET_CONFIG.RULES_SHEET_NAME) : getOrCreateRulesSheet();
+    if (!sheet) {
+      console.log('No Rules sheet yet, using patterns from code');
+      return null;
+    }
+    
+    const lastRow = sheet.getLastRow();
+    const result = { groups: {}, errors: [] };
+    
+    if (lastRow <= 1) {
+      console.log('Rules sheet is empty, using patterns from code');
+      return result;
+    }
+    
+    const headers = SPREADSHEET_CONFIG.RULES_HEADERS;
+    const rows = sheet.getRange(2, 1, lastRow - 1, headers.length).getValues();
+    
+    rows.forEach((row, index) => {
+      const [ruleName, patternText, flags, matchMode, enabled, description] = row;
+      const rowNumber = index + 2;
+      
+      if (!String(patternText).trim() || !isSheetValueEnabled(enabled)) {
+        return;
+      }
+      
+      const name = String(ruleName).trim() || 'default';
+      const group = result.groups[name] || (result.groups[name] = { patterns: [], matchMode: null });
+      
+      try {
+        const safeFlags = String(flags || '').replace(/[gy]/g, '');
+        group.patterns.push(new RegExp(String(patternText), safeFlags));
+      } catch (error) {
+        result.errors.push(`Row ${rowNumber} (${name}${description ? ` - ${description}` : ''}): ${error.message}`);
+        return;
+      }
+      
+      const mode = String(matchMode || '').trim().toLowerCase();
+      if (!group.matchMode && (mode === 'any' || mode === 'all')) {
+        group.matchMode = mode;
+      }
+    });
+    
+    const patternCount = Object.values(result.groups).reduce((sum, group) => sum + group.patterns.length, 0);
+    console.log(`Loaded ${patternCount} pattern(s) for ${Object.keys(result.groups).length} rule(s) from Rules sheet`);
+    if (result.errors.length > 0) {
+      console.error(`Rules sheet has ${result.errors.length} invalid pattern(s)`);
+    }
+    
+    return result;
+    
+  } catch (error) {
+    console.error('Error loading rules from spreadsheet:', error);
+    return null;
+  }
+}
+
+/**
+ * Get or create the MentionSettings sheet holding per-person mention opt-outs
+ * メンションのオプトアウト設定を保持するMentionSettingsシートを取得または作成
+ * 
+ * A new sheet lists everyone in the mention rules with mentions enabled, so people can find their row.
+ * 
+ * @param {Spreadsheet} spreadsheet - Tracking spreadsheet (optional)
+ * @returns {Sheet} - MentionSettings sheet
+ */
+function getOrCreateMentionSettingsSheet(spreadsheet = getOrCreateTrackingSpreadsheet()) {
+  const existingSheet = spreadsheet.getSheetByName(SPREADSHEET_CONFIG.MENTIONS_SHEET_NAME);
+  if (existingSheet) {
+    return existingSheet;
+  }
+  
+  console.log('Creating MentionSettings sheet...');
+  const headers = SPREADSHEET_CONFIG.MENTIONS_HEADERS;
+  const sheet = spreadsheet.insertSheet(SPREADSHEET_CONFIG.MENTIONS_SHEET_NAME);
+  
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  
+  const ids = [...new Set(getMentionRules().reduce((all, rule) => all.concat(rule.mentions), []))];
+  const rows = ids.map(id => [id, '', true, '', new Date()]);
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, 1).setNumberFormat('@');
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    sheet.getRange(2, headers.indexOf('Mentions') + 1, rows.length, 1).insertCheckboxes();
+  }
+  
+  console.log(`Created MentionSettings sheet with ${rows.length} person(s)`);
+  return sheet;
+}
+
+/**
+ * Load per-person mention settings from the MentionSettings sheet
+ * MentionSettingsシートから個人ごとのメンション設定を読み込み
+ * 
+ * @param {boolean} readOnly - Don't create the spreadsheet or the MentionSettings sheet (dry-run mode)
+ * @returns {Object} - Slack ID -> { enabled, mutedKeywords (lowercase) }; {} if unavailable
+ */
+function loadMentionSettingsFromSheet(readOnly = false) {
+  try {
+    const sheet = readOnly ? findTrackingSheet(SPREADSHEET_CONFIG.MENTIONS_SHEET_NAME) : getOrCreateMentionSettingsSheet();
+    const lastRow = sheet ? sheet.getLastRow() : 0;
+    if (lastRow <= 1) {
+      return {};
+    }
+    
+    const headers = SPREADSHEET_CONFIG.MENTIONS_HEADERS;
+    const settings = {};
+    sheet.getRange(2, 1, lastRow - 1, headers.length).getValues().forEach(row => {
+      const [id, , enabled, mutedKeywords] = row;
+      if (!String(id).trim()) {
+        return;
+      }
+      settings[String(id).trim()] = {
+        enabled: isSheetValueEnabled(enabled),
+        mutedKeywords: String(mutedKeywords || '').split(/[,、\n]/)
+          .map(keyword => keyword.trim().toLowerCase())
+          .filter(keyword => keyword.length > 0)
+      };
+    });
+    return settings;
+    
+  } catch (error) {
+    console.error('Error loading mention settings from spreadsheet:', error);
+    // Mention everyone if the settings can't be read
+    return {};
+  }
+}
+
+/**
+ * Turn keyword mentions on or off for a person
+ * 個人のキーワードメンションをオン/オフ
+ * 
+ * @param {string} userId - Slack user ID
+ * @param {string} userName - Slack user name (for people reading the sheet)
+ * @param {boolean} enabled - false to opt out
+ */
+function saveMentionSettingInSheet(userId, userName, enabled) {
+  const sheet = getOrCreateMentionSettingsSheet();
+  const headers = SPREADSHEET_CONFIG.MENTIONS_HEADERS;
+  
+  withSheetWriteLock(() => {
+    const lastRow = sheet.getLastRow();
+    const ids = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, 1).getValues().flat().map(id => String(id).trim()) : [];
+    const index = ids.indexOf(userId);
+    const row = index >= 0 ? index + 2 : lastRow + 1;
+    
+    if (index < 0) {
+      sheet.getRange(row, 1).setNumberFormat('@');
+      sheet.getRange(row, 1, 1, 2).setValues([[userId, userName || '']]);
+      sheet.getRange(row, headers.indexOf('Mentions') + 1).insertCheckboxes();
+    }
+    sheet.getRange(row, headers.indexOf('Mentions') + 1).setValue(enabled);
+    sheet.getRange(row, headers.indexOf('Updated') + 1).setValue(new Date());
+    console.log(`Keyword mentions ${enabled ? 'enabled' : 'disabled'} for ${userId}`);
+  });
+}
+
+/**
+ * Get or create the DigestQueue sheet
+ * DigestQueueシートを取得または作成
+ * 
+ * @param {Spreadsheet} spreadsheet - Tracking spreadsheet (optional)
+ * @returns {Sheet} - DigestQueue sheet
+ */
+function getOrCreateDigestQueueSheet(spreadsheet = getOrCreateTrackingSpreadsheet()) {
+  const existingSheet = spreadsheet.getSheetByName(SPREADSHEET_CONFIG.DIGEST_SHEET_NAME);
+  if (existingSheet) {
+    return existingSheet;
+  }
+  
+  console.log('Creating DigestQueue sheet...');
+  const headers = SPREADSHEET_CONFIG.DIGEST_HEADERS;
+  const sheet = spreadsheet.insertSheet(SPREADSHEET_CONFIG.DIGEST_SHEET_NAME);
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  
+  return sheet;
+}
+
+/**
+ * Add an email to the digest queue
+ * ダイジェストのキューにメールを追加
+ * 
+ * Errors are thrown so the caller can post the email right away instead.
+ * 
+ * @param {Object} item - { rule, delivery, messageId, subject, sender, date, preview, attachments, folderUrl }
+ */
+function queueDigestItemInSheet(item) {
+  const sheet = getOrCreateDigestQueueSheet();
+  
+  withSheetWriteLock(() => {
+    const row = sheet.getLastRow() + 1;
+    sheet.getRange(row, 4).setNumberFormat('@');
+    sheet.getRange(row, 1, 1, SPREADSHEET_CONFIG.DIGEST_HEADERS.length).setValues([[
+      new Date(),
+      item.rule,
+      item.delivery,
+      item.messageId,
+      item.subject,
+      item.sender,
+      item.date,
+      item.preview,
+      JSON.stringify(item.attachments || []),
+      item.folderUrl || '',
+      ''
+    ]]);
+  });
+}
+
+/**
+ * Get the queued emails that were not sent yet
+ * 未送信のキューのメールを取得
+ * 
+ * Errors are thrown so a failed run leaves the queue untouched.
+ * 
+ * @returns {Array} - [{ row, queuedAt, rule, delivery, messageId, subject, sender, date, preview, attachments, folderUrl }], oldest first
+ */
+function getPendingDigestItemsFromSheet() {
+  const spreadsheet = getOrCreateTrackingSpreadsheet();
+  const sheet = spreadsheet.getSheetByName(SPREADSHEET_CONFIG.DIGEST_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() <= 1) {
+    return [];
+  }
+  
+  const parseAttachments = value => {
+    try {
+      const attachments = JSON.parse(value || '[]');
+      return Array.isArray(attachments) ? attachments : [];
+    } catch (error) {
+      console.error(`Invalid attachments in DigestQueue: ${value}`);
+      return [];
+    }
+  };
+  
+  const items = [];
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, SPREADSHEET_CONFIG.DIGEST_HEADERS.length).getValues().forEach((row, index) => {
+    if (!row[0] || row[10]) {
+      return;  // Blank or already sent
+    }
+    items.push({
+      row: index + 2,
+      queuedAt: new Date(row[0]),
+      rule: String(row[1]),
+      delivery: String(row[2]),
+      messageId: String(row[3]),
+      subject: String(row[4]),
+      sender: String(row[5]),
+      date: new Date(row[6]),
+      preview: String(row[7]),
+      attachments: parseAttachments(row[8]),
+      folderUrl: String(row[9]) || null
+    });
+  });
+  return items;
+}
+
+/**
+ * Mark queued emails as sent
+ * キューのメールを送信済みに設定
+ * 
+ * @param {Array} rows - Row numbers from getPendingDigestItemsFromSheet()
+ * @param {Date} sentAt - Time the digest was posted
+ */
+function markDigestItemsSentInSheet(rows, sentAt) {
+  const spreadsheet = getOrCreateTrackingSpreadsheet();
+  const sheet = spreadsheet.getSheetByName(SPREADSHEET_CONFIG.DIGEST_SHEET_NAME);
+  const sentColumn = SPREADSHEET_CONFIG.DIGEST_HEADERS.indexOf('Sent At') + 1;
+  
+  withSheetWriteLock(() => {
+    rows.forEach(row => sheet.getRange(row, sentColumn).setValue(sentAt));
+  });
+}
+
+/**
+ * Delete the oldest delivered rows of a queue sheet beyond its row limit
+ * キューシートの古い配信済み行を削除
+ * 
+ * The last column of the queue holds the delivery time. Only a leading block of delivered rows
+ * is deleted, so the rows of waiting items keep their numbers until the end of the run.
+ * 
+ * @param {string} sheetName - Queue sheet name (DigestQueue or HeldNotifications)
+ * @param {Array} headers - Headers of the sheet
+ * @param {number} maxRows - Rows to keep
+ */
+function cleanupDeliveredRowsInSheet(sheetName, headers, maxRows) {
+  try {
+    const spreadsheet = getOrCreateTrackingSpreadsheet();
+    const sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      return;
+    }
+    
+    withSheetWriteLock(() => {
+      const lastRow = sheet.getLastRow();
+      const excess = lastRow - 1 - maxRows;
+      if (excess <= 0) {
+        return;
+      }
+      
+      const deliveredAt = sheet.getRange(2, headers.length, excess, 1).getValues().flat();
+      const firstWaiting = deliveredAt.findIndex(value => !value);
+      const count = firstWaiting < 0 ? excess : firstWaiting;
+      if (count > 0) {
+        sheet.deleteRows(2, count);
+        console.log(`Deleted ${count} delivered row(s) from ${sheetName}`);
+      }
+    });
+    
+  } catch (error) {
+    console.error(`Error cleaning up ${sheetName}:`, error);
+    // Don't throw - cleanup is not critical
+  }
+}
+
+/**
+ * Get or create the HeldNotifications sheet
+ * HeldNotificationsシートを取得または作成
+ * 
+ * @param {Spreadsheet} spreadsheet - Tracking spreadsheet (optional)
+ * @returns {Sheet} - HeldNotifications sheet
+ */
+function getOrCreateHeldNotificationsSheet(spreadsheet = getOrCreateTrackingSpreadsheet()) {
+  const existingSheet = spreadsheet.getSheetByName(SPREADSHEET_CONFIG.HELD_SHEET_NAME);
+  if (existingSheet) {
+    return existingSheet;
+  }
+  
+  console.log('Creating HeldNotifications sheet...');
+  const headers = SPREADSHEET_CONFIG.HELD_HEADERS;
+  const sheet = spreadsheet.insertSheet(SPREADSHEET_CONFIG.HELD_SHEET_NAME);
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  
+  return sheet;
+}
+
+/**
+ * Add a notification to the hold queue
+ * 保留キューに通知を追加
+ * 
+ * Errors are thrown so the caller can post the notification right away instead.
+ * 
+ * @param {Object} item - { rule, channel, messageId, subject, reason, data }
+ */
+function holdNotificationInSheet(item) {
+  const sheet = getOrCreateHeldNotificationsSheet();
+  
+  withSheetWriteLock(() => {
+    const row = sheet.getLastRow() + 1;
+    sheet.getRange(row, 4).setNumberFormat('@');
+    sheet.getRange(row, 1, 1, SPREADSHEET_CONFIG.HELD_HEADERS.length).setValues([[
+      new Date(),
+      item.rule,
+      item.channel,
+      item.messageId,
+      item.subject,
+      item.reason,
+      item.data,
+      ''
+    ]]);
+  });
+}
+
+/**
+ * Get the held notifications that were not released yet
+ * 未投稿の保留中の通知を取得
+ * 
+ * @returns {Array} - [{ row, heldAt, rule, channel, messageId, subject, reason, data }], in the order they were held
+ */
+function getHeldNotificationsFromSheet() {
+  const spreadsheet = getOrCreateTrackingSpreadsheet();
+  const sheet = spreadsheet.getSheetByName(SPREADSHEET_CONFIG.HELD_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() <= 1) {
+    return [];
+  }
+  
+  const items = [];
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, SPREADSHEET_CONFIG.HELD_HEADERS.length).getValues().forEach((row, index) => {
+    if (!row[0] || row[7]) {
+      return;  // Blank or already released
+    }
+    items.push({
+      row: index + 2,
+      heldAt: new Date(row[0]),
+      rule: String(row[1]),
+      channel: String(row[2]),
+      messageId: String(row[3]),
+      subject: String(row[4]),
+      reason: String(row[5]),
+      data: String(row[6])
+    });
+  });
+  return items;
+}
+
+/**
+ * Mark a held notification as released
+ * 保留中の通知を投稿済みに設定
+ * 
+ * @param {number} row - Row number from getHeldNotificationsFromSheet()
+ * @param {Date} releasedAt - Time the notification was posted
+ */
+function markHeldNotificationReleasedInSheet(row, releasedAt) {
+  const spreadsheet = getOrCreateTrackingSpreadsheet();
+  const sheet = spreadsheet.getSheetByName(SPREADSHEET_CONFIG.HELD_SHEET_NAME);
+  
+  withSheetWriteLock(() => {
+    sheet.getRange(row, SPREADSHEET_CONFIG.HELD_HEADERS.indexOf('Released At') + 1).setValue(releasedAt);
+  });
+}
+
+/**
+ * Interpret a sheet cell as an enabled flag
+ * シートのセル値を有効フラグとして解釈
+ * 
+ * @param {*} value - Cell value (checkbox boolean or text)
+ * @returns {boolean} - true unless the cell is explicitly disabled
+ */
+function isSheetValueEnabled(value) {
+  if (value === '' || value === null || value === undefined) {
+    return true;
+  }
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  return !['false', 'no', 'off', '0', '無効'].includes(String(value).trim().toLowerCase());
+}
+
 /**
  * Clean up old entries in the spreadsheet
  * スプレッドシートの古いエントリをクリーンアップ
@@ -228,14 +1011,15 @@ function migrateProcessedMessagesToSheet() {
     const spreadsheet = getOrCreateTrackingSpreadsheet();
     const sheet = spreadsheet.getSheetByName(SPREADSHEET_CONFIG.SHEET_NAME);
     
-    // Prepare data for batch insert
+    // Prepare data for batch insert (columns after Rule - actions, links, fingerprints - stay empty)
     const rows = processedMessages.map(msg => [
       msg.messageId,
       'Migrated from Script Properties', // Subject not available
       'Unknown', // Sender not available
       new Date(msg.timestamp),
-      msg.timestamp
-    ]);
+      msg.timestamp,
+      '' // Rule not available
+    ].concat(new Array(SPREADSHEET_CONFIG.HEADERS.length - 6).fill('')));
     
     // Batch insert
     if (rows.length > 0) {
@@ -326,6 +1110,38 @@ function getTrackingStats() {
   }
 }
 
+/**
+ * Get the most recently processed messages from the tracking sheet
+ * トラッキングシートから最近処理したメッセージを取得
+ * 
+ * @param {number} limit - Maximum number of messages
+ * @returns {Array} - [{ messageId, subject, sender, processedDate, rules }], newest first
+ */
+function getRecentProcessedMessages(limit = 20) {
+  const spreadsheet = getOrCreateTrackingSpreadsheet();
+  const sheet = spreadsheet.getSheetByName(SPREADSHEET_CONFIG.SHEET_NAME);
+  
+  if (!sheet || sheet.getLastRow() <= 1) {
+    return [];
+  }
+  
+  const lastRow = sheet.getLastRow();
+  const lastColumn = sheet.getLastColumn();
+  const headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+  const column = name => headers.indexOf(name);
+  
+  const rowCount = Math.min(limit, lastRow - 1);
+  const rows = sheet.getRange(lastRow - rowCount + 1, 1, rowCount, lastColumn).getValues();
+  
+  return rows.reverse().map(row => ({
+    messageId: row[column('Message ID')],
+    subject: row[column('Subject')],
+    sender: row[column('Sender')],
+    processedDate: row[column('Processed Date')],
+    rules: column('Rule') >= 0 ? row[column('Rule')] : ''
+  }));
+}
+
 /**
  * Test function for spreadsheet operations
  * スプレッドシート操作のテスト関数
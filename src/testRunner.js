@@ -11,7 +11,7 @@
  */
 function runAllTests() {
   console.log('=== GMAIL SLACK FORWARDER - COMPREHENSIVE TEST SUITE ===');
-  console.log(`Start time: ${Utilities.formatDate(new Date(), 'JST', 'yyyy/MM/dd HH:mm:ss')}`);
+  console.log(`Start time: ${formatDateInTimeZone(new Date(), 'yyyy/MM/dd HH:mm:ss')}`);
   
   const testResults = {
     configuration: false,
@@ -314,35 +314,35 @@ function sendTestResultsToSlack(results) {
       icon_emoji: ':test_tube:',
       attachments: [{
         color: color,
-        title: `${emoji} Gmail転送システム テスト結果`,
+        title: localize('testResults.title', { emoji: emoji }),
         fields: [
           {
-            title: '成功率',
+            title: localize('testResults.successRate'),
             value: `${results.successRate}% (${results.passedTests}/${results.totalTests})`,
             short: true
           },
           {
-            title: '実行時間',
-            value: `${(results.executionTime / 1000).toFixed(1)}秒`,
+            title: localize('testResults.executionTime'),
+            value: localize('unit.seconds', { seconds: (results.executionTime / 1000).toFixed(1) }),
             short: true
           },
           {
-            title: '設定テスト',
+            title: localize('testResults.configuration'),
             value: results.configuration ? '✅' : '❌',
             short: true
           },
           {
-            title: 'メール処理',
+            title: localize('testResults.messageProcessing'),
             value: results.messageProcessing ? '✅' : '❌',
             short: true
           },
           {
-            title: 'Drive操作',
+            title: localize('testResults.driveOperations'),
             value: results.driveOperations ? '✅' : '❌',
             short: true
           },
           {
-            title: 'Slack通知',
+            title: localize('testResults.slackNotifications'),
             value: results.slackNotifications ? '✅' : '❌',
             short: true
           }
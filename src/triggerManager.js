@@ -5,6 +5,18 @@
  * the Gmail to Slack forwarding system.
  */
 
+// Digest delivery trigger (see digestManager.js)
+const DIGEST_TRIGGER_CONFIG = {
+  HANDLER: 'sendDigests',
+  INTERVAL_HOURS: 1  // Checks hourly; each rule's digest goes out once its digest time has passed
+};
+
+// Execution history shown on the status dashboard
+const EXECUTION_HISTORY_CONFIG = {
+  PROPERTY: 'EXECUTION_HISTORY',
+  MAX_ENTRIES: 50  // Newest first; older runs are dropped
+};
+
 /**
  * Create time-based trigger for email processing
  * メール処理用の時間ベーストリガーを作成
@@ -31,6 +43,9 @@ function createTrigger() {
     setProperty('TRIGGER_ID', trigger.getUniqueId());
     setProperty('TRIGGER_CREATED', new Date().toISOString());
     
+    // Digest rules need their own trigger
+    syncDigestTrigger();
+    
     // Send confirmation to Slack
     try {
       sendTriggerNotification('created', CONFIG.TRIGGER_INTERVAL_MINUTES);
@@ -86,6 +101,48 @@ function deleteExistingTriggers() {
   }
 }
 
+/**
+ * Create or delete the digest trigger depending on the routing rules
+ * ルーティングルールに応じてダイジェスト用トリガーを作成または削除
+ * 
+ * The trigger exists while a rule has an hourly, daily or weekly delivery mode, or emails are
+ * still queued. Pausing email processing keeps it, so queued emails still go out.
+ * 
+ * @returns {boolean} - True if the digest trigger exists afterwards
+ */
+function syncDigestTrigger() {
+  try {
+    const needed = getRoutingRules().some(rule => isDigestDelivery(rule.delivery)) ||
+      getPendingDigestItemsFromSheet().length > 0;
+    const existing = ScriptApp.getProjectTriggers()
+      .filter(trigger => trigger.getHandlerFunction() === DIGEST_TRIGGER_CONFIG.HANDLER);
+      
+    if (needed && existing.length === 1) {
+      return true;
+    }
+    
+    existing.forEach(trigger => ScriptApp.deleteTrigger(trigger));
+    if (!needed) {
+      if (existing.length > 0) {
+        console.log('✓ Deleted the digest trigger (no rule uses a digest)');
+      }
+      return false;
+    }
+    
+    const trigger = ScriptApp.newTrigger(DIGEST_TRIGGER_CONFIG.HANDLER)
+      .timeBased()
+      .everyHours(DIGEST_TRIGGER_CONFIG.INTERVAL_HOURS)
+      .create();
+    console.log(`✓ Digest trigger created: ${DIGEST_TRIGGER_CONFIG.HANDLER} every ${DIGEST_TRIGGER_CONFIG.INTERVAL_HOURS}h (${trigger.getUniqueId()})`);
+    return true;
+    
+  } catch (error) {
+    console.error('Error setting up the digest trigger:', error);
+    // Don't throw - email processing works without it, and queued emails wait for the next setup
+    return false;
+  }
+}
+
 /**
  * Get information about current triggers
  * 現在のトリガー情報を取得
@@ -177,6 +234,7 @@ function checkTriggerHealth() {
     console.log('✅ Trigger health check passed');
     console.log(`   Active triggers: ${triggers.length}`);
     console.log(`   Interval: ${CONFIG.TRIGGER_INTERVAL_MINUTES} minutes`);
+    console.log(`   Digest trigger: ${syncDigestTrigger() ? 'active' : 'not needed'}`);
     
     // Check last execution (would need to store this in properties)
     const lastExecution = PropertiesService.getScriptProperties().getProperty('LAST_EXECUTION');
@@ -213,38 +271,38 @@ function sendTriggerNotification(action, interval = null) {
     
     switch (action) {
       case 'created':
-        title = '⚡ メール監視トリガーが有効化されました';
+        title = localize('trigger.created');
         emoji = ':white_check_mark:';
         color = 'good';
         break;
       case 'disabled':
-        title = '⏸️ メール監視トリガーが無効化されました';
+        title = localize('trigger.disabled');
         emoji = ':warning:';
         color = 'warning';
         break;
       default:
-        title = `📋 トリガー状態: ${action}`;
+        title = localize('trigger.status', { action: action });
         emoji = ':information_source:';
         color = '#439FE0';
     }
     
     const fields = [
       {
-        title: 'システム状態',
-        value: action === 'created' ? '🟢 監視中' : '🔴 停止中',
+        title: localize('trigger.systemState'),
+        value: localize(action === 'created' ? 'trigger.monitoring' : 'trigger.stopped'),
         short: true
       },
       {
-        title: '更新時刻',
-        value: Utilities.formatDate(new Date(), 'JST', 'yyyy/MM/dd HH:mm:ss'),
+        title: localize('trigger.updatedAt'),
+        value: formatDateInTimeZone(new Date(), 'yyyy/MM/dd HH:mm:ss'),
         short: true
       }
     ];
     
     if (interval) {
       fields.push({
-        title: 'チェック間隔',
-        value: `${interval}分`,
+        title: localize('trigger.interval'),
+        value: localize('unit.minutes', { minutes: interval }),
         short: true
       });
     }
@@ -290,6 +348,56 @@ function updateLastExecution() {
   }
 }
 
+/**
+ * Record a finished processEmails run (last execution time and execution history)
+ * processEmailsの実行結果を記録（最終実行時刻と実行履歴）
+ * 
+ * @param {Object} summary - { processedCount, errorCount, deferredCount, criticalError }
+ * @param {number} startTime - Execution start time in ms
+ */
+function recordExecution(summary, startTime) {
+  try {
+    updateLastExecution();
+    
+    const history = getExecutionHistory();
+    history.unshift({
+      finishedAt: new Date().toISOString(),
+      durationMs: new Date().getTime() - startTime,
+      processed: summary.processedCount,
+      errors: summary.errorCount,
+      deferred: summary.deferredCount,
+      criticalError: summary.criticalError
+    });
+    
+    setProperty(EXECUTION_HISTORY_CONFIG.PROPERTY, JSON.stringify(history.slice(0, EXECUTION_HISTORY_CONFIG.MAX_ENTRIES)));
+    
+  } catch (error) {
+    console.error('Error recording execution history:', error);
+    // Don't throw - this is not critical
+  }
+}
+
+/**
+ * Get the recorded execution history
+ * 記録された実行履歴を取得
+ * 
+ * @returns {Array} - Execution entries, newest first
+ */
+function getExecutionHistory() {
+  const json = getProperty(EXECUTION_HISTORY_CONFIG.PROPERTY, false);
+  if (!json) {
+    return [];
+  }
+  
+  try {
+    const history = JSON.parse(json);
+    return Array.isArray(history) ? history : [];
+  } catch (error) {
+    console.error('Invalid execution history in script properties, ignoring it:', error);
+    return [];
+  }
+}
+
 /**
  * Test function for trigger operations
  * トリガー操作のテスト関数
@@ -0,0 +1,148 @@
+/**
+ * Urgency Classifier Module
+ * 
+ * Classifies emails by the urgency levels of CONFIG.URGENCY_LEVELS (subject and body markers,
+ * and how soon the announced event starts). Each level styles the Slack post with a color and
+ * an emoji and can escalate it with an @here or @channel mention, except during the quiet
+ * periods of CONFIG.ESCALATION_QUIET_PERIODS.
+ */
+
+// Urgency settings
+const URGENCY_CONFIG = {
+  MENTIONS: {
+    here: '<!here>',
+    channel: '<!channel>'
+  }
+};
+
+/**
+ * Classify the urgency of an email
+ * メールの緊急度を判定
+ * 
+ * Levels are checked in order; the first level with a matching subject marker, body marker
+ * or close enough event wins.
+ * 
+ * @param {string} subject - Email subject
+ * @param {string} body - Plain email body
+ * @param {Object} event - Event from extractEventFromEmail() (optional)
+ * @param {Date} now - Current time (optional)
+ * @returns {Object|null} - { level, color, emoji, mention, reason } or null for routine emails
+ */
+function classifyEmailUrgency(subject, body, event = null, now = new Date()) {
+  for (const level of CONFIG.URGENCY_LEVELS || []) {
+    const reason = findUrgencyReason(level, subject, body, event, now);
+    if (reason) {
+      console.log(`Urgency: ${level.name} (${reason})`);
+      return {
+        level: level.name,
+        color: level.color || null,
+        emoji: level.emoji || '',
+        mention: URGENCY_CONFIG.MENTIONS[level.mention] ? level.mention : null,
+        reason: reason
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find why an email matches an urgency level
+ * メールが緊急度レベルに該当する理由を検索
+ * 
+ * @param {Object} level - Level from CONFIG.URGENCY_LEVELS
+ * @param {string} subject - Email subject
+ * @param {string} body - Plain email body
+ * @param {Object} event - Event from extractEventFromEmail() (optional)
+ * @param {Date} now - Current time
+ * @returns {string|null} - Reason for the logs, or null if the level doesn't match
+ */
+function findUrgencyReason(level, subject, body, event, now) {
+  const findMarker = (markers, text) => [].concat(markers || [])
+    .map(marker => compileRoutingPattern(marker))
+    .find(marker => marker.test(String(text || '')));
+    
+  const subjectMarker = findMarker(level.subjectMarkers, subject);
+  if (subjectMarker) {
+    return `subject matches ${subjectMarker}`;
+  }
+  
+  const bodyMarker = findMarker(level.bodyMarkers, body);
+  if (bodyMarker) {
+    return `body matches ${bodyMarker}`;
+  }
+  
+  if (level.eventWithinHours && event && isEventWithinHours(event, level.eventWithinHours, now)) {
+    return `event starts within ${level.eventWithinHours}h`;
+  }
+  return null;
+}
+
+/**
+ * Check whether an event starts within some hours and hasn't ended yet
+ * イベントが指定時間内に始まり、まだ終わっていないか確認
+ * 
+ * @param {Object} event - Event with start and end dates
+ * @param {number} hours - Hours ahead
+ * @param {Date} now - Current time
+ * @returns {boolean} - True if the event is close
+ */
+function isEventWithinHours(event, hours, now) {
+  const start = new Date(event.start).getTime();
+  const end = new Date(event.end || event.start).getTime();
+  return end > now.getTime() && start - now.getTime() <= hours * 60 * 60 * 1000;
+}
+
+/**
+ * Get the mention that escalates an email to a destination
+ * 通知先へのエスカレーション用メンションを取得
+ * 
+ * @param {Object} urgency - Result of classifyEmailUrgency() (optional)
+ * @param {string} timeZone - Time zone of the destination
+ * @param {Date} now - Current time (optional)
+ * @returns {string} - '<!here>', '<!channel>' or '' (no mention, or a quiet period)
+ */
+function buildUrgencyMention(urgency, timeZone, now = new Date()) {
+  if (!urgency || !urgency.mention) {
+    return '';
+  }
+  
+  if (isInEscalationQuietPeriod(timeZone, now)) {
+    console.log(`Escalation (@${urgency.mention}) suppressed during a quiet period`);
+    return '';
+  }
+  return URGENCY_CONFIG.MENTIONS[urgency.mention];
+}
+
+/**
+ * Check whether now is inside one of the escalation quiet periods
+ * 現在がエスカレーション抑制期間内か確認
+ * 
+ * @param {string} timeZone - Time zone of the destination
+ * @param {Date} now - Current time (optional)
+ * @returns {boolean} - True during a quiet period (see findMatchingQuietPeriod())
+ */
+function isInEscalationQuietPeriod(timeZone, now = new Date()) {
+  return Boolean(findMatchingQuietPeriod(CONFIG.ESCALATION_QUIET_PERIODS || [], timeZone, now));
+}
+
+/**
+ * Test function for urgency classification
+ * 緊急度判定のテスト関数
+ */
+function testUrgencyClassification() {
+  console.log('=== TESTING Urgency Classification ===');
+  
+  try {
+    const subjects = ['【緊急】システム停止のお知らせ', '【本日開催】第14回部会開催のご案内', '月刊ニュースレター 6月号'];
+    subjects.forEach(subject => {
+      const urgency = classifyEmailUrgency(subject, '');
+      console.log(`${subject}: ${urgency ? `${urgency.level} ${urgency.emoji} @${urgency.mention || '-'}` : 'normal'}`);
+    });
+    console.log(`Quiet period now: ${isInEscalationQuietPeriod(CONFIG.TIME_ZONE)}`);
+    console.log('Urgency classification test completed successfully');
+    
+  } catch (error) {
+    console.error('Urgency classification test failed:', error);
+    throw error;
+  }
+}
\ No newline at end of file
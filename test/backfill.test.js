@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./support/harness');
+
+/**
+ * Create a harness with three matching emails on consecutive days
+ *
+ * @returns {Object} - Test harness
+ */
+function createBackfillHarness() {
+  const harness = createHarness();
+  ['2024-05-01', '2024-05-02', '2024-05-03'].forEach((day, index) => {
+    harness.gmail.addMessage({
+      id: `m${index + 1}`,
+      subject: `第${index + 1}回部会のご案内`,
+      from: 'news@example.com',
+      date: `${day}T10:00:00+09:00`
+    });
+  });
+  return harness;
+}
+
+test('reprocesses only the emails inside the date range', () => {
+  const harness = createBackfillHarness();
+
+  const state = harness.call('startBackfill', '2024-05-02', '2024-05-03');
+
+  assert.strictEqual(state.completed, true);
+  assert.strictEqual(state.processedCount, 2);
+  const processedIds = harness.sheetRows().slice(1).map(row => row[0]).sort();
+  assert.deepStrictEqual(processedIds, ['m2', 'm3']);
+});
+
+test('skips tracked emails unless forced', () => {
+  const harness = createBackfillHarness();
+  harness.call('startBackfill', '2024-05-01', '2024-05-03');
+
+  const skipped = harness.call('startBackfill', '2024-05-01', '2024-05-03');
+  assert.strictEqual(skipped.processedCount, 0);
+  assert.strictEqual(skipped.skippedCount, 3);
+
+  const forced = harness.call('startBackfill', '2024-05-01', '2024-05-01', { force: true });
+  assert.strictEqual(forced.processedCount, 1);
+  assert.strictEqual(harness.slackPayloads().length, 4);
+  assert.strictEqual(harness.sheetRows().length, 4);
+});
+
+test('saves the cursor and schedules a resume when the time budget is used up', () => {
+  const harness = createBackfillHarness();
+  harness.evaluate('CONFIG.EXECUTION_TIME_BUDGET_SECONDS = 0');
+
+  const state = harness.call('startBackfill', '2024-05-01', '2024-05-03');
+
+  assert.strictEqual(state.completed, false);
+  assert.strictEqual(state.nextStart, 0);
+  assert.deepStrictEqual(harness.triggers.map(trigger => trigger.getHandlerFunction()), ['resumeBackfill']);
+
+  harness.evaluate('CONFIG.EXECUTION_TIME_BUDGET_SECONDS = 270');
+  const resumed = harness.call('resumeBackfill');
+
+  assert.strictEqual(resumed.completed, true);
+  assert.strictEqual(resumed.processedCount, 3);
+  assert.strictEqual(harness.triggers.length, 0);
+});
+
+[false, true].forEach(force => {
+  test(`backfills every thread exactly once when a reply arrives before the resume${force ? ' (forced)' : ''}`, () => {
+    const harness = createBackfillHarness();
+    if (force) {
+      harness.call('startBackfill', '2024-05-01', '2024-05-03');
+    }
+    const postsBefore = harness.slackPayloads().length;
+    // Time for one thread: the check before the thread and the one before its message
+    harness.evaluate('hasExecutionTimeLeft = (checks => () => checks++ < 2)(0)');
+
+    const paused = harness.call('startBackfill', '2024-05-01', '2024-05-03', { force: force });
+    assert.strictEqual(paused.completed, false);
+    assert.strictEqual(paused.processedCount, 1);
+
+    // The reply moves the m1 thread to the top of the search results while the backfill is paused
+    harness.gmail.addMessage({ id: 'm1-reply', threadId: 'thread-m1', subject: 'Re: 第1回部会のご案内', from: 'news@example.com', date: '2024-05-03T12:00:00+09:00' });
+    harness.evaluate('hasExecutionTimeLeft = () => true');
+    const resumed = harness.call('resumeBackfill');
+
+    assert.strictEqual(resumed.completed, true);
+    assert.strictEqual(resumed.processedCount, 4);
+    assert.strictEqual(resumed.skippedCount, 0);
+    assert.deepStrictEqual(Object.keys(resumed.doneThreads), []);
+    const titles = harness.slackPayloads().slice(postsBefore).map(payload => payload.attachments[0].title).sort();
+    assert.strictEqual(titles.join(' / '), [
+      '📧 新着メール: Re: 第1回部会のご案内',
+      '📧 新着メール: 第1回部会のご案内',
+      '📧 新着メール: 第2回部会のご案内',
+      '📧 新着メール: 第3回部会のご案内'
+    ].join(' / '));
+    assert.deepStrictEqual(harness.sheetRows().slice(1).map(row => row[0]).sort(), ['m1', 'm1-reply', 'm2', 'm3']);
+  });
+});
+
+test('pages past finished threads that still match the narrowed search', () => {
+  const harness = createBackfillHarness();
+  harness.gmail.addMessage({ id: 'm1-reply', threadId: 'thread-m1', subject: 'Re: 第1回部会のご案内', from: 'news@example.com', date: '2024-05-03T12:00:00+09:00' });
+  harness.evaluate('BACKFILL_CONFIG.PAGE_SIZE = 1');
+
+  const state = harness.call('startBackfill', '2024-05-01', '2024-05-03');
+
+  assert.strictEqual(state.completed, true);
+  assert.strictEqual(state.processedCount, 4);
+  assert.strictEqual(harness.slackPayloads().length, 4);
+  assert.deepStrictEqual(harness.sheetRows().slice(1).map(row => row[0]).sort(), ['m1', 'm1-reply', 'm2', 'm3']);
+});
+
+test('stops a long thread between messages and resumes with its next message', () => {
+  const harness = createHarness();
+  ['10:00', '11:00', '12:00'].forEach((time, index) => {
+    harness.gmail.addMessage({ id: `m${index + 1}`, threadId: 'thread-long', subject: `第${index + 1}回部会のご案内`, from: 'news@example.com', date: `2024-05-01T${time}:00+09:00` });
+  });
+  harness.call('startBackfill', '2024-05-01', '2024-05-01');
+  // Time for the check before the thread and two of its messages
+  harness.evaluate('hasExecutionTimeLeft = (checks => () => checks++ < 3)(0)');
+
+  const paused = harness.call('startBackfill', '2024-05-01', '2024-05-01', { force: true });
+
+  assert.strictEqual(paused.completed, false);
+  assert.strictEqual(paused.processedCount, 2);
+  assert.deepStrictEqual(JSON.parse(harness.properties.BACKFILL_STATE).partialThreads, { 'thread-long': ['m1', 'm2'] });
+  assert.deepStrictEqual(harness.triggers.map(trigger => trigger.getHandlerFunction()), ['resumeBackfill']);
+
+  harness.evaluate('hasExecutionTimeLeft = () => true');
+  const resumed = harness.call('resumeBackfill');
+
+  assert.strictEqual(resumed.completed, true);
+  assert.strictEqual(resumed.processedCount, 3);
+  assert.strictEqual(Object.keys(resumed.partialThreads).length, 0);
+  const titles = harness.slackPayloads().slice(3).map(payload => payload.attachments[0].title);
+  assert.deepStrictEqual(titles, ['📧 新着メール: 第1回部会のご案内', '📧 新着メール: 第2回部会のご案内', '📧 新着メール: 第3回部会のご案内']);
+});
+
+test('saves the backfill state when a run fails', () => {
+  const harness = createBackfillHarness();
+  harness.evaluate(`hasExecutionTimeLeft = (checks => () => {
+    if (checks++ === 2) {
+      throw new Error('Service invoked too many times');
+    }
+    return true;
+  })(0)`);
+
+  assert.throws(() => harness.call('startBackfill', '2024-05-01', '2024-05-03'), /Service invoked too many times/);
+
+  const saved = JSON.parse(harness.properties.BACKFILL_STATE);
+  assert.strictEqual(saved.processedCount, 1);
+  assert.deepStrictEqual(Object.keys(saved.doneThreads), ['thread-m3']);
+  assert.strictEqual(harness.properties.PROCESSING_LOCK, undefined);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./support/harness');
+
+const REPLY = [
+  '承知しました。当日伺います。',
+  '',
+  '--',
+  '山田 太郎',
+  '',
+  '2025年4月1日(火) 10:00 事務局 <news@example.com>:',
+  '> 第7回部会のご案内です。',
+  '> 出欠をご連絡ください。'
+].join('\n');
+
+test('detects quote headers, ">" blocks and signatures', () => {
+  const harness = createHarness();
+  const clean = body => JSON.parse(JSON.stringify(harness.call('cleanEmailBody', body)));
+
+  const reply = clean(REPLY);
+  assert.strictEqual(reply.body, '承知しました。当日伺います。');
+  assert.deepStrictEqual(reply.removedSections.map(section => [section.type, section.lineCount]), [['signature', 2], ['quote', 3]]);
+
+  assert.strictEqual(clean('Thanks!\n\nOn Mon, Apr 1, 2025 at 10:00 AM Taro <\ntaro@example.com> wrote:\n> hi').body, 'Thanks!');
+  assert.strictEqual(clean('了解です\n\n-----Original Message-----\nFrom: A\n\nold').body, '了解です');
+  assert.strictEqual(clean('了解です\n2025/04/01 10:00、山田 <taro@example.com>のメッセージ:\n> hi').body, '了解です');
+  assert.strictEqual(clean('Reply\n______________________________\nFrom: A\nSent: Monday\nTo: B\n\nold').body, 'Reply');
+  assert.strictEqual(clean('Reply text\n\n> a\n>\n> b\n').body, 'Reply text');
+
+  // Bodies that would be left empty, or don't look like replies, are kept
+  assert.strictEqual(clean('> only a quote').removedSections.length, 0);
+  assert.strictEqual(clean('案内\nFrom: 事務局\n日時: 4月10日').removedSections.length, 0);
+});
+
+test('posts the cleaned body and the removed sections as a follow-up', () => {
+  const harness = createHarness();
+  harness.gmail.addMessage({ subject: 'Re: 第7回部会のご案内', from: 'news@example.com', body: REPLY });
+
+  harness.call('processEmails');
+
+  const [main, removed] = harness.slackPayloads();
+  assert.match(main.attachments[0].fields[2].value, /^承知しました。当日伺います。\n\n_✂️ 引用・署名・フッター（2件）を省略しました/);
+  assert.deepStrictEqual(removed.attachments.map(attachment => attachment.title), ['✍️ 署名（2行）', '💬 引用された過去のメール（3行）']);
+  assert.match(removed.attachments[1].text, /^2025年4月1日.*\n> 第7回部会のご案内です。/);
+});
+
+test('removes per-rule footers and replies in the thread with the Web API', () => {
+  const harness = createHarness({
+    properties: {
+      USE_SLACK_API: 'true',
+      SLACK_BOT_TOKEN: 'xoxb-test',
+      ROUTING_RULES: JSON.stringify([{ name: 'news', senders: ['news@example.com'], patterns: ['/部会/'], footerMarkers: ['/配信停止/'], channel: '#news' }])
+    }
+  });
+  harness.gmail.addMessage({
+    subject: '第7回部会のご案内',
+    from: 'news@example.com',
+    body: '第7回部会を開催します。\n\n━━━━━━━━━━━━━━━━\n配信停止はこちら: https://example.com/unsubscribe\n発行: 事務局'
+  });
+
+  harness.call('processEmails');
+
+  const [main, removed] = harness.slackPayloads();
+  assert.match(main.attachments[0].fields[2].value, /^第7回部会を開催します。\n\n_✂️/);
+  assert.strictEqual(removed.thread_ts, '1700000000.000001');
+  assert.strictEqual(removed.attachments[0].title, '📄 フッター（3行）');
+});
+
+test('keeps the body as is when POST_REMOVED_SECTIONS and CLEAN_EMAIL_BODY are off', () => {
+  const harness = createHarness();
+  harness.evaluate('CONFIG.POST_REMOVED_SECTIONS = false');
+  harness.gmail.addMessage({ id: 'dropped', subject: 'Re: 第7回部会のご案内', from: 'news@example.com', body: REPLY });
+  harness.call('processEmails');
+
+  const [dropped] = harness.slackPayloads();
+  assert.strictEqual(harness.slackPayloads().length, 1);
+  assert.strictEqual(dropped.attachments[0].fields[2].value, '承知しました。当日伺います。');
+
+  const untouched = createHarness();
+  untouched.evaluate('CONFIG.CLEAN_EMAIL_BODY = false');
+  untouched.gmail.addMessage({ subject: 'Re: 第7回部会のご案内', from: 'news@example.com', body: REPLY });
+  untouched.call('processEmails');
+
+  assert.strictEqual(untouched.slackPayloads()[0].attachments[0].fields[2].value, REPLY);
+});
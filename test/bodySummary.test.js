@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./support/harness');
+
+const API_PROPERTIES = { USE_SLACK_API: 'true', SLACK_BOT_TOKEN: 'xoxb-test' };
+
+const LONG_BODY = [
+  '会員各位',
+  '',
+  'いつもお世話になっております。部会事務局です。',
+  '第14回部会を下記のとおり開催いたします。',
+  '',
+  '・日時: 2025年6月5日（木）14:00〜16:00',
+  '・会場: 本館3階 大会議室',
+  '',
+  '出欠は5月30日（金）までにご回答ください。回答フォーム: https://forms.example.com/bukai14?ref=mail',
+  '',
+  '当日は前回の議事録の確認のあと、各分科会から活動状況を報告していただきます。'.repeat(30),
+  '',
+  'よろしくお願いいたします。'
+].join('\n');
+
+const SUMMARY = [
+  '• 日時: 2025年6月5日（木）14:00〜16:00',
+  '• 会場: 本館3階 大会議室',
+  '• 出欠は5月30日（金）までにご回答ください。',
+  '• 回答フォーム: https://forms.example.com/bukai14?ref=mail'
+].join('\n');
+
+/**
+ * Body field of the main notification
+ *
+ * @param {Object} payload - Slack payload
+ * @returns {string} - Value of the body field
+ */
+function bodyField(payload) {
+  return payload.attachments[0].fields[2].value;
+}
+
+test('splits sentences on Japanese and English boundaries without breaking URLs', () => {
+  const harness = createHarness();
+  const split = text => harness.call('splitIntoSentences', text).join(' | ');
+
+  assert.strictEqual(split('開催します。「資料」は当日配布します！質問は？\n・会場: 本館3階'),
+    '開催します。 | 「資料」は当日配布します！ | 質問は？ | 会場: 本館3階');
+  assert.strictEqual(split('先生は「来週です。」と言いました。See https://example.com/a.pdf?x=1 now. Thanks!'),
+    '先生は「来週です。」 | と言いました。 | See https://example.com/a.pdf?x=1 now. | Thanks!');
+  assert.strictEqual(split('以上です。\n以上です。\n---\n1) 締切は6/1'), '以上です。 | 締切は6/1');
+
+  assert.ok(harness.call('scoreSentence', '出欠は5月30日（金）までにご回答ください。') > harness.call('scoreSentence', '日時は追ってご連絡します。'));
+  assert.ok(harness.call('scoreSentence', 'いつもお世話になっております。') <= 0);
+});
+
+test('previews the key sentences of a long body and posts the full text only in the thread', () => {
+  const harness = createHarness({ properties: API_PROPERTIES });
+  harness.gmail.addMessage({ id: 'm1', subject: '第14回部会開催のご案内', from: 'news@example.com', body: LONG_BODY });
+
+  harness.call('processEmails');
+
+  const [main, ...followUps] = harness.slackPayloads();
+  assert.strictEqual(bodyField(main), `${SUMMARY}\n\n_[本文から要点を抽出しました。全文はスレッドで表示されます]_`);
+  assert.ok(followUps.length > 0);
+  assert.ok(followUps.every(payload => payload.thread_ts === '1700000000.000001'));
+  assert.strictEqual(followUps.map(payload => payload.attachments[0].text).join(''), LONG_BODY.replace(/\n\s*\n\s*\n/g, '\n\n').trim());
+});
+
+test('links long webhook posts to Gmail and keeps the old preview when summaries are off', () => {
+  const harness = createHarness();
+  harness.gmail.addMessage({ id: 'm1', subject: '第14回部会開催のご案内', from: 'news@example.com', body: LONG_BODY });
+  harness.call('processEmails');
+
+  assert.strictEqual(harness.slackPayloads().length, 1);
+  assert.strictEqual(bodyField(harness.slackPayloads()[0]),
+    `${SUMMARY}\n\n_[本文から要点を抽出しました。全文は<https://mail.google.com/mail/#all/m1|Gmail>で確認できます]_`);
+
+  const plain = createHarness();
+  plain.evaluate('CONFIG.SUMMARIZE_LONG_BODY = false');
+  plain.gmail.addMessage({ id: 'm1', subject: '第14回部会開催のご案内', from: 'news@example.com', body: LONG_BODY });
+  plain.call('processEmails');
+
+  const [main, ...followUps] = plain.slackPayloads();
+  assert.match(bodyField(main), /^会員各位\n\nいつもお世話になっております。[^]*\n\n_\[本文の全文は続きのメッセージで表示されます\]_$/);
+  assert.ok(followUps.length > 0);
+  assert.strictEqual(harness.call('summarizeEmailBody', 'あ'.repeat(1500)), null);
+});
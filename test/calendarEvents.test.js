@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./support/harness');
+
+const ANNOUNCEMENT = '【本日開催】第14回部会開催のご案内※6/5（木）15:00開催';
+const EMAIL_DATE = '2025-06-05T08:00:00+09:00';
+
+/**
+ * Extract an event and format its times in Tokyo time
+ *
+ * @param {Object} harness - Test harness
+ * @param {string} subject - Email subject
+ * @param {string} body - Email body
+ * @param {string} date - Email date
+ * @returns {Object|null} - { title, key, start, end, allDay, location }
+ */
+function extract(harness, subject, body = '', date = EMAIL_DATE) {
+  const event = harness.call('extractEventFromEmail', subject, body, new Date(date), 'Asia/Tokyo');
+  if (!event) {
+    return null;
+  }
+  const format = value => (value ? harness.call('formatDateInTimeZone', value, 'yyyy/MM/dd HH:mm', 'Asia/Tokyo') : null);
+  return { title: event.title, key: event.key, start: format(event.start), end: format(event.end), allDay: event.allDay, location: event.location };
+}
+
+test('parses Japanese dates and times from the subject and body', () => {
+  const harness = createHarness();
+
+  assert.deepStrictEqual(extract(harness, ANNOUNCEMENT), {
+    title: '第14回部会開催のご案内',
+    key: '第14回部会',
+    start: '2025/06/05 15:00',
+    end: '2025/06/05 16:00',
+    allDay: false,
+    location: ''
+  });
+
+  const body = 'お疲れさまです。\n\n■日時：２０２５年７月１０日（木）午後１時半〜３時\n■場所：本社 3F 会議室\n\n申込締切 7/1';
+  assert.deepStrictEqual(extract(harness, '第3回勉強会のお知らせ', body), {
+    title: '第3回勉強会のお知らせ',
+    key: '第3回勉強会',
+    start: '2025/07/10 13:30',
+    end: '2025/07/10 15:00',
+    allDay: false,
+    location: '本社 3F 会議室'
+  });
+
+  // A date well before the email without a year is next year's; no time makes it all-day
+  const nextYear = extract(harness, 'Re: 新年会のご案内（1月9日）', '', '2025-12-01T10:00:00+09:00');
+  assert.strictEqual(nextYear.start, '2026/01/09 12:00');
+  assert.strictEqual(nextYear.allDay, true);
+  assert.strictEqual(nextYear.title, '新年会のご案内（1月9日）');
+
+  assert.strictEqual(extract(harness, '第8回研究会のご案内', '資料を送付します。'), null);
+});
+
+test('creates the event in the configured calendar and updates it on later announcements', () => {
+  const harness = createHarness({ properties: { CALENDAR_ID: 'team@group.calendar.google.com' } });
+  const calendar = harness.calendar.addCalendar('team@group.calendar.google.com', 'Team');
+  harness.gmail.addMessage({ id: 'first', subject: '第14回部会開催のご案内', from: 'news@example.com', date: '2025-05-20T10:00:00+09:00', body: '日時: 6月5日 15:00〜17:00\n場所: 会議室A' });
+  harness.call('processEmails');
+
+  assert.strictEqual(calendar.events.size, 1);
+  const [event] = [...calendar.events.values()];
+  assert.strictEqual(event.getTitle(), '第14回部会開催のご案内');
+  assert.strictEqual(event.getEndTime().getTime() - event.getStartTime().getTime(), 2 * 60 * 60 * 1000);
+  assert.strictEqual(event.getLocation(), '会議室A');
+  assert.match(event.getDescription(), /Gmail: https:\/\/mail\.google\.com\/mail\/#all\/first/);
+  assert.match(harness.slackPayloads()[0].attachments[0].fields.at(-1).value, /✅ チームカレンダーに登録しました/);
+
+  harness.gmail.addMessage({ id: 'second', subject: ANNOUNCEMENT, from: 'news@example.com', date: EMAIL_DATE, body: '本日開催です。' });
+  harness.call('processEmails');
+
+  assert.strictEqual(calendar.events.size, 1);
+  assert.strictEqual(event.getTitle(), '第14回部会開催のご案内');
+  assert.strictEqual(event.getEndTime().getTime() - event.getStartTime().getTime(), 60 * 60 * 1000);
+  assert.match(harness.slackPayloads()[1].attachments[0].fields.at(-1).value, /🔄 チームカレンダーの予定を更新しました/);
+});
+
+test('adds an "Add to calendar" link and an .ics file to the Slack post', () => {
+  const harness = createHarness();
+  harness.gmail.addMessage({ subject: ANNOUNCEMENT, from: 'news@example.com', date: EMAIL_DATE, body: '本日開催です。', attachments: [{ name: 'agenda.pdf' }] });
+
+  harness.call('processEmails');
+
+  const field = harness.slackPayloads()[0].attachments[0].fields.at(-1);
+  assert.strictEqual(field.title, '📅 イベント');
+  assert.match(field.value, /^🗓️ 2025\/06\/05 15:00–16:00\n/);
+  assert.match(field.value, /<https:\/\/calendar\.google\.com\/calendar\/render\?action=TEMPLATE&text=[^|]*&dates=20250605T060000Z%2F20250605T070000Z[^|]*\|➕ カレンダーに追加>/);
+  assert.match(field.value, /<https:\/\/drive\.google\.com\/file\/d\/file-\d+\/view\|📎 \.ics>/);
+
+  const ics = [...harness.drive.files.values()].find(file => file.getName().endsWith('.ics'));
+  assert.strictEqual(ics.getName(), '第14回部会開催のご案内.ics');
+  assert.strictEqual(ics.parent, [...harness.drive.files.values()].find(file => file.getName() === 'agenda.pdf').parent);
+  assert.match(ics.getBlob().getDataAsString(), /\r\nDTSTART:20250605T060000Z\r\nDTEND:20250605T070000Z\r\nSUMMARY:第14回部会開催のご案内\r\n/);
+});
+
+test('posts without an event field when no date is found or extraction is off', () => {
+  const harness = createHarness();
+  harness.gmail.addMessage({ id: 'nodate', subject: '第8回部会の資料送付', from: 'news@example.com', body: '資料を送付します。' });
+  harness.call('processEmails');
+
+  const off = createHarness();
+  off.evaluate('CONFIG.EXTRACT_CALENDAR_EVENTS = false');
+  off.gmail.addMessage({ subject: ANNOUNCEMENT, from: 'news@example.com', date: EMAIL_DATE, body: '本日開催です。' });
+  off.call('processEmails');
+
+  [harness, off].forEach(h => {
+    const titles = h.slackPayloads()[0].attachments[0].fields.map(field => field.title);
+    assert.ok(!titles.includes('📅 イベント'));
+    assert.ok(![...h.drive.files.values()].some(file => file.getName().endsWith('.ics')));
+  });
+});
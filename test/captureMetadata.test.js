@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./support/harness');
+
+const SUBJECT = '【本日開催】第14回部会開催のご案内※6/5（木）15:00開催';
+const RULES = [{
+  name: 'bukai',
+  senders: ['news@example.com'],
+  patterns: ['/第(?<round>\\d+)回.*部会/', '/※(?<date>\\d+\\/\\d+)/'],
+  matchMode: 'all',
+  titleTemplate: '第{round}回部会（{date}）',
+  folderTemplate: '第{round}回部会',
+  channel: '#bukai'
+}];
+
+test('uses named capture groups in the Slack title, the Drive folder and the tracking sheet', () => {
+  const harness = createHarness({ properties: { ROUTING_RULES: JSON.stringify(RULES) } });
+  harness.gmail.addMessage({ id: 'm1', subject: SUBJECT, from: 'news@example.com', date: '2025-06-05T08:00:00+09:00', body: '本日開催です。', attachments: [{ name: 'agenda.pdf' }] });
+  harness.gmail.addMessage({ id: 'm2', subject: '第15回部会開催のご案内', from: 'news@example.com', date: '2025-07-01T08:00:00+09:00', body: '資料を送付します。' });
+
+  harness.call('processEmails');
+
+  const titles = harness.slackPayloads().filter(payload => payload.attachments && payload.attachments[0].fields).map(payload => payload.attachments[0].title);
+  assert.deepStrictEqual(titles, ['📧 新着メール: 第14回部会（6/5）']);
+
+  const folderNames = [...harness.drive.folders.values()].map(folder => folder.getName());
+  assert.ok(folderNames.includes('20250605_第14回部会'));
+
+  const [header, row] = harness.sheetRows();
+  assert.deepStrictEqual(header.slice(-2), ['round', 'date']);
+  assert.deepStrictEqual([row[0], row[header.indexOf('round')], row[header.indexOf('date')]], ['m1', '14', '6/5']);
+});
+
+test('drops the g and y flags of routing patterns so every message matches with its captures', () => {
+  const harness = createHarness();
+  harness.evaluate(`CONFIG.ROUTING_RULES = [{ name: 'bukai', senders: ['news@example.com'], patterns: [/第(?<round>\\d+)回.*部会/g], titleTemplate: '第{round}回部会', channel: '#bukai' }]`);
+  harness.gmail.addMessage({ id: 'm1', subject: '第14回部会開催のご案内', from: 'news@example.com', date: '2025-06-01T08:00:00+09:00' });
+  harness.gmail.addMessage({ id: 'm2', subject: '第15回部会開催のご案内', from: 'news@example.com', date: '2025-07-01T08:00:00+09:00' });
+
+  harness.call('processEmails');
+
+  const titles = harness.slackPayloads().filter(payload => payload.attachments && payload.attachments[0].fields).map(payload => payload.attachments[0].title);
+  assert.deepStrictEqual(titles.sort(), ['📧 新着メール: 第14回部会', '📧 新着メール: 第15回部会']);
+  assert.strictEqual(harness.call('compileRoutingPattern', '/部会/giy').flags, 'i');
+});
+
+test('collects captures from matched patterns and filter clauses only', () => {
+  const harness = createHarness();
+  const metadata = (subject, rule) => {
+    const normalized = harness.call('normalizeRoutingRule', Object.assign({ senders: ['news@example.com'] }, rule), 0);
+    return JSON.parse(JSON.stringify(harness.call('extractRouteMetadata', harness.call('checkRulePatterns', subject, normalized))));
+  };
+
+  // 'any' stops at the first match; groups that did not take part are left out
+  assert.deepStrictEqual(metadata(SUBJECT, { patterns: ['/第(?<round>\\d+)回(?<kind>勉強会)?/', '/(?<date>\\d+\\/\\d+)/'] }), { round: '14' });
+  assert.deepStrictEqual(metadata(SUBJECT, { filter: '/第(?<round>\\d+)回/ in subject AND NOT /(?<cancel>中止)/ in subject' }), { round: '14' });
+  assert.deepStrictEqual(metadata('第14回部会（中止）', { filter: '/第(?<round>\\d+)回/ in subject OR /(?<cancel>中止)/ in subject' }), { round: '14', cancel: '中止' });
+
+  const render = (template, values) => harness.call('renderMetadataTemplate', template, SUBJECT, values);
+  assert.strictEqual(render('第{round}回 {missing} {subject}', { round: '14' }), `第14回 ${SUBJECT}`);
+  assert.strictEqual(render('{missing}', {}), SUBJECT);
+  assert.strictEqual(render(null, { round: '14' }), SUBJECT);
+});
+
+test('attaches the metadata to Web API posts and adds sheet columns as new names appear', () => {
+  const rules = [
+    Object.assign({}, RULES[0], { titleTemplate: null, folderTemplate: null }),
+    { name: 'study', senders: ['news@example.com'], patterns: ['/(?<topic>[^『』]+)勉強会/'], channel: '#study' }
+  ];
+  const harness = createHarness({ properties: { USE_SLACK_API: 'true', SLACK_BOT_TOKEN: 'xoxb-test', ROUTING_RULES: JSON.stringify(rules) } });
+  // Messages are processed newest first, so m1 is posted first
+  harness.gmail.addMessage({ id: 'm1', subject: SUBJECT, from: 'news@example.com', date: '2025-06-05T08:00:00+09:00', body: '本日開催です。' });
+  harness.gmail.addMessage({ id: 'm2', subject: 'AI勉強会のご案内', from: 'news@example.com', date: '2025-06-04T08:00:00+09:00', body: 'ご案内です。' });
+
+  harness.call('processEmails');
+
+  const [first, second] = harness.slackPayloads();
+  assert.strictEqual(first.attachments[0].title, `📧 新着メール: ${SUBJECT}`);
+  assert.deepStrictEqual(first.metadata, {
+    event_type: 'email_forwarded',
+    event_payload: { message_id: 'm1', subject: SUBJECT, round: '14', date: '6/5' }
+  });
+  assert.strictEqual(second.metadata.event_payload.topic, 'AI');
+
+  const [header, ...rows] = harness.sheetRows();
+  assert.deepStrictEqual(header.slice(-3), ['round', 'date', 'topic']);
+  const byId = Object.fromEntries(rows.map(row => [row[0], row.slice(header.length - 3)]));
+  assert.deepStrictEqual(byId.m1, ['14', '6/5']);
+  assert.deepStrictEqual(byId.m2, ['', '', 'AI']);
+});
+
+test('reports the metadata and the templated folder name in dry runs', () => {
+  const harness = createHarness({ properties: { ROUTING_RULES: JSON.stringify(RULES) } });
+  harness.gmail.addMessage({ id: 'm1', subject: SUBJECT, from: 'news@example.com', date: '2025-06-05T08:00:00+09:00', attachments: [{ name: 'agenda.pdf' }] });
+
+  const report = harness.call('processEmails', { dryRun: true });
+
+  const entry = report.messages[0];
+  assert.deepStrictEqual({ ...entry.metadata }, { round: '14', date: '6/5' });
+  assert.strictEqual(entry.folderName, '20250605_第14回部会');
+  assert.strictEqual(entry.slackPayloads[0].payload.attachments[0].title, '📧 新着メール: 第14回部会（6/5）');
+});
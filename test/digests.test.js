@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./support/harness');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Create a harness whose only routing rule collects emails into a digest
+ *
+ * @param {string} delivery - Delivery mode of the rule
+ * @returns {Object} - Test harness
+ */
+function createDigestHarness(delivery) {
+  return createHarness({
+    properties: {
+      ROUTING_RULES: JSON.stringify([{ name: 'news', senders: ['news@example.com'], patterns: ['/部会|勉強会/'], channel: '#news', delivery: delivery }])
+    }
+  });
+}
+
+/**
+ * Digest payloads, in posting order
+ *
+ * @param {Object} harness - Test harness
+ * @returns {Array} - Slack payloads whose text starts with the digest emoji
+ */
+function digests(harness) {
+  return harness.slackPayloads().filter(payload => String(payload.text).startsWith('📰'));
+}
+
+test('queues emails of digest rules and posts them as one message once the digest time has passed', () => {
+  const harness = createDigestHarness('daily');
+  harness.call('createTrigger');
+  assert.deepStrictEqual(harness.triggers.map(trigger => `${trigger.getHandlerFunction()} ${JSON.stringify(trigger.schedule)}`), [
+    'processEmails {"everyMinutes":5}',
+    'sendDigests {"everyHours":1}'
+  ]);
+  const webhookPosts = harness.slackPayloads().length;
+
+  harness.gmail.addMessage({ id: 'm1', subject: '第14回部会開催のご案内', from: 'news@example.com', date: '2025-06-01T09:00:00+09:00', body: '6月5日(木) 14:00より\n第14回部会を開催します。', attachments: [{ name: 'agenda.pdf', size: 10 }] });
+  harness.gmail.addMessage({ id: 'm2', subject: '第7回 勉強会のご案内', from: 'news@example.com', date: '2025-06-02T09:30:00+09:00', body: 'あ'.repeat(300) });
+  harness.call('processEmails');
+
+  assert.strictEqual(harness.slackPayloads().length, webhookPosts);
+  assert.strictEqual(harness.sheetRows().length, 3);
+  const queued = harness.sheetRows('DigestQueue').slice(1);
+  assert.deepStrictEqual(queued.map(row => row.slice(1, 4)), [['news', 'daily', 'm2'], ['news', 'daily', 'm1']]);
+
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(harness.call('deliverDueDigests', new Date()))), { sent: 0, failed: 0, pending: 2 });
+  assert.strictEqual(digests(harness).length, 0);
+
+  const result = harness.call('deliverDueDigests', new Date(Date.now() + 25 * HOUR));
+  assert.strictEqual(result.sent, 2);
+
+  const [digest] = digests(harness);
+  assert.strictEqual(digest.text, '📰 デイリーダイジェスト（2件）');
+  assert.strictEqual(digest.channel, '#news');
+  const [first, second] = digest.attachments;
+  assert.strictEqual(first.title, '第14回部会開催のご案内');
+  assert.strictEqual(first.title_link, 'https://mail.google.com/mail/#all/m1');
+  assert.match(first.text, /^6月5日\(木\) 14:00より 第14回部会を開催します。\n📎 <https:\/\/drive\.google\.com\/[^|]+\|agenda\.pdf>\n📁 <https:\/\/drive\.google\.com\/[^|]+\|Driveフォルダ>$/);
+  assert.strictEqual(first.footer, 'news@example.com · 2025/06/01 09:00');
+  assert.strictEqual(second.text, `${'あ'.repeat(199)}…`);
+
+  assert.ok(harness.sheetRows('DigestQueue').slice(1).every(row => row[10] instanceof Object));
+  assert.strictEqual(harness.call('deliverDueDigests', new Date(Date.now() + 50 * HOUR)).sent, 0);
+  assert.strictEqual(digests(harness).length, 1);
+});
+
+test('keeps queued emails when the digest post fails and retries them on the next run', () => {
+  const harness = createDigestHarness('hourly');
+  let failing = true;
+  harness.urlFetch.addResponder(url => failing && url.startsWith('https://hooks.slack.com/'),
+    () => harness.urlFetch.createResponse(500, 'internal_error'));
+
+  harness.gmail.addMessage({ id: 'm1', subject: '第14回部会開催のご案内', from: 'news@example.com', body: '開催します。' });
+  harness.call('processEmails');
+  assert.strictEqual(harness.sheetRows('DigestQueue').length, 2);
+
+  const later = new Date(Date.now() + 2 * HOUR);
+  assert.strictEqual(harness.call('deliverDueDigests', later).failed, 1);
+  assert.strictEqual(harness.sheetRows('DigestQueue')[1][10], '');
+  assert.ok(harness.urlFetch.requests.some(request => /Digest delivery failed/.test(JSON.stringify(request.payload))));
+
+  failing = false;
+  assert.strictEqual(harness.call('deliverDueDigests', later).sent, 1);
+  assert.strictEqual(digests(harness).length, 1);
+  assert.strictEqual(digests(harness)[0].text, '📰 1時間のまとめ（1件）');
+  assert.strictEqual(harness.call('getPendingDigestItemsFromSheet').length, 0);
+});
+
+test('starts digest periods at the digest hour and weekday in the rule time zone', () => {
+  const harness = createDigestHarness('weekly');
+  const key = (delivery, date) => harness.call('getDigestPeriodKey', delivery, new Date(date), 'Asia/Tokyo');
+
+  assert.strictEqual(key('hourly', '2025-06-05T08:59:00+09:00'), '2025-06-05 08');
+  assert.strictEqual(key('daily', '2025-06-05T07:59:00+09:00'), '2025-06-04');
+  assert.strictEqual(key('daily', '2025-06-05T08:00:00+09:00'), '2025-06-05');
+  assert.strictEqual(key('weekly', '2025-06-02T07:59:00+09:00'), '2025-05-26');
+  assert.strictEqual(key('weekly', '2025-06-02T08:00:00+09:00'), '2025-06-02');
+  assert.strictEqual(key('weekly', '2025-06-08T23:00:00+09:00'), '2025-06-02');
+
+  harness.evaluate(`CONFIG.DIGEST_HOUR = 18; CONFIG.DIGEST_WEEKDAY = 'Fri'`);
+  assert.strictEqual(key('daily', '2025-06-05T17:00:00+09:00'), '2025-06-04');
+  assert.strictEqual(key('weekly', '2025-06-06T18:00:00+09:00'), '2025-06-06');
+  assert.strictEqual(key('weekly', '2025-06-06T17:00:00+09:00'), '2025-05-30');
+
+  const rules = JSON.stringify([{ name: 'news', senders: ['news@example.com'], delivery: 'monthly' }]);
+  assert.throws(() => createHarness().call('normalizeRoutingRule', JSON.parse(rules)[0], 0), /Invalid delivery in rule "news": monthly/);
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./support/harness');
+
+const API_PROPERTIES = { USE_SLACK_API: 'true', SLACK_BOT_TOKEN: 'xoxb-test' };
+const BODY = [
+  '各位',
+  '',
+  '6月5日(木) 14:00より第14回部会を開催します。',
+  '会場: 本社3F会議室',
+  'ご出欠を6月2日までにご連絡ください。'
+].join('\n');
+
+/**
+ * Build routing rules with one duplicateAction
+ *
+ * @param {string} duplicateAction - Action for re-sent announcements
+ * @returns {string} - ROUTING_RULES property value
+ */
+function rulesWith(duplicateAction) {
+  return JSON.stringify([{ name: 'bukai', senders: ['news@example.com'], patterns: ['/部会/'], duplicateAction: duplicateAction }]);
+}
+
+/**
+ * Main notification payloads (the ones with the email fields), in posting order
+ *
+ * @param {Object} harness - Test harness
+ * @returns {Array} - Slack payloads
+ */
+function notifications(harness) {
+  return harness.slackPayloads().filter(payload => payload.attachments && payload.attachments[0].fields);
+}
+
+/**
+ * Value of the re-send notice field of a notification
+ *
+ * @param {Object} payload - Slack payload
+ * @returns {string|undefined} - Field value
+ */
+function duplicateNotice(payload) {
+  const field = payload.attachments[0].fields.find(candidate => candidate.title === '🔁 再送されたお知らせ');
+  return field && field.value;
+}
+
+test('posts a re-sent announcement in the Slack thread of the original', () => {
+  const harness = createHarness({ properties: API_PROPERTIES });
+  harness.gmail.addMessage({ id: 'm1', subject: '第14回部会開催のご案内', from: 'news@example.com', date: '2025-06-01T10:00:00+09:00', body: BODY });
+  harness.call('processEmails');
+
+  harness.gmail.addMessage({ id: 'm2', subject: '【リマインド】第14回部会開催のご案内', from: 'news@example.com', date: '2025-06-04T10:00:00+09:00', body: BODY });
+  harness.call('processEmails');
+
+  const [original, reminder] = notifications(harness);
+  assert.strictEqual(original.thread_ts, undefined);
+  assert.strictEqual(reminder.thread_ts, '1700000000.000001');
+  assert.strictEqual(duplicateNotice(reminder), '2025/06/01 10:00の「第14回部会開催のご案内」と同じ内容です');
+  assert.strictEqual(duplicateNotice(original), undefined);
+
+  const [header, ...rows] = harness.sheetRows();
+  const fingerprints = rows.map(row => row[header.indexOf('Fingerprint')]);
+  assert.match(fingerprints[0], /^v1:[0-9a-f]{16}:[0-9a-f]{32}:[0-9a-f]{16}:$/);
+  assert.strictEqual(fingerprints[1], fingerprints[0]);
+  assert.deepStrictEqual(rows.map(row => row[header.indexOf('Duplicate Of')]), ['', 'm1']);
+});
+
+test('suppresses re-sends for rules that ask for it and still records them', () => {
+  const harness = createHarness({ properties: { ROUTING_RULES: rulesWith('suppress') } });
+  harness.gmail.addMessage({ id: 'm1', subject: '第14回部会開催のご案内', from: 'news@example.com', body: BODY, attachments: [{ name: 'agenda.pdf', content: 'agenda' }] });
+  harness.call('processEmails');
+
+  harness.gmail.addMessage({ id: 'm2', subject: '(再送) 第14回部会開催のご案内', from: 'news@example.com', body: BODY.replace('各位', '各位（再送）'), attachments: [{ name: 'agenda.pdf', content: 'agenda' }] });
+  harness.call('processEmails');
+  harness.gmail.addMessage({ id: 'm3', subject: 'Re: 【再送】第14回部会開催のご案内', from: 'news@example.com', body: BODY, attachments: [{ name: 'agenda.pdf', content: 'agenda' }] });
+  harness.call('processEmails');
+
+  assert.strictEqual(notifications(harness).length, 1);
+  assert.strictEqual([...harness.drive.files.values()].filter(file => file.getName().endsWith('agenda.pdf')).length, 1);
+
+  const [header, ...rows] = harness.sheetRows();
+  assert.deepStrictEqual(rows.map(row => [row[0], row[header.indexOf('Duplicate Of')]]), [['m1', ''], ['m2', 'm1'], ['m3', 'm1']]);
+});
+
+test('posts corrected versions with the changed lines', () => {
+  const harness = createHarness({ properties: { ROUTING_RULES: rulesWith('diff') } });
+  harness.gmail.addMessage({ id: 'm1', subject: '第14回部会開催のご案内', from: 'news@example.com', date: '2025-06-01T10:00:00+09:00', body: BODY });
+  harness.call('processEmails');
+
+  harness.gmail.addMessage({ id: 'm2', subject: '【訂正】第14回部会開催のご案内', from: 'news@example.com', body: BODY.replace('14:00', '15:00'), attachments: [{ name: 'map.pdf' }] });
+  harness.call('processEmails');
+
+  const corrected = notifications(harness)[1];
+  assert.strictEqual(duplicateNotice(corrected), [
+    '2025/06/01 10:00の「第14回部会開催のご案内」からの変更点:',
+    '```',
+    '- 第14回部会開催のご案内',
+    '+ 【訂正】第14回部会開催のご案内',
+    '- 6月5日(木) 14:00より第14回部会を開催します。',
+    '+ 6月5日(木) 15:00より第14回部会を開催します。',
+    '+ 📎 map.pdf',
+    '```'
+  ].join('\n'));
+
+  // Unrelated announcements and the same subject with a new body are not re-sends
+  const fingerprint = (subject, body) => harness.call('buildContentFingerprint', subject, body, []);
+  const original = fingerprint('第14回部会開催のご案内', BODY);
+  assert.strictEqual(harness.call('compareContentFingerprints', fingerprint('第15回部会開催のご案内', BODY.replace(/14/g, '15')), original), null);
+  assert.strictEqual(harness.call('compareContentFingerprints', fingerprint('第14回部会開催のご案内', '議事録を送付します。'), original), null);
+});
+
+test('posts corrected versions without the diff when the earlier message cannot be read', () => {
+  const harness = createHarness({ properties: { ROUTING_RULES: rulesWith('diff') } });
+  harness.gmail.addMessage({ id: 'm1', subject: '第14回部会開催のご案内', from: 'news@example.com', date: '2025-06-01T10:00:00+09:00', body: BODY });
+  harness.call('processEmails');
+
+  harness.evaluate(`GmailApp.getMessageById = (getMessageById => id => {
+    if (id === 'm1') {
+      throw new Error('Invalid argument: id');
+    }
+    return getMessageById(id);
+  })(GmailApp.getMessageById)`);
+  harness.gmail.addMessage({ id: 'm2', subject: '【訂正】第14回部会開催のご案内', from: 'news@example.com', body: BODY.replace('14:00', '15:00') });
+  harness.call('processEmails');
+
+  const corrected = notifications(harness)[1];
+  assert.strictEqual(corrected.attachments[0].title, '📧 新着メール: 【訂正】第14回部会開催のご案内');
+  // Subject and date come from the tracking record (the date is when m1 was processed)
+  assert.match(duplicateNotice(corrected), /^\d{4}\/\d{2}\/\d{2} \d{2}:\d{2}の「第14回部会開催のご案内」の更新版です$/);
+});
+
+test('inserts new tracking columns before the metadata columns of older sheets', () => {
+  const harness = createHarness();
+  harness.gmail.addMessage({ id: 'm1', subject: '第14回部会開催のご案内', from: 'news@example.com', body: BODY });
+  harness.call('processEmails');
+
+  // A sheet written before the Fingerprint / Duplicate Of columns, with a metadata column after Links
+  const sheet = [...harness.spreadsheets.spreadsheets.values()][0].getSheetByName('ProcessedMessages');
+  sheet.rows.forEach(row => row.splice(10, row.length - 10));
+  sheet.rows[0].push('round');
+  sheet.rows[1].push('14');
+
+  harness.call('ensureSheetHeaders', sheet, harness.evaluate('SPREADSHEET_CONFIG.HEADERS'));
+
+  const [header, row] = harness.sheetRows();
+  assert.deepStrictEqual(header.slice(9), ['Links', 'Fingerprint', 'Duplicate Of', 'round']);
+  assert.strictEqual(row[header.indexOf('round')], '14');
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./support/harness');
+
+/**
+ * Create a harness with a single filter rule
+ *
+ * @param {string} filter - Filter expression
+ * @returns {Object} - Test harness
+ */
+function createFilterHarness(filter) {
+  return createHarness({
+    properties: {
+      ROUTING_RULES: JSON.stringify([{ name: 'filtered', senders: ['@example.com'], filter: filter, channel: '#filtered' }])
+    }
+  });
+}
+
+/**
+ * Evaluate the harness' only rule against a message
+ *
+ * @param {Object} harness - Test harness
+ * @param {Object} message - GmailMessage stand-in
+ * @returns {Object} - Match result
+ */
+function evaluate(harness, message) {
+  const [rule] = harness.call('getRoutingRules');
+  return harness.call('checkRulePatterns', message.getSubject(), rule, harness.call('buildFilterContext', message));
+}
+
+test('routes with subject, body and attachment type clauses', () => {
+  const harness = createFilterHarness('勉強会 in subject AND NOT 中止 in body AND has pdf');
+  harness.gmail.addMessage({ id: 'ok', subject: '勉強会のご案内', from: 'news@example.com', body: '開催します', attachments: [{ name: 'a.pdf' }] });
+  harness.gmail.addMessage({ id: 'cancelled', subject: '勉強会のご案内', from: 'news@example.com', body: '中止になりました', attachments: [{ name: 'a.pdf' }] });
+  harness.gmail.addMessage({ id: 'no-pdf', subject: '勉強会のご案内', from: 'news@example.com', body: '開催します', attachments: [{ name: 'a.docx', contentType: 'application/msword' }] });
+
+  harness.call('processEmails');
+
+  assert.deepStrictEqual(harness.sheetRows().slice(1).map(row => row[0]), ['ok']);
+  assert.strictEqual(harness.slackPayloads()[0].channel, '#filtered');
+});
+
+test('keeps a per-clause breakdown including negated clauses', () => {
+  const harness = createFilterHarness('勉強会 in subject AND NOT 中止 in body AND has pdf');
+  const message = harness.gmail.addMessage({ subject: '勉強会のご案内', from: 'news@example.com', body: '中止になりました' });
+
+  const result = evaluate(harness, message);
+
+  assert.strictEqual(result.isMatch, false);
+  assert.strictEqual(result.matchMode, 'filter');
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(result.allResults.map(r => [r.pattern, r.isMatch, r.negated]))), [
+    ['勉強会 in subject', true, false],
+    ['中止 in body', true, true],
+    ['has pdf', false, false]
+  ]);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(result.summary)), { totalPatterns: 3, matchedCount: 2, finalResult: false });
+});
+
+test('supports grouping, domains, regexes, labels, sizes and date windows', () => {
+  const harness = createFilterHarness(
+    '(from @example.com OR from boss@example.org) AND /第\\d+回/ in subject AND label Events AND size >= 1 KB AND since 2025-04-01 AND within 30d'
+  );
+  const recent = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+  const message = harness.gmail.addMessage({
+    subject: '第3回勉強会',
+    from: 'Team <team@example.com>',
+    date: recent,
+    labels: ['Events'],
+    attachments: [{ name: 'slides.pdf', size: 2048 }]
+  });
+  const small = harness.gmail.addMessage({ subject: '第4回勉強会', from: 'team@example.com', date: recent, labels: ['Events'], attachments: [{ name: 'a.pdf', size: 10 }] });
+  const old = harness.gmail.addMessage({ subject: '第5回勉強会', from: 'team@example.com', date: '2025-03-01T00:00:00Z', labels: ['Events'], attachments: [{ name: 'a.pdf', size: 4096 }] });
+
+  assert.strictEqual(evaluate(harness, message).isMatch, true);
+  assert.strictEqual(evaluate(harness, small).isMatch, false);
+  assert.strictEqual(evaluate(harness, old).isMatch, false);
+});
+
+test('rejects invalid filters with the rule name and position', () => {
+  const cases = [
+    ['勉強会 in subject AND', /Invalid filter in rule "filtered": Expected a condition at the end of the filter/],
+    ['(勉強会 in subject', /Missing "\)"/],
+    ['勉強会 in title', /Unknown field "title"/],
+    ['size > huge', /Invalid size "huge"/],
+    ['勉強会 subject', /Expected "in <field>" after "勉強会"/]
+  ];
+
+  cases.forEach(([filter, expected]) => {
+    const harness = createFilterHarness(filter);
+    assert.throws(() => harness.call('normalizeRoutingRule', JSON.parse(harness.properties.ROUTING_RULES)[0], 0), expected);
+  });
+});
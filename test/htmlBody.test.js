@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./support/harness');
+
+const NEWSLETTER = `<!DOCTYPE html><html><head><style>p { color: red; }</style></head><body>
+<div style="display:none">preheader</div>
+<h1>第7回 勉強会のご案内</h1>
+<p>詳細は<a href="https://example.com/event?a=1&amp;b=2">こちら</a>をご覧ください。</p>
+<ul><li><strong>日時</strong>: 4月10日<li>場所: 本社<ul><li>3F 会議室</li></ul></li></ul>
+<table><tr><th>時間</th><th>内容</th></tr><tr><td>10:00</td><td>開会 &lt;挨拶&gt;</td></tr></table>
+<img src="https://track.example.com/open.gif" width="1" height="1">
+</body></html>`;
+
+test('posts HTML bodies as mrkdwn with links, bold, lists and tables', () => {
+  const harness = createHarness();
+  harness.gmail.addMessage({ subject: '第7回部会のご案内', from: 'news@example.com', body: 'plain text', htmlBody: NEWSLETTER });
+
+  harness.call('processEmails');
+
+  const attachment = harness.slackPayloads()[0].attachments[0];
+  assert.deepStrictEqual([...attachment.mrkdwn_in], ['fields']);
+  assert.strictEqual(attachment.fields[2].value, [
+    '*第7回 勉強会のご案内*',
+    '',
+    '詳細は<https://example.com/event?a=1&b=2|こちら>をご覧ください。',
+    '',
+    '• *日時*: 4月10日',
+    '• 場所: 本社',
+    '　• 3F 会議室',
+    '',
+    '*時間* | *内容*',
+    '10:00 | 開会 &lt;挨拶&gt;'
+  ].join('\n'));
+});
+
+test('renders nested layout tables as blocks and drops hidden content', () => {
+  const harness = createHarness();
+  const html = '<table><tr><td><table><tr><td><img src="logo.png" alt="ACME"></td><td>4月号</td></tr></table></td></tr>' +
+    '<tr><td><p>本文<br>二行目</p><span style="mso-hide:all">hidden</span><script>alert(1)</script></td></tr></table>' +
+    '<p><a href="https://example.com/u">https://example.com/u</a> <a href="mailto:info@example.com">info@example.com</a> <a href="#top">top</a></p>';
+
+  assert.strictEqual(harness.call('convertHtmlToMrkdwn', html), [
+    'ACME | 4月号',
+    '',
+    '本文',
+    '二行目',
+    '',
+    '<https://example.com/u> <mailto:info@example.com> top'
+  ].join('\n'));
+});
+
+test('falls back to the plain body when there is no usable HTML', () => {
+  const harness = createHarness();
+  harness.gmail.addMessage({ id: 'plain', subject: '第7回部会のご案内', from: 'news@example.com', body: '1行目\n\n2行目' });
+  harness.gmail.addMessage({ id: 'empty', subject: '第8回部会のご案内', from: 'news@example.com', body: 'plain fallback', htmlBody: '<div style="display:none">x</div>' });
+
+  harness.call('processEmails');
+
+  const bodies = harness.slackPayloads().map(payload => payload.attachments[0].fields[2].value);
+  assert.deepStrictEqual(bodies.sort(), ['1行目\n\n2行目', 'plain fallback']);
+  assert.strictEqual(harness.call('convertHtmlToMrkdwn', 'Taro <taro@example.com>\n<https://example.com>'), null);
+});
+
+test('splits long bodies without breaking links', () => {
+  const harness = createHarness();
+  const body = `${'あ'.repeat(480)}<https://example.com/a-long-link|リンク>`;
+
+  assert.strictEqual(harness.call('findBodySplitIndex', body, 500), 480);
+  assert.strictEqual(harness.call('findBodySplitIndex', `<${'x'.repeat(999)}`, 500), 500);
+});
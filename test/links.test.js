@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./support/harness');
+
+const NEWSLETTER = `<html><body>
+<p>第7回勉強会の<a href="https://click.mailer.example.net/click?u=https%3A%2F%2Fexample.com%2Fentry%3Fid%3D7%26utm_source%3Dnews">申込フォーム</a>です。</p>
+<p><a href="https://www.google.com/url?q=https://slides.example.org/deck.pdf&amp;sa=D">スライド</a></p>
+<p><a href="https://example.com/entry?id=7">申込はこちら</a> <a href="mailto:info@example.com">お問い合わせ</a></p>
+<div style="display:none"><a href="https://hidden.example.com/">hidden</a></div>
+<p><a href="https://news.example.com/settings?id=1">配信停止</a></p>
+</body></html>`;
+
+test('unwraps redirects, drops tracking parameters, duplicates and unsubscribe links', () => {
+  const harness = createHarness();
+  const extract = (body, html = null) => JSON.parse(JSON.stringify(harness.call('extractLinksFromEmail', body, html)));
+
+  assert.deepStrictEqual(extract('', NEWSLETTER), [
+    { url: 'https://example.com/entry?id=7', domain: 'example.com', text: '申込フォーム' },
+    { url: 'https://slides.example.org/deck.pdf', domain: 'slides.example.org', text: 'スライド' }
+  ]);
+
+  const body = [
+    '詳細はhttps://example.com/event/7をご覧ください。',
+    '(資料: https://example.com/docs/a_(1).pdf)',
+    'https://jp.safelinks.protection.outlook.com/?url=https%3A%2F%2Fwww.example.com%2Fevent%2F7%2F&data=x',
+    '共有: https://twitter.com/intent/tweet?url=https%3A%2F%2Fexample.com',
+    'https://news.example.com/unsubscribe?id=1'
+  ].join('\n');
+  assert.deepStrictEqual(extract(body).map(link => link.url), [
+    'https://example.com/event/7',
+    'https://example.com/docs/a_(1).pdf',
+    'https://twitter.com/intent/tweet?url=https%3A%2F%2Fexample.com'
+  ]);
+});
+
+test('posts a compact Links section grouped by domain and records the links in the sheet', () => {
+  const harness = createHarness();
+  harness.gmail.addMessage({ id: 'm1', subject: '第7回勉強会のご案内', from: 'news@example.com', body: '申込: https://example.com/entry?id=7', htmlBody: NEWSLETTER });
+
+  harness.call('processEmails');
+
+  const field = harness.slackPayloads()[0].attachments[0].fields.find(candidate => candidate.title.startsWith('🔗'));
+  assert.strictEqual(field.title, '🔗 リンク（2件）');
+  assert.strictEqual(field.value, [
+    '*example.com*  <https://example.com/entry?id=7|申込フォーム>',
+    '*slides.example.org*  <https://slides.example.org/deck.pdf|スライド>'
+  ].join('\n'));
+
+  const [header, row] = harness.sheetRows();
+  assert.strictEqual(row[header.indexOf('Links')], 'https://example.com/entry?id=7\nhttps://slides.example.org/deck.pdf');
+});
+
+test('labels bare URLs with their path and shortens long lists', () => {
+  const harness = createHarness();
+  const urls = Array.from({ length: 17 }, (_, i) => `https://example.com/materials/${i + 1}`);
+  const links = harness.call('extractLinksFromEmail', ['https://www.example.org/', ...urls].join('\n'));
+
+  const lines = harness.call('buildLinksSlackText', links, 'en').split('\n');
+  assert.strictEqual(lines[0], '*example.org*  <https://www.example.org/|example.org>');
+  assert.match(lines[1], /^\*example\.com\*  <https:\/\/example\.com\/materials\/1\|\/materials\/1> · /);
+  assert.strictEqual(lines[1].split(' · ').length, 14);
+  assert.strictEqual(lines[2], '_3 more_');
+});
+
+test('leaves the post and the sheet unchanged without links or when disabled', () => {
+  const harness = createHarness();
+  harness.evaluate('CONFIG.EXTRACT_LINKS = false');
+  harness.gmail.addMessage({ id: 'off', subject: '第7回勉強会のご案内', from: 'news@example.com', body: 'https://example.com/entry' });
+  harness.gmail.addMessage({ id: 'none', subject: '第8回勉強会のご案内', from: 'news@example.com', body: 'リンクはありません。' });
+
+  harness.call('processEmails');
+
+  harness.slackPayloads().forEach(payload => {
+    assert.ok(!payload.attachments[0].fields.some(field => field.title.startsWith('🔗')));
+  });
+  const [header, ...rows] = harness.sheetRows();
+  assert.deepStrictEqual(rows.map(row => row[header.indexOf('Links')] || ''), ['', '']);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./support/harness');
+
+test('posts in the locale of each routing rule', () => {
+  const harness = createHarness({
+    properties: {
+      ROUTING_RULES: JSON.stringify([
+        { name: 'ja', senders: ['news@example.com'], patterns: ['部会'], channel: '#japan' },
+        { name: 'en', senders: ['news@example.com'], patterns: ['部会'], channel: '#global', locale: 'en' }
+      ])
+    }
+  });
+  harness.gmail.addMessage({ subject: '第1回部会のご案内', from: 'news@example.com', body: '' });
+
+  harness.call('processEmails');
+
+  const [japanese, english] = harness.slackPayloads().map(payload => payload.attachments[0]);
+  assert.strictEqual(japanese.title, '📧 新着メール: 第1回部会のご案内');
+  assert.strictEqual(japanese.fields[2].value, '_本文なし_');
+  assert.strictEqual(english.title, '📧 New email: 第1回部会のご案内');
+  assert.deepStrictEqual(english.fields.map(field => field.title), ['👤 From', '📅 Received', '📝 Body', '📎 Attachments (0/0)']);
+  assert.strictEqual(english.fields[2].value, '_No body_');
+  assert.strictEqual(english.fields[3].value, 'None');
+});
+
+test('uses CHANNEL_LOCALES for system notifications', () => {
+  const harness = createHarness();
+  harness.evaluate("CONFIG.CHANNEL_LOCALES = { '#test-channel': 'en' }");
+
+  harness.call('sendErrorNotification', 'boom');
+
+  assert.strictEqual(harness.slackPayloads()[0].attachments[0].title, '🚨 Gmail forwarder error');
+});
+
+test('falls back to the default locale and then to the key', () => {
+  const harness = createHarness({ properties: { LOCALE: 'en' } });
+  harness.evaluate("MESSAGE_CATALOG.fr = { 'email.sender': '👤 Expéditeur' }");
+
+  assert.strictEqual(harness.call('localize', 'email.sender', {}, 'fr'), '👤 Expéditeur');
+  assert.strictEqual(harness.call('localize', 'email.body', {}, 'fr'), '📝 Body');
+  assert.strictEqual(harness.call('localize', 'email.body', {}, 'en-GB'), '📝 Body');
+  assert.strictEqual(harness.call('localize', 'no.such.key'), 'no.such.key');
+  assert.strictEqual(harness.call('localize', 'unit.count', { count: 3 }, 'ja'), '3件');
+});
+
+test('every locale pack defines every key', () => {
+  const harness = createHarness();
+
+  assert.strictEqual(JSON.stringify(harness.call('findMissingMessageKeys')), '{}');
+});
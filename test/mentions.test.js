@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./support/harness');
+
+const MENTION_RULES = `CONFIG.MENTION_RULES = [
+  { name: 'ml', keywords: ['機械学習', /\\bLLM\\b/i], mentions: ['UALICE', 'SMLTEAM'] },
+  { name: 'security', keywords: ['/脆弱性|セキュリティ/'], mentions: ['UBOB'], rules: ['meetings'] }
+]`;
+
+test('mentions the people whose keywords appear in the subject or body', () => {
+  const harness = createHarness();
+  harness.evaluate(MENTION_RULES);
+  harness.gmail.addMessage({ id: 'm1', subject: '第7回 機械学習勉強会のご案内', from: 'news@example.com', body: 'LLMの最新動向を紹介します。' });
+  harness.gmail.addMessage({ id: 'm2', subject: '第14回部会のご案内', from: 'news@example.com', body: '議題は予算です。' });
+
+  harness.call('processEmails');
+
+  const bySubject = Object.fromEntries(harness.slackPayloads().map(payload => [payload.attachments[0].title, payload]));
+  assert.strictEqual(bySubject['📧 新着メール: 第7回 機械学習勉強会のご案内'].text, '<@UALICE> <!subteam^SMLTEAM> 📧 新着メール: 第7回 機械学習勉強会のご案内');
+  assert.strictEqual(bySubject['📧 新着メール: 第14回部会のご案内'].text, undefined);
+
+  const rules = harness.call('getMentionRules');
+  const mentions = harness.call('findKeywordMentions', 'llm meetup', '', rules, {});
+  assert.strictEqual(mentions.map(mention => `${mention.id}: ${mention.keywords.join(', ')}`).join(' / '), 'UALICE: /\\bLLM\\b/i / SMLTEAM: /\\bLLM\\b/i');
+  assert.strictEqual(harness.call('findKeywordMentions', 'LLMs', '', rules, {}).length, 0);
+  assert.strictEqual(harness.call('findKeywordMentions', 'llm', '', rules, { UALICE: { enabled: true, mutedKeywords: ['l'] } }).length, 2);
+});
+
+test('limits mentions to the routing rules of the mapping', () => {
+  const harness = createHarness({
+    properties: {
+      ROUTING_RULES: JSON.stringify([
+        { name: 'meetings', senders: ['@example.com'], patterns: ['部会'], channel: '#meetings' },
+        { name: 'security', senders: ['@example.com'], patterns: ['脆弱性'], channel: '#security' }
+      ])
+    }
+  });
+  harness.evaluate(MENTION_RULES);
+  harness.gmail.addMessage({ id: 'm1', subject: '第14回部会: 脆弱性対応の報告', from: 'news@example.com' });
+
+  harness.call('processEmails');
+
+  const byChannel = Object.fromEntries(harness.slackPayloads().map(payload => [payload.channel, payload]));
+  assert.strictEqual(byChannel['#meetings'].text, '<@UBOB> 📧 新着メール: 第14回部会: 脆弱性対応の報告');
+  assert.strictEqual(byChannel['#security'].text, undefined);
+});
+
+test('leaves out people who opted out or muted the matching keywords', () => {
+  const harness = createHarness();
+  harness.evaluate(MENTION_RULES);
+  harness.evaluate('delete CONFIG.MENTION_RULES[1].rules');
+  harness.call('saveMentionSettingInSheet', 'SMLTEAM', 'ml-team', false);
+  const sheet = harness.call('getOrCreateMentionSettingsSheet');
+  sheet.getRange(2, 4).setValue('機械学習、llm');
+
+  assert.deepStrictEqual(harness.sheetRows('MentionSettings').map(row => row.slice(0, 4)), [
+    ['Slack ID', 'Name', 'Mentions', 'Muted Keywords'],
+    ['UALICE', '', true, '機械学習、llm'],
+    ['SMLTEAM', '', false, ''],
+    ['UBOB', '', true, '']
+  ]);
+
+  harness.gmail.addMessage({ id: 'm1', subject: '第7回 機械学習勉強会のご案内', from: 'news@example.com', body: 'LLMの最新動向を紹介します。' });
+  harness.gmail.addMessage({ id: 'm2', subject: '第14回部会: セキュリティ研修', from: 'news@example.com', body: '機械学習の脆弱性も扱います。' });
+  harness.call('processEmails');
+
+  const bySubject = Object.fromEntries(harness.slackPayloads().map(payload => [payload.attachments[0].title, payload]));
+  assert.strictEqual(bySubject['📧 新着メール: 第7回 機械学習勉強会のご案内'].text, undefined);
+  assert.strictEqual(bySubject['📧 新着メール: 第14回部会: セキュリティ研修'].text, '<@UBOB> 📧 新着メール: 第14回部会: セキュリティ研修');
+});
@@ -0,0 +1,258 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./support/harness');
+
+const MATCHING_SUBJECT = '【本日開催】第14回部会開催のご案内';
+
+test('forwards a matching email to Slack, saves attachments, tracks and labels it', () => {
+  const harness = createHarness();
+  harness.gmail.addMessage({
+    id: 'm1',
+    subject: MATCHING_SUBJECT,
+    from: 'News <news@example.com>',
+    body: '部会のご案内です。',
+    attachments: [{ name: 'agenda.pdf', size: 2048 }]
+  });
+
+  harness.call('processEmails');
+
+  const payloads = harness.slackPayloads();
+  const notification = payloads[0];
+  assert.strictEqual(notification.channel, '#test-channel');
+  assert.strictEqual(notification.attachments[0].title, `📧 新着メール: ${MATCHING_SUBJECT}`);
+  assert.match(JSON.stringify(notification), /agenda\.pdf/);
+
+  const savedNames = [...harness.drive.files.values()].map(file => file.getName());
+  assert.ok(savedNames.includes('agenda.pdf'));
+
+  const rows = harness.sheetRows();
+  assert.strictEqual(rows.length, 2);
+  assert.strictEqual(rows[1][0], 'm1');
+  assert.strictEqual(rows[1][5], 'default');
+
+  assert.ok(harness.gmail.threads.get('thread-m1').labels.has('Processed'));
+  assert.strictEqual(harness.lock.held, false);
+  assert.strictEqual(harness.properties.PROCESSING_LOCK, undefined);
+});
+
+test('ignores non-matching subjects', () => {
+  const harness = createHarness();
+  harness.gmail.addMessage({ subject: '普通のメール', from: 'news@example.com' });
+  harness.gmail.addMessage({ subject: MATCHING_SUBJECT, from: 'someone-else@example.com' });
+
+  harness.call('processEmails');
+
+  assert.strictEqual(harness.slackPayloads().length, 0);
+  assert.strictEqual(harness.sheetRows().length, 1);
+});
+
+test('does not post a message twice across runs', () => {
+  const harness = createHarness();
+  harness.gmail.addMessage({ id: 'm1', subject: MATCHING_SUBJECT, from: 'news@example.com' });
+
+  harness.call('processEmails');
+  harness.call('processEmails');
+
+  assert.strictEqual(harness.slackPayloads().length, 1);
+});
+
+test('migrates processed messages from Script Properties into every tracking column', () => {
+  const harness = createHarness({ properties: { PROCESSED_MSG_m1: '1700000000000' } });
+  harness.gmail.addMessage({ id: 'm1', subject: MATCHING_SUBJECT, from: 'news@example.com' });
+
+  harness.call('migrateProcessedMessagesToSheet');
+
+  const [headers, migrated] = harness.sheetRows();
+  assert.strictEqual(migrated.length, headers.length);
+  assert.deepStrictEqual(migrated.slice(0, 3), ['m1', 'Migrated from Script Properties', 'Unknown']);
+  assert.ok(migrated.slice(5).every(value => value === ''));
+
+  harness.call('processEmails');
+  assert.strictEqual(harness.slackPayloads().length, 0);
+});
+
+test('posts to every routing rule that matches', () => {
+  const harness = createHarness({
+    properties: {
+      ROUTING_RULES: JSON.stringify([
+        { name: 'meetings', senders: ['@example.com'], patterns: ['部会'], channel: '#meetings' },
+        { name: 'today', senders: ['news@example.com'], patterns: ['/本日開催/'], channel: '#today', iconEmoji: ':bell:' },
+        { name: 'seminars', senders: ['news@example.com'], patterns: ['勉強会'], channel: '#seminars' }
+      ])
+    }
+  });
+  harness.gmail.addMessage({ id: 'm1', subject: MATCHING_SUBJECT, from: 'news@example.com' });
+
+  harness.call('processEmails');
+
+  const payloads = harness.slackPayloads();
+  assert.deepStrictEqual(payloads.map(payload => payload.channel), ['#meetings', '#today']);
+  assert.strictEqual(payloads[1].icon_emoji, ':bell:');
+  assert.strictEqual(harness.sheetRows()[1][5], 'meetings, today');
+
+  assert.throws(() => harness.call('normalizeRoutingRule', { name: 'anyone', senders: [' '], patterns: ['部会'] }, 0),
+    /No senders in rule "anyone"/);
+});
+
+test('skips invalid routing rules and reports them once per run', () => {
+  const harness = createHarness({
+    properties: {
+      ROUTING_RULES: JSON.stringify([
+        { name: 'broken', senders: ['news@example.com'], patterns: ['/(unclosed/'], channel: '#broken' },
+        { name: 'no-senders', patterns: ['部会'], channel: '#nobody' },
+        { name: 'meetings', senders: ['news@example.com'], patterns: ['部会'], channel: '#meetings' }
+      ])
+    }
+  });
+  harness.gmail.addMessage({ id: 'm1', subject: MATCHING_SUBJECT, from: 'news@example.com' });
+
+  const report = harness.call('processEmails', { dryRun: true });
+  assert.strictEqual(report.ruleErrors.length, 2);
+  assert.strictEqual(harness.slackPayloads().length, 0);
+
+  harness.call('processEmails');
+
+  const payloads = harness.slackPayloads();
+  assert.deepStrictEqual(payloads.map(payload => payload.channel), ['#test-channel', '#meetings']);
+  assert.strictEqual(payloads[0].attachments[0].title, '🚨 Gmail転送システムエラー');
+  assert.match(payloads[0].attachments[0].text, /Invalid routing rules \(skipped\):\nInvalid pattern in rule "broken": [^\n]+\nNo senders in rule "no-senders"/);
+  assert.strictEqual(harness.sheetRows()[1][5], 'meetings');
+});
+
+test('dry run reports decisions without side effects', () => {
+  const harness = createHarness();
+  harness.gmail.addMessage({
+    id: 'm1',
+    subject: MATCHING_SUBJECT,
+    from: 'news@example.com',
+    attachments: [{ name: 'agenda.pdf' }]
+  });
+  harness.gmail.addMessage({ id: 'm2', subject: '普通のメール', from: 'news@example.com' });
+
+  const report = harness.call('processEmails', { dryRun: true });
+
+  assert.strictEqual(harness.slackPayloads().length, 0);
+  assert.strictEqual(harness.sheetRows().length, 0);
+  assert.strictEqual(harness.gmail.threads.get('thread-m1').labels.size, 0);
+
+  const decisions = Object.fromEntries(report.messages.map(entry => [entry.messageId, entry.wouldProcess]));
+  assert.deepStrictEqual(decisions, { m1: true, m2: false });
+  assert.strictEqual(report.messages.find(entry => entry.messageId === 'm1').slackPayloads.length, 1);
+});
+
+test('dry run creates no spreadsheet, sheet or Drive file on a clean install', () => {
+  const harness = createHarness();
+  harness.evaluate(`CONFIG.MENTION_RULES = [{ name: 'bukai', keywords: ['部会'], mentions: ['UALICE'] }]`);
+  harness.gmail.addMessage({ id: 'm1', subject: MATCHING_SUBJECT, from: 'news@example.com', attachments: [{ name: 'agenda.pdf' }] });
+  const folders = harness.drive.folders.size;
+
+  const report = harness.call('processEmails', { dryRun: true });
+
+  assert.strictEqual(report.messages.length, 1);
+  assert.strictEqual(report.messages[0].mentions.length, 1);
+  assert.strictEqual(harness.spreadsheets.spreadsheets.size, 0);
+  assert.strictEqual(harness.drive.folders.size, folders);
+  assert.strictEqual(harness.drive.files.size, 0);
+  assert.strictEqual(harness.properties.TRACKING_SPREADSHEET_ID, undefined);
+});
+
+test('dry run creates no sheet in an existing tracking spreadsheet', () => {
+  const harness = createHarness({
+    properties: {
+      ROUTING_RULES: JSON.stringify([
+        { name: 'meetings', senders: ['news@example.com'], patterns: ['部会'], quietHours: { periods: [{ days: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'] }] } },
+        { name: 'digest', senders: ['news@example.com'], patterns: ['部会'], delivery: 'daily' }
+      ])
+    }
+  });
+  harness.gmail.addMessage({ id: 'm1', subject: '第13回部会のご案内', from: 'news@example.com' });
+  harness.call('processEmails');
+
+  // Keep only the tracking sheet, as after an upgrade from a version without the other sheets
+  const [spreadsheet] = harness.spreadsheets.spreadsheets.values();
+  spreadsheet.getSheets().slice(1).forEach(sheet => spreadsheet.deleteSheet(sheet));
+  harness.evaluate(`CONFIG.MENTION_RULES = [{ name: 'bukai', keywords: ['部会'], mentions: ['UALICE'] }]`);
+  harness.gmail.addMessage({ id: 'm2', subject: MATCHING_SUBJECT, from: 'news@example.com' });
+
+  const report = harness.call('processEmails', { dryRun: true });
+
+  assert.strictEqual(report.messages.length, 1);
+  assert.strictEqual(report.messages[0].mentions.length, 1);
+  assert.deepStrictEqual(spreadsheet.getSheets().map(sheet => sheet.getName()), ['ProcessedMessages']);
+});
+
+test('defers threads when the time budget is used up and resumes them next run', () => {
+  const harness = createHarness();
+  harness.gmail.addMessage({ id: 'm1', subject: MATCHING_SUBJECT, from: 'news@example.com' });
+
+  harness.evaluate('CONFIG.EXECUTION_TIME_BUDGET_SECONDS = 0');
+  harness.call('processEmails');
+
+  assert.strictEqual(harness.slackPayloads().length, 0);
+  assert.deepStrictEqual(JSON.parse(harness.properties.PROCESSING_CURSOR).threadIds, ['thread-m1']);
+
+  harness.evaluate('CONFIG.EXECUTION_TIME_BUDGET_SECONDS = 270');
+  harness.call('processEmails');
+
+  assert.strictEqual(harness.slackPayloads().length, 1);
+  assert.strictEqual(harness.properties.PROCESSING_CURSOR, undefined);
+});
+
+test('saves the cursor for the unfinished threads when a run is aborted', () => {
+  const harness = createHarness();
+  harness.gmail.addMessage({ id: 'm1', subject: MATCHING_SUBJECT, from: 'news@example.com', date: '2025-06-04T10:00:00+09:00' });
+  harness.gmail.addMessage({ id: 'm2', subject: MATCHING_SUBJECT, from: 'news@example.com', date: '2025-06-05T10:00:00+09:00' });
+
+  // Fails at the boundary of the second thread, after m2 was posted
+  harness.evaluate(`hasExecutionTimeLeft = (checks => () => {
+    if (checks++ === 2) {
+      throw new Error('Service invoked too many times');
+    }
+    return true;
+  })(0)`);
+  assert.throws(() => harness.call('processEmails'), /Service invoked too many times/);
+
+  const posted = () => harness.slackPayloads().filter(payload => payload.attachments && payload.attachments[0].title === `📧 新着メール: ${MATCHING_SUBJECT}`).length;
+  assert.strictEqual(posted(), 1);
+  assert.deepStrictEqual(JSON.parse(harness.properties.PROCESSING_CURSOR).threadIds, ['thread-m1']);
+  assert.strictEqual(harness.properties.PROCESSING_LOCK, undefined);
+
+  harness.evaluate('hasExecutionTimeLeft = () => true');
+  harness.call('processEmails');
+
+  assert.strictEqual(posted(), 2);
+  assert.strictEqual(harness.properties.PROCESSING_CURSOR, undefined);
+});
+
+test('skips the run and warns once while another run holds the lock', () => {
+  const harness = createHarness({
+    properties: {
+      PROCESSING_LOCK: JSON.stringify({ id: 'other', owner: 'backfill', acquiredAt: new Date().toISOString() })
+    }
+  });
+  harness.gmail.addMessage({ subject: MATCHING_SUBJECT, from: 'news@example.com' });
+
+  harness.call('processEmails');
+  harness.call('processEmails');
+
+  const payloads = harness.slackPayloads();
+  assert.strictEqual(payloads.length, 1);
+  assert.strictEqual(payloads[0].icon_emoji, ':lock:');
+  assert.strictEqual(harness.sheetRows().length, 0);
+});
+
+test('takes over a stale lock and reports it', () => {
+  const harness = createHarness({
+    properties: {
+      PROCESSING_LOCK: JSON.stringify({ id: 'old', owner: 'processEmails', acquiredAt: '2020-01-01T00:00:00.000Z' })
+    }
+  });
+  harness.gmail.addMessage({ subject: MATCHING_SUBJECT, from: 'news@example.com' });
+
+  harness.call('processEmails');
+
+  const titles = harness.slackPayloads().map(payload => payload.attachments[0].title);
+  assert.strictEqual(titles[0], '🚨 Gmail転送システムエラー');
+  assert.strictEqual(titles[1], `📧 新着メール: ${MATCHING_SUBJECT}`);
+  assert.strictEqual(harness.properties.PROCESSING_LOCK, undefined);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./support/harness');
+
+const ALWAYS_QUIET = `CONFIG.QUIET_HOURS.periods = [{ days: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'] }]`;
+
+/**
+ * Titles of the main notifications, in posting order
+ *
+ * @param {Object} harness - Test harness
+ * @returns {Array} - Attachment titles
+ */
+function postedTitles(harness) {
+  return harness.slackPayloads()
+    .filter(payload => payload.attachments && payload.attachments[0].fields)
+    .map(payload => payload.attachments[0].title);
+}
+
+test('holds notifications during quiet hours and releases them in order when the window opens', () => {
+  const harness = createHarness();
+  harness.evaluate(ALWAYS_QUIET);
+  harness.gmail.addMessage({ id: 'm1', subject: '第14回部会開催のご案内', from: 'news@example.com', date: '2025-06-05T21:00:00+09:00', body: '開催します。' });
+  harness.gmail.addMessage({ id: 'm2', subject: '第15回部会開催のご案内', from: 'news@example.com', date: '2025-06-05T22:00:00+09:00', body: '開催します。' });
+
+  harness.call('processEmails');
+
+  // Messages are held newest first, as processEmails works through them
+  assert.deepStrictEqual(postedTitles(harness), []);
+  assert.strictEqual(harness.sheetRows().length, 3);
+  const held = harness.sheetRows('HeldNotifications').slice(1);
+  assert.deepStrictEqual(held.map(row => row.slice(1, 6)), [
+    ['default', '#test-channel', 'm2', '第15回部会開催のご案内', 'Sun Mon Tue Wed Thu Fri Sat'],
+    ['default', '#test-channel', 'm1', '第14回部会開催のご案内', 'Sun Mon Tue Wed Thu Fri Sat']
+  ]);
+
+  harness.evaluate(`CONFIG.QUIET_HOURS.periods = [{ start: '20:00', end: '8:00' }]`);
+  const release = date => JSON.parse(JSON.stringify(harness.call('releaseHeldNotifications', new Date(date))));
+  assert.deepStrictEqual(release('2025-06-05T23:00:00+09:00'), { released: 0, failed: 0, held: 2 });
+  assert.deepStrictEqual(release('2025-06-06T09:00:00+09:00'), { released: 2, failed: 0, held: 0 });
+
+  // ...and released in the order they were received
+  assert.deepStrictEqual(postedTitles(harness), ['📧 新着メール: 第14回部会開催のご案内', '📧 新着メール: 第15回部会開催のご案内']);
+  assert.ok(harness.sheetRows('HeldNotifications').slice(1).every(row => row[7] instanceof Object));
+  assert.deepStrictEqual(release('2025-06-06T10:00:00+09:00'), { released: 0, failed: 0, held: 0 });
+});
+
+test('posts urgent notifications and rules without quiet hours right away', () => {
+  const harness = createHarness({
+    properties: {
+      ROUTING_RULES: JSON.stringify([
+        { name: 'news', senders: ['news@example.com'], patterns: ['/部会/'], channel: '#news' },
+        { name: 'ops', senders: ['news@example.com'], patterns: ['/停止/'], channel: '#ops', quietHours: false }
+      ])
+    }
+  });
+  harness.evaluate(ALWAYS_QUIET);
+  harness.gmail.addMessage({ id: 'm1', subject: '【緊急】第14回部会の会場変更', from: 'news@example.com', body: '会場が変更になりました。' });
+  harness.gmail.addMessage({ id: 'm2', subject: '第14回部会 議事録', from: 'news@example.com', body: '議事録を送付します。' });
+  harness.gmail.addMessage({ id: 'm3', subject: 'システム停止のお知らせ', from: 'news@example.com', body: '明日は停止します。' });
+
+  harness.call('processEmails');
+
+  assert.deepStrictEqual(postedTitles(harness).sort(), ['📧 新着メール: 【緊急】第14回部会の会場変更', '📧 新着メール: システム停止のお知らせ']);
+  assert.deepStrictEqual(harness.sheetRows('HeldNotifications').slice(1).map(row => row[3]), ['m2']);
+
+  harness.evaluate(`CONFIG.QUIET_HOURS.bypassLevels = []`);
+  harness.gmail.addMessage({ id: 'm4', subject: '【緊急】第15回部会の延期', from: 'news@example.com', body: '延期になりました。' });
+  const report = harness.call('processEmails', { dryRun: true });
+  assert.deepStrictEqual(report.messages.map(entry => `${entry.messageId} ${entry.routes.map(route => route.hold).join()}`).join(' / '), 'm4 Sun Mon Tue Wed Thu Fri Sat');
+});
+
+test('treats public and extra holidays of the destination as quiet time', () => {
+  const harness = createHarness();
+  const holidays = harness.calendar.addCalendar('ja.japanese#holiday@group.v.calendar.google.com', '日本の祝日');
+  holidays.createAllDayEvent('元日', new Date('2025-01-01T00:00:00+09:00'));
+  holidays.createAllDayEvent('成人の日', new Date('2025-01-13T00:00:00+09:00'));
+
+  const destination = { channel: '#news', timeZone: 'Asia/Tokyo', quietHours: { holidayCalendars: ['JP', 'missing@group.calendar.google.com'], holidays: ['2025-12-29'] } };
+  const reason = (date, target = destination) => harness.call('getQuietHoursReason', target, new Date(date));
+
+  assert.strictEqual(reason('2025-01-01T12:00:00+09:00'), 'holiday 2025-01-01 (元日)');
+  assert.strictEqual(reason('2025-01-13T07:00:00+09:00'), 'holiday 2025-01-13 (成人の日)');
+  assert.strictEqual(reason('2025-01-14T12:00:00+09:00'), null);
+  assert.strictEqual(reason('2025-12-29T12:00:00+09:00'), 'holiday 2025-12-29');
+  assert.strictEqual(reason('2025-01-01T12:00:00+09:00', Object.assign({}, destination, { quietHours: false })), null);
+
+  harness.evaluate(`CONFIG.QUIET_HOURS.periods = [{ days: ['Sat', 'Sun'] }, { start: '22:00', end: '07:00' }]`);
+  assert.strictEqual(reason('2025-06-07T12:00:00+09:00', { channel: '#news' }), 'Sat Sun');
+  assert.strictEqual(reason('2025-06-05T06:00:00+09:00', { channel: '#news' }), '22:00-07:00');
+  assert.strictEqual(reason('2025-06-05T12:00:00+09:00', { channel: '#news' }), null);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./support/harness');
+
+/**
+ * Replace the pattern rows of the Rules sheet
+ *
+ * @param {Object} harness - Test harness
+ * @param {Array} rows - Rows of [Rule, Pattern, Flags, Match Mode, Enabled, Description]
+ */
+function setRulesRows(harness, rows) {
+  const sheet = harness.call('getOrCreateRulesSheet');
+  sheet.rows.splice(1);
+  sheet.getRange(2, 1, rows.length, 6).setValues(rows);
+}
+
+test('seeds the Rules sheet with the patterns defined in code', () => {
+  const harness = createHarness();
+
+  harness.call('processEmails');
+
+  const rows = harness.sheetRows('Rules');
+  assert.strictEqual(rows[0][1], 'Pattern');
+  assert.ok(rows.slice(1).some(row => row[1] === '.*勉強会'));
+});
+
+test('uses enabled sheet patterns instead of the code patterns', () => {
+  const harness = createHarness();
+  setRulesRows(harness, [
+    ['default', '採用説明会', '', 'any', true, ''],
+    ['default', '勉強会', '', 'any', false, 'disabled']
+  ]);
+  harness.gmail.addMessage({ id: 'm1', subject: '採用説明会のご案内', from: 'news@example.com' });
+  harness.gmail.addMessage({ id: 'm2', subject: '勉強会のご案内', from: 'news@example.com' });
+
+  harness.call('processEmails');
+
+  const processedIds = harness.sheetRows().slice(1).map(row => row[0]);
+  assert.deepStrictEqual(processedIds, ['m1']);
+});
+
+test('reports invalid sheet patterns to Slack and keeps processing', () => {
+  const harness = createHarness();
+  setRulesRows(harness, [
+    ['default', '(unclosed', '', 'any', true, ''],
+    ['default', '説明会', 'i', 'any', true, '']
+  ]);
+  harness.gmail.addMessage({ id: 'm1', subject: '説明会のご案内', from: 'news@example.com' });
+
+  harness.call('processEmails');
+
+  const payloads = harness.slackPayloads();
+  assert.strictEqual(payloads[0].attachments[0].title, '🚨 Gmail転送システムエラー');
+  assert.match(payloads[0].attachments[0].text, /\(unclosed/);
+  assert.strictEqual(harness.sheetRows()[1][0], 'm1');
+});
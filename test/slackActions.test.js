@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./support/harness');
+
+const RESPONSE_URL = 'https://hooks.slack.com/actions/T000/1/response';
+
+/**
+ * Forward one email and return its Slack post
+ *
+ * @returns {Object} - { harness, post }
+ */
+function forwardEmail() {
+  const harness = createHarness({ properties: { SLACK_VERIFICATION_TOKEN: 'legacy-token', LOCALE: 'en' } });
+  harness.gmail.addMessage({
+    id: 'm1',
+    subject: '第7回部会のご案内',
+    from: 'news@example.com',
+    attachments: [{ name: 'agenda.pdf', size: 100 }]
+  });
+  harness.call('processEmails');
+  return { harness: harness, post: harness.slackPayloads()[0] };
+}
+
+/**
+ * Click a button on a post through doPost
+ *
+ * @param {Object} harness - Test harness
+ * @param {Object} post - Slack post (used as original_message)
+ * @param {string} name - Button name
+ * @param {string} messageId - Button value
+ * @returns {Array} - Payloads posted to response_url
+ */
+function click(harness, post, name, messageId = 'm1') {
+  const payload = {
+    type: 'interactive_message',
+    callback_id: 'gmail_forwarder_email',
+    token: 'legacy-token',
+    actions: [{ name: name, type: 'button', value: messageId }],
+    user: { id: 'U123', name: 'alice' },
+    channel: { id: 'C123', name: 'test-channel' },
+    message_ts: '1700000000.000100',
+    response_url: RESPONSE_URL,
+    original_message: post
+  };
+
+  const output = harness.call('doPost', { parameter: { payload: JSON.stringify(payload) }, postData: { contents: '' } });
+  assert.strictEqual(output.getContent(), '');
+
+  return harness.urlFetch.requests
+    .filter(request => request.url === RESPONSE_URL)
+    .map(request => request.payload);
+}
+
+test('adds action buttons with the Gmail message ID to forwarded posts', () => {
+  const { post } = forwardEmail();
+  const attachment = post.attachments[0];
+
+  assert.strictEqual(attachment.callback_id, 'gmail_forwarder_email');
+  assert.deepStrictEqual(attachment.actions.map(button => button.name), ['handled', 'archive', 'resend', 'open']);
+  assert.strictEqual(attachment.actions[0].value, 'm1');
+  assert.strictEqual(attachment.actions[3].url, 'https://mail.google.com/mail/#all/m1');
+});
+
+test('Mark handled labels the thread, updates the post and records the actor', () => {
+  const { harness, post } = forwardEmail();
+
+  const [update] = click(harness, post, 'handled');
+
+  assert.ok(harness.gmail.threads.get('thread-m1').labels.has('Handled'));
+  assert.strictEqual(update.replace_original, true);
+  const attachment = update.attachments[0];
+  assert.match(attachment.fields[attachment.fields.length - 1].value, /^✅ Marked handled by <@U123> \(/);
+  assert.deepStrictEqual(attachment.actions.map(button => button.name), ['archive', 'resend', 'open']);
+
+  const [headers, row] = harness.sheetRows();
+  assert.deepStrictEqual(headers.slice(6, 9), ['Last Action', 'Acted By', 'Acted At']);
+  assert.strictEqual(row[6], 'handled');
+  assert.strictEqual(row[7], 'alice (U123)');
+});
+
+test('Archive and Re-send attachments apply the Gmail and Drive actions', () => {
+  const { harness, post } = forwardEmail();
+  const postsBefore = harness.slackPayloads().length;
+
+  const [archived] = click(harness, post, 'archive');
+  assert.strictEqual(harness.gmail.threads.get('thread-m1').inInbox, false);
+  assert.match(archived.attachments[0].fields.at(-1).value, /Archived in Gmail by <@U123>/);
+
+  const updates = click(harness, archived, 'resend');
+  const resent = updates[updates.length - 1];
+  const savedNames = [...harness.drive.files.values()].map(file => file.getName());
+  assert.strictEqual(savedNames.filter(name => name.endsWith('.pdf')).length, 2);
+  assert.match(resent.attachments[0].fields.at(-1).value, /Archived in Gmail.*\n📎 1 attachment\(s\) re-sent by <@U123>/);
+  assert.ok(harness.slackPayloads().length > postsBefore + 2);
+
+  // A click never creates the Rules sheet
+  const [spreadsheet] = harness.spreadsheets.spreadsheets.values();
+  spreadsheet.deleteSheet(spreadsheet.getSheetByName('Rules'));
+  click(harness, archived, 'resend');
+  assert.strictEqual(spreadsheet.getSheetByName('Rules'), null);
+});
+
+test('reports failures ephemerally without replacing the post', () => {
+  const { harness, post } = forwardEmail();
+
+  const [reply] = click(harness, post, 'handled', 'missing');
+
+  assert.strictEqual(reply.replace_original, false);
+  assert.strictEqual(reply.response_type, 'ephemeral');
+  assert.match(reply.text, /Gmail message not found: missing/);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createHarness } = require('./support/harness');
+
+const SIGNING_SECRET = 'test-signing-secret';
+const ADMIN = 'UADMIN';
+
+/**
+ * Post a signed slash command to doPost and return the parsed reply
+ *
+ * @param {Object} harness - Test harness
+ * @param {string} text - Command text
+ * @param {Object} options - { userId, secret, timestamp, headers }
+ * @returns {Object} - Slack response body
+ */
+function slashCommand(harness, text, options = {}) {
+  const parameter = { command: '/forwarder', text: text, user_id: options.userId || ADMIN, channel_name: 'ops', token: options.token };
+  const body = new URLSearchParams(Object.entries(parameter).filter(([, value]) => value !== undefined)).toString();
+  const timestamp = String(options.timestamp || Math.floor(Date.now() / 1000));
+  const signature = 'v0=' + crypto.createHmac('sha256', options.secret || SIGNING_SECRET).update(`v0:${timestamp}:${body}`).digest('hex');
+  const headers = options.headers !== undefined
+    ? options.headers
+    : { 'X-Slack-Signature': signature, 'X-Slack-Request-Timestamp': timestamp };
+
+  const output = harness.call('doPost', { parameter: parameter, postData: { contents: body }, headers: headers });
+  return JSON.parse(output.getContent());
+}
+
+/**
+ * Create a harness configured for slash commands (English replies)
+ *
+ * @param {Object} properties - Extra script properties
+ * @returns {Object} - Test harness
+ */
+function createCommandHarness(properties = {}) {
+  return createHarness({
+    properties: Object.assign({ SLACK_SIGNING_SECRET: SIGNING_SECRET, SLACK_ADMIN_USER_IDS: `${ADMIN}, UOTHER`, LOCALE: 'en' }, properties)
+  });
+}
+
+test('verifies the Slack signature and answers status ephemerally', () => {
+  const harness = createCommandHarness();
+  harness.call('createTrigger');
+
+  const reply = slashCommand(harness, 'status');
+  assert.strictEqual(reply.response_type, 'ephemeral');
+  assert.match(reply.text, /^🟢 Monitoring \/ Check interval: 5 min \/ Last execution: never$/);
+
+  assert.match(slashCommand(harness, 'status', { secret: 'wrong' }).text, /Could not verify/);
+  assert.match(slashCommand(harness, 'status', { timestamp: Math.floor(Date.now() / 1000) - 3600 }).text, /Could not verify/);
+  assert.match(slashCommand(harness, 'status', { headers: {} }).text, /Could not verify/);
+});
+
+test('falls back to the verification token when no signature is available', () => {
+  const harness = createCommandHarness({ SLACK_VERIFICATION_TOKEN: 'legacy-token' });
+
+  assert.match(slashCommand(harness, 'help', { headers: {}, token: 'legacy-token' }).text, /^Usage: \/forwarder status/);
+  assert.match(slashCommand(harness, 'help', { headers: {}, token: 'nope' }).text, /Could not verify/);
+});
+
+test('limits pause and resume to allowlisted users', () => {
+  const harness = createCommandHarness();
+  harness.call('createTrigger');
+
+  assert.match(slashCommand(harness, 'pause', { userId: 'USTRANGER' }).text, /Only admins/);
+  assert.strictEqual(harness.triggers.length, 1);
+
+  assert.match(slashCommand(harness, 'pause').text, /paused/);
+  assert.strictEqual(harness.triggers.length, 0);
+
+  assert.match(slashCommand(harness, 'resume', { userId: 'UOTHER' }).text, /resumed \(every 5 min\)/);
+  assert.strictEqual(harness.triggers.length, 1);
+});
+
+test('reprocesses a message by ID and reports stats and health', () => {
+  const harness = createCommandHarness();
+  harness.gmail.addMessage({ id: 'm1', subject: '第5回部会のご案内', from: 'news@example.com', attachments: [{ name: 'a.pdf', size: 10 }] });
+  harness.call('processEmails');
+
+  assert.match(slashCommand(harness, 'reprocess m1').text, /^🔁 Reprocessed: 第5回部会のご案内 \(default\)$/);
+  assert.strictEqual(harness.slackPayloads().length, 4);
+  assert.strictEqual(harness.sheetRows().length, 2);
+
+  assert.match(slashCommand(harness, 'reprocess missing').text, /Message not found: missing/);
+  assert.match(slashCommand(harness, 'reprocess').text, /^Usage: reprocess/);
+  assert.match(slashCommand(harness, 'stats', { userId: 'USTRANGER' }).text, /Processed emails: 1 \/ Last 24h: 1 run\(s\), 0 error\(s\) \/ Drive: 2 file\(s\)/);
+  assert.strictEqual(slashCommand(harness, 'health').text, '✅ Health check passed');
+  assert.match(slashCommand(harness, 'frobnicate').text, /^❓ Unknown command: frobnicate\nUsage:/);
+});
+
+test('lets anyone turn their keyword mentions off and on', () => {
+  const harness = createCommandHarness();
+  harness.evaluate(`CONFIG.MENTION_RULES = [{ name: 'ml', keywords: ['機械学習', '/\\\\bLLM\\\\b/i'], mentions: ['USTRANGER'] }]`);
+
+  assert.strictEqual(slashCommand(harness, 'mentions', { userId: 'USTRANGER' }).text, '🔔 Keyword mentions: on / Keywords: 機械学習, /\\bLLM\\b/i');
+  assert.strictEqual(slashCommand(harness, 'mentions off', { userId: 'USTRANGER' }).text, '🔕 Keyword mentions turned off (undo: mentions on)');
+  assert.strictEqual(slashCommand(harness, 'mentions', { userId: 'USTRANGER' }).text, '🔕 Keyword mentions: off / Keywords: 機械学習, /\\bLLM\\b/i');
+  assert.deepStrictEqual(harness.sheetRows('MentionSettings').slice(1).map(row => row.slice(0, 3)), [['USTRANGER', '', false]]);
+
+  assert.strictEqual(slashCommand(harness, 'mentions on', { userId: 'UNEW' }).text, '🔔 Keyword mentions turned on');
+  assert.strictEqual(slashCommand(harness, 'mentions', { userId: 'UNEW' }).text, '🔔 Keyword mentions: on / Keywords: none');
+  assert.strictEqual(harness.sheetRows('MentionSettings').length, 3);
+  assert.strictEqual(slashCommand(harness, 'mentions maybe').text, 'Usage: mentions [on|off]');
+});
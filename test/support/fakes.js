@@ -0,0 +1,977 @@
+/**
+ * In-memory stand-ins for the Apps Script services used by the forwarder
+ *
+ * Each factory returns the global object exposed to the sandbox plus inspection
+ * helpers for tests. Only the methods the source files call are implemented.
+ */
+
+const crypto = require('crypto');
+
+const TIME_ZONE_ALIASES = {
+  JST: 'Asia/Tokyo'
+};
+
+/**
+ * Create a Java-style iterator (hasNext/next) over an array
+ *
+ * @param {Array} items - Items to iterate
+ * @returns {Object} - Iterator
+ */
+function makeIterator(items) {
+  let index = 0;
+  return {
+    hasNext: () => index < items.length,
+    next: () => {
+      if (index >= items.length) {
+        throw new Error('No more items');
+      }
+      return items[index++];
+    }
+  };
+}
+
+/**
+ * Create a blob similar to Utilities.newBlob / GmailAttachment
+ *
+ * @param {string|Buffer} content - Blob content
+ * @param {string} contentType - MIME type
+ * @param {string} name - File name
+ * @returns {Object} - Blob
+ */
+function createBlob(content, contentType, name) {
+  const bytes = Buffer.isBuffer(content) ? content : Buffer.from(String(content || ''), 'utf8');
+  let blobName = name;
+
+  const blob = {
+    getName: () => blobName,
+    setName: newName => {
+      blobName = newName;
+      return blob;
+    },
+    getContentType: () => contentType,
+    getBytes: () => Array.from(bytes).map(byte => (byte > 127 ? byte - 256 : byte)),
+    getDataAsString: () => bytes.toString('utf8'),
+    getSize: () => bytes.length,
+    copyBlob: () => createBlob(Buffer.from(bytes), contentType, blobName)
+  };
+  return blob;
+}
+
+/**
+ * Format a date like Utilities.formatDate (SimpleDateFormat subset)
+ *
+ * @param {Date} date - Date to format
+ * @param {string} timeZone - Time zone ID or alias such as 'JST'
+ * @param {string} pattern - Pattern using yyyy, MM, M, dd, d, HH, H, mm, ss, EEE, E, z and quoted text
+ * @returns {string} - Formatted date
+ */
+function formatDate(date, timeZone, pattern) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: TIME_ZONE_ALIASES[timeZone] || timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short',
+    timeZoneName: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(date.getTime())).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const tokens = {
+    yyyy: parts.year,
+    MM: parts.month,
+    M: String(Number(parts.month)),
+    dd: parts.day,
+    d: String(Number(parts.day)),
+    HH: parts.hour,
+    H: String(Number(parts.hour)),
+    mm: parts.minute,
+    ss: parts.second,
+    EEE: parts.weekday,
+    E: parts.weekday,
+    z: parts.timeZoneName
+  };
+
+  return pattern.replace(/'([^']*)'|yyyy|MM|M|dd|d|HH|H|mm|ss|EEE|E|z/g, (token, quoted) =>
+    quoted !== undefined ? quoted : tokens[token]);
+}
+
+/**
+ * Create PropertiesService with a single script property store
+ *
+ * @param {Object} initial - Initial script properties
+ * @returns {Object} - { service, store }
+ */
+function createPropertiesService(initial = {}) {
+  const store = Object.assign({}, initial);
+
+  const properties = {
+    getProperty: key => (Object.prototype.hasOwnProperty.call(store, key) ? store[key] : null),
+    setProperty: (key, value) => {
+      store[key] = String(value);
+      return properties;
+    },
+    setProperties: values => {
+      Object.entries(values).forEach(([key, value]) => {
+        store[key] = String(value);
+      });
+      return properties;
+    },
+    getProperties: () => Object.assign({}, store),
+    getKeys: () => Object.keys(store),
+    deleteProperty: key => {
+      delete store[key];
+      return properties;
+    }
+  };
+
+  return {
+    service: { getScriptProperties: () => properties },
+    store: store
+  };
+}
+
+/**
+ * Create Utilities
+ *
+ * @returns {Object} - { service, sleeps }
+ */
+function createUtilities() {
+  const sleeps = [];
+
+  return {
+    service: {
+      formatDate: formatDate,
+      sleep: ms => sleeps.push(ms),
+      getUuid: () => crypto.randomUUID(),
+      computeHmacSha256Signature: (value, key) => [...crypto.createHmac('sha256', key).update(value, 'utf8').digest()]
+        .map(byte => (byte > 127 ? byte - 256 : byte)),
+      computeDigest: (algorithm, value) => [...crypto.createHash(algorithm)
+        .update(Array.isArray(value) ? Buffer.from(value.map(byte => byte & 255)) : Buffer.from(String(value), 'utf8')).digest()]
+        .map(byte => (byte > 127 ? byte - 256 : byte)),
+      DigestAlgorithm: { MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256' },
+      Charset: { UTF_8: 'UTF-8', US_ASCII: 'US-ASCII' },
+      newBlob: (content, contentType, name) => createBlob(content, contentType, name)
+    },
+    sleeps: sleeps
+  };
+}
+
+/**
+ * Create LockService (executions are sequential, so locks are always available)
+ *
+ * @returns {Object} - { service, stats }
+ */
+function createLockService() {
+  const stats = { acquired: 0, released: 0, held: false };
+
+  const lock = {
+    tryLock: () => {
+      stats.acquired++;
+      stats.held = true;
+      return true;
+    },
+    waitLock: () => {
+      stats.acquired++;
+      stats.held = true;
+    },
+    hasLock: () => stats.held,
+    releaseLock: () => {
+      stats.released++;
+      stats.held = false;
+    }
+  };
+
+  return {
+    service: { getScriptLock: () => lock },
+    stats: stats
+  };
+}
+
+/**
+ * Create ScriptApp with an in-memory trigger list
+ *
+ * @returns {Object} - { service, triggers }
+ */
+function createScriptApp() {
+  const triggers = [];
+  let nextId = 1;
+
+  const newTrigger = handlerFunction => {
+    const spec = { handlerFunction: handlerFunction, schedule: {} };
+    const builder = {
+      timeBased: () => builder,
+      everyMinutes: minutes => { spec.schedule.everyMinutes = minutes; return builder; },
+      everyHours: hours => { spec.schedule.everyHours = hours; return builder; },
+      everyDays: days => { spec.schedule.everyDays = days; return builder; },
+      everyWeeks: weeks => { spec.schedule.everyWeeks = weeks; return builder; },
+      onWeekDay: day => { spec.schedule.onWeekDay = day; return builder; },
+      atHour: hour => { spec.schedule.atHour = hour; return builder; },
+      nearMinute: minute => { spec.schedule.nearMinute = minute; return builder; },
+      after: ms => { spec.schedule.after = ms; return builder; },
+      at: date => { spec.schedule.at = date; return builder; },
+      inTimezone: timeZone => { spec.schedule.timeZone = timeZone; return builder; },
+      create: () => {
+        const id = `trigger-${nextId++}`;
+        const trigger = {
+          getUniqueId: () => id,
+          getHandlerFunction: () => spec.handlerFunction,
+          getTriggerSource: () => 'CLOCK',
+          getEventType: () => 'CLOCK',
+          schedule: spec.schedule
+        };
+        triggers.push(trigger);
+        return trigger;
+      }
+    };
+    return builder;
+  };
+
+  return {
+    service: {
+      newTrigger: newTrigger,
+      getProjectTriggers: () => triggers.slice(),
+      deleteTrigger: trigger => {
+        const index = triggers.indexOf(trigger);
+        if (index >= 0) {
+          triggers.splice(index, 1);
+        }
+      },
+      WeekDay: {
+        MONDAY: 'MONDAY', TUESDAY: 'TUESDAY', WEDNESDAY: 'WEDNESDAY', THURSDAY: 'THURSDAY',
+        FRIDAY: 'FRIDAY', SATURDAY: 'SATURDAY', SUNDAY: 'SUNDAY'
+      }
+    },
+    triggers: triggers
+  };
+}
+
+/**
+ * Create DriveApp with an in-memory folder tree
+ *
+ * @returns {Object} - { service, folders, files, registerFile }
+ */
+function createDriveApp() {
+  const folders = new Map();
+  const files = new Map();
+  let nextId = 1;
+
+  const createFile = (blob, parent) => {
+    const id = `file-${nextId++}`;
+    const created = new Date();
+    let trashed = false;
+    const file = {
+      getId: () => id,
+      getName: () => blob.getName(),
+      getUrl: () => `https://drive.google.com/file/d/${id}/view`,
+      getSize: () => blob.getSize(),
+      getDateCreated: () => created,
+      getBlob: () => blob.copyBlob(),
+      isTrashed: () => trashed,
+      setTrashed: value => {
+        trashed = value;
+        return file;
+      },
+      parent: parent
+    };
+    files.set(id, file);
+    return file;
+  };
+
+  const createFolder = (name, parent) => {
+    const id = `folder-${nextId++}`;
+    const folder = {
+      getId: () => id,
+      getName: () => name,
+      getUrl: () => `https://drive.google.com/drive/folders/${id}`,
+      createFolder: childName => createFolder(childName, folder),
+      getFolders: () => makeIterator([...folders.values()].filter(child => child.parent === folder)),
+      getFoldersByName: childName => makeIterator([...folders.values()]
+        .filter(child => child.parent === folder && child.getName() === childName)),
+      getFiles: () => makeIterator([...files.values()].filter(file => file.parent === folder && !file.isTrashed())),
+      getFilesByName: fileName => makeIterator([...files.values()]
+        .filter(file => file.parent === folder && file.getName() === fileName && !file.isTrashed())),
+      createFile: blob => createFile(blob, folder),
+      parent: parent
+    };
+    folders.set(id, folder);
+    return folder;
+  };
+
+  const root = createFolder('My Drive', null);
+
+  return {
+    service: {
+      getRootFolder: () => root,
+      getFolderById: id => {
+        if (!folders.has(id)) {
+          throw new Error(`No folder with ID ${id}`);
+        }
+        return folders.get(id);
+      },
+      getFileById: id => {
+        if (!files.has(id)) {
+          throw new Error(`No file with ID ${id}`);
+        }
+        return files.get(id);
+      },
+      getFoldersByName: name => makeIterator([...folders.values()].filter(folder => folder.getName() === name)),
+      getFilesByName: name => makeIterator([...files.values()].filter(file => file.getName() === name && !file.isTrashed())),
+      createFolder: name => createFolder(name, root)
+    },
+    folders: folders,
+    files: files,
+    root: root,
+    registerFile: (id, name) => {
+      const file = {
+        getId: () => id,
+        getName: () => name,
+        getUrl: () => `https://drive.google.com/file/d/${id}/view`,
+        getSize: () => 0,
+        getDateCreated: () => new Date(),
+        isTrashed: () => false,
+        parent: root
+      };
+      files.set(id, file);
+      return file;
+    }
+  };
+}
+
+/**
+ * Create a sheet backed by a 2D array
+ *
+ * @param {string} initialName - Sheet name
+ * @returns {Object} - Sheet
+ */
+function createSheet(initialName) {
+  let name = initialName;
+  const rows = [];
+
+  const getLastRow = () => {
+    for (let i = rows.length - 1; i >= 0; i--) {
+      if (rows[i].some(value => value !== '' && value !== null && value !== undefined)) {
+        return i + 1;
+      }
+    }
+    return 0;
+  };
+
+  const getLastColumn = () => rows.reduce((max, row) => {
+    for (let i = row.length - 1; i >= 0; i--) {
+      if (row[i] !== '' && row[i] !== null && row[i] !== undefined) {
+        return Math.max(max, i + 1);
+      }
+    }
+    return max;
+  }, 0);
+
+  const cell = (row, column) => {
+    const values = rows[row - 1];
+    return values && values[column - 1] !== undefined ? values[column - 1] : '';
+  };
+
+  const setCell = (row, column, value) => {
+    while (rows.length < row) {
+      rows.push([]);
+    }
+    rows[row - 1][column - 1] = value;
+  };
+
+  const getRange = (row, column, numRows = 1, numColumns = 1) => {
+    const range = {
+      getValues: () => Array.from({ length: numRows }, (_, r) =>
+        Array.from({ length: numColumns }, (_, c) => cell(row + r, column + c))),
+      setValues: values => {
+        // Apps Script rejects data whose size differs from the range
+        if (values.length !== numRows) {
+          throw new Error(`The number of rows in the data does not match the number of rows in the range. The data has ${values.length} but the range has ${numRows}.`);
+        }
+        const badRow = values.find(valueRow => valueRow.length !== numColumns);
+        if (badRow) {
+          throw new Error(`The number of columns in the data does not match the number of columns in the range. The data has ${badRow.length} but the range has ${numColumns}.`);
+        }
+        values.forEach((valueRow, r) => valueRow.forEach((value, c) => setCell(row + r, column + c, value)));
+        return range;
+      },
+      getValue: () => cell(row, column),
+      setValue: value => {
+        setCell(row, column, value);
+        return range;
+      },
+      getDisplayValues: () => range.getValues().map(valueRow => valueRow.map(value => String(value))),
+      setFontWeight: () => range,
+      setBackground: () => range,
+      setNumberFormat: () => range,
+      insertCheckboxes: () => range,
+      clearContent: () => {
+        for (let r = 0; r < numRows; r++) {
+          for (let c = 0; c < numColumns; c++) {
+            if (rows[row - 1 + r]) {
+              rows[row - 1 + r][column - 1 + c] = '';
+            }
+          }
+        }
+        return range;
+      }
+    };
+    return range;
+  };
+
+  const sheet = {
+    getName: () => name,
+    setName: newName => {
+      name = newName;
+      return sheet;
+    },
+    getRange: getRange,
+    getDataRange: () => getRange(1, 1, Math.max(getLastRow(), 1), Math.max(getLastColumn(), 1)),
+    getLastRow: getLastRow,
+    getLastColumn: getLastColumn,
+    appendRow: values => {
+      const target = getLastRow() + 1;
+      values.forEach((value, c) => setCell(target, c + 1, value));
+      return sheet;
+    },
+    deleteRows: (start, count) => {
+      rows.splice(start - 1, count);
+    },
+    deleteRow: row => {
+      rows.splice(row - 1, 1);
+    },
+    insertColumnBefore: column => {
+      rows.forEach(row => {
+        if (row.length >= column) {
+          row.splice(column - 1, 0, '');
+        }
+      });
+      return sheet;
+    },
+    setFrozenRows: () => sheet,
+    autoResizeColumns: () => sheet,
+    rows: rows
+  };
+  return sheet;
+}
+
+/**
+ * Create SpreadsheetApp; spreadsheets are registered as Drive files so they can be found by name
+ *
+ * @param {Object} drive - Result of createDriveApp()
+ * @returns {Object} - { service, spreadsheets }
+ */
+function createSpreadsheetApp(drive) {
+  const spreadsheets = new Map();
+  let nextId = 1;
+
+  const create = name => {
+    const id = `spreadsheet-${nextId++}`;
+    const sheets = [createSheet('Sheet1')];
+    const spreadsheet = {
+      getId: () => id,
+      getName: () => name,
+      getUrl: () => `https://docs.google.com/spreadsheets/d/${id}/edit`,
+      getActiveSheet: () => sheets[0],
+      getSheets: () => sheets.slice(),
+      getSheetByName: sheetName => sheets.find(sheet => sheet.getName() === sheetName) || null,
+      insertSheet: sheetName => {
+        if (sheets.some(sheet => sheet.getName() === sheetName)) {
+          throw new Error(`A sheet with the name "${sheetName}" already exists`);
+        }
+        const sheet = createSheet(sheetName);
+        sheets.push(sheet);
+        return sheet;
+      },
+      deleteSheet: sheet => {
+        sheets.splice(sheets.indexOf(sheet), 1);
+      }
+    };
+    spreadsheets.set(id, spreadsheet);
+    drive.registerFile(id, name);
+    return spreadsheet;
+  };
+
+  const openById = id => {
+    if (!spreadsheets.has(id)) {
+      throw new Error(`No spreadsheet with ID ${id}`);
+    }
+    return spreadsheets.get(id);
+  };
+
+  return {
+    service: {
+      create: create,
+      openById: openById,
+      open: file => openById(file.getId())
+    },
+    spreadsheets: spreadsheets
+  };
+}
+
+/**
+ * Parse a Gmail date operator value (yyyy/MM/dd, interpreted as JST midnight, or epoch seconds)
+ *
+ * @param {string} value - Date value
+ * @returns {number} - Epoch milliseconds
+ */
+function parseGmailDate(value) {
+  if (/^\d+$/.test(value)) {
+    return Number(value) * 1000;
+  }
+  const [year, month, day] = value.split(/[/-]/).map(Number);
+  return Date.UTC(year, month - 1, day) - 9 * 60 * 60 * 1000;
+}
+
+/**
+ * Check whether a message satisfies a Gmail search query (subset of operators)
+ *
+ * Supported: from:x, from:(a OR b), after:, before:, label:, -label:, has:attachment, in:inbox/anywhere
+ * and bare words matched against subject and body.
+ *
+ * @param {Object} message - Fake message record
+ * @param {Object} thread - Fake thread record
+ * @param {string} query - Gmail query
+ * @returns {boolean} - true if the message matches
+ */
+function messageMatchesQuery(message, thread, query) {
+  const tokens = query.match(/-?\w+:\([^)]*\)|-?\w+:"[^"]*"|\S+/g) || [];
+
+  return tokens.every(token => {
+    const negated = token.startsWith('-');
+    const clean = negated ? token.slice(1) : token;
+    const separator = clean.indexOf(':');
+    const operator = separator > 0 ? clean.slice(0, separator).toLowerCase() : null;
+    const value = separator > 0 ? clean.slice(separator + 1).replace(/^[("]|[)"]$/g, '') : clean;
+    let result;
+
+    switch (operator) {
+      case 'from':
+        result = value.split(/\s+OR\s+/i).some(sender => message.from.toLowerCase().includes(sender.trim().toLowerCase()));
+        break;
+      case 'after':
+        result = message.date.getTime() >= parseGmailDate(value);
+        break;
+      case 'before':
+        result = message.date.getTime() < parseGmailDate(value);
+        break;
+      case 'label':
+        result = thread.labels.has(value);
+        break;
+      case 'has':
+        result = value === 'attachment' ? message.attachments.length > 0 : true;
+        break;
+      case 'in':
+        result = value === 'inbox' ? thread.inInbox : true;
+        break;
+      default:
+        result = `${message.subject}\n${message.body}`.toLowerCase().includes(value.toLowerCase());
+    }
+
+    return negated ? !result : result;
+  });
+}
+
+/**
+ * Create GmailApp with in-memory threads and messages
+ *
+ * @param {Function} SandboxDate - Date constructor of the sandbox realm
+ * @returns {Object} - { service, addMessage, threads, labels }
+ */
+function createGmailApp(SandboxDate) {
+  const threads = new Map();
+  const labels = new Map();
+  let nextId = 1;
+
+  const getLabel = name => {
+    if (!labels.has(name)) {
+      labels.set(name, { getName: () => name });
+    }
+    return labels.get(name);
+  };
+
+  const wrapThread = record => {
+    const thread = {
+      getId: () => record.id,
+      getFirstMessageSubject: () => record.messages[0].subject,
+      getMessages: () => record.messages.map(message => message.api),
+      getMessageCount: () => record.messages.length,
+      getLastMessageDate: () => record.messages[record.messages.length - 1].date,
+      getLabels: () => [...record.labels].map(getLabel),
+      addLabel: label => {
+        record.labels.add(label.getName());
+        return thread;
+      },
+      removeLabel: label => {
+        record.labels.delete(label.getName());
+        return thread;
+      },
+      isInInbox: () => record.inInbox,
+      moveToArchive: () => {
+        record.inInbox = false;
+        return thread;
+      },
+      moveToInbox: () => {
+        record.inInbox = true;
+        return thread;
+      },
+      getPermalink: () => `https://mail.google.com/mail/u/0/#all/${record.id}`
+    };
+    return thread;
+  };
+
+  /**
+   * Add a message to the fake mailbox
+   *
+   * @param {Object} spec - { id, threadId, subject, from, to, date, body, htmlBody, attachments, inTrash }
+   * @returns {Object} - GmailMessage stand-in
+   */
+  const addMessage = spec => {
+    const id = spec.id || `message-${nextId++}`;
+    const threadId = spec.threadId || `thread-${id}`;
+
+    if (!threads.has(threadId)) {
+      threads.set(threadId, { id: threadId, messages: [], labels: new Set(spec.labels || []), inInbox: true });
+    }
+    const thread = threads.get(threadId);
+
+    const record = {
+      id: id,
+      subject: spec.subject || '',
+      from: spec.from || 'sender@example.com',
+      to: spec.to || 'me@example.com',
+      date: new SandboxDate(spec.date ? new Date(spec.date).getTime() : Date.now()),
+      body: spec.body !== undefined ? spec.body : '',
+      htmlBody: spec.htmlBody !== undefined ? spec.htmlBody : (spec.body || ''),
+      headers: spec.headers || {},
+      attachments: (spec.attachments || []).map(att =>
+        createBlob(att.content !== undefined ? att.content : 'x'.repeat(att.size || 10), att.contentType || 'application/pdf', att.name)),
+      inTrash: Boolean(spec.inTrash)
+    };
+
+    record.api = {
+      getId: () => record.id,
+      getSubject: () => record.subject,
+      getFrom: () => record.from,
+      getTo: () => record.to,
+      getDate: () => record.date,
+      getPlainBody: () => record.body,
+      getBody: () => record.htmlBody,
+      getAttachments: () => record.attachments,
+      getHeader: name => record.headers[name] || '',
+      isInTrash: () => record.inTrash,
+      getThread: () => wrapThread(thread)
+    };
+
+    thread.messages.push(record);
+    return record.api;
+  };
+
+  const search = (query, start = 0, max = 500) => {
+    const matching = [...threads.values()]
+      .filter(thread => thread.messages.some(message => messageMatchesQuery(message, thread, query)))
+      .sort((a, b) => b.messages[b.messages.length - 1].date - a.messages[a.messages.length - 1].date);
+    return matching.slice(start, start + max).map(wrapThread);
+  };
+
+  return {
+    service: {
+      search: search,
+      getThreadById: id => (threads.has(id) ? wrapThread(threads.get(id)) : null),
+      getMessageById: id => {
+        for (const thread of threads.values()) {
+          const message = thread.messages.find(record => record.id === id);
+          if (message) {
+            return message.api;
+          }
+        }
+        return null;
+      },
+      getUserLabelByName: name => (labels.has(name) ? labels.get(name) : null),
+      createLabel: name => getLabel(name)
+    },
+    addMessage: addMessage,
+    threads: threads,
+    labels: labels
+  };
+}
+
+/**
+ * Create an HTTP response stand-in
+ *
+ * @param {number} code - Status code
+ * @param {string|Object} body - Response body (objects are JSON-encoded)
+ * @returns {Object} - HTTPResponse
+ */
+function createResponse(code, body) {
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  return {
+    getResponseCode: () => code,
+    getContentText: () => text
+  };
+}
+
+/**
+ * Create UrlFetchApp with a fake Slack endpoint that records every payload
+ *
+ * Webhook posts answer "ok"; Web API calls answer { ok: true, ts } with increasing timestamps.
+ * Tests can add responders for other URLs or to simulate failures.
+ *
+ * @returns {Object} - { service, requests, slackPayloads, addResponder }
+ */
+function createUrlFetchApp() {
+  const requests = [];
+  const responders = [];
+  let tsCounter = 1;
+
+  const parsePayload = payload => {
+    if (typeof payload !== 'string') {
+      return payload;
+    }
+    try {
+      return JSON.parse(payload);
+    } catch (error) {
+      return payload;
+    }
+  };
+
+  const fetch = (url, options = {}) => {
+    const request = {
+      url: url,
+      method: (options.method || 'GET').toUpperCase(),
+      headers: options.headers || {},
+      payload: parsePayload(options.payload)
+    };
+    requests.push(request);
+
+    const responder = responders.find(entry => entry.matcher(url, request));
+    if (responder) {
+      return responder.respond(request);
+    }
+
+    if (url.startsWith('https://hooks.slack.com/')) {
+      request.transport = 'webhook';
+      return createResponse(200, 'ok');
+    }
+
+    const apiMatch = url.match(/^https:\/\/slack\.com\/api\/([\w.]+)/);
+    if (apiMatch) {
+      request.transport = 'api';
+      request.apiMethod = apiMatch[1];
+      const ts = `1700000000.${String(tsCounter++).padStart(6, '0')}`;
+      return createResponse(200, {
+        ok: true,
+        channel: request.payload && request.payload.channel,
+        ts: request.payload && request.payload.ts ? request.payload.ts : ts
+      });
+    }
+
+    return createResponse(404, 'Not found');
+  };
+
+  return {
+    service: {
+      fetch: fetch
+    },
+    requests: requests,
+    slackPayloads: () => requests.filter(request => request.transport).map(request => request.payload),
+    addResponder: (matcher, respond) => {
+      const test = typeof matcher === 'function' ? matcher : url => url.includes(matcher);
+      responders.unshift({ matcher: test, respond: respond });
+    },
+    createResponse: createResponse
+  };
+}
+
+/**
+ * Create Session (the viewer is the deploying user unless a test changes activeUserEmail)
+ *
+ * @param {string} ownerEmail - Email of the deploying user
+ * @returns {Object} - { service, state }
+ */
+function createSession(ownerEmail = 'owner@example.com') {
+  const state = { activeUserEmail: ownerEmail, effectiveUserEmail: ownerEmail };
+
+  return {
+    service: {
+      getActiveUser: () => ({ getEmail: () => state.activeUserEmail }),
+      getEffectiveUser: () => ({ getEmail: () => state.effectiveUserEmail })
+    },
+    state: state
+  };
+}
+
+/**
+ * Create CalendarApp with in-memory calendars (tests add calendars with addCalendar)
+ *
+ * @returns {Object} - { service, calendars, addCalendar }
+ */
+function createCalendarApp() {
+  const calendars = new Map();
+  let nextId = 1;
+
+  const createEvent = (calendar, title, start, end, options, allDay) => {
+    const id = `event-${nextId++}@google.com`;
+    const tags = {};
+    const state = {
+      title: title,
+      start: new Date(start.getTime()),
+      end: new Date(end.getTime()),
+      allDay: allDay,
+      description: (options && options.description) || '',
+      location: (options && options.location) || ''
+    };
+    const event = {
+      getId: () => id,
+      getTitle: () => state.title,
+      setTitle: value => {
+        state.title = value;
+        return event;
+      },
+      getStartTime: () => state.start,
+      getEndTime: () => state.end,
+      isAllDayEvent: () => state.allDay,
+      setTime: (newStart, newEnd) => {
+        Object.assign(state, { start: new Date(newStart.getTime()), end: new Date(newEnd.getTime()), allDay: false });
+        return event;
+      },
+      setAllDayDate: date => {
+        Object.assign(state, { start: new Date(date.getTime()), end: new Date(date.getTime() + 24 * 60 * 60 * 1000), allDay: true });
+        return event;
+      },
+      getDescription: () => state.description,
+      setDescription: value => {
+        state.description = value;
+        return event;
+      },
+      getLocation: () => state.location,
+      setLocation: value => {
+        state.location = value;
+        return event;
+      },
+      getTag: key => (Object.prototype.hasOwnProperty.call(tags, key) ? tags[key] : null),
+      setTag: (key, value) => {
+        tags[key] = String(value);
+        return event;
+      },
+      deleteEvent: () => calendar.events.delete(id),
+      state: state
+    };
+    calendar.events.set(id, event);
+    return event;
+  };
+
+  const addCalendar = (id, name = id) => {
+    const calendar = {
+      events: new Map(),
+      getId: () => id,
+      getName: () => name,
+      createEvent: (title, start, end, options) => createEvent(calendar, title, start, end, options, false),
+      createAllDayEvent: (title, date, options) =>
+        createEvent(calendar, title, date, new Date(date.getTime() + 24 * 60 * 60 * 1000), options, true),
+      getEventById: eventId => calendar.events.get(eventId) || null,
+      getEvents: (start, end) => [...calendar.events.values()]
+        .filter(event => event.state.start < end && event.state.end > start)
+    };
+    calendars.set(id, calendar);
+    return calendar;
+  };
+
+  return {
+    service: {
+      getCalendarById: id => calendars.get(id) || null
+    },
+    calendars: calendars,
+    addCalendar: addCalendar
+  };
+}
+
+/**
+ * Create HtmlService with chainable HtmlOutput objects
+ *
+ * @returns {Object} - { service }
+ */
+function createHtmlService() {
+  const createHtmlOutput = html => {
+    const output = {
+      content: String(html || ''),
+      title: '',
+      metaTags: {},
+      xFrameOptionsMode: null,
+      getContent: () => output.content,
+      getTitle: () => output.title,
+      setTitle: title => {
+        output.title = title;
+        return output;
+      },
+      addMetaTag: (name, content) => {
+        output.metaTags[name] = content;
+        return output;
+      },
+      setXFrameOptionsMode: mode => {
+        output.xFrameOptionsMode = mode;
+        return output;
+      }
+    };
+    return output;
+  };
+
+  return {
+    service: {
+      createHtmlOutput: createHtmlOutput,
+      XFrameOptionsMode: { ALLOWALL: 'ALLOWALL', DEFAULT: 'DEFAULT' }
+    }
+  };
+}
+
+/**
+ * Create ContentService with chainable TextOutput objects
+ *
+ * @returns {Object} - { service }
+ */
+function createContentService() {
+  const MimeType = { JSON: 'application/json', TEXT: 'text/plain' };
+
+  const createTextOutput = content => {
+    const output = {
+      content: String(content || ''),
+      mimeType: MimeType.TEXT,
+      getContent: () => output.content,
+      getMimeType: () => output.mimeType,
+      setMimeType: mimeType => {
+        output.mimeType = mimeType;
+        return output;
+      }
+    };
+    return output;
+  };
+
+  return {
+    service: {
+      createTextOutput: createTextOutput,
+      MimeType: MimeType
+    }
+  };
+}
+
+module.exports = {
+  createBlob,
+  createCalendarApp,
+  createContentService,
+  createDriveApp,
+  createGmailApp,
+  createHtmlService,
+  createLockService,
+  createPropertiesService,
+  createScriptApp,
+  createSession,
+  createSpreadsheetApp,
+  createUrlFetchApp,
+  createUtilities,
+  formatDate,
+  makeIterator
+};
@@ -0,0 +1,143 @@
+/**
+ * Offline test harness
+ *
+ * Loads every src/*.js file into a vm sandbox the same way Apps Script does (one shared
+ * global scope) with in-memory fakes for Gmail, Drive, Sheets, UrlFetch and friends,
+ * so the whole processEmails pipeline can run without network access.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const fakes = require('./fakes');
+
+const SRC_DIR = path.join(__dirname, '..', '..', 'src');
+
+// Script properties most tests need; override or extend via createHarness({ properties })
+const DEFAULT_PROPERTIES = {
+  SENDER_EMAIL: 'news@example.com',
+  SLACK_CHANNEL: '#test-channel',
+  SLACK_WEBHOOK_URL: 'https://hooks.slack.com/services/T000/B000/XXXX'
+};
+
+/**
+ * Create a sandbox with fresh fakes and all source files loaded
+ *
+ * @param {Object} options - Harness options
+ * @param {Object} options.properties - Script properties merged over the defaults
+ * @param {boolean} options.verbose - Print console output from the sources
+ * @returns {Object} - Harness with the sandbox, the fakes and helper methods
+ */
+function createHarness(options = {}) {
+  const logs = [];
+  const record = level => (...args) => {
+    logs.push({ level: level, message: args.map(arg => (arg instanceof Error ? arg.message : String(arg))).join(' ') });
+    if (options.verbose) {
+      console[level](...args);
+    }
+  };
+  const sandboxConsole = { log: record('log'), info: record('info'), warn: record('warn'), error: record('error') };
+
+  const context = vm.createContext({ console: sandboxConsole });
+  const SandboxDate = vm.runInContext('Date', context);
+
+  const properties = fakes.createPropertiesService(Object.assign({}, DEFAULT_PROPERTIES, options.properties));
+  const utilities = fakes.createUtilities();
+  const lock = fakes.createLockService();
+  const scriptApp = fakes.createScriptApp();
+  const drive = fakes.createDriveApp();
+  const spreadsheets = fakes.createSpreadsheetApp(drive);
+  const gmail = fakes.createGmailApp(SandboxDate);
+  const urlFetch = fakes.createUrlFetchApp();
+  const htmlService = fakes.createHtmlService();
+  const contentService = fakes.createContentService();
+  const session = fakes.createSession();
+  const calendar = fakes.createCalendarApp();
+
+  Object.assign(context, {
+    PropertiesService: properties.service,
+    Utilities: utilities.service,
+    LockService: lock.service,
+    ScriptApp: scriptApp.service,
+    DriveApp: drive.service,
+    SpreadsheetApp: spreadsheets.service,
+    GmailApp: gmail.service,
+    UrlFetchApp: urlFetch.service,
+    HtmlService: htmlService.service,
+    ContentService: contentService.service,
+    Session: session.service,
+    CalendarApp: calendar.service
+  });
+
+  // main.js defines CONFIG and the property helpers, so load it first
+  const files = fs.readdirSync(SRC_DIR)
+    .filter(file => file.endsWith('.js'))
+    .sort((a, b) => (a === 'main.js' ? -1 : b === 'main.js' ? 1 : a.localeCompare(b)));
+
+  files.forEach(file => {
+    const source = fs.readFileSync(path.join(SRC_DIR, file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  });
+
+  return {
+    context: context,
+    logs: logs,
+    properties: properties.store,
+    sleeps: utilities.sleeps,
+    lock: lock.stats,
+    triggers: scriptApp.triggers,
+    drive: drive,
+    spreadsheets: spreadsheets,
+    gmail: gmail,
+    urlFetch: urlFetch,
+    session: session.state,
+    calendar: calendar,
+
+    /**
+     * Call a global function defined in the sources
+     *
+     * @param {string} name - Function name
+     * @param {...*} args - Arguments
+     * @returns {*} - Return value
+     */
+    call(name, ...args) {
+      if (typeof context[name] !== 'function') {
+        throw new Error(`Function ${name} is not defined in src/`);
+      }
+      return context[name](...args);
+    },
+
+    /**
+     * Evaluate an expression inside the sandbox (e.g. to read or tweak CONFIG)
+     *
+     * @param {string} code - JavaScript expression
+     * @returns {*} - Result
+     */
+    evaluate(code) {
+      return vm.runInContext(code, context);
+    },
+
+    /**
+     * Payloads posted to the fake Slack endpoint (webhook and Web API)
+     *
+     * @returns {Array} - Parsed payloads in posting order
+     */
+    slackPayloads() {
+      return urlFetch.slackPayloads();
+    },
+
+    /**
+     * Rows of a sheet in the tracking spreadsheet, header row included
+     *
+     * @param {string} sheetName - Sheet name (default: ProcessedMessages)
+     * @returns {Array} - 2D array of values, or [] if the spreadsheet does not exist yet
+     */
+    sheetRows(sheetName = 'ProcessedMessages') {
+      const spreadsheet = [...spreadsheets.spreadsheets.values()][0];
+      const sheet = spreadsheet && spreadsheet.getSheetByName(sheetName);
+      return sheet ? sheet.rows.filter(row => row.some(value => value !== '' && value !== undefined)) : [];
+    }
+  };
+}
+
+module.exports = { createHarness, DEFAULT_PROPERTIES };
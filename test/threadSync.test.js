@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./support/harness');
+
+const API_PROPERTIES = { USE_SLACK_API: 'true', SLACK_BOT_TOKEN: 'xoxb-test' };
+
+/**
+ * Main notification payloads (the ones with the email fields), in posting order
+ *
+ * @param {Object} harness - Test harness
+ * @returns {Array} - chat.postMessage payloads
+ */
+function notifications(harness) {
+  return harness.slackPayloads().filter(payload => payload.attachments && payload.attachments[0].fields);
+}
+
+test('posts later messages of a Gmail thread as replies in the Slack thread', () => {
+  const harness = createHarness({ properties: API_PROPERTIES });
+  harness.gmail.addMessage({ id: 'm1', threadId: 't1', subject: '第14回部会開催のご案内', from: 'news@example.com', body: '6/5に開催します。' });
+  harness.call('processEmails');
+
+  harness.gmail.addMessage({ id: 'm2', threadId: 't1', subject: 'Re: 第14回部会開催のご案内', from: 'news@example.com', body: '会場が変更になりました。' });
+  harness.gmail.addMessage({ id: 'm3', threadId: 't2', subject: '第15回部会開催のご案内', from: 'news@example.com', body: '7/3に開催します。' });
+  harness.call('processEmails');
+
+  const bySubject = Object.fromEntries(notifications(harness).map(payload => [payload.attachments[0].title.replace('📧 新着メール: ', ''), payload]));
+  assert.strictEqual(bySubject['第14回部会開催のご案内'].thread_ts, undefined);
+  assert.strictEqual(bySubject['Re: 第14回部会開催のご案内'].thread_ts, '1700000000.000001');
+  assert.strictEqual(bySubject['Re: 第14回部会開催のご案内'].channel, 'test-channel');
+  assert.strictEqual(bySubject['Re: 第14回部会開催のご案内'].reply_broadcast, undefined);
+  assert.strictEqual(bySubject['第15回部会開催のご案内'].thread_ts, undefined);
+
+  const mappings = harness.sheetRows('SlackThreads').slice(1);
+  assert.deepStrictEqual(mappings.map(row => row.slice(0, 3)), [
+    ['t1', 'test-channel', 'test-channel'],
+    ['t2', 'test-channel', 'test-channel']
+  ]);
+  assert.strictEqual(mappings[0][3], '1700000000.000001');
+  assert.notStrictEqual(mappings[1][3], mappings[0][3]);
+});
+
+test('keeps follow-ups of a reply in the original Slack thread and broadcasts when configured', () => {
+  const harness = createHarness({
+    properties: Object.assign({
+      ROUTING_RULES: JSON.stringify([{ name: 'bukai', senders: ['news@example.com'], patterns: ['/部会/'], channel: '#bukai', broadcastReplies: true }])
+    }, API_PROPERTIES)
+  });
+  harness.gmail.addMessage({ id: 'm1', threadId: 't1', subject: '第14回部会開催のご案内', from: 'news@example.com', body: '6/5に開催します。' });
+  harness.call('processEmails');
+
+  harness.gmail.addMessage({ id: 'm2', threadId: 't1', subject: 'Re: 第14回部会開催のご案内', from: 'news@example.com', body: 'あ'.repeat(1500), attachments: [{ name: 'slides.pdf' }] });
+  harness.call('processEmails');
+
+  const payloads = harness.slackPayloads();
+  const reply = payloads[1];
+  assert.strictEqual(reply.thread_ts, '1700000000.000001');
+  assert.strictEqual(reply.reply_broadcast, true);
+  assert.ok(payloads.length > 3);
+  payloads.slice(2).forEach(payload => {
+    assert.strictEqual(payload.thread_ts, '1700000000.000001');
+    assert.strictEqual(payload.reply_broadcast, undefined);
+  });
+  assert.strictEqual(harness.sheetRows('SlackThreads').length, 2);
+});
+
+test('posts every message as a new post when thread sync is off or with webhooks', () => {
+  const harness = createHarness({ properties: API_PROPERTIES });
+  harness.evaluate('CONFIG.SYNC_GMAIL_THREADS = false');
+  harness.gmail.addMessage({ id: 'm1', threadId: 't1', subject: '第14回部会開催のご案内', from: 'news@example.com', body: '6/5に開催します。' });
+  harness.gmail.addMessage({ id: 'm2', threadId: 't1', subject: 'Re: 第14回部会開催のご案内', from: 'news@example.com', body: '会場変更' });
+  harness.call('processEmails');
+
+  assert.ok(notifications(harness).every(payload => payload.thread_ts === undefined));
+  assert.deepStrictEqual(harness.sheetRows('SlackThreads'), []);
+
+  const webhook = createHarness();
+  webhook.gmail.addMessage({ id: 'm1', threadId: 't1', subject: '第14回部会開催のご案内', from: 'news@example.com', body: '6/5に開催します。' });
+  webhook.gmail.addMessage({ id: 'm2', threadId: 't1', subject: 'Re: 第14回部会開催のご案内', from: 'news@example.com', body: '会場変更' });
+  webhook.call('processEmails');
+
+  assert.strictEqual(notifications(webhook).length, 2);
+  assert.ok(notifications(webhook).every(payload => payload.thread_ts === undefined));
+});
+
+test('shows the thread reply in dry runs without recording a mapping', () => {
+  const harness = createHarness({ properties: API_PROPERTIES });
+  harness.gmail.addMessage({ id: 'm1', threadId: 't1', subject: '第14回部会開催のご案内', from: 'news@example.com', body: '6/5に開催します。' });
+  harness.call('processEmails');
+  harness.gmail.addMessage({ id: 'm2', threadId: 't1', subject: 'Re: 第14回部会開催のご案内', from: 'news@example.com', body: '会場変更' });
+
+  const report = harness.call('processEmails', { dryRun: true });
+
+  const entry = report.messages.find(candidate => candidate.messageId === 'm2');
+  assert.strictEqual(entry.slackPayloads[0].payload.thread_ts, '1700000000.000001');
+  assert.strictEqual(harness.sheetRows('SlackThreads').length, 2);
+});
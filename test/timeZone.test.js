@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./support/harness');
+
+// 2024-05-01 23:30 in Tokyo is still 2024-05-01 10:30 in New York
+const EMAIL_DATE = '2024-05-01T23:30:00+09:00';
+
+/**
+ * Find the received-at field of a notification payload
+ *
+ * @param {Object} payload - Slack payload
+ * @returns {string} - Field value
+ */
+function receivedAt(payload) {
+  return payload.attachments[0].fields.find(field => field.title === '📅 受信日時').value;
+}
+
+test('formats dates in CONFIG.TIME_ZONE by default', () => {
+  const harness = createHarness();
+  harness.gmail.addMessage({
+    subject: '第1回部会のご案内',
+    from: 'news@example.com',
+    date: EMAIL_DATE,
+    attachments: [{ name: 'agenda.pdf' }]
+  });
+
+  harness.call('processEmails');
+
+  assert.match(receivedAt(harness.slackPayloads()[0]), /^2024\/05\/01 23:30:00/);
+  const folderNames = [...harness.drive.folders.values()].map(folder => folder.getName());
+  assert.ok(folderNames.includes('20240501_第1回部会のご案内'));
+});
+
+test('uses the TIME_ZONE script property and per-rule overrides', () => {
+  const harness = createHarness({
+    properties: {
+      TIME_ZONE: 'UTC',
+      ROUTING_RULES: JSON.stringify([
+        { name: 'tokyo', senders: ['news@example.com'], patterns: ['部会'], channel: '#tokyo', timeZone: 'Asia/Tokyo' },
+        { name: 'ny', senders: ['news@example.com'], patterns: ['部会'], channel: '#ny', timeZone: 'America/New_York' },
+        { name: 'utc', senders: ['news@example.com'], patterns: ['部会'], channel: '#utc' }
+      ])
+    }
+  });
+  harness.gmail.addMessage({ subject: '第1回部会のご案内', from: 'news@example.com', date: EMAIL_DATE });
+
+  harness.call('processEmails');
+
+  const times = harness.slackPayloads().map(payload => receivedAt(payload).slice(0, 19));
+  assert.deepStrictEqual(times, ['2024/05/01 23:30:00', '2024/05/01 10:30:00', '2024/05/01 14:30:00']);
+});
+
+test('uses Slack date tokens when SLACK_LOCAL_TIME is enabled', () => {
+  const harness = createHarness();
+  harness.evaluate('CONFIG.SLACK_LOCAL_TIME = true');
+  harness.gmail.addMessage({ subject: '第1回部会のご案内', from: 'news@example.com', date: EMAIL_DATE });
+
+  harness.call('processEmails');
+
+  const payload = harness.slackPayloads()[0];
+  const epoch = Math.floor(new Date(EMAIL_DATE).getTime() / 1000);
+  assert.match(receivedAt(payload), new RegExp(`^<!date\\^${epoch}\\^\\{date_num\\} \\{time_secs\\}\\|2024/05/01 23:30:00`));
+  assert.deepStrictEqual([...payload.attachments[0].mrkdwn_in], ['fields']);
+});
+
+test('keeps backfill calendar days in a western time zone', () => {
+  const harness = createHarness({ properties: { TIME_ZONE: 'America/New_York' } });
+
+  const state = harness.call('startBackfill', '2024-05-01', '2024-05-02');
+
+  assert.strictEqual(state.from, '2024/05/01');
+  assert.strictEqual(state.to, '2024/05/02');
+  assert.strictEqual(state.before, '2024/05/03');
+});
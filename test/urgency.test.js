@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./support/harness');
+
+test('colors urgent emails and escalates them with a mention', () => {
+  const harness = createHarness();
+  harness.gmail.addMessage({ id: 'm1', subject: '【緊急】第14回部会の会場変更', from: 'news@example.com', body: '会場が変更になりました。' });
+  harness.gmail.addMessage({ id: 'm2', subject: '第14回部会 議事録', from: 'news@example.com', body: '議事録を送付します。' });
+
+  harness.call('processEmails');
+
+  const bySubject = Object.fromEntries(harness.slackPayloads().map(payload => [payload.attachments[0].title, payload]));
+  const urgent = bySubject['📧 新着メール: 【緊急】第14回部会の会場変更'];
+  assert.strictEqual(urgent.text, '<!channel> 🚨 📧 新着メール: 【緊急】第14回部会の会場変更');
+  assert.strictEqual(urgent.attachments[0].color, 'danger');
+
+  const routine = bySubject['📧 新着メール: 第14回部会 議事録'];
+  assert.strictEqual(routine.text, undefined);
+  assert.strictEqual(routine.attachments[0].color, 'good');
+});
+
+test('classifies by subject and body markers and by how soon the event starts', () => {
+  const harness = createHarness();
+  const now = new Date('2025-06-05T09:00:00+09:00');
+  const classify = (subject, body, event = null) => {
+    const urgency = harness.call('classifyEmailUrgency', subject, body, event, now);
+    return urgency && `${urgency.level} ${urgency.color} ${urgency.emoji} ${urgency.mention}`;
+  };
+  const event = (start, end) => ({ start: new Date(start), end: new Date(end) });
+
+  assert.strictEqual(classify('【本日開催】第14回部会', ''), 'high #e8912d ⏰ here');
+  assert.strictEqual(classify('第14回部会', '資料を至急ご確認ください。'), 'urgent danger 🚨 channel');
+  assert.strictEqual(classify('第14回部会のご案内', '', event('2025-06-05T15:00:00+09:00', '2025-06-05T16:00:00+09:00')), 'high #e8912d ⏰ here');
+  assert.strictEqual(classify('第14回部会のご案内', '', event('2025-06-04T00:00:00+09:00', '2025-06-06T00:00:00+09:00')), 'high #e8912d ⏰ here');
+  assert.strictEqual(classify('第14回部会のご案内', '', event('2025-06-07T15:00:00+09:00', '2025-06-07T16:00:00+09:00')), null);
+  assert.strictEqual(classify('第13回部会の報告', '', event('2025-06-04T15:00:00+09:00', '2025-06-04T16:00:00+09:00')), null);
+
+  harness.evaluate(`CONFIG.URGENCY_LEVELS = [
+    { name: 'deadline', subjectMarkers: ['/deadline/i'], color: 'warning', mention: 'everyone' }
+  ]`);
+  assert.strictEqual(classify('Deadline tomorrow', ''), 'deadline warning  null');
+  assert.strictEqual(classify('【緊急】第14回部会', ''), null);
+});
+
+test('drops the mention during quiet periods but keeps the styling', () => {
+  const harness = createHarness();
+  harness.evaluate(`CONFIG.ESCALATION_QUIET_PERIODS = [{ start: '22:00', end: '7:00' }, { days: ['Sat', 'Sun'] }]`);
+  const urgency = harness.call('classifyEmailUrgency', '【緊急】第14回部会の会場変更', '');
+  const mentionAt = (date, timeZone = 'Asia/Tokyo') => harness.call('buildUrgencyMention', urgency, timeZone, new Date(date));
+
+  assert.strictEqual(mentionAt('2025-06-05T12:00:00+09:00'), '<!channel>');
+  assert.strictEqual(mentionAt('2025-06-05T23:30:00+09:00'), '');
+  assert.strictEqual(mentionAt('2025-06-06T06:59:00+09:00'), '');
+  assert.strictEqual(mentionAt('2025-06-06T07:00:00+09:00'), '<!channel>');
+  assert.strictEqual(mentionAt('2025-06-07T12:00:00+09:00'), '');
+  assert.strictEqual(mentionAt('2025-06-05T23:30:00+09:00', 'America/New_York'), '<!channel>');
+
+  harness.evaluate(`CONFIG.ESCALATION_QUIET_PERIODS = [{ days: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'] }]`);
+  harness.gmail.addMessage({ id: 'm1', subject: '【緊急】第14回部会の会場変更', from: 'news@example.com', body: '会場が変更になりました。' });
+  harness.call('processEmails');
+
+  const [payload] = harness.slackPayloads();
+  assert.strictEqual(payload.text, '🚨 📧 新着メール: 【緊急】第14回部会の会場変更');
+  assert.strictEqual(payload.attachments[0].color, 'danger');
+});